@@ -0,0 +1,137 @@
+// --- ANEXOS ENVIADOS À IA ---
+// Converte o arquivo recebido no WhatsApp em partes da mensagem para o modelo:
+// imagens e PDF vão como dados embutidos (inlineData); CSV, XLSX e XML viram tabelas em texto.
+// Áudios não passam por aqui: já chegam transcritos no texto da mensagem.
+import AdmZip from 'adm-zip';
+
+export const ATTACHMENT_LIMITS = {
+    inlineBytes: 15 * 1024 * 1024,
+    tableBytes: 5 * 1024 * 1024,
+    tableRows: 200,
+    tableChars: 20000,
+};
+
+// Pergunta enviada ao modelo quando o cliente manda só o arquivo, sem texto
+export const ATTACHMENT_ONLY_PROMPT = 'O cliente enviou este arquivo sem mensagem. Analise o conteúdo, resuma o que ele contém e pergunte como podemos ajudar.';
+
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const extensionOf = (name) => (String(name || '').match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+
+// 'inline' | 'csv' | 'xlsx' | 'xml' | 'audio' | null (não suportado)
+export function attachmentKind(file) {
+    const type = String(file?.type || '').split(';')[0].trim().toLowerCase();
+    const ext = extensionOf(file?.name);
+    if (type.startsWith('audio/')) return 'audio';
+    if (INLINE_TYPES.includes(type)) return 'inline';
+    if (type === 'text/csv' || ext === 'csv') return 'csv';
+    if (type === XLSX_TYPE || ext === 'xlsx') return 'xlsx';
+    if (type === 'application/xml' || type === 'text/xml' || ext === 'xml') return 'xml';
+    return null;
+}
+
+const decodeXml = (text) => text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+
+// CSV com separador detectado na primeira linha (; é o padrão das planilhas brasileiras)
+export function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const firstLine = clean.split('\n', 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < clean.length; i++) {
+        const char = clean[i];
+        if (quoted) {
+            if (char === '"' && clean[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') quoted = true;
+        else if (char === delimiter) { row.push(cell); cell = ''; }
+        else if (char === '\n') { row.push(cell.replace(/\r$/, '')); rows.push(row); row = []; cell = ''; }
+        else cell += char;
+    }
+    if (cell || row.length) { row.push(cell.replace(/\r$/, '')); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Referência de célula "C12" -> índice da coluna (0 = A)
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((sum, ch) => sum * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+// Todas as abas da planilha: [{ name, rows }]
+export function parseXlsx(buffer) {
+    const zip = new AdmZip(buffer);
+    const read = (entry) => zip.getEntry(entry)?.getData().toString('utf8') || '';
+    const shared = [...read('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(m => decodeXml([...m[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => t[1]).join('')));
+    const names = [...read('xl/workbook.xml').matchAll(/<sheet [^>]*name="([^"]*)"/g)].map(m => decodeXml(m[1]));
+    const sheetFiles = zip.getEntries().map(e => e.entryName).filter(n => /^xl\/worksheets\/sheet\d+\.xml$/.test(n))
+        .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+    return sheetFiles.map((entry, i) => {
+        const rows = [...read(entry).matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)].map(rowMatch => {
+            const cells = [];
+            for (const cell of rowMatch[1].matchAll(/<c ([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attrs = cell[1], body = cell[2] || '';
+                const ref = attrs.match(/r="([A-Z]+\d+)"/)?.[1];
+                const type = attrs.match(/t="(\w+)"/)?.[1];
+                const raw = type === 'inlineStr' ? [...body.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => t[1]).join('') : (body.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '');
+                cells[ref ? columnIndex(ref) : cells.length] = type === 's' ? (shared[Number(raw)] ?? '') : decodeXml(raw);
+            }
+            return Array.from(cells, c => c ?? '');
+        }).filter(r => r.some(c => String(c).trim()));
+        return { name: names[i] || `Planilha ${i + 1}`, rows };
+    });
+}
+
+// XML (ex.: NF-e): uma linha "caminho | valor" por elemento com texto
+export function parseXml(text) {
+    const rows = [];
+    const stack = [];
+    for (const match of text.matchAll(/<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g)) {
+        const [, closing, tag, selfClosing, content] = match;
+        if (content !== undefined) {
+            const value = decodeXml(content).trim();
+            if (value && stack.length) rows.push([stack.slice(-3).join('/'), value]);
+        } else if (tag.startsWith('?') || tag.startsWith('!')) {
+            continue;
+        } else if (closing) stack.pop();
+        else if (!selfClosing) stack.push(tag.replace(/^[\w-]+:/, ''));
+    }
+    return rows;
+}
+
+// Tabela em texto com limite de linhas e de caracteres
+function renderTable(rows) {
+    const lines = rows.slice(0, ATTACHMENT_LIMITS.tableRows).map(r => r.map(c => String(c).replace(/\s+/g, ' ').trim()).join(' | '));
+    let text = lines.join('\n');
+    if (text.length > ATTACHMENT_LIMITS.tableChars) text = text.slice(0, ATTACHMENT_LIMITS.tableChars);
+    const truncated = rows.length > ATTACHMENT_LIMITS.tableRows || lines.join('\n').length > ATTACHMENT_LIMITS.tableChars;
+    return truncated ? `${text}\n[... tabela cortada: ${rows.length} linhas no total]` : text;
+}
+
+// { parts, note } para enviar ao modelo, ou { error: 'unsupported' | 'tooLarge' | 'unreadable', limitMb? }; null para áudio.
+// note é o registro que fica no histórico da IA no lugar dos dados embutidos.
+export function prepareAttachment(file) {
+    const kind = attachmentKind(file);
+    if (kind === 'audio') return null;
+    if (!kind) return { error: 'unsupported' };
+    const size = Buffer.byteLength(file.data || '', 'base64');
+    const note = `[Arquivo enviado pelo cliente: ${file.name || 'sem nome'} (${file.type || 'tipo desconhecido'})]`;
+    const maxBytes = kind === 'inline' ? ATTACHMENT_LIMITS.inlineBytes : ATTACHMENT_LIMITS.tableBytes;
+    if (size > maxBytes) return { error: 'tooLarge', limitMb: Math.round(maxBytes / 1024 / 1024) };
+    if (kind === 'inline') return { parts: [{ inlineData: { mimeType: file.type, data: file.data } }], note };
+    try {
+        const buffer = Buffer.from(file.data, 'base64');
+        let table;
+        if (kind === 'csv') table = renderTable(parseCsv(buffer.toString('utf8')));
+        else if (kind === 'xml') table = renderTable(parseXml(buffer.toString('utf8')));
+        else table = parseXlsx(buffer).map(sheet => `Aba "${sheet.name}":\n${renderTable(sheet.rows)}`).join('\n\n');
+        if (!table.trim()) return { error: 'unreadable' };
+        return { parts: [{ text: `${note}\nConteúdo convertido em tabela:\n${table}` }], note };
+    } catch (error) {
+        return { error: 'unreadable' };
+    }
+}
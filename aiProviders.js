@@ -0,0 +1,123 @@
+// --- PROVEDORES DE IA ---
+// Interface comum usada pelo servidor para conversar, transcrever áudios e ler documentos.
+// Cada provedor implementa: chat({ system, history, model, temperature, signal }) -> texto,
+// transcribe({ mimeType, data, prompt, model, signal }) -> texto e readDocument(...) -> texto.
+// history segue o formato do Gemini: [{ role: 'user' | 'model', parts: [{ text }] }].
+import { GoogleGenAI } from '@google/genai';
+
+export const AI_PROVIDER_NAMES = ['gemini', 'mock'];
+
+export const defaultAiConfig = {
+    // Ordem de tentativa: se um provedor falhar (erro ou tempo esgotado), tenta o próximo
+    providers: ['gemini'],
+    default: { model: 'gemini-3-flash-preview', temperature: 0.4, timeoutMs: 30000 },
+    // Setores com ajustes próprios (mesmos campos de "default", além de "providers")
+    departments: {},
+    // Texto livre nos menus: quando as palavras-chave não bastam, pergunta à IA qual opção o cliente quis
+    intentClassifier: false,
+};
+
+// Configuração efetiva de um setor (setor > padrão salvo > padrão do sistema)
+export function aiSettingsFor(config, department) {
+    const own = (department && config.departments?.[department]) || {};
+    return {
+        ...defaultAiConfig.default,
+        ...config.default,
+        ...own,
+        providers: own.providers?.length ? own.providers : (config.providers?.length ? config.providers : defaultAiConfig.providers),
+    };
+}
+
+function validateSettings(label, settings) {
+    const errors = [];
+    if (settings.model !== undefined && !String(settings.model).trim()) errors.push(`${label}: informe o modelo.`);
+    if (settings.temperature !== undefined && !(settings.temperature >= 0 && settings.temperature <= 2)) errors.push(`${label}: a temperatura deve estar entre 0 e 2.`);
+    if (settings.timeoutMs !== undefined && !(Number.isInteger(settings.timeoutMs) && settings.timeoutMs >= 1000 && settings.timeoutMs <= 120000)) errors.push(`${label}: o tempo limite deve estar entre 1 e 120 segundos.`);
+    (settings.providers || []).forEach(name => { if (!AI_PROVIDER_NAMES.includes(name)) errors.push(`${label}: provedor "${name}" desconhecido.`); });
+    return errors;
+}
+
+export function validateAiConfig(config) {
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    const errors = [];
+    if (!Array.isArray(config.providers) || config.providers.length === 0) errors.push('Escolha ao menos um provedor.');
+    if (config.intentClassifier !== undefined && typeof config.intentClassifier !== 'boolean') errors.push('intentClassifier deve ser verdadeiro ou falso.');
+    errors.push(...validateSettings('Padrão', { ...config.default, providers: config.providers }));
+    Object.entries(config.departments || {}).forEach(([dept, settings]) => errors.push(...validateSettings(dept, settings || {})));
+    return errors;
+}
+
+// Rejeita se a chamada não terminar a tempo; o sinal permite ao provedor abandonar a requisição
+export async function withTimeout(call, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => { controller.abort(); reject(new Error(`Tempo limite de ${timeoutMs} ms excedido.`)); }, timeoutMs);
+    });
+    try {
+        return await Promise.race([call(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export function createGeminiProvider(apiKey) {
+    if (!apiKey) return null;
+    const client = new GoogleGenAI({ apiKey });
+    const generate = async (request) => {
+        const response = await client.models.generateContent(request);
+        const text = response?.text?.trim();
+        if (!text) throw new Error('Resposta vazia do Gemini.');
+        return text;
+    };
+    const withMedia = ({ mimeType, data, prompt, model, signal }) => generate({
+        model,
+        contents: [{ parts: [{ inlineData: { mimeType, data } }, { text: prompt }] }],
+        config: { abortSignal: signal },
+    });
+    return {
+        name: 'gemini',
+        chat: ({ system, history, model, temperature, signal }) => generate({ model, contents: history, config: { systemInstruction: system, temperature, abortSignal: signal } }),
+        transcribe: withMedia,
+        readDocument: withMedia,
+    };
+}
+
+// Respostas determinísticas, sem rede: permitem rodar e testar o bot inteiro localmente.
+// Se a instrução trouxer trechos da base de conhecimento, responde com o primeiro e o cita.
+export function createMockProvider() {
+    const lastUserText = (history) => [...history].reverse().find(turn => turn.role === 'user')?.parts?.map(p => p.text || '').join(' ').trim() || '';
+    return {
+        name: 'mock',
+        chat: async ({ system, history }) => {
+            const passage = /^\[1\] .*\n([\s\S]*?)(?:\n\n\[2\]|\n\nQuando usar)/m.exec(system || '');
+            if (passage) return `${passage[1].trim()} [1]`;
+            const files = ([...history].reverse().find(turn => turn.role === 'user')?.parts || []).filter(p => p.inlineData).map(p => p.inlineData.mimeType);
+            return `[Simulação] Recebi sua mensagem: "${lastUserText(history)}"${files.length ? ` e o anexo (${files.join(', ')})` : ''}. Um atendente pode complementar esta resposta.`;
+        },
+        transcribe: async ({ data }) => `[Transcrição simulada de um áudio de ${Math.round(Buffer.byteLength(data || '', 'base64') / 1024)} KB]`,
+        readDocument: async ({ mimeType, data }) => mimeType?.startsWith('text/')
+            ? Buffer.from(data || '', 'base64').toString('utf8')
+            : `[Conteúdo simulado de um documento ${mimeType || 'desconhecido'}]`,
+    };
+}
+
+// Executa a tarefa nos provedores da configuração, em ordem, até um responder.
+// Retorna { text, provider }; se todos falharem, lança o último erro com a lista de tentativas.
+export async function runAiTask(providers, settings, task, args) {
+    const attempts = [];
+    for (const name of settings.providers) {
+        const provider = providers[name];
+        if (!provider) { attempts.push(`${name}: não configurado`); continue; }
+        try {
+            const text = await withTimeout(signal => provider[task]({ ...args, model: settings.model, temperature: settings.temperature, signal }), settings.timeoutMs);
+            return { text, provider: name };
+        } catch (error) {
+            attempts.push(`${name}: ${error.message}`);
+            console.error(`[AI] Falha no provedor ${name} (${task}):`, error.message);
+        }
+    }
+    const error = new Error(`Nenhum provedor de IA respondeu (${attempts.join('; ') || 'nenhum configurado'}).`);
+    error.attempts = attempts;
+    throw error;
+}
@@ -0,0 +1,49 @@
+// --- PRESENÇA E CAPACIDADE DOS ATENDENTES ---
+// Presença calculada pela atividade no painel (canal de eventos aberto + última interação),
+// com a escolha manual do atendente por cima. Funções puras; o estado fica no servidor.
+
+export const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+// Escolha no painel: "available" deixa a presença seguir a atividade
+export const MANUAL_STATUSES = ['available', 'away', 'offline'];
+
+export const defaultPresenceConfig = {
+    // Sem interagir com o painel por este tempo, o atendente passa a "ausente"
+    awayAfterMinutes: 10,
+    // Offline por mais que isso: as conversas dele voltam para a fila (0 = nunca)
+    requeueAfterMinutes: 15,
+    // Conversas simultâneas de quem não tem limite próprio (0 = sem limite)
+    defaultMaxChats: 0,
+};
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+export function validatePresenceConfig(config) {
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    const errors = [];
+    if (!isIntegerBetween(config.awayAfterMinutes, 1, 240)) errors.push('Ausente após: informe de 1 a 240 minutos.');
+    if (!isIntegerBetween(config.requeueAfterMinutes, 0, 24 * 60)) errors.push('Devolver à fila após: informe de 0 a 1440 minutos.');
+    if (!isIntegerBetween(config.defaultMaxChats, 0, 100)) errors.push('Limite padrão de conversas: informe de 0 a 100.');
+    return errors;
+}
+
+// null = segue o limite padrão
+export const validateMaxChats = (value) => value === null || isIntegerBetween(value, 0, 100) ? null : 'Limite de conversas deve ficar entre 0 e 100 (0 = sem limite).';
+
+// state: { manualStatus, connected, lastActivityAt }
+export function presenceStatus(state, config, now = Date.now()) {
+    if (!state?.connected || state.manualStatus === 'offline') return 'offline';
+    if (state.manualStatus === 'away') return 'away';
+    return now - (state.lastActivityAt || 0) > config.awayAfterMinutes * 60000 ? 'away' : 'online';
+}
+
+// 0 = sem limite
+export const maxChatsFor = (attendant, config) => attendant.maxChats ?? config.defaultMaxChats;
+
+export const hasCapacity = (attendant, activeCount, config) => {
+    const max = maxChatsFor(attendant, config);
+    return !max || activeCount < max;
+};
+
+// offlineSince: quando o atendente ficou offline (fechou o painel ou escolheu "offline")
+export const shouldRequeue = (state, config, now = Date.now()) =>
+    config.requeueAfterMinutes > 0 && !!state?.offlineSince && now - state.offlineSince >= config.requeueAfterMinutes * 60000;
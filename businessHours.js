@@ -0,0 +1,119 @@
+// --- HORÁRIO DE ATENDIMENTO, FERIADOS E PRÓXIMA ABERTURA ---
+// Funções puras usadas pelo servidor para decidir se um setor está aberto.
+// Horários no formato "HH:MM-HH:MM", por dia da semana (sun..sat), no fuso configurado.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const defaultBusinessHours = {
+    timezone: 'America/Sao_Paulo',
+    default: {
+        sun: [],
+        mon: ['08:00-12:00', '13:00-18:00'],
+        tue: ['08:00-12:00', '13:00-18:00'],
+        wed: ['08:00-12:00', '13:00-18:00'],
+        thu: ['08:00-12:00', '13:00-18:00'],
+        fri: ['08:00-12:00', '13:00-17:00'],
+        sat: [],
+    },
+    // Setores com horário próprio (mesmo formato de "default")
+    departments: {},
+    // [{ date: 'AAAA-MM-DD', name: 'Natal' }]
+    holidays: [],
+};
+
+const INTERVAL_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+const toMinutes = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+export const parseInterval = (text) => {
+    const [start, end] = text.split('-');
+    return { start: toMinutes(start), end: toMinutes(end) };
+};
+
+// Data/hora "de parede" no fuso informado
+export function zonedParts(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short',
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS[['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+// Converte uma data/hora local do fuso em instante absoluto (ajustando o deslocamento do fuso)
+export function zonedTimeToDate(dateStr, minutes, timezone) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const guess = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+    const local = zonedParts(new Date(guess), timezone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    const offset = Date.UTC(ly, lm - 1, ld, Math.floor(local.minutes / 60), local.minutes % 60) - guess;
+    return new Date(guess - offset);
+}
+
+export const addDays = (dateStr, days) => {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+export const weekdayOf = (dateStr) => WEEKDAYS[new Date(`${dateStr}T12:00:00Z`).getUTCDay()];
+
+const scheduleFor = (config, department) => config.departments?.[department] || config.default || {};
+export const holidayOn = (config, dateStr) => (config.holidays || []).find(h => h.date === dateStr) || null;
+
+// Também usada pela agenda dos especialistas (mesmo formato de horário semanal)
+export function validateWeeklySchedule(label, schedule) {
+    const errors = [];
+    if (!schedule || typeof schedule !== 'object') return [`${label}: horário inválido.`];
+    for (const day of WEEKDAYS) {
+        const intervals = schedule[day] || [];
+        if (!Array.isArray(intervals)) { errors.push(`${label} (${day}): use uma lista de intervalos.`); continue; }
+        intervals.forEach(text => {
+            if (!INTERVAL_PATTERN.test(text)) return errors.push(`${label} (${day}): "${text}" não está no formato HH:MM-HH:MM.`);
+            const { start, end } = parseInterval(text);
+            if (end <= start) errors.push(`${label} (${day}): "${text}" termina antes de começar.`);
+        });
+    }
+    return errors;
+}
+
+export function validateBusinessHours(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    try { new Intl.DateTimeFormat('en-US', { timeZone: config.timezone }); } catch (e) { errors.push(`Fuso horário "${config.timezone}" inválido.`); }
+    errors.push(...validateWeeklySchedule('Padrão', config.default));
+    Object.entries(config.departments || {}).forEach(([dept, schedule]) => errors.push(...validateWeeklySchedule(dept, schedule)));
+    (config.holidays || []).forEach(h => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(h?.date || '')) errors.push(`Feriado "${h?.name || ''}": data inválida (use AAAA-MM-DD).`);
+    });
+    return errors;
+}
+
+// { open, holiday, nextOpening: Date | null }
+export function getOfficeStatus(config, department, now = new Date()) {
+    const timezone = config.timezone || defaultBusinessHours.timezone;
+    const schedule = scheduleFor(config, department);
+    const local = zonedParts(now, timezone);
+    const todayHoliday = holidayOn(config, local.date);
+
+    const intervalsOn = (dateStr) => holidayOn(config, dateStr) ? [] : (schedule[weekdayOf(dateStr)] || []).map(parseInterval).sort((a, b) => a.start - b.start);
+    const open = intervalsOn(local.date).some(i => local.minutes >= i.start && local.minutes < i.end);
+
+    let nextOpening = null;
+    // Procura a próxima abertura nas próximas semanas (feriados prolongados incluídos)
+    for (let offset = 0; offset < 60 && !nextOpening; offset++) {
+        const dateStr = addDays(local.date, offset);
+        const next = intervalsOn(dateStr).find(i => offset > 0 || i.start > local.minutes);
+        if (next) nextOpening = zonedTimeToDate(dateStr, next.start, timezone);
+    }
+    return { open, holiday: todayHoliday, nextOpening };
+}
+
+const LOCALES = { pt: 'pt-BR', en: 'en-US', es: 'es-ES' };
+
+// Ex.: "segunda-feira, 19/10, 08:00"
+export function formatOpening(date, timezone, language = 'pt') {
+    if (!date) return '';
+    return new Intl.DateTimeFormat(LOCALES[language] || LOCALES.pt, {
+        timeZone: timezone, weekday: 'long', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).format(date);
+}
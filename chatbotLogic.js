@@ -1,59 +1,114 @@
-// Este arquivo é a ÚNICA FONTE DE VERDADE para a lógica, estados e textos do chatbot.
+// Este arquivo é a ÚNICA FONTE DE VERDADE para a lógica, estados e textos padrão do chatbot.
 // Tanto o frontend (App.tsx) quanto o backend (server.js) devem usar este arquivo.
+// O fluxo em uso pode ser editado pelo painel; o servidor guarda as versões e parte de defaultFlow.
+
+import { FIELD_TYPES, FIELD_ERROR_KEYS } from './fieldCapture.js';
 
 export const ChatState = {
   GREETING: 'GREETING',
+  LANGUAGE_SELECT: 'LANGUAGE_SELECT',
   AI_ASSISTANT_SELECT_DEPT: 'AI_ASSISTANT_SELECT_DEPT',
   AI_ASSISTANT_CHATTING: 'AI_ASSISTANT_CHATTING',
   SCHEDULING_CLIENT_TYPE: 'SCHEDULING_CLIENT_TYPE',
   SCHEDULING_NEW_CLIENT_DETAILS: 'SCHEDULING_NEW_CLIENT_DETAILS',
   SCHEDULING_EXISTING_CLIENT_DETAILS: 'SCHEDULING_EXISTING_CLIENT_DETAILS',
+  SCHEDULING_NAME: 'SCHEDULING_NAME',
+  SCHEDULING_PHONE: 'SCHEDULING_PHONE',
+  SCHEDULING_EMAIL: 'SCHEDULING_EMAIL',
+  SCHEDULING_DOCUMENT: 'SCHEDULING_DOCUMENT',
+  SCHEDULING_COMPANY: 'SCHEDULING_COMPANY',
+  SCHEDULING_EXISTING_DOCUMENT: 'SCHEDULING_EXISTING_DOCUMENT',
   SCHEDULING_SUMMARY: 'SCHEDULING_SUMMARY',
-  SCHEDULING_CONFIRMED: 'SCHEDULING_CONFIRMED', // Ponto de transferência
+  SCHEDULING_DEPARTMENT: 'SCHEDULING_DEPARTMENT',
+  SCHEDULING_SLOTS: 'SCHEDULING_SLOTS', // Horários livres oferecidos pelo servidor
+  SCHEDULING_BOOKED: 'SCHEDULING_BOOKED',
+  SCHEDULING_CONFIRMED: 'SCHEDULING_CONFIRMED', // Ponto de transferência (sem horários livres)
+  MY_APPOINTMENTS: 'MY_APPOINTMENTS',
+  NO_APPOINTMENTS: 'NO_APPOINTMENTS',
+  APPOINTMENT_CONFIRMED: 'APPOINTMENT_CONFIRMED',
+  APPOINTMENT_CANCELLED: 'APPOINTMENT_CANCELLED',
   ATTENDANT_SELECT: 'ATTENDANT_SELECT',
   ATTENDANT_TRANSFER: 'ATTENDANT_TRANSFER', // Ponto de transferência
+  OUT_OF_OFFICE: 'OUT_OF_OFFICE', // Desvio das transferências fora do horário de atendimento
+  OUT_OF_OFFICE_MESSAGE: 'OUT_OF_OFFICE_MESSAGE',
+  OUT_OF_OFFICE_CONFIRMED: 'OUT_OF_OFFICE_CONFIRMED',
   END_SESSION: 'END_SESSION',
 };
 
+// --- FLUXO PADRÃO ---
+// O fluxo é apenas dados (JSON): o servidor guarda versões editáveis e usa esta como versão inicial.
+// Cada estado tem: textKey, options [{ textKey, nextState, payload }], requiresTextInput, nextState e,
+// opcionalmente, action: 'ai_chat' (texto livre vai para a IA), 'handoff' (entra na fila) ou 'end' (encerra).
+// Estados 'handoff' podem indicar outOfHoursState: para onde o cliente vai se o setor estiver fora do horário.
+// Agenda: 'offer_slots' lista os horários livres do setor antes das opções; 'manage_booking' carrega o próximo
+// agendamento do cliente; ambos vão para unavailableState quando não há o que mostrar. 'update_booking' aplica booking.status.
+// Captura de dados: estados com requiresTextInput + capture { field, type, labelKey, errorKey? } validam a resposta
+// (ver fieldCapture.js) e guardam o valor em context.fields; clearFields: true apaga o que já foi capturado.
+// Os textos aceitam variáveis do contexto entre chaves, ex.: {department}. {lastInput} é o último texto digitado.
+export const FLOW_ACTIONS = ['ai_chat', 'handoff', 'end', 'offer_slots', 'manage_booking', 'update_booking'];
+export const BOOKING_UPDATE_STATUSES = ['confirmed', 'cancelled'];
+
+// Idiomas atendidos. Textos ausentes em en/es caem para o português.
+// Uma opção com payload { language } troca o idioma da sessão.
+export const DEFAULT_LANGUAGE = 'pt';
+export const SUPPORTED_LANGUAGES = ['pt', 'en', 'es'];
+
+// Textos usados diretamente pelo servidor (fora dos estados); todo fluxo precisa defini-los
+export const SYSTEM_TEXT_KEYS = ['chooseOption', 'menuButton', 'invalidOption', 'aiUnavailable', 'attendantTakeover', 'holidayNote', 'openingUnknown', 'slotTaken', 'knowledgeSource', 'attachmentUnsupported', 'attachmentTooLarge', 'attachmentUnreadable', 'appointmentReminder', 'queueStillWaiting', 'sessionEnded', 'error'];
+
+// Palavras-chave das opções (intenção em texto livre, ver intentMatcher.js); comparadas sem acento
+const departmentKeywords = {
+    "RH": ['rh', 'recursos humanos', 'folha', 'salario', 'ferias', 'rescisao', 'admissao', 'demissao', 'funcionario', 'fgts', 'holerite', 'esocial'],
+    "Contábil": ['contabil', 'contabilidade', 'balanco', 'balancete', 'dre', 'lucro', 'contador'],
+    "Fiscal": ['fiscal', 'imposto', 'icms', 'iss', 'pis', 'cofins', 'das', 'simples nacional', 'nota fiscal', 'nfe', 'tributo'],
+    "Societário": ['societario', 'abrir empresa', 'abertura', 'contrato social', 'alteracao contratual', 'encerrar empresa', 'cnpj', 'socio'],
+    "Financeiro": ['financeiro', 'boleto', 'segunda via', 'pagamento', 'fatura', 'cobranca', 'mensalidade', 'honorario'],
+};
+
 const commonNavigationOptions = [
-    { textKey: "backToStart", nextState: ChatState.GREETING },
-    { textKey: "optionEndSession", nextState: ChatState.END_SESSION },
+    { textKey: "backToStart", nextState: ChatState.GREETING, keywords: ['menu', 'inicio', 'voltar', 'start'] },
+    { textKey: "optionEndSession", nextState: ChatState.END_SESSION, keywords: ['encerrar', 'sair', 'tchau', 'finalizar'] },
 ];
 
-const flowSteps = [
-  [
-    ChatState.GREETING,
-    {
+export const defaultFlow = {
+  initialState: ChatState.GREETING,
+  states: {
+    [ChatState.GREETING]: {
       textKey: "greeting",
       options: [
-        { textKey: "optionAiAssistant", nextState: ChatState.AI_ASSISTANT_SELECT_DEPT },
-        { textKey: "optionScheduling", nextState: ChatState.SCHEDULING_CLIENT_TYPE },
-        { textKey: "optionAttendant", nextState: ChatState.ATTENDANT_SELECT },
-        { textKey: "optionEndSession", nextState: ChatState.END_SESSION },
+        { textKey: "optionAiAssistant", nextState: ChatState.AI_ASSISTANT_SELECT_DEPT, keywords: ['assistente', 'duvida', 'pergunta', 'robo', 'ia'] },
+        { textKey: "optionScheduling", nextState: ChatState.SCHEDULING_CLIENT_TYPE, keywords: ['agendar', 'marcar', 'reuniao', 'marcar horario', 'agendar horario', 'novo agendamento', 'consulta', 'appointment'] },
+        { textKey: "optionMyAppointments", nextState: ChatState.MY_APPOINTMENTS, keywords: ['meus agendamentos', 'meu agendamento', 'remarcar', 'desmarcar', 'cancelar', 'cancelar agendamento', 'confirmar presenca', 'reschedule'] },
+        { textKey: "optionAttendant", nextState: ChatState.ATTENDANT_SELECT, keywords: ['atendente', 'humano', 'pessoa', 'falar com', 'atendimento'] },
+        { textKey: "optionEndSession", nextState: ChatState.END_SESSION, keywords: ['encerrar', 'sair', 'tchau', 'finalizar'] },
+        { textKey: "optionLanguage", nextState: ChatState.LANGUAGE_SELECT, keywords: ['idioma', 'language', 'english', 'espanol', 'ingles'] },
       ],
       requiresTextInput: false,
     },
-  ],
-  // AI Assistant Flow
-  [
-    ChatState.AI_ASSISTANT_SELECT_DEPT,
-    {
+    [ChatState.LANGUAGE_SELECT]: {
+      textKey: "languageSelect",
+      options: [
+        { textKey: "languagePt", nextState: ChatState.GREETING, payload: { language: 'pt' } },
+        { textKey: "languageEn", nextState: ChatState.GREETING, payload: { language: 'en' } },
+        { textKey: "languageEs", nextState: ChatState.GREETING, payload: { language: 'es' } },
+      ],
+    },
+    // AI Assistant Flow
+    [ChatState.AI_ASSISTANT_SELECT_DEPT]: {
       textKey: "aiDeptSelect",
       options: [
-        { textKey: "deptRH", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "RH" } },
-        { textKey: "deptAccounting", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Contábil" } },
-        { textKey: "deptTax", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Fiscal" } },
-        { textKey: "deptCorporate", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Societário" } },
-        { textKey: "deptFinancial", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Financeiro" } },
+        { textKey: "deptRH", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "RH" }, keywords: departmentKeywords["RH"] },
+        { textKey: "deptAccounting", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Contábil" }, keywords: departmentKeywords["Contábil"] },
+        { textKey: "deptTax", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Fiscal" }, keywords: departmentKeywords["Fiscal"] },
+        { textKey: "deptCorporate", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Societário" }, keywords: departmentKeywords["Societário"] },
+        { textKey: "deptFinancial", nextState: ChatState.AI_ASSISTANT_CHATTING, payload: { department: "Financeiro" }, keywords: departmentKeywords["Financeiro"] },
         { textKey: "backToStart", nextState: ChatState.GREETING },
       ],
       requiresTextInput: false,
     },
-  ],
-  [
-    ChatState.AI_ASSISTANT_CHATTING,
-    {
+    [ChatState.AI_ASSISTANT_CHATTING]: {
       textKey: 'aiDeptPrompt',
+      action: 'ai_chat',
       options: [
         { textKey: "optionHumanTransfer", nextState: ChatState.ATTENDANT_SELECT },
         { textKey: "backToStart", nextState: ChatState.GREETING },
@@ -61,98 +116,207 @@ const flowSteps = [
       ],
       requiresTextInput: true,
     },
-  ],
-  // Scheduling Flow
-  [
-    ChatState.SCHEDULING_CLIENT_TYPE,
-    {
-        textKey: "schedulingClientType",
-        options: [
-            { textKey: "clientTypeNo", nextState: ChatState.SCHEDULING_NEW_CLIENT_DETAILS, payload: { clientType: "Novo Cliente" } },
-            { textKey: "clientTypeYes", nextState: ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS, payload: { clientType: "Cliente Existente" } },
-            { textKey: "backToStart", nextState: ChatState.GREETING },
-        ]
-    }
-  ],
-  [
-    ChatState.SCHEDULING_NEW_CLIENT_DETAILS,
-    {
-        textKey: "schedulingNewClientDetails",
-        requiresTextInput: true,
-        nextState: ChatState.SCHEDULING_SUMMARY,
-        options: commonNavigationOptions,
-    }
-  ],
-  [
-    ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS,
-    {
-        textKey: "schedulingExistingClientDetails",
-        requiresTextInput: true,
-        nextState: ChatState.SCHEDULING_SUMMARY,
-        options: commonNavigationOptions,
-    }
-  ],
-  [
-    ChatState.SCHEDULING_SUMMARY,
-    {
+    // Scheduling Flow
+    [ChatState.SCHEDULING_CLIENT_TYPE]: {
+      textKey: "schedulingClientType",
+      clearFields: true,
+      options: [
+        { textKey: "clientTypeNo", nextState: ChatState.SCHEDULING_NEW_CLIENT_DETAILS, payload: { clientType: "Novo Cliente" } },
+        { textKey: "clientTypeYes", nextState: ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS, payload: { clientType: "Cliente Existente" } },
+        { textKey: "backToStart", nextState: ChatState.GREETING },
+      ]
+    },
+    // Novo cliente: motivo, nome, telefone, e-mail e CPF/CNPJ
+    [ChatState.SCHEDULING_NEW_CLIENT_DETAILS]: {
+      textKey: "schedulingNewClientDetails",
+      requiresTextInput: true,
+      capture: { field: 'reason', type: 'text', labelKey: 'fieldReason' },
+      nextState: ChatState.SCHEDULING_NAME,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_NAME]: {
+      textKey: "captureFullName",
+      requiresTextInput: true,
+      capture: { field: 'fullName', type: 'name', labelKey: 'fieldFullName' },
+      nextState: ChatState.SCHEDULING_PHONE,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_PHONE]: {
+      textKey: "capturePhone",
+      requiresTextInput: true,
+      capture: { field: 'phone', type: 'phone', labelKey: 'fieldPhone' },
+      nextState: ChatState.SCHEDULING_EMAIL,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_EMAIL]: {
+      textKey: "captureEmail",
+      requiresTextInput: true,
+      capture: { field: 'email', type: 'email', labelKey: 'fieldEmail' },
+      nextState: ChatState.SCHEDULING_DOCUMENT,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_DOCUMENT]: {
+      textKey: "captureDocument",
+      requiresTextInput: true,
+      capture: { field: 'document', type: 'document', labelKey: 'fieldDocument' },
+      nextState: ChatState.SCHEDULING_SUMMARY,
+      options: commonNavigationOptions,
+    },
+    // Cliente existente: motivo, empresa e CPF/CNPJ
+    [ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS]: {
+      textKey: "schedulingExistingClientDetails",
+      requiresTextInput: true,
+      capture: { field: 'reason', type: 'text', labelKey: 'fieldReason' },
+      nextState: ChatState.SCHEDULING_COMPANY,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_COMPANY]: {
+      textKey: "captureCompany",
+      requiresTextInput: true,
+      capture: { field: 'company', type: 'text', labelKey: 'fieldCompany' },
+      nextState: ChatState.SCHEDULING_EXISTING_DOCUMENT,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_EXISTING_DOCUMENT]: {
+      textKey: "captureDocument",
+      requiresTextInput: true,
+      capture: { field: 'document', type: 'document', labelKey: 'fieldDocument' },
+      nextState: ChatState.SCHEDULING_SUMMARY,
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_SUMMARY]: {
       textKey: "schedulingSummary",
       options: [
-        { textKey: "confirmYes", nextState: ChatState.SCHEDULING_CONFIRMED },
+        { textKey: "confirmYes", nextState: ChatState.SCHEDULING_DEPARTMENT },
         { textKey: "confirmNo", nextState: ChatState.SCHEDULING_CLIENT_TYPE },
         ...commonNavigationOptions
       ],
     },
-  ],
-  [
-    ChatState.SCHEDULING_CONFIRMED,
-    {
+    [ChatState.SCHEDULING_DEPARTMENT]: {
+      textKey: "schedulingDepartment",
+      options: [
+        { textKey: "deptRH", nextState: ChatState.SCHEDULING_SLOTS, payload: { department: "RH" } },
+        { textKey: "deptAccounting", nextState: ChatState.SCHEDULING_SLOTS, payload: { department: "Contábil" } },
+        { textKey: "deptTax", nextState: ChatState.SCHEDULING_SLOTS, payload: { department: "Fiscal" } },
+        { textKey: "deptCorporate", nextState: ChatState.SCHEDULING_SLOTS, payload: { department: "Societário" } },
+        { textKey: "deptFinancial", nextState: ChatState.SCHEDULING_SLOTS, payload: { department: "Financeiro" } },
+        ...commonNavigationOptions
+      ],
+    },
+    [ChatState.SCHEDULING_SLOTS]: {
+      textKey: "schedulingPickSlot",
+      action: 'offer_slots',
+      nextState: ChatState.SCHEDULING_BOOKED,
+      unavailableState: ChatState.SCHEDULING_CONFIRMED,
+      options: [
+        { textKey: "optionNoSlotFits", nextState: ChatState.SCHEDULING_CONFIRMED },
+        ...commonNavigationOptions
+      ],
+    },
+    [ChatState.SCHEDULING_BOOKED]: {
+      textKey: "schedulingBooked",
+      options: commonNavigationOptions,
+    },
+    [ChatState.SCHEDULING_CONFIRMED]: {
       textKey: "schedulingConfirmed",
+      action: 'handoff',
+      // Texto interno exibido na fila dos atendentes
+      queue: { department: 'Agendamento', reason: 'Agendamento: {clientType} - {reason}' },
+      outOfHoursState: ChatState.OUT_OF_OFFICE,
       nextState: ChatState.GREETING,
     },
-  ],
-  // Attendant Flow
-  [
-    ChatState.ATTENDANT_SELECT,
-    {
+    // Agendamentos do cliente: confirmar, remarcar ou cancelar
+    [ChatState.MY_APPOINTMENTS]: {
+      textKey: "myAppointment",
+      action: 'manage_booking',
+      unavailableState: ChatState.NO_APPOINTMENTS,
+      options: [
+        { textKey: "optionConfirmAppointment", nextState: ChatState.APPOINTMENT_CONFIRMED },
+        { textKey: "optionRescheduleAppointment", nextState: ChatState.SCHEDULING_SLOTS, payload: { bookingAction: 'reschedule' } },
+        { textKey: "optionCancelAppointment", nextState: ChatState.APPOINTMENT_CANCELLED },
+        ...commonNavigationOptions
+      ],
+    },
+    [ChatState.NO_APPOINTMENTS]: {
+      textKey: "noAppointments",
+      options: [
+        { textKey: "optionScheduling", nextState: ChatState.SCHEDULING_CLIENT_TYPE },
+        ...commonNavigationOptions
+      ],
+    },
+    [ChatState.APPOINTMENT_CONFIRMED]: {
+      textKey: "appointmentConfirmed",
+      action: 'update_booking',
+      booking: { status: 'confirmed' },
+      options: commonNavigationOptions,
+    },
+    [ChatState.APPOINTMENT_CANCELLED]: {
+      textKey: "appointmentCancelled",
+      action: 'update_booking',
+      booking: { status: 'cancelled' },
+      options: commonNavigationOptions,
+    },
+    // Attendant Flow
+    [ChatState.ATTENDANT_SELECT]: {
       textKey: "attendantSelect",
       options: [
-        { textKey: "deptRH", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "RH" } },
-        { textKey: "deptAccounting", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Contábil" } },
-        { textKey: "deptTax", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Fiscal" } },
-        { textKey: "deptCorporate", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Societário" } },
-        { textKey: "deptFinancial", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Financeiro" } },
+        { textKey: "deptRH", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "RH" }, keywords: departmentKeywords["RH"] },
+        { textKey: "deptAccounting", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Contábil" }, keywords: departmentKeywords["Contábil"] },
+        { textKey: "deptTax", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Fiscal" }, keywords: departmentKeywords["Fiscal"] },
+        { textKey: "deptCorporate", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Societário" }, keywords: departmentKeywords["Societário"] },
+        { textKey: "deptFinancial", nextState: ChatState.ATTENDANT_TRANSFER, payload: { department: "Financeiro" }, keywords: departmentKeywords["Financeiro"] },
         { textKey: "backToStart", nextState: ChatState.GREETING },
       ],
     },
-  ],
-  [
-    ChatState.ATTENDANT_TRANSFER,
-    {
-      // A chave do texto foi alterada para refletir a nova mensagem de espera.
-      textKey: "attendantTransferWait", 
-      // IMPORTANTE: O nextState foi removido. Isso faz com que o bot pare aqui
-      // e aguarde a intervenção de um atendente, em vez de voltar ao menu principal.
-    },
-  ],
-  [
-    ChatState.END_SESSION,
-    {
+    [ChatState.ATTENDANT_TRANSFER]: {
+      // Sem nextState: o bot para aqui e aguarda a intervenção de um atendente, em vez de voltar ao menu principal.
+      textKey: "attendantTransferWait",
+      action: 'handoff',
+      queue: { reason: 'Contato para setor {department}.' },
+      outOfHoursState: ChatState.OUT_OF_OFFICE,
+    },
+    // Fora do horário: mensagem honesta com a próxima abertura, recado para a fila ou IA
+    [ChatState.OUT_OF_OFFICE]: {
+      textKey: "outOfOffice",
+      options: [
+        { textKey: "optionLeaveMessage", nextState: ChatState.OUT_OF_OFFICE_MESSAGE },
+        { textKey: "optionContinueWithAi", nextState: ChatState.AI_ASSISTANT_SELECT_DEPT },
+        ...commonNavigationOptions
+      ],
+    },
+    [ChatState.OUT_OF_OFFICE_MESSAGE]: {
+      textKey: "outOfOfficeLeaveMessage",
+      requiresTextInput: true,
+      nextState: ChatState.OUT_OF_OFFICE_CONFIRMED,
+      options: commonNavigationOptions,
+    },
+    [ChatState.OUT_OF_OFFICE_CONFIRMED]: {
+      textKey: "outOfOfficeConfirmed",
+      action: 'handoff',
+      // afterHours: o pedido entra na fila marcado para o próximo expediente
+      queue: { reason: 'Recado fora do horário: {lastInput}', afterHours: true },
+    },
+    [ChatState.END_SESSION]: {
       textKey: "sessionEnded",
+      action: 'end',
     },
-  ],
-];
-
-export const conversationFlow = new Map(flowSteps);
-
-// --- TEXTOS E TRADUÇÕES ---
-export const translations = {
+  },
+  // --- TEXTOS E TRADUÇÕES ---
+  texts: {
     pt: {
         greeting: "Olá! Eu sou o assistente virtual da JZF Contabilidade. Como posso te ajudar hoje?",
         optionAiAssistant: "🤖 Falar com Assistente Virtual",
         optionScheduling: "📅 Agendar um horário",
+        optionMyAppointments: "🗓️ Meus agendamentos",
         optionAttendant: "🙋‍♂️ Falar com um atendente",
         optionEndSession: "🚪 Encerrar conversa",
         optionHumanTransfer: "🗣️ Falar com um atendente",
+        optionLanguage: "🌐 Idioma / Language / Idioma",
+
+        languageSelect: "Escolha o idioma / Choose your language / Elija el idioma:",
+        languagePt: "🇧🇷 Português",
+        languageEn: "🇺🇸 English",
+        languageEs: "🇪🇸 Español",
         
         aiDeptSelect: "Para qual departamento você gostaria de direcionar sua pergunta?",
         deptRH: "RH (Recursos Humanos)",
@@ -162,43 +326,468 @@ export const translations = {
         deptFinancial: "Financeiro",
         backToStart: "↩️ Voltar ao início",
 
-        aiDeptPrompt: (context) => `Ok, você selecionou o departamento *${context.department}*. Pode me fazer sua pergunta agora. Se precisar, pode também me enviar um arquivo (como PDF, imagem ou planilha).\n\nSe preferir, escolha uma das opções abaixo:`,
+        aiDeptPrompt: "Ok, você selecionou o departamento *{department}*. Pode me fazer sua pergunta agora. Se precisar, pode também me enviar um arquivo (como PDF, imagem ou planilha).\n\nSe preferir, escolha uma das opções abaixo:",
 
         schedulingClientType: "Para começar o agendamento, por favor, me informe: você já é nosso cliente?",
         clientTypeYes: "Sim, já sou cliente",
         clientTypeNo: "Não, sou um novo cliente",
         
-        schedulingNewClientDetails: "Entendido. Por favor, descreva o motivo do seu contato, seu nome completo e um telefone para que possamos preparar nosso encontro.",
-        schedulingExistingClientDetails: "Ok. Por favor, informe o nome da sua empresa (ou seu nome completo) e o motivo do contato para agilizarmos o seu atendimento.",
+        schedulingNewClientDetails: "Entendido. Para começar, descreva em poucas palavras o motivo do seu contato.",
+        schedulingExistingClientDetails: "Ok. Para começar, descreva em poucas palavras o motivo do seu contato.",
+        captureFullName: "Qual é o seu nome completo?",
+        capturePhone: "Qual telefone (com DDD) podemos usar para falar com você?",
+        captureEmail: "Qual é o seu e-mail?",
+        captureDocument: "Informe o CPF ou CNPJ (só os números ou com pontuação).",
+        captureCompany: "Qual é o nome da sua empresa?",
+        invalidName: "Por favor, informe o nome completo (nome e sobrenome).",
+        invalidPhone: "Não reconheci esse telefone. Envie com DDD, por exemplo: (11) 98765-4321.",
+        invalidEmail: "Esse e-mail não parece válido. Confira e envie novamente, por exemplo: nome@empresa.com.br.",
+        invalidDocument: "CPF/CNPJ inválido. Confira os números (CPF tem 11 dígitos e CNPJ tem 14) e envie novamente.",
+        invalidText: "Não entendi. Pode escrever um pouco mais?",
+        fieldReason: "Motivo",
+        fieldFullName: "Nome",
+        fieldPhone: "Telefone",
+        fieldEmail: "E-mail",
+        fieldDocument: "CPF/CNPJ",
+        fieldCompany: "Empresa",
         
-        schedulingSummary: (context) => {
-            const details = context.history[ChatState.SCHEDULING_NEW_CLIENT_DETAILS] || context.history[ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS];
-            return `Obrigado! Revise as informações, por favor:\n\n- *Tipo:* ${context.clientType}\n- *Detalhes:* ${details}\n\nEstá tudo correto?`;
-        },
+        schedulingSummary: "Obrigado! Revise as informações, por favor:\n\n- *Tipo:* {clientType}\n{fieldsSummary}\n\nEstá tudo correto?",
         confirmYes: "👍 Sim, está correto",
         confirmNo: "👎 Não, quero corrigir",
         
         schedulingConfirmed: "Perfeito! Sua solicitação de agendamento foi enviada. Em breve, um de nossos especialistas entrará em contato para confirmar a data e a hora.",
+        schedulingDepartment: "Com qual setor você quer agendar?",
+        schedulingPickSlot: "Estes são os próximos horários livres com o setor *{department}*:",
+        optionNoSlotFits: "Nenhum desses horários serve",
+        schedulingBooked: "✅ Agendado! *{appointmentTime}* com {specialistName} (setor {department}).\n\nVocê receberá um lembrete na véspera. Para confirmar, remarcar ou cancelar, use a opção \"Meus agendamentos\" no menu inicial.",
+        myAppointment: "Seu próximo agendamento: *{appointmentTime}* com {specialistName} (setor {department}).\n\nO que deseja fazer?",
+        optionConfirmAppointment: "✅ Confirmar presença",
+        optionRescheduleAppointment: "🔁 Remarcar",
+        optionCancelAppointment: "❌ Cancelar",
+        noAppointments: "Você não tem agendamentos futuros.",
+        appointmentConfirmed: "Presença confirmada para *{appointmentTime}*. Até lá!",
+        appointmentCancelled: "Agendamento de *{appointmentTime}* cancelado. Quando quiser, é só agendar um novo horário.",
+        slotTaken: "Esse horário acabou de ser reservado por outra pessoa. Veja as opções atualizadas:",
+        knowledgeSource: "📚 Fonte: {sources}",
+        attachmentUnsupported: "Não consigo ler esse tipo de arquivo. Envie como PDF, imagem (JPG/PNG) ou planilha (CSV, XLSX ou XML).",
+        attachmentTooLarge: "Esse arquivo é grande demais para eu analisar (limite de {limit} MB). Envie uma versão menor ou só as páginas importantes.",
+        attachmentUnreadable: "Não consegui abrir esse arquivo. Verifique se ele não está corrompido ou protegido por senha e envie novamente.",
+        appointmentReminder: "🔔 Lembrete: você tem um horário agendado *{appointmentTime}* com {specialistName} (setor {department}).\n\nPara confirmar, remarcar ou cancelar, responda esta mensagem e escolha \"Meus agendamentos\".",
 
         attendantSelect: "Entendido. Para qual departamento você precisa de atendimento humano?",
-        attendantTransfer: (context) => `Ok, estou te transferindo para um atendente do setor *${context.department}*. Por favor, aguarde um momento.`,
-        // Nova mensagem de espera, conforme solicitado.
         attendantTransferWait: "Aguarde, em alguns instantes um de nossos atendentes irá te atender.",
 
+        outOfOffice: "No momento estamos fora do horário de atendimento{holidayNote}. Nossa equipe volta {nextOpening}.\n\nComo prefere seguir?",
+        optionLeaveMessage: "📝 Deixar um recado para a equipe",
+        optionContinueWithAi: "🤖 Continuar com o Assistente Virtual",
+        outOfOfficeLeaveMessage: "Escreva seu recado em uma única mensagem (assunto, nome e, se quiser, a empresa). Ele ficará na fila para o próximo expediente.",
+        outOfOfficeConfirmed: "Recado registrado! Nossa equipe vai retornar {nextOpening}. Obrigado pela paciência.",
+        holidayNote: " (hoje é feriado: {holidayName})",
+        openingUnknown: "assim que possível",
+
+        chooseOption: "Por favor, digite o número da opção desejada.",
+        menuButton: "Ver opções",
+        invalidOption: "Não entendi. Digite o número de uma das opções ou escreva em poucas palavras o que precisa.",
+        aiUnavailable: "IA indisponível no momento.",
+        attendantTakeover: "Olá, eu sou o atendente {attendantName} e vou dar continuidade em seu atendimento.",
+        queueStillWaiting: "Você continua na fila há {minutes} minutos. Já avisamos a equipe e um atendente vai responder assim que possível. Obrigado pela paciência!",
         sessionEnded: "Obrigado por utilizar nossos serviços. A JZF Contabilidade está sempre à disposição!",
         error: "Desculpe, ocorreu um erro inesperado. Por favor, tente novamente mais tarde.",
+    },
+    en: {
+        greeting: "Hello! I am JZF Contabilidade's virtual assistant. How can I help you today?",
+        optionAiAssistant: "🤖 Talk to the Virtual Assistant",
+        optionScheduling: "📅 Book an appointment",
+        optionMyAppointments: "🗓️ My appointments",
+        optionAttendant: "🙋‍♂️ Talk to an agent",
+        optionEndSession: "🚪 End conversation",
+        optionHumanTransfer: "🗣️ Talk to an agent",
+        optionLanguage: "🌐 Language / Idioma",
+
+        languageSelect: "Choose your language / Escolha o idioma / Elija el idioma:",
+        languagePt: "🇧🇷 Português",
+        languageEn: "🇺🇸 English",
+        languageEs: "🇪🇸 Español",
+
+        aiDeptSelect: "Which department should your question go to?",
+        deptRH: "HR (Human Resources)",
+        deptAccounting: "Accounting",
+        deptTax: "Tax",
+        deptCorporate: "Corporate",
+        deptFinancial: "Billing",
+        backToStart: "↩️ Back to start",
+
+        aiDeptPrompt: "Ok, you selected the *{department}* department. You can ask your question now. If needed, you can also send me a file (such as a PDF, image or spreadsheet).\n\nIf you prefer, choose one of the options below:",
+
+        schedulingClientType: "To start booking, please tell me: are you already our client?",
+        clientTypeYes: "Yes, I am a client",
+        clientTypeNo: "No, I am a new client",
+
+        schedulingNewClientDetails: "Understood. To start, briefly describe the reason for your contact.",
+        schedulingExistingClientDetails: "Ok. To start, briefly describe the reason for your contact.",
+        captureFullName: "What is your full name?",
+        capturePhone: "Which phone number (with area code) can we use to reach you?",
+        captureEmail: "What is your e-mail?",
+        captureDocument: "Please enter your CPF or CNPJ (numbers only or with punctuation).",
+        captureCompany: "What is your company's name?",
+        invalidName: "Please enter your full name (first and last name).",
+        invalidPhone: "I couldn't recognize this phone number. Please include the area code, for example: (11) 98765-4321.",
+        invalidEmail: "This e-mail doesn't look valid. Please check it and send it again, for example: name@company.com.",
+        invalidDocument: "Invalid CPF/CNPJ. Please check the numbers (CPF has 11 digits and CNPJ has 14) and send it again.",
+        invalidText: "I didn't understand. Could you write a little more?",
+        fieldReason: "Reason",
+        fieldFullName: "Name",
+        fieldPhone: "Phone",
+        fieldEmail: "E-mail",
+        fieldDocument: "CPF/CNPJ",
+        fieldCompany: "Company",
+
+        schedulingSummary: "Thank you! Please review the information:\n\n- *Type:* {clientType}\n{fieldsSummary}\n\nIs everything correct?",
+        confirmYes: "👍 Yes, it is correct",
+        confirmNo: "👎 No, I want to fix it",
+
+        schedulingConfirmed: "Perfect! Your booking request has been sent. One of our specialists will contact you shortly to confirm the date and time.",
+        schedulingDepartment: "Which department would you like to book with?",
+        schedulingPickSlot: "These are the next available times with the *{department}* department:",
+        optionNoSlotFits: "None of these times work for me",
+        schedulingBooked: "✅ Booked! *{appointmentTime}* with {specialistName} ({department} department).\n\nYou will get a reminder the day before. To confirm, reschedule or cancel, use the \"My appointments\" option in the main menu.",
+        myAppointment: "Your next appointment: *{appointmentTime}* with {specialistName} ({department} department).\n\nWhat would you like to do?",
+        optionConfirmAppointment: "✅ Confirm attendance",
+        optionRescheduleAppointment: "🔁 Reschedule",
+        optionCancelAppointment: "❌ Cancel",
+        noAppointments: "You have no upcoming appointments.",
+        appointmentConfirmed: "Attendance confirmed for *{appointmentTime}*. See you then!",
+        appointmentCancelled: "Appointment on *{appointmentTime}* cancelled. Whenever you want, just book a new time.",
+        slotTaken: "That time was just taken by someone else. Here are the updated options:",
+        knowledgeSource: "📚 Source: {sources}",
+        attachmentUnsupported: "I can't read this type of file. Please send it as a PDF, an image (JPG/PNG) or a spreadsheet (CSV, XLSX or XML).",
+        attachmentTooLarge: "This file is too large for me to analyze (limit of {limit} MB). Please send a smaller version or only the relevant pages.",
+        attachmentUnreadable: "I couldn't open this file. Please check that it isn't corrupted or password-protected and send it again.",
+        appointmentReminder: "🔔 Reminder: you have an appointment *{appointmentTime}* with {specialistName} ({department} department).\n\nTo confirm, reschedule or cancel, reply to this message and choose \"My appointments\".",
+
+        attendantSelect: "Understood. Which department do you need to talk to?",
+        attendantTransferWait: "Please wait, one of our agents will be with you shortly.",
+
+        outOfOffice: "We are currently outside our business hours{holidayNote}. Our team will be back on {nextOpening}.\n\nHow would you like to proceed?",
+        optionLeaveMessage: "📝 Leave a message for the team",
+        optionContinueWithAi: "🤖 Continue with the Virtual Assistant",
+        outOfOfficeLeaveMessage: "Write your message in a single text (subject, name and, optionally, your company). It will wait in the queue for the next business day.",
+        outOfOfficeConfirmed: "Message received! Our team will get back to you on {nextOpening}. Thank you for your patience.",
+        holidayNote: " (today is a holiday: {holidayName})",
+        openingUnknown: "as soon as possible",
+
+        chooseOption: "Please type the number of the desired option.",
+        menuButton: "See options",
+        invalidOption: "Sorry, I didn't understand. Type the number of an option or describe in a few words what you need.",
+        aiUnavailable: "The virtual assistant is unavailable right now.",
+        attendantTakeover: "Hello, I am {attendantName} and I will continue your service from here.",
+        queueStillWaiting: "You have been in the queue for {minutes} minutes. We have alerted the team and an agent will reply as soon as possible. Thank you for your patience!",
+        sessionEnded: "Thank you for using our services. JZF Contabilidade is always at your disposal!",
+        error: "Sorry, an unexpected error occurred. Please try again later.",
+    },
+    es: {
+        greeting: "¡Hola! Soy el asistente virtual de JZF Contabilidade. ¿Cómo puedo ayudarte hoy?",
+        optionAiAssistant: "🤖 Hablar con el Asistente Virtual",
+        optionScheduling: "📅 Agendar una cita",
+        optionMyAppointments: "🗓️ Mis citas",
+        optionAttendant: "🙋‍♂️ Hablar con un agente",
+        optionEndSession: "🚪 Terminar conversación",
+        optionHumanTransfer: "🗣️ Hablar con un agente",
+        optionLanguage: "🌐 Idioma / Language",
+
+        languageSelect: "Elija el idioma / Escolha o idioma / Choose your language:",
+        languagePt: "🇧🇷 Português",
+        languageEn: "🇺🇸 English",
+        languageEs: "🇪🇸 Español",
+
+        aiDeptSelect: "¿A qué departamento quieres dirigir tu pregunta?",
+        deptRH: "RR. HH. (Recursos Humanos)",
+        deptAccounting: "Contabilidad",
+        deptTax: "Impuestos",
+        deptCorporate: "Societario",
+        deptFinancial: "Financiero",
+        backToStart: "↩️ Volver al inicio",
+
+        aiDeptPrompt: "Ok, seleccionaste el departamento *{department}*. Ya puedes hacer tu pregunta. Si lo necesitas, también puedes enviarme un archivo (como PDF, imagen u hoja de cálculo).\n\nSi prefieres, elige una de las opciones abajo:",
+
+        schedulingClientType: "Para empezar a agendar, dime por favor: ¿ya eres nuestro cliente?",
+        clientTypeYes: "Sí, ya soy cliente",
+        clientTypeNo: "No, soy un cliente nuevo",
+
+        schedulingNewClientDetails: "Entendido. Para empezar, describe en pocas palabras el motivo de tu contacto.",
+        schedulingExistingClientDetails: "Ok. Para empezar, describe en pocas palabras el motivo de tu contacto.",
+        captureFullName: "¿Cuál es tu nombre completo?",
+        capturePhone: "¿Qué teléfono (con código de área) podemos usar para hablar contigo?",
+        captureEmail: "¿Cuál es tu e-mail?",
+        captureDocument: "Indica el CPF o CNPJ (solo los números o con puntuación).",
+        captureCompany: "¿Cuál es el nombre de tu empresa?",
+        invalidName: "Por favor, indica tu nombre completo (nombre y apellido).",
+        invalidPhone: "No reconocí ese teléfono. Envíalo con el código de área, por ejemplo: (11) 98765-4321.",
+        invalidEmail: "Ese e-mail no parece válido. Revísalo y envíalo de nuevo, por ejemplo: nombre@empresa.com.",
+        invalidDocument: "CPF/CNPJ inválido. Revisa los números (el CPF tiene 11 dígitos y el CNPJ 14) y envíalo de nuevo.",
+        invalidText: "No entendí. ¿Puedes escribir un poco más?",
+        fieldReason: "Motivo",
+        fieldFullName: "Nombre",
+        fieldPhone: "Teléfono",
+        fieldEmail: "E-mail",
+        fieldDocument: "CPF/CNPJ",
+        fieldCompany: "Empresa",
+
+        schedulingSummary: "¡Gracias! Revisa la información, por favor:\n\n- *Tipo:* {clientType}\n{fieldsSummary}\n\n¿Está todo correcto?",
+        confirmYes: "👍 Sí, es correcto",
+        confirmNo: "👎 No, quiero corregir",
+
+        schedulingConfirmed: "¡Perfecto! Tu solicitud de cita fue enviada. En breve uno de nuestros especialistas te contactará para confirmar la fecha y la hora.",
+        schedulingDepartment: "¿Con qué área quieres agendar?",
+        schedulingPickSlot: "Estos son los próximos horarios libres con el área *{department}*:",
+        optionNoSlotFits: "Ninguno de estos horarios me sirve",
+        schedulingBooked: "✅ ¡Agendado! *{appointmentTime}* con {specialistName} (área {department}).\n\nRecibirás un recordatorio el día anterior. Para confirmar, reprogramar o cancelar, usa la opción \"Mis citas\" en el menú inicial.",
+        myAppointment: "Tu próxima cita: *{appointmentTime}* con {specialistName} (área {department}).\n\n¿Qué deseas hacer?",
+        optionConfirmAppointment: "✅ Confirmar asistencia",
+        optionRescheduleAppointment: "🔁 Reprogramar",
+        optionCancelAppointment: "❌ Cancelar",
+        noAppointments: "No tienes citas próximas.",
+        appointmentConfirmed: "Asistencia confirmada para *{appointmentTime}*. ¡Hasta entonces!",
+        appointmentCancelled: "Cita de *{appointmentTime}* cancelada. Cuando quieras, solo agenda un nuevo horario.",
+        slotTaken: "Ese horario acaba de ser reservado por otra persona. Mira las opciones actualizadas:",
+        knowledgeSource: "📚 Fuente: {sources}",
+        attachmentUnsupported: "No puedo leer este tipo de archivo. Envíalo como PDF, imagen (JPG/PNG) u hoja de cálculo (CSV, XLSX o XML).",
+        attachmentTooLarge: "Este archivo es demasiado grande para analizarlo (límite de {limit} MB). Envía una versión más pequeña o solo las páginas importantes.",
+        attachmentUnreadable: "No pude abrir este archivo. Verifica que no esté dañado ni protegido con contraseña y envíalo de nuevo.",
+        appointmentReminder: "🔔 Recordatorio: tienes una cita *{appointmentTime}* con {specialistName} (área {department}).\n\nPara confirmar, reprogramar o cancelar, responde este mensaje y elige \"Mis citas\".",
+
+        attendantSelect: "Entendido. ¿Con qué departamento necesitas hablar?",
+        attendantTransferWait: "Espera, en unos instantes uno de nuestros agentes te atenderá.",
+
+        outOfOffice: "En este momento estamos fuera del horario de atención{holidayNote}. Nuestro equipo vuelve el {nextOpening}.\n\n¿Cómo prefieres seguir?",
+        optionLeaveMessage: "📝 Dejar un mensaje para el equipo",
+        optionContinueWithAi: "🤖 Continuar con el Asistente Virtual",
+        outOfOfficeLeaveMessage: "Escribe tu mensaje en un solo texto (asunto, nombre y, si quieres, la empresa). Quedará en la fila para el próximo día hábil.",
+        outOfOfficeConfirmed: "¡Mensaje registrado! Nuestro equipo te responderá el {nextOpening}. Gracias por tu paciencia.",
+        holidayNote: " (hoy es feriado: {holidayName})",
+        openingUnknown: "lo antes posible",
+
+        chooseOption: "Por favor, escribe el número de la opción deseada.",
+        menuButton: "Ver opciones",
+        invalidOption: "No entendí. Escribe el número de una opción o describe en pocas palabras lo que necesitas.",
+        aiUnavailable: "El asistente virtual no está disponible en este momento.",
+        attendantTakeover: "Hola, soy {attendantName} y voy a continuar con tu atención.",
+        queueStillWaiting: "Llevas {minutes} minutos en la fila. Ya avisamos al equipo y un agente responderá lo antes posible. ¡Gracias por tu paciencia!",
+        sessionEnded: "Gracias por utilizar nuestros servicios. ¡JZF Contabilidade está siempre a tu disposición!",
+        error: "Lo sentimos, ocurrió un error inesperado. Por favor, inténtalo de nuevo más tarde.",
+    },
+  },
+};
+
+// --- VALIDAÇÃO DO FLUXO ---
+// Erros impedem a publicação; avisos apenas sinalizam itens sem uso.
+export function validateFlow(flow) {
+    const errors = [];
+    const warnings = [];
+    const error = (state, message) => errors.push({ state, message });
+
+    if (!flow || typeof flow !== 'object' || !flow.states || typeof flow.states !== 'object' || Array.isArray(flow.states)) {
+        return { valid: false, errors: [{ state: null, message: 'O fluxo precisa de um objeto "states".' }], warnings };
+    }
+    const states = flow.states;
+    const texts = flow.texts?.pt;
+    if (!texts || typeof texts !== 'object') error(null, 'O fluxo precisa dos textos em português ("texts.pt").');
+    if (!states[flow.initialState]) error(null, `Estado inicial "${flow.initialState}" não existe.`);
+
+    const usedTexts = new Set(SYSTEM_TEXT_KEYS);
+    const checkText = (state, key, where) => {
+        if (typeof key !== 'string' || !key) return error(state, `${where} sem textKey.`);
+        usedTexts.add(key);
+        if (texts && typeof texts[key] !== 'string') error(state, `${where}: texto "${key}" não existe em texts.pt.`);
+    };
+    const checkTarget = (state, target, where) => {
+        if (!states[target]) error(state, `${where} aponta para o estado inexistente "${target}".`);
+    };
+
+    SYSTEM_TEXT_KEYS.forEach(key => { if (texts && typeof texts[key] !== 'string') error(null, `Texto obrigatório do sistema "${key}" não existe em texts.pt.`); });
+
+    for (const [name, step] of Object.entries(states)) {
+        if (!step || typeof step !== 'object') { error(name, 'Definição de estado inválida.'); continue; }
+        checkText(name, step.textKey, 'Estado');
+        if (step.action !== undefined && !FLOW_ACTIONS.includes(step.action)) error(name, `Ação "${step.action}" desconhecida.`);
+        if (step.nextState !== undefined) checkTarget(name, step.nextState, 'nextState');
+        if (step.requiresTextInput && step.action !== 'ai_chat' && !step.nextState) error(name, 'Estado que pede texto precisa de nextState.');
+        if (step.action === 'handoff' && typeof step.queue?.reason !== 'string') error(name, 'Estado de transferência precisa de queue.reason.');
+        if (['offer_slots', 'manage_booking'].includes(step.action)) {
+            if (!step.unavailableState) error(name, 'Informe unavailableState (para onde ir quando não houver horários/agendamentos).');
+            else checkTarget(name, step.unavailableState, 'unavailableState');
+        } else if (step.unavailableState !== undefined) error(name, 'unavailableState só vale para estados de agenda.');
+        if (step.action === 'offer_slots' && !step.nextState) error(name, 'Estado de horários precisa de nextState (após agendar).');
+        if (step.action === 'update_booking' && !BOOKING_UPDATE_STATUSES.includes(step.booking?.status)) error(name, `booking.status deve ser: ${BOOKING_UPDATE_STATUSES.join(', ')}.`);
+        if (step.capture !== undefined) {
+            const { field, type, labelKey, errorKey } = step.capture || {};
+            if (!step.requiresTextInput || step.action) error(name, 'Captura de dados só vale em estados que pedem texto (sem ação).');
+            if (!/^[a-zA-Z]\w*$/.test(field || '')) error(name, 'capture.field precisa ser um identificador (ex.: fullName).');
+            if (!FIELD_TYPES.includes(type)) error(name, `capture.type deve ser: ${FIELD_TYPES.join(', ')}.`);
+            checkText(name, labelKey, 'Rótulo do campo');
+            checkText(name, errorKey || FIELD_ERROR_KEYS[type], 'Erro de validação');
+        }
+        if (step.outOfHoursState !== undefined) {
+            if (step.action !== 'handoff') error(name, 'outOfHoursState só vale para estados de transferência.');
+            checkTarget(name, step.outOfHoursState, 'outOfHoursState');
+        }
+        if (step.options !== undefined && !Array.isArray(step.options)) { error(name, 'options precisa ser uma lista.'); continue; }
+        (step.options || []).forEach((opt, i) => {
+            checkText(name, opt?.textKey, `Opção ${i + 1}`);
+            checkTarget(name, opt?.nextState, `Opção ${i + 1}`);
+            if (opt?.payload !== undefined && (typeof opt.payload !== 'object' || Array.isArray(opt.payload) || opt.payload === null)) error(name, `Opção ${i + 1}: payload precisa ser um objeto.`);
+            if (opt?.payload?.language !== undefined && !SUPPORTED_LANGUAGES.includes(opt.payload.language)) error(name, `Opção ${i + 1}: idioma "${opt.payload.language}" não suportado.`);
+            if (opt?.keywords !== undefined && (!Array.isArray(opt.keywords) || opt.keywords.some(k => typeof k !== 'string' || !k.trim()))) error(name, `Opção ${i + 1}: keywords precisa ser uma lista de palavras.`);
+        });
     }
+
+    // Estados inalcançáveis a partir do estado inicial
+    const reachable = new Set();
+    const pending = states[flow.initialState] ? [flow.initialState] : [];
+    while (pending.length) {
+        const name = pending.pop();
+        if (reachable.has(name) || !states[name]) continue;
+        reachable.add(name);
+        const step = states[name];
+        if (step.nextState) pending.push(step.nextState);
+        if (step.outOfHoursState) pending.push(step.outOfHoursState);
+        if (step.unavailableState) pending.push(step.unavailableState);
+        (Array.isArray(step.options) ? step.options : []).forEach(opt => opt?.nextState && pending.push(opt.nextState));
+    }
+    Object.keys(states).filter(name => !reachable.has(name)).forEach(name => error(name, 'Estado inalcançável a partir do estado inicial.'));
+
+    if (texts) Object.keys(texts).filter(key => !usedTexts.has(key)).forEach(key => warnings.push({ state: null, message: `Texto "${key}" não é usado.` }));
+    if (texts) SUPPORTED_LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE).forEach(lang => {
+        const missing = [...usedTexts].filter(key => typeof texts[key] === 'string' && typeof flow.texts[lang]?.[key] !== 'string');
+        if (missing.length) warnings.push({ state: null, message: `${missing.length} texto(s) sem tradução em "${lang}" (será usado o português): ${missing.join(', ')}.` });
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+// Substitui {variavel} pelos valores do contexto da sessão (mantém o marcador se não houver valor)
+export const interpolate = (text, context = {}) => String(text ?? '').replace(/\{(\w+)\}/g, (match, key) => context[key] ?? context.history?.[key] ?? match);
+
+// Catálogo de textos de um idioma, completando as chaves ausentes com o português
+export const resolveTexts = (texts, language) => ({ ...texts[DEFAULT_LANGUAGE], ...(language !== DEFAULT_LANGUAGE ? texts[language] : {}) });
+
+// Detecção simples do idioma pela primeira mensagem: pontua palavras e sinais típicos de cada idioma.
+// Devolve null quando não há evidência suficiente (a sessão segue em português).
+const LANGUAGE_HINTS = {
+    pt: { words: ['oi', 'olá', 'ola', 'bom', 'boa', 'dia', 'tarde', 'noite', 'obrigado', 'obrigada', 'preciso', 'quero', 'ajuda', 'você', 'voce', 'não', 'nao', 'tenho', 'meu', 'minha', 'com', 'uma', 'para', 'sim'], chars: /[ãõç]/ },
+    en: { words: ['hi', 'hello', 'hey', 'good', 'morning', 'afternoon', 'evening', 'thanks', 'thank', 'please', 'need', 'want', 'help', 'i', 'my', 'you', 'the', 'is', 'with', 'and', 'yes', 'what', 'how'], chars: null },
+    es: { words: ['hola', 'buenos', 'buenas', 'días', 'dias', 'gracias', 'por', 'favor', 'necesito', 'quiero', 'ayuda', 'usted', 'tengo', 'mi', 'el', 'una', 'con', 'sí', 'qué', 'cómo', 'soy', 'estoy'], chars: /[ñ¿¡]/ },
 };
 
+export function detectLanguage(text) {
+    const normalized = String(text || '').toLowerCase();
+    const words = normalized.split(/[^a-zà-ÿ]+/).filter(Boolean);
+    if (words.length === 0) return null;
+    const scores = Object.fromEntries(Object.entries(LANGUAGE_HINTS).map(([lang, hints]) => [
+        lang,
+        words.filter(w => hints.words.includes(w)).length + (hints.chars?.test(normalized) ? 2 : 0),
+    ]));
+    const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    if (bestScore === 0 || Object.values(scores).filter(score => score === bestScore).length > 1) return null;
+    return best;
+}
+
+// Monta a mensagem de um passo do fluxo como texto do WhatsApp (opções numeradas)
+// dynamicOptions: rótulos gerados em tempo de execução (ex.: horários livres), numerados antes das opções fixas
+export function formatFlowStep(step, context, texts, dynamicOptions = []) {
+    let messageText = interpolate(texts[step.textKey] ?? '', context);
+    const labels = [...dynamicOptions, ...(step.options || []).map(opt => texts[opt.textKey] || opt.textKey)];
+    if (labels.length > 0) {
+        messageText += `\n\n${labels.map((label, i) => `*${i + 1}*. ${label}`).join('\n')}`;
+        messageText += `\n\n${texts.chooseOption}`;
+    }
+    return messageText;
+}
+
+// --- MENUS INTERATIVOS (BOTÕES E LISTAS DO WHATSAPP) ---
+// Limites do WhatsApp: até 3 botões de resposta (título com 20 caracteres) ou lista com até 10 linhas
+// (título com 24 e descrição com 72). Acima disso o passo segue só como texto numerado.
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+
+const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+// O id da resposta identifica o estado e a opção (textKey + payload) — ou o horário oferecido, pela posição
+export const interactiveOptionId = (stateName, option) => `${stateName}#${option.textKey}${option.payload ? `|${JSON.stringify(option.payload)}` : ''}`;
+const slotOptionId = (stateName, index) => `${stateName}#slot:${index + 1}`;
+
+// Mesmo passo de formatFlowStep, em formato de botões ou lista; null se não couber (ou não houver opções)
+export function buildInteractiveMenu(stateName, step, context, texts, dynamicOptions = []) {
+    const items = [
+        ...dynamicOptions.map((label, i) => ({ id: slotOptionId(stateName, i), label })),
+        ...(step.options || []).map(opt => ({ id: interactiveOptionId(stateName, opt), label: texts[opt.textKey] || opt.textKey })),
+    ];
+    if (items.length === 0 || items.length > MAX_LIST_ROWS) return null;
+    const body = interpolate(texts[step.textKey] ?? '', context) || texts.chooseOption;
+    if (items.length <= MAX_BUTTONS && items.every(item => item.label.length <= MAX_BUTTON_TITLE)) {
+        return { type: 'buttons', body, buttons: items.map(({ id, label }) => ({ id, title: label })) };
+    }
+    return {
+        type: 'list',
+        body,
+        buttonText: truncate(texts.menuButton || 'Ver opções', MAX_BUTTON_TITLE),
+        rows: items.map(({ id, label }) => ({
+            id,
+            title: truncate(label, MAX_ROW_TITLE),
+            description: label.length > MAX_ROW_TITLE ? truncate(label, MAX_ROW_DESCRIPTION) : '',
+        })),
+    };
+}
+
+// Converte a resposta de um botão/lista no número da opção do estado atual (o mesmo que o cliente digitaria).
+// null se o menu respondido não for o do estado atual ou a opção não existir mais.
+export function resolveInteractiveReply(id, stateName, step, dynamicCount = 0) {
+    if (!String(id || '').startsWith(`${stateName}#`)) return null;
+    const slot = /#slot:(\d+)$/.exec(id);
+    if (slot) return Number(slot[1]) <= dynamicCount ? Number(slot[1]) : null;
+    const index = (step.options || []).findIndex(opt => interactiveOptionId(stateName, opt) === id);
+    return index >= 0 ? dynamicCount + index + 1 : null;
+}
+
 // --- INSTRUÇÕES DE SISTEMA PARA A IA ---
 const instructionSuffix = "Responda sempre em português do Brasil. Ao final de cada resposta completa e útil, adicione uma frase perguntando se o usuário precisa de mais alguma coisa e lembre-o de que ele pode usar a opção '🚪 Encerrar conversa' para finalizar o atendimento. Exemplo: 'Isso ajuda a esclarecer sua dúvida? Se não precisar de mais nada, é só escolher a opção para encerrar.' Se você não souber a resposta para uma pergunta, peça desculpas, diga que não entendeu e sugira que o usuário fale com um atendente humano para obter ajuda especializada.";
+const instructionSuffixEn = "Always answer in English. At the end of each complete and useful answer, add a sentence asking whether the user needs anything else and remind them that they can use the '🚪 End conversation' option to finish the service. Example: 'Does this answer your question? If you don't need anything else, just choose the option to end the conversation.' If you don't know the answer to a question, apologize, say you didn't understand and suggest that the user talk to a human agent for specialized help. Brazilian tax and labor terms (such as ICMS, PIS, FGTS) may be kept in Portuguese with a short explanation.";
+const instructionSuffixEs = "Responde siempre en español. Al final de cada respuesta completa y útil, agrega una frase preguntando si el usuario necesita algo más y recuérdale que puede usar la opción '🚪 Terminar conversación' para finalizar la atención. Ejemplo: '¿Esto aclara tu duda? Si no necesitas nada más, solo elige la opción para terminar.' Si no sabes la respuesta a una pregunta, pide disculpas, di que no entendiste y sugiere que el usuario hable con un agente humano para obtener ayuda especializada. Los términos fiscales y laborales brasileños (como ICMS, PIS, FGTS) pueden mantenerse en portugués con una breve explicación.";
 
+// As chaves são os nomes dos departamentos usados no payload do fluxo (sempre em português)
 export const departmentSystemInstructions = {
     pt: {
         "RH": `Você é um especialista em RH da JZF Contabilidade. Responda a perguntas sobre folhas de pagamento, benefícios, legislação trabalhista e processos de RH de forma clara e objetiva. ${instructionSuffix}`,
         "Contábil": `Você é um especialista contábil da JZF Contabilidade. Responda a perguntas sobre balanços, DRE, impostos sobre lucro, e outras questões contábeis com precisão. ${instructionSuffix}`,
         "Fiscal": `Você é um especialista fiscal da JZF Contabilidade. Responda a perguntas sobre ICMS, IPI, PIS, COFINS, Simples Nacional e outras obrigações fiscais. ${instructionSuffix}`,
         "Societário": `Você é um especialista em questões societárias da JZF Contabilidade. Responda a perguntas sobre abertura, alteração e encerramento de empresas, contratos sociais e tipos de sociedade. ${instructionSuffix}`,
-        "Financeiro": `Você é um especialista do departamento financeiro da JZF Contabilidade. Responda a perguntas sobre faturamento, boletos, pagamentos e renegociação de dívidas de forma clara e educada. ${instructionSuffix}`
-    }
+        "Financeiro": `Você é um especialista do departamento financeiro da JZF Contabilidade. Responda a perguntas sobre faturamento, boletos, pagamentos e renegociação de dívidas de forma clara e educada. ${instructionSuffix}`,
+        default: `Você é um assistente prestativo da JZF Contabilidade. ${instructionSuffix}`,
+    },
+    en: {
+        "RH": `You are an HR specialist at JZF Contabilidade, a Brazilian accounting firm. Answer questions about payroll, benefits, Brazilian labor law and HR processes clearly and objectively. ${instructionSuffixEn}`,
+        "Contábil": `You are an accounting specialist at JZF Contabilidade, a Brazilian accounting firm. Answer questions about balance sheets, income statements, income taxes and other accounting matters precisely. ${instructionSuffixEn}`,
+        "Fiscal": `You are a tax specialist at JZF Contabilidade, a Brazilian accounting firm. Answer questions about ICMS, IPI, PIS, COFINS, Simples Nacional and other Brazilian tax obligations. ${instructionSuffixEn}`,
+        "Societário": `You are a corporate specialist at JZF Contabilidade, a Brazilian accounting firm. Answer questions about opening, changing and closing companies in Brazil, articles of association and types of companies. ${instructionSuffixEn}`,
+        "Financeiro": `You are a billing specialist at JZF Contabilidade, a Brazilian accounting firm. Answer questions about invoices, boletos, payments and debt renegotiation clearly and politely. ${instructionSuffixEn}`,
+        default: `You are a helpful assistant at JZF Contabilidade, a Brazilian accounting firm. ${instructionSuffixEn}`,
+    },
+    es: {
+        "RH": `Eres un especialista en Recursos Humanos de JZF Contabilidade, una firma contable brasileña. Responde preguntas sobre nóminas, beneficios, legislación laboral brasileña y procesos de RR. HH. de forma clara y objetiva. ${instructionSuffixEs}`,
+        "Contábil": `Eres un especialista contable de JZF Contabilidade, una firma contable brasileña. Responde preguntas sobre balances, estados de resultados, impuestos sobre la renta y otras cuestiones contables con precisión. ${instructionSuffixEs}`,
+        "Fiscal": `Eres un especialista fiscal de JZF Contabilidade, una firma contable brasileña. Responde preguntas sobre ICMS, IPI, PIS, COFINS, Simples Nacional y otras obligaciones fiscales brasileñas. ${instructionSuffixEs}`,
+        "Societário": `Eres un especialista societario de JZF Contabilidade, una firma contable brasileña. Responde preguntas sobre apertura, modificación y cierre de empresas en Brasil, contratos sociales y tipos de sociedad. ${instructionSuffixEs}`,
+        "Financeiro": `Eres un especialista del departamento financiero de JZF Contabilidade, una firma contable brasileña. Responde preguntas sobre facturación, boletos, pagos y renegociación de deudas de forma clara y educada. ${instructionSuffixEs}`,
+        default: `Eres un asistente servicial de JZF Contabilidade, una firma contable brasileña. ${instructionSuffixEs}`,
+    },
 };
+
+// Instrução do departamento no idioma da sessão (com recuo para o português)
+export const getDepartmentInstruction = (department, language = DEFAULT_LANGUAGE) =>
+    departmentSystemInstructions[language]?.[department]
+    || (language !== DEFAULT_LANGUAGE ? departmentSystemInstructions[language]?.default : null)
+    || departmentSystemInstructions[DEFAULT_LANGUAGE][department]
+    || departmentSystemInstructions[DEFAULT_LANGUAGE].default;
@@ -0,0 +1,77 @@
+// --- CAPTURA DE DADOS ESTRUTURADOS ---
+// Validação e normalização dos campos pedidos pelo bot (nome, telefone, e-mail, CPF/CNPJ, texto livre).
+// Funções puras: usadas pelo servidor (ao receber a resposta) e pelo painel (pré-visualização do editor).
+
+export const FIELD_TYPES = ['name', 'phone', 'email', 'document', 'text'];
+
+// Texto de erro padrão de cada tipo (pode ser trocado por capture.errorKey no fluxo)
+export const FIELD_ERROR_KEYS = {
+    name: 'invalidName',
+    phone: 'invalidPhone',
+    email: 'invalidEmail',
+    document: 'invalidDocument',
+    text: 'invalidText',
+};
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Dígitos verificadores: soma ponderada módulo 11 (pesos decrescentes para CPF, cíclicos 2..9 para CNPJ)
+const checkDigit = (digits, weights) => {
+    const rest = digits.split('').reduce((sum, d, i) => sum + Number(d) * weights[i], 0) % 11;
+    return rest < 2 ? 0 : 11 - rest;
+};
+
+export function isValidCpf(value) {
+    const cpf = onlyDigits(value);
+    if (cpf.length !== 11 || /^(\d)\1+$/.test(cpf)) return false;
+    const first = checkDigit(cpf.slice(0, 9), [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const second = checkDigit(cpf.slice(0, 10), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+    return first === Number(cpf[9]) && second === Number(cpf[10]);
+}
+
+export function isValidCnpj(value) {
+    const cnpj = onlyDigits(value);
+    if (cnpj.length !== 14 || /^(\d)\1+$/.test(cnpj)) return false;
+    const first = checkDigit(cnpj.slice(0, 12), [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const second = checkDigit(cnpj.slice(0, 13), [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+    return first === Number(cnpj[12]) && second === Number(cnpj[13]);
+}
+
+export const formatCpf = (value) => onlyDigits(value).replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+export const formatCnpj = (value) => onlyDigits(value).replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+
+// Telefone brasileiro com DDD (o 55 do país é opcional): "(11) 98765-4321"
+function normalizePhone(input) {
+    let digits = onlyDigits(input);
+    if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) digits = digits.slice(2);
+    if (digits.length !== 10 && digits.length !== 11) return null;
+    if (digits[0] === '0' || (digits.length === 11 && digits[2] !== '9')) return null;
+    return `(${digits.slice(0, 2)}) ${digits.slice(2, -4)}-${digits.slice(-4)}`;
+}
+
+// { valid, value }: value é o dado normalizado que vai para o contexto e para a fila
+export function validateField(type, input) {
+    const text = String(input || '').trim().replace(/\s+/g, ' ');
+    switch (type) {
+        case 'name': {
+            const valid = /^[\p{L}'. -]+$/u.test(text) && text.split(' ').filter(w => w.length > 1).length >= 2;
+            return { valid, value: text };
+        }
+        case 'phone': {
+            const value = normalizePhone(text);
+            return { valid: !!value, value };
+        }
+        case 'email': {
+            const value = text.toLowerCase();
+            return { valid: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value), value };
+        }
+        case 'document': {
+            const digits = onlyDigits(text);
+            if (digits.length === 11) return { valid: isValidCpf(digits), value: formatCpf(digits) };
+            if (digits.length === 14) return { valid: isValidCnpj(digits), value: formatCnpj(digits) };
+            return { valid: false, value: text };
+        }
+        default:
+            return { valid: text.length >= 2, value: text };
+    }
+}
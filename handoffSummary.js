@@ -0,0 +1,77 @@
+// --- RESUMO DA TRANSFERÊNCIA PARA ATENDENTE ---
+// Ao entrar na fila, a conversa com o bot/IA vira um resumo para quem vai assumir:
+// problema do cliente, o que a IA já respondeu, dúvidas em aberto e sentimento.
+// Com IA, o modelo devolve JSON; sem IA (ou com resposta inválida), o resumo é montado por regras simples.
+
+export const SENTIMENTS = ['positivo', 'neutro', 'negativo'];
+
+const MAX_TRANSCRIPT_MESSAGES = 40;
+const clip = (text, max) => { const clean = String(text || '').replace(/\s+/g, ' ').trim(); return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean; };
+
+// Só o que interessa ao atendente: mensagens do cliente e respostas da IA (menus do bot ficam de fora)
+const relevantMessages = (messageLog) => (messageLog || [])
+    .filter(m => (m.sender === 'user' && String(m.text || '').trim()) || (m.sender === 'bot' && m.ai))
+    .slice(-MAX_TRANSCRIPT_MESSAGES);
+
+// Escolhas de menu ("1", "2") não descrevem o problema
+const isMenuChoice = (text) => /^\s*\d{1,2}\s*$/.test(text);
+
+export function buildTranscript(messageLog) {
+    return relevantMessages(messageLog)
+        .filter(m => !isMenuChoice(m.text))
+        .map(m => `${m.sender === 'user' ? 'Cliente' : 'IA'}: ${clip(m.text, 600)}`)
+        .join('\n');
+}
+
+export const SUMMARY_INSTRUCTION = `Você prepara a passagem de um atendimento da JZF Contabilidade do assistente virtual para um atendente humano.
+Leia a conversa e responda APENAS com um objeto JSON, em português, no formato:
+{"problem": "problema ou pedido do cliente em 1-2 frases", "answered": "o que a IA já respondeu, em 1-2 frases (ou vazio)", "openQuestions": ["dúvidas que continuam sem resposta"], "sentiment": "positivo | neutro | negativo"}
+Não invente informações que não estejam na conversa.`;
+
+// Interpreta a resposta do modelo; null se não for um JSON utilizável
+export function parseSummary(text) {
+    const json = String(text || '').match(/\{[\s\S]*\}/)?.[0];
+    if (!json) return null;
+    try {
+        const data = JSON.parse(json);
+        if (!String(data.problem || '').trim()) return null;
+        return {
+            problem: clip(data.problem, 400),
+            answered: clip(data.answered, 400),
+            openQuestions: (Array.isArray(data.openQuestions) ? data.openQuestions : []).map(q => clip(q, 200)).filter(Boolean).slice(0, 5),
+            sentiment: SENTIMENTS.includes(data.sentiment) ? data.sentiment : 'neutro',
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+const NEGATIVE_WORDS = ['absurdo', 'pessimo', 'horrivel', 'reclamacao', 'reclamar', 'procon', 'cancelar', 'demora', 'demorando', 'ninguem responde', 'insatisfeito', 'urgente', 'nao resolve', 'decepcionado', 'ridiculo'];
+const POSITIVE_WORDS = ['obrigado', 'obrigada', 'otimo', 'excelente', 'perfeito', 'agradeco', 'muito bom'];
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export function guessSentiment(texts) {
+    const joined = normalize(texts.join(' '));
+    const negative = NEGATIVE_WORDS.filter(w => joined.includes(w)).length + (texts.some(t => /!{2,}/.test(t) || (t.length > 12 && t === t.toUpperCase() && /[A-Z]/.test(t))) ? 1 : 0);
+    const positive = POSITIVE_WORDS.filter(w => joined.includes(w)).length;
+    if (negative > positive) return 'negativo';
+    return positive > 0 ? 'positivo' : 'neutro';
+}
+
+// Resumo sem IA: primeira mensagem que descreve o pedido, última resposta da IA e perguntas do cliente ainda sem resposta
+export function fallbackSummary(messageLog, reason = '') {
+    const messages = relevantMessages(messageLog).filter(m => !isMenuChoice(m.text));
+    const userTexts = messages.filter(m => m.sender === 'user').map(m => m.text);
+    const aiAnswers = messages.filter(m => m.sender === 'bot');
+    const lastAnswerIndex = messages.lastIndexOf(aiAnswers[aiAnswers.length - 1]);
+    const pending = messages.slice(lastAnswerIndex + 1).filter(m => m.sender === 'user').map(m => clip(m.text, 200));
+    const questions = pending.filter(text => text.includes('?'));
+    // Respostas curtas (nome, e-mail, CPF) não descrevem o problema: vale a primeira pergunta ou frase mais longa
+    const description = userTexts.find(text => text.includes('?') || text.trim().split(/\s+/).length >= 4);
+    return {
+        problem: clip(description || reason || 'Cliente pediu para falar com um atendente.', 400),
+        answered: aiAnswers.length ? `A IA respondeu ${aiAnswers.length} vez(es). Última resposta: ${clip(aiAnswers[aiAnswers.length - 1].text, 250)}` : '',
+        openQuestions: questions.length ? questions.slice(-3) : pending.slice(-2),
+        sentiment: guessSentiment(userTexts),
+    };
+}
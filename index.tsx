@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import ReactDOM from 'react-dom/client';
 import ImageEditor from 'tui-image-editor';
-import { conversationFlow, translations, ChatState as ChatStateValues } from './chatbotLogic.js';
+import { ChatState as ChatStateValues, defaultFlow, FLOW_ACTIONS, SYSTEM_TEXT_KEYS, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, validateFlow, formatFlowStep, resolveTexts } from './chatbotLogic.js';
+import { WEEKDAYS } from './businessHours.js';
+import { FIELD_TYPES } from './fieldCapture.js';
 
 // --- START: Merged from types.ts ---
 const Sender = {
@@ -14,6 +16,27 @@ const Sender = {
 const ChatState = ChatStateValues;
 // --- END: Merged from types.ts ---
 
+// --- CLIENTE HTTP AUTENTICADO ---
+// A sessão vive em um cookie HttpOnly; aqui apenas avisamos o App quando o servidor rejeita a sessão.
+const AUTH_EXPIRED_EVENT = 'jzf:auth-expired';
+
+const apiFetch = async (url, options: RequestInit = {}) => {
+    const res = await fetch(url, { credentials: 'same-origin', ...options });
+    if (res.status === 401 && !url.startsWith('/api/auth/')) window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    return res;
+};
+
+// As permissões vêm do servidor (/api/auth/me) e apenas escondem ações; a validação real é feita no backend.
+const can = (attendant, permission) => !!attendant?.permissions?.includes(permission);
+const ROLE_LABELS = { admin: 'Administrador', attendant: 'Atendente', auditor: 'Auditor (somente leitura)' };
+const LANGUAGE_LABELS = { pt: 'Português', en: 'English', es: 'Español' };
+const WEEKDAY_LABELS = { sun: 'Domingo', mon: 'Segunda', tue: 'Terça', wed: 'Quarta', thu: 'Quinta', fri: 'Sexta', sat: 'Sábado' };
+// Presença dos atendentes (calculada no servidor) e carga atual de conversas
+const PRESENCE_LABELS = { online: '🟢 Online', away: '🟡 Ausente', offline: '⚫ Offline' };
+const MANUAL_STATUS_LABELS = { available: '🟢 Disponível', away: '🟡 Ausente', offline: '⚫ Offline' };
+const formatPresence = (p) => p ? `${PRESENCE_LABELS[p.status] || p.status} · ${p.maxChats ? `${p.activeChats}/${p.maxChats}` : p.activeChats} conversa(s)` : PRESENCE_LABELS.offline;
+const formatDateTime = (iso) => iso ? new Date(iso).toLocaleString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }) : '';
+
 
 // --- START: Merged from components/TypingIndicator.tsx ---
 const TypingIndicator = () => (
@@ -60,7 +83,7 @@ const EmojiPicker = ({ onSelect, onClose }) => {
 };
 
 // --- NOVO COMPONENTE: Modal de Encaminhamento ---
-const ForwardModal = ({ onClose, onForward, chats }) => {
+const ForwardModal = ({ onClose, onForward, chats, title = 'Encaminhar para...' }) => {
     const [searchTerm, setSearchTerm] = useState("");
     
     const filtered = chats.filter(c => c.userName.toLowerCase().includes(searchTerm.toLowerCase()));
@@ -68,7 +91,7 @@ const ForwardModal = ({ onClose, onForward, chats }) => {
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
             <div className="bg-white p-4 rounded-lg w-full max-w-sm h-96 flex flex-col">
-                <h3 className="font-bold text-lg mb-2">Encaminhar para...</h3>
+                <h3 className="font-bold text-lg mb-2">{title}</h3>
                 <input 
                     type="text" 
                     placeholder="Buscar conversa..." 
@@ -186,7 +209,7 @@ const FileRenderer = ({ file, onImageClick }) => {
     );
 };
 
-const MessageBubble = ({ message, onImageClick, onSetReply, onSetEdit, onForward, isFromAttendant = false, messageIndex, isHighlighted = false }) => {
+const MessageBubble = ({ message, canAct = true, onImageClick, onSetReply, onSetEdit, onForward, isFromAttendant = false, messageIndex, isHighlighted = false }) => {
   const [isMenuOpen, setMenuOpen] = useState(false);
   const menuRef = useRef(null);
   const isBot = message.sender === Sender.BOT;
@@ -231,7 +254,7 @@ const MessageBubble = ({ message, onImageClick, onSetReply, onSetEdit, onForward
               {isOutgoing && <MessageStatusIcon status={message.status} />}
           </div>
         </div>
-        {!isSystem && (
+        {!isSystem && canAct && (
           <div className="relative self-start mb-1">
               <button onClick={() => setMenuOpen(!isMenuOpen)} className={`p-1 text-gray-400 opacity-0 group-hover:opacity-100 hover:bg-gray-300 rounded-full ${isAttendant ? 'mr-2' : 'ml-2'}`}>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" /></svg>
@@ -277,7 +300,106 @@ const MediaGallery = ({ messages, onImageClick }) => {
     );
 };
 
-const ChatPanel = ({ selectedChat, attendant, onSendMessage, onEditMessage, onResolveChat, onTransferChat, onTakeoverChat, isLoading, attendants, onImageClick, selectedFiles, setSelectedFiles, onFileSelect, onEditFile, activeChats }) => {
+// --- LEMBRETES (FOLLOW-UPS) ---
+// Valor para <input type="datetime-local"> no fuso do navegador
+const toLocalInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+const followUpPresets = () => {
+  const at = (days, hour) => { const d = new Date(); d.setDate(d.getDate() + days); d.setHours(hour, 0, 0, 0); return d; };
+  const friday = at((5 - new Date().getDay() + 7) % 7 || 7, 9);
+  return [
+    { label: 'Em 1 hora', date: new Date(Date.now() + 60 * 60 * 1000) },
+    { label: 'Amanhã 9h', date: at(1, 9) },
+    { label: 'Sexta 9h', date: friday },
+    { label: 'Em 1 semana', date: at(7, 9) },
+  ];
+};
+
+const FollowUpModal = ({ chat, onClose }) => {
+  const [dueAt, setDueAt] = useState(toLocalInputValue(followUpPresets()[1].date));
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState('');
+  const [snooze, setSnooze] = useState(true);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+      setError('');
+      const res = await apiFetch(`/api/chats/${chat.userId}/followups`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ dueAt: new Date(dueAt).toISOString(), note, message, snooze }) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) { setError(data.error || 'Falha ao criar o lembrete.'); return; }
+      onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-md space-y-3 text-sm">
+        <h3 className="text-lg font-semibold">Lembrete para {chat.userName}</h3>
+        <div className="flex flex-wrap gap-1">
+          {followUpPresets().map(p => <button key={p.label} onClick={() => setDueAt(toLocalInputValue(p.date))} className="px-2 py-1 text-xs bg-gray-100 rounded hover:bg-gray-200">{p.label}</button>)}
+        </div>
+        <input type="datetime-local" value={dueAt} onChange={e => setDueAt(e.target.value)} className="w-full p-2 border rounded" />
+        <input value={note} onChange={e => setNote(e.target.value)} placeholder="Anotação (ex.: enviar a guia do DAS)" className="w-full p-2 border rounded" />
+        <label className="flex items-center gap-2"><input type="checkbox" checked={snooze} onChange={e => setSnooze(e.target.checked)} />Tirar da lista de Ativos até lá (soneca)</label>
+        <div>
+          <textarea value={message} onChange={e => setMessage(e.target.value)} rows={3} placeholder="Mensagem para enviar automaticamente ao cliente (opcional)" className="w-full p-2 border rounded" />
+          <p className="text-[10px] text-gray-400">Só é enviada se a conversa ainda estiver em atendimento no horário.</p>
+        </div>
+        {error && <p className="text-red-600 text-xs">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Cancelar</button>
+          <button onClick={handleSave} disabled={!dueAt} className="px-4 py-2 bg-amber-500 text-white rounded disabled:bg-amber-300">Salvar lembrete</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Resumo gerado quando a conversa entrou na fila (IA ou regras simples, se não houver IA)
+const SENTIMENT_STYLES = { positivo: ['🙂 Positivo', 'bg-green-100 text-green-800'], neutro: ['😐 Neutro', 'bg-gray-100 text-gray-700'], negativo: ['😠 Negativo', 'bg-red-100 text-red-800'] };
+
+const HandoffSummary = ({ summary, compact = false }) => {
+  const [label, style] = SENTIMENT_STYLES[summary.sentiment] || SENTIMENT_STYLES.neutro;
+  if (compact) return <p className="text-[10px] text-gray-700 mt-1 line-clamp-2"><span className={`px-1 rounded mr-1 ${style}`}>{label}</span>{summary.problem}</p>;
+  return (
+    <div className="text-xs space-y-1">
+      <p><span className="font-bold">Problema:</span> {summary.problem} <span className={`ml-1 px-1 rounded ${style}`}>{label}</span></p>
+      {summary.answered && <p><span className="font-bold">IA já respondeu:</span> {summary.answered}</p>}
+      {summary.openQuestions?.length > 0 && <p><span className="font-bold">Em aberto:</span> {summary.openQuestions.join(' · ')}</p>}
+      <p className="text-[10px] text-gray-400">{summary.source === 'ai' ? 'Resumo gerado pela IA' : 'Resumo automático (sem IA)'} · {formatDateTime(summary.createdAt)}</p>
+    </div>
+  );
+};
+
+// --- METAS DE ATENDIMENTO (SLA) ---
+const PRIORITY_LABELS = { normal: 'Normal', high: 'Alta', urgent: 'Urgente' };
+const PRIORITY_BADGES = { normal: 'bg-gray-100 text-gray-600', high: 'bg-orange-100 text-orange-700', urgent: 'bg-red-100 text-red-700' };
+
+const slaRemainingMs = (request, now) => request.slaDueAt ? new Date(request.slaDueAt).getTime() - now : null;
+// Fila ordenada pelo prazo mais próximo; pedidos sem prazo (recados fora do horário) vão para o fim
+const slaSortKey = (request) => request.slaDueAt ? new Date(request.slaDueAt).getTime() : Number.MAX_SAFE_INTEGER;
+// Vermelho: prazo estourado | âmbar: último quarto do prazo | verde: dentro do prazo
+const slaTone = (request, now) => {
+  const remaining = slaRemainingMs(request, now);
+  if (remaining === null) return '';
+  if (remaining <= 0) return 'border-l-4 border-red-500 bg-red-50';
+  return remaining < (request.slaTargetMinutes || 0) * 60000 / 4 ? 'border-l-4 border-amber-400 bg-amber-50' : 'border-l-4 border-green-400';
+};
+const formatSlaRemaining = (ms) => {
+  const minutes = Math.ceil(Math.abs(ms) / 60000);
+  return ms > 0 ? `⏱ ${minutes} min restantes` : `⚠️ ${minutes} min em atraso`;
+};
+const formatDuration = (seconds) => seconds < 60 ? `${seconds}s` : seconds < 3600 ? `${Math.round(seconds / 60)} min` : `${Math.floor(seconds / 3600)}h${String(Math.round((seconds % 3600) / 60)).padStart(2, '0')}`;
+
+const ChatMetrics = ({ metrics }) => (
+  <p className="px-3 py-1 text-[10px] text-gray-500 bg-gray-50 border-b">
+    {metrics.priority && <span className={`px-1 rounded mr-1 ${PRIORITY_BADGES[metrics.priority]}`}>{PRIORITY_LABELS[metrics.priority]}</span>}
+    Espera na fila: {formatDuration(metrics.waitSeconds)}{metrics.slaBreached && <span className="text-red-600"> (fora da meta de {metrics.slaTargetMinutes} min)</span>}
+    {' · '}1ª resposta: {metrics.firstResponseSeconds !== undefined ? formatDuration(metrics.firstResponseSeconds) : 'aguardando'}
+    {metrics.resolutionSeconds !== undefined && <> · Resolvido em {formatDuration(metrics.resolutionSeconds)}</>}
+    {metrics.requeues > 0 && <> · Devolvida à fila {metrics.requeues}x</>}
+  </p>
+);
+
+const ChatPanel = ({ selectedChat, attendant, onSendMessage, onEditMessage, onResolveChat, onTransferChat, onTakeoverChat, isLoading, attendants, onImageClick, selectedFiles, setSelectedFiles, onFileSelect, onEditFile, activeChats, clientInfo, onRegisterClient, isCrmOpen, onToggleCrm, presence = [] }) => {
   const [message, setMessage] = useState('');
   const [isTransferModalOpen, setTransferModalOpen] = useState(false);
   const [transferToAttendantId, setTransferToAttendantId] = useState('');
@@ -298,12 +420,15 @@ const ChatPanel = ({ selectedChat, attendant, onSendMessage, onEditMessage, onRe
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [isForwardModalOpen, setForwardModalOpen] = useState(false);
   const [messageToForward, setMessageToForward] = useState(null);
+  const [isFollowUpModalOpen, setFollowUpModalOpen] = useState(false);
+  const [aiBusy, setAiBusy] = useState(null);
 
   // Ref para controlar a rolagem inteligente
   const prevLogLength = useRef(0);
   const prevChatId = useRef(null);
 
   const isOwner = attendant?.id === selectedChat?.attendantId;
+  const canHandle = can(attendant, 'chats:handle');
 
   // SCROLL LOGIC FIXED: Only scroll if message count increases OR if it's a new chat load
   useEffect(() => {
@@ -322,8 +447,8 @@ const ChatPanel = ({ selectedChat, attendant, onSendMessage, onEditMessage, onRe
 
   // NOVO: Marcar como lido ao abrir o chat
   useEffect(() => {
-      if (selectedChat?.userId) {
-          fetch(`/api/chats/read/${selectedChat.userId}`, { method: 'POST' }).catch(()=>{});
+      if (selectedChat?.userId && canHandle) {
+          apiFetch(`/api/chats/read/${selectedChat.userId}`, { method: 'POST' }).catch(()=>{});
       }
   }, [selectedChat?.userId]);
 
@@ -350,138 +475,1784 @@ const ChatPanel = ({ selectedChat, attendant, onSendMessage, onEditMessage, onRe
               };
           }
           
-          onSendMessage(selectedChat.userId, message.trim(), attendant.id, selectedFiles, replyPayload); 
+          onSendMessage(selectedChat.userId, message.trim(), selectedFiles, replyPayload); 
           setMessage(''); 
           setSelectedFiles([]); 
           setReplyingToMessage(null); 
       } 
   };
 
-  const handleEmojiSelect = (emoji) => {
-      setMessage(prev => prev + emoji);
-      setShowEmojiPicker(false);
+  // Rascunhos da IA: o texto só entra no campo de mensagem; o envio continua manual
+  const requestDraft = async (action, url, body) => {
+      setAiBusy(action);
+      try {
+          const res = await apiFetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { alert(data.error || 'A IA não respondeu.'); return; }
+          setMessage(data.text);
+      } finally { setAiBusy(null); }
+  };
+  const handleSuggestReply = () => {
+      if (message.trim() && !confirm('Substituir o texto digitado pela sugestão?')) return;
+      requestDraft('suggest', `/api/chats/${encodeURIComponent(selectedChat.userId)}/suggest-reply`, {});
+  };
+  const handleRewrite = (mode) => requestDraft(mode, '/api/ai/rewrite', { text: message, mode, userId: selectedChat.userId });
+
+  const handleEmojiSelect = (emoji) => {
+      setMessage(prev => prev + emoji);
+      setShowEmojiPicker(false);
+  };
+
+  const openForwardModal = (msg) => {
+      setMessageToForward(msg);
+      setForwardModalOpen(true);
+  };
+
+  const handleForward = async (targetUserId) => {
+      if (!messageToForward) return;
+      await apiFetch('/api/chats/forward', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ originalMessage: messageToForward, targetUserId })
+      });
+      setForwardModalOpen(false);
+      setMessageToForward(null);
+  };
+
+  if (!selectedChat) return <div className="flex-1 flex flex-col items-center justify-center bg-gray-100 text-gray-500"><span>Selecione um atendimento para começar.</span></div>;
+
+  return (
+    <div className="flex-1 flex flex-col bg-gray-100 relative">
+      <header className="bg-white p-3 border-b flex justify-between items-center shadow-sm">
+        <div><h2 className="font-semibold">{selectedChat.userName}{selectedChat.language && selectedChat.language !== DEFAULT_LANGUAGE && <span className="ml-2 text-[10px] px-1 rounded bg-blue-100 text-blue-700 align-middle" title="Idioma do cliente">{LANGUAGE_LABELS[selectedChat.language] || selectedChat.language}</span>}</h2><p className="text-xs text-gray-500">{chatType === 'bot' ? 'Assistente Virtual' : `Atendido por: ${attendants.find(a => a.id === selectedChat.attendantId)?.name || '...'}`}</p>{clientInfo ? <p className="text-xs text-indigo-700">🏢 {clientInfo.companies.length ? clientInfo.companies.map(c => c.name).join(', ') : 'Sem empresa vinculada'} · {clientInfo.personName}</p> : can(attendant, 'clients:manage') && <button onClick={() => onRegisterClient(selectedChat)} className="text-xs text-indigo-600 hover:underline">+ Cadastrar cliente</button>}</div>
+        <div className="flex items-center space-x-2">
+            <button onClick={() => { setSearchVisible(true); setActiveTab('chat'); }} className="p-2 text-gray-500 hover:bg-gray-200 rounded-full"><svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd" /></svg></button>
+            <button onClick={onToggleCrm} title="Anotações e campos do contato" className={`px-3 py-1 text-xs rounded ${isCrmOpen ? 'bg-yellow-200 text-yellow-900' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}>📇 Ficha</button>
+            {canHandle && chatType === 'bot' && <button onClick={() => onTakeoverChat(selectedChat.userId)} className="px-3 py-1 text-xs text-white bg-purple-600 rounded hover:bg-purple-700">Assumir</button>}
+            {canHandle && chatType === 'human' && <button onClick={() => setFollowUpModalOpen(true)} title="Lembrete / soneca" className="px-3 py-1 text-xs text-white bg-amber-500 rounded hover:bg-amber-600">⏰ Lembrete</button>}
+            {canHandle && chatType === 'human' && <button onClick={() => setTransferModalOpen(true)} className="px-3 py-1 text-xs text-white bg-blue-600 rounded hover:bg-blue-700">Transferir</button>}
+            {canHandle && <button onClick={() => onResolveChat(selectedChat.userId)} className="px-3 py-1 text-xs text-white bg-green-600 rounded hover:bg-green-700">Resolver</button>}
+        </div>
+      </header>
+      {selectedChat.metrics && <ChatMetrics metrics={selectedChat.metrics} />}
+      {selectedChat.handoffSummary && (
+          <details open className="px-3 py-2 bg-blue-50 border-b">
+              <summary className="text-xs font-bold cursor-pointer text-blue-900">🧾 Resumo da transferência</summary>
+              <div className="mt-1"><HandoffSummary summary={selectedChat.handoffSummary} /></div>
+          </details>
+      )}
+      {selectedChat.context?.fields && (
+          <div className="px-3 py-1 bg-yellow-50 border-b text-xs text-gray-700 flex flex-wrap gap-x-4">
+              <span className="font-bold">📋 Dados informados:</span>
+              {Object.entries(selectedChat.context.fields).map(([key, f]: [string, any]) => <span key={key}><span className="text-gray-500">{defaultFlow.texts.pt[f.labelKey] || key}:</span> {f.value}</span>)}
+          </div>
+      )}
+      {isSearchVisible && (
+          <div className="p-2 bg-gray-200 flex items-center space-x-2">
+              <input type="text" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} placeholder="Buscar..." className="w-full px-3 py-1 text-sm rounded outline-none" autoFocus />
+              <span className="text-xs text-gray-600 w-16">{currentResultIndex > -1 ? `${currentResultIndex + 1}/${searchResults.length}` : '0/0'}</span>
+              <button onClick={() => setCurrentResultIndex(p => (p + 1) % searchResults.length)} disabled={!searchResults.length}>▼</button>
+              <button onClick={() => { setSearchVisible(false); setSearchTerm(''); }}>✕</button>
+          </div>
+      )}
+      <div className="bg-white border-b flex"><button onClick={() => setActiveTab('chat')} className={`py-2 px-4 text-sm ${activeTab === 'chat' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>Conversa</button><button onClick={() => setActiveTab('media')} className={`py-2 px-4 text-sm ${activeTab === 'media' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>Mídia/Links</button></div>
+      <div className="flex-1 overflow-y-auto relative">
+        {activeTab === 'chat' ? (
+          <div className="p-4 whatsapp-bg min-h-full">
+            {selectedChat.messageLog.map((msg, i) => <MessageBubble key={i} message={msg} canAct={canHandle} onImageClick={onImageClick} onSetReply={setReplyingToMessage} onSetEdit={(m)=>{setEditingMessage(m); setEditedText(m.text)}} onForward={openForwardModal} isFromAttendant={msg.sender === Sender.ATTENDANT} messageIndex={i} isHighlighted={searchResults[currentResultIndex] === i} />)}
+            {isLoading && <TypingIndicator />}
+            <div ref={messagesEndRef} />
+          </div>
+        ) : <MediaGallery messages={selectedChat.messageLog} onImageClick={onImageClick} />}
+      </div>
+      
+      {/* Footer / Input Area */}
+      {activeTab === 'chat' && !canHandle && (
+          <footer className="bg-gray-200 p-3 text-xs text-center text-gray-500">Acesso somente leitura.</footer>
+      )}
+      {activeTab === 'chat' && canHandle && (
+          <footer className="bg-gray-200 p-3 relative">
+             {showEmojiPicker && <EmojiPicker onSelect={handleEmojiSelect} onClose={() => setShowEmojiPicker(false)} />}
+
+             {!isOwner && chatType === 'human' && (
+                <div className="text-xs text-center text-gray-500 mb-2 p-1 bg-yellow-100 rounded border border-yellow-300">
+                    Você está visualizando o atendimento de <b>{attendants.find(a=>a.id === selectedChat.attendantId)?.name}</b>. 
+                    <button onClick={() => onTakeoverChat(selectedChat.userId)} className="ml-2 text-blue-600 underline">Assumir Conversa</button>
+                </div>
+             )}
+            
+            {editingMessage ? (
+                 <div className="bg-white rounded p-2"><p className="text-xs font-bold text-yellow-600">Editando...</p><input type="text" value={editedText} onChange={e=>setEditedText(e.target.value)} className="w-full p-2 border rounded mb-2" /><div className="flex justify-end space-x-2"><button onClick={()=>setEditingMessage(null)} className="text-xs bg-gray-200 px-2 py-1 rounded">Cancelar</button><button onClick={()=>{onEditMessage(selectedChat.userId, editingMessage.timestamp, editedText); setEditingMessage(null)}} className="text-xs bg-green-600 text-white px-2 py-1 rounded">Salvar</button></div></div>
+            ) : (
+              <>
+                {replyingToMessage && <div className="p-2 mb-2 bg-blue-50 border-l-4 border-blue-400 text-xs relative"><p className="font-bold text-blue-600">Respondendo a {replyingToMessage.senderName}</p><p className="truncate">{replyingToMessage.text || 'Arquivo'}</p><button onClick={()=>setReplyingToMessage(null)} className="absolute top-1 right-1 font-bold">&times;</button></div>}
+                {selectedFiles.length > 0 && <div className="p-2 mb-2 bg-blue-100 rounded flex space-x-2 overflow-x-auto">{selectedFiles.map((f,i) => <div key={i} className="relative w-16 h-16 bg-white"><img src={`data:${f.type};base64,${f.data}`} className="w-full h-full object-cover"/><button onClick={()=>setSelectedFiles(fs=>fs.filter((_,idx)=>idx!==i))} className="absolute top-0 right-0 bg-red-500 text-white text-xs rounded-full w-4 h-4 flex items-center justify-center">&times;</button></div>)}</div>}
+                
+                {isOwner && chatType === 'human' && (
+                  <div className="flex items-center gap-2 mb-1 text-xs">
+                    <button onClick={handleSuggestReply} disabled={!!aiBusy} className="px-2 py-0.5 rounded bg-purple-100 text-purple-800 hover:bg-purple-200 disabled:opacity-50">{aiBusy === 'suggest' ? 'Gerando...' : '✨ Sugerir resposta'}</button>
+                    {[['formal', 'Mais formal'], ['shorten', 'Encurtar'], ['grammar', 'Corrigir']].map(([mode, label]) => (
+                      <button key={mode} onClick={() => handleRewrite(mode)} disabled={!!aiBusy || !message.trim()} className="px-2 py-0.5 rounded bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50">{aiBusy === mode ? '...' : label}</button>
+                    ))}
+                  </div>
+                )}
+                <div className={`flex items-center bg-white rounded-full px-2 shadow ${!isOwner && chatType === 'human' ? 'opacity-50 pointer-events-none' : ''}`}>
+                  <button onClick={() => setShowEmojiPicker(!showEmojiPicker)} className="p-2 text-gray-500 hover:text-gray-700 text-xl" disabled={!isOwner && chatType === 'human'} >😊</button>
+                  <button onClick={() => fileInputRef.current.click()} className="p-2 text-gray-500 hover:text-gray-700" disabled={!isOwner && chatType === 'human'}><svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" /></svg></button>
+                  <input type="file" ref={fileInputRef} onChange={onFileSelect} className="hidden" multiple />
+                  <textarea 
+                    rows={Math.min(5, message.split('\n').length)}
+                    value={message} 
+                    onChange={e => setMessage(e.target.value)} 
+                    onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSend(); } }} 
+                    placeholder={chatType === 'bot' ? "Assuma a conversa para responder..." : "Digite sua mensagem..."} 
+                    className="w-full p-2 bg-transparent outline-none resize-none" 
+                    disabled={(!isOwner && chatType === 'human') || chatType === 'bot'}
+                  />
+                  <button onClick={handleSend} className="p-2 text-blue-600 hover:text-blue-800" disabled={(!isOwner && chatType === 'human') || chatType === 'bot'}><svg className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor"><path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z" /></svg></button>
+                </div>
+              </>
+            )}
+          </footer>
+      )}
+      {isFollowUpModalOpen && <FollowUpModal chat={selectedChat} onClose={() => setFollowUpModalOpen(false)} />}
+      {isTransferModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded w-full max-w-sm">
+            <h3 className="text-lg font-semibold mb-4">Transferir</h3>
+            <select value={transferToAttendantId} onChange={(e) => setTransferToAttendantId(e.target.value)} className="w-full p-2 border rounded mb-4"><option value="" disabled>Selecione...</option>{attendants.filter(a => a.id !== attendant.id).map(a => { const p = presence.find(item => item.id === a.id); if (p && !p.handlesChats) return null; return <option key={a.id} value={a.id} disabled={!p || p.status === 'offline' || (!!p.maxChats && p.activeChats >= p.maxChats)}>{a.name} — {formatPresence(p)}</option>; })}</select>
+            <div className="flex justify-end space-x-2"><button onClick={() => setTransferModalOpen(false)} className="px-4 py-2 bg-gray-200 rounded">Cancelar</button><button onClick={() => { onTransferChat(selectedChat.userId, transferToAttendantId); setTransferModalOpen(false); }} className="px-4 py-2 bg-blue-600 text-white rounded">Transferir</button></div>
+          </div>
+        </div>
+      )}
+      {isForwardModalOpen && (
+          <ForwardModal onClose={() => setForwardModalOpen(false)} onForward={handleForward} chats={activeChats} />
+      )}
+    </div>
+  );
+};
+
+// --- COMPONENTE: Chat Interno entre atendentes ---
+const InternalChatPanel = ({ attendant, partner, messages, message, setMessage, files, setFiles, onFileSelect, onSend, onOpenChatLink, shareableChats, onImageClick }) => {
+  const [isShareModalOpen, setShareModalOpen] = useState(false);
+  const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [messages.length, partner?.id]);
+
+  if (!partner) return <div className="flex-1 flex flex-col items-center justify-center bg-gray-100 text-gray-500"><span>Selecione um colega para conversar.</span></div>;
+
+  const handleSend = () => { if (message.trim() || files.length) onSend(partner.id, message.trim(), files, null); };
+
+  return (
+    <div className="flex-1 flex flex-col bg-gray-100 relative">
+      <header className="bg-white p-3 border-b shadow-sm"><h2 className="font-semibold">{partner.name}</h2><p className="text-xs text-gray-500">Conversa interna</p></header>
+      <div className="flex-1 overflow-y-auto p-4 space-y-1">
+        {messages.length === 0 && <p className="text-center text-sm text-gray-400">Nenhuma mensagem ainda.</p>}
+        {messages.map(m => {
+          const isMine = m.from === attendant.id;
+          return (
+            <div key={m.id} className={`flex w-full ${isMine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-md p-2 rounded-lg shadow-sm flex flex-col ${isMine ? 'bg-[#dcf8c6]' : 'bg-white'}`}>
+                {m.chatLink && (
+                  <button onClick={() => onOpenChatLink(m.chatLink)} className="mb-1 p-2 text-left text-xs bg-blue-50 border-l-2 border-blue-400 rounded hover:bg-blue-100">
+                    <span className="block font-semibold text-blue-600">Conversa compartilhada</span>
+                    <span className="text-gray-700">{m.chatLink.userName}</span>
+                  </button>
+                )}
+                {m.text && <div className="text-sm whitespace-pre-wrap">{m.text}</div>}
+                {m.files && m.files.map((file, idx) => <FileRenderer key={idx} file={file} onImageClick={onImageClick} />)}
+                <div className="text-xs text-gray-400 self-end mt-1">{new Date(m.timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}{isMine && m.readAt && <span className="ml-1 text-blue-500">✓✓</span>}</div>
+              </div>
+            </div>
+          );
+        })}
+        <div ref={messagesEndRef} />
+      </div>
+      {can(attendant, 'chats:handle') ? (
+        <footer className="bg-gray-200 p-3">
+          {files.length > 0 && <div className="p-2 mb-2 bg-blue-100 rounded flex space-x-2 overflow-x-auto">{files.map((f,i) => <div key={i} className="relative px-2 py-1 bg-white rounded text-xs max-w-[10rem] truncate">{f.name}<button onClick={()=>setFiles(fs=>fs.filter((_,idx)=>idx!==i))} className="ml-1 text-red-500 font-bold">&times;</button></div>)}</div>}
+          <div className="flex items-center bg-white rounded-full px-2 shadow">
+            <button onClick={() => fileInputRef.current.click()} className="p-2 text-gray-500 hover:text-gray-700" title="Anexar arquivo"><svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" /></svg></button>
+            <input type="file" ref={fileInputRef} onChange={onFileSelect} className="hidden" multiple />
+            <button onClick={() => setShareModalOpen(true)} className="p-2 text-gray-500 hover:text-gray-700 text-xs whitespace-nowrap" title="Compartilhar conversa de cliente">🔗 Conversa</button>
+            <input type="text" value={message} onChange={e => setMessage(e.target.value)} onKeyPress={e => e.key === 'Enter' && handleSend()} placeholder="Mensagem interna..." className="w-full p-2 bg-transparent outline-none" />
+            <button onClick={handleSend} className="p-2 text-blue-600 hover:text-blue-800"><svg className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor"><path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z" /></svg></button>
+          </div>
+        </footer>
+      ) : (
+        <footer className="bg-gray-200 p-3 text-xs text-gray-500 text-center">Perfil somente leitura: não é possível enviar mensagens internas.</footer>
+      )}
+      {isShareModalOpen && (
+        <ForwardModal
+          title="Compartilhar conversa..."
+          chats={shareableChats}
+          onClose={() => setShareModalOpen(false)}
+          onForward={(userId) => {
+            const chat = shareableChats.find(c => c.userId === userId);
+            onSend(partner.id, message.trim(), files, { userId, userName: chat?.userName });
+            setShareModalOpen(false);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+const Login = ({ onLogin, isBackendOffline }) => {
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const err = await onLogin(name.trim(), password);
+      if (err) setError(err);
+      else setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center w-full h-full bg-gray-100">
+      <form onSubmit={handleSubmit} className="w-full max-w-md p-8 space-y-6 bg-white rounded-xl shadow-lg">
+        <h2 className="text-3xl font-bold text-center text-gray-800">Painel de Atendimento</h2>
+        {isBackendOffline && <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 text-yellow-700 text-sm">Conectando ao servidor... Aguarde.</div>}
+        <div>
+          <h3 className="text-xl font-semibold text-gray-700">Entrar</h3>
+          <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Seu nome de usuário" autoComplete="username" className="w-full mt-2 p-2 border rounded" disabled={isBackendOffline} />
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Senha ou PIN" autoComplete="current-password" className="w-full mt-2 p-2 border rounded" disabled={isBackendOffline} />
+          {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+          <button type="submit" disabled={!name.trim() || !password || isBackendOffline || isSubmitting} className="w-full mt-4 py-2 bg-blue-600 text-white rounded font-bold disabled:bg-blue-300">{isSubmitting ? 'Entrando...' : 'Entrar'}</button>
+        </div>
+        <p className="text-xs text-center text-gray-400">Não tem acesso? Peça a um administrador para cadastrar você.</p>
+      </form>
+    </div>
+  );
+};
+
+const ChangePasswordModal = ({ isForced, onClose, onChanged }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) return setError('A confirmação não confere com a nova senha.');
+    const res = await apiFetch('/api/auth/password', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ currentPassword, newPassword }) });
+    if (res.ok) onChanged();
+    else setError((await res.json().catch(() => ({}))).error || 'Não foi possível alterar a senha.');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded w-full max-w-sm space-y-2">
+        <h3 className="text-lg font-semibold">{isForced ? 'Defina sua nova senha' : 'Alterar senha'}</h3>
+        {isForced && <p className="text-xs text-gray-500">Você está usando uma senha provisória. Escolha uma senha pessoal para continuar.</p>}
+        <input type="password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} placeholder="Senha atual" autoComplete="current-password" className="w-full p-2 border rounded" />
+        <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} placeholder="Nova senha (mín. 4 caracteres)" autoComplete="new-password" className="w-full p-2 border rounded" />
+        <input type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} placeholder="Confirme a nova senha" autoComplete="new-password" className="w-full p-2 border rounded" />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end space-x-2 pt-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">{isForced ? 'Sair' : 'Cancelar'}</button>
+          <button type="submit" disabled={!currentPassword || newPassword.length < 4} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">Salvar</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const AttendantManagerModal = ({ currentAttendant, attendants, presence = [], onChanged, onClose }) => {
+  const [newName, setNewName] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState('attendant');
+  const [error, setError] = useState('');
+  const [departments, setDepartments] = useState([]);
+
+  useEffect(() => { apiFetch('/api/departments').then(r => r.ok ? r.json() : []).then(setDepartments).catch(() => {}); }, []);
+
+  const request = async (url, method, body = undefined) => {
+      setError('');
+      const res = await apiFetch(url, { method, headers: {'Content-Type':'application/json'}, body: body ? JSON.stringify(body) : undefined });
+      if (!res.ok) { setError((await res.json().catch(() => ({}))).error || 'Erro ao salvar.'); return false; }
+      onChanged();
+      return true;
+  };
+
+  const handleCreate = async () => {
+      if (await request('/api/attendants', 'POST', { name: newName.trim(), password: newPassword, role: newRole })) {
+          setNewName(''); setNewPassword(''); setNewRole('attendant');
+      }
+  };
+
+  const handleResetPassword = async (a) => {
+      const password = prompt(`Nova senha/PIN provisório para ${a.name} (mín. 4 caracteres):`);
+      if (password && await request(`/api/attendants/${a.id}/reset-password`, 'POST', { password })) alert('Senha redefinida. O atendente deverá trocá-la no próximo acesso.');
+  };
+
+  const handleDelete = async (a) => {
+      if (confirm(`Remover o acesso de ${a.name}?`)) await request(`/api/attendants/${a.id}`, 'DELETE');
+  };
+
+  const toggleDepartment = (a, department) => {
+      const current = a.departments || [];
+      const next = current.includes(department) ? current.filter(d => d !== department) : [...current, department];
+      request(`/api/attendants/${a.id}`, 'PUT', { departments: next });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4">Atendentes e Permissões</h3>
+        <div className="flex-1 overflow-y-auto border rounded mb-4">
+          {attendants.map(a => (
+            <div key={a.id} className="p-2 border-b">
+              <div className="flex items-center gap-2">
+                <span className="flex-1 text-sm font-medium">{a.name}{a.id === currentAttendant.id && <span className="text-xs text-gray-400"> (você)</span>}<span className="block text-[10px] font-normal text-gray-500">{formatPresence(presence.find(p => p.id === a.id))}</span></span>
+                <label className="text-[10px] text-gray-500" title="Conversas simultâneas (vazio = limite padrão, 0 = sem limite)">Máx.<input type="number" min={0} max={100} defaultValue={a.maxChats ?? ''} placeholder="padrão" onBlur={e => { const value = e.target.value === '' ? null : Number(e.target.value); if (value !== (a.maxChats ?? null)) request(`/api/attendants/${a.id}`, 'PUT', { maxChats: value }); }} className="w-14 ml-1 p-1 border rounded text-xs" /></label>
+                <select value={a.role} onChange={e => request(`/api/attendants/${a.id}`, 'PUT', { role: e.target.value })} className="p-1 border rounded text-xs">
+                  {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <button onClick={() => handleResetPassword(a)} className="text-xs text-blue-600 hover:underline">Redefinir senha</button>
+                {a.id !== currentAttendant.id && <button onClick={() => handleDelete(a)} className="text-xs text-red-500 hover:underline">Remover</button>}
+              </div>
+              {departments.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1 mt-1">
+                  <span className="text-[10px] text-gray-500">Setores:</span>
+                  {departments.map(d => {
+                    const active = (a.departments || []).includes(d);
+                    return <button key={d} onClick={() => toggleDepartment(a, d)} className={`text-[10px] px-1 rounded border ${active ? 'bg-green-100 border-green-400 text-green-800' : 'text-gray-500'}`}>{d}</button>;
+                  })}
+                  {!a.departments?.length && <span className="text-[10px] text-gray-400">(nenhum marcado: atende todos)</span>}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="border rounded p-3 bg-gray-50">
+          <p className="text-xs font-bold text-gray-500 mb-2">NOVO ATENDENTE</p>
+          <div className="flex gap-2">
+            <input type="text" value={newName} onChange={e => setNewName(e.target.value)} placeholder="Nome" className="flex-1 p-2 border rounded text-sm" />
+            <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} placeholder="Senha/PIN provisório" autoComplete="new-password" className="w-40 p-2 border rounded text-sm" />
+            <select value={newRole} onChange={e => setNewRole(e.target.value)} className="p-2 border rounded text-sm">
+              {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <button onClick={handleCreate} disabled={!newName.trim() || newPassword.length < 4} className="px-3 py-2 bg-green-600 text-white rounded text-sm disabled:bg-green-300">Cadastrar</button>
+          </div>
+        </div>
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end mt-4"><button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button></div>
+      </div>
+    </div>
+  );
+};
+
+const RESTORE_PART_LABELS = {
+  chats: 'Conversas e fila', contacts: 'Contatos e anotações', tags: 'Etiquetas', attendants: 'Atendentes e senhas',
+  internal: 'Chat interno', clients: 'Cadastro de clientes', appointments: 'Agenda', knowledge: 'Base de conhecimento', settings: 'Configurações', media: 'Mídias (arquivos)',
+};
+const RESTORE_COUNT_LABELS = {
+  attendants: 'Atendentes', openChats: 'Conversas abertas', archivedChats: 'Conversas arquivadas', messages: 'Mensagens',
+  queue: 'Fila', contacts: 'Contatos', tags: 'Etiquetas', internalMessages: 'Mensagens internas', contactNotes: 'Anotações', knowledgeArticles: 'Artigos da base', companies: 'Empresas', people: 'Pessoas', appointments: 'Agendamentos', mediaFiles: 'Arquivos de mídia',
+};
+
+const RestoreBackupModal = ({ onRestored, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [parts, setParts] = useState(Object.keys(RESTORE_PART_LABELS));
+  const [report, setReport] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const togglePart = (part) => { setReport(null); setParts(prev => prev.includes(part) ? prev.filter(p => p !== part) : [...prev, part]); };
+
+  const send = async (dryRun) => {
+      setError(''); setIsBusy(true);
+      try {
+          const res = await apiFetch(`/api/system/restore?dryRun=${dryRun ? 1 : 0}&parts=${parts.join(',')}`, { method: 'POST', headers: { 'Content-Type': 'application/zip' }, body: file });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setError(data.error || 'Falha ao processar o backup.'); return null; }
+          return data;
+      } finally { setIsBusy(false); }
+  };
+
+  const handleAnalyze = async () => { const data = await send(true); if (data) setReport(data); };
+
+  const handleRestore = async () => {
+      if (!confirm('Os dados selecionados serão SUBSTITUÍDOS pelos do backup. Deseja continuar?')) return;
+      const data = await send(false);
+      if (data) { alert('Backup restaurado com sucesso.'); onRestored(); onClose(); }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4">Restaurar Backup</h3>
+        <input type="file" accept=".zip,application/zip" onChange={e => { setFile(e.target.files?.[0] || null); setReport(null); setError(''); }} className="text-sm mb-3" />
+        <p className="text-xs font-bold text-gray-500 mb-1">O QUE RESTAURAR</p>
+        <div className="grid grid-cols-2 gap-1 mb-3">
+          {Object.entries(RESTORE_PART_LABELS).map(([part, label]) => (
+            <label key={part} className="text-sm flex items-center gap-2"><input type="checkbox" checked={parts.includes(part)} onChange={() => togglePart(part)} />{label}</label>
+          ))}
+        </div>
+        {report && (
+          <div className="flex-1 overflow-y-auto border rounded mb-3">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50"><tr><th className="p-2 text-left">Item</th><th className="p-2 text-right">Atual</th><th className="p-2 text-right">No backup</th></tr></thead>
+              <tbody>
+                {Object.entries(RESTORE_COUNT_LABELS).map(([key, label]) => (
+                  <tr key={key} className="border-t"><td className="p-2">{label}</td><td className="p-2 text-right">{report.current[key] ?? '-'}</td><td className="p-2 text-right font-semibold">{report.backup[key] ?? '-'}</td></tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="p-2 text-xs text-gray-500">Formato: {report.format === 'json' ? 'arquivos JSON (versão antiga)' : 'banco de dados'}. Partes: {report.parts.map(p => RESTORE_PART_LABELS[p] || p).join(', ')}.</p>
+            {report.ignoredEntries.length > 0 && <p className="p-2 text-xs text-yellow-700">Arquivos ignorados: {report.ignoredEntries.join(', ')}</p>}
+          </div>
+        )}
+        {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleAnalyze} disabled={!file || parts.length === 0 || isBusy} className="px-4 py-2 bg-gray-800 text-white rounded disabled:bg-gray-400">{isBusy && !report ? 'Analisando...' : 'Analisar (simulação)'}</button>
+          <button onClick={handleRestore} disabled={!report || isBusy} className="px-4 py-2 bg-red-600 text-white rounded disabled:bg-red-300">Restaurar</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- CADASTRO DE CLIENTES ---
+const TAX_REGIME_LABELS = { mei: 'MEI', simples: 'Simples Nacional', lucro_presumido: 'Lucro Presumido', lucro_real: 'Lucro Real', outro: 'Outro' };
+const EMPTY_COMPANY = { name: '', tradeName: '', cnpj: '', taxRegime: '', responsibles: {}, notes: '' };
+const EMPTY_PERSON = { name: '', cpf: '', email: '', role: '', notes: '', userIds: [], companyIds: [] };
+
+// prefillUserId: abre direto no cadastro de uma pessoa nova com este número (atalho do ChatPanel)
+const RegistryModal = ({ attendant, attendants, prefillUserId, prefillName, onClose }) => {
+  const [registry, setRegistry] = useState(null);
+  const [tab, setTab] = useState(prefillUserId ? 'people' : 'companies');
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(prefillUserId ? { ...EMPTY_PERSON, name: prefillName || '', userIds: [prefillUserId] } : null);
+  const [numbersText, setNumbersText] = useState(prefillUserId ? prefillUserId.split('@')[0] : '');
+  const [error, setError] = useState('');
+  const canManage = can(attendant, 'clients:manage');
+
+  const load = useCallback(async () => {
+      const res = await apiFetch('/api/registry');
+      if (res.ok) setRegistry(await res.json());
+  }, []);
+  useEffect(() => { load(); }, [load]);
+
+  if (!registry) return null;
+
+  const companyName = (id) => registry.companies.find(c => c.id === id)?.name || '?';
+  const matches = (text) => (text || '').toLowerCase().includes(search.toLowerCase());
+  const list = tab === 'companies'
+      ? registry.companies.filter(c => matches(c.name) || matches(c.tradeName) || matches(c.cnpj))
+      : registry.people.filter(p => matches(p.name) || p.userIds.some(matches) || p.companyIds.some(id => matches(companyName(id))));
+
+  const startEdit = (item) => {
+      setError('');
+      setEditing(item ? { ...item } : tab === 'companies' ? { ...EMPTY_COMPANY } : { ...EMPTY_PERSON });
+      setNumbersText(item?.userIds ? item.userIds.map(u => u.split('@')[0]).join(', ') : '');
+  };
+
+  const handleSave = async () => {
+      setError('');
+      const base = tab === 'companies' ? '/api/registry/companies' : '/api/registry/people';
+      const body = tab === 'companies' ? editing : { ...editing, userIds: numbersText.split(',').map(n => n.trim()).filter(Boolean) };
+      const res = await apiFetch(editing.id ? `${base}/${editing.id}` : base, { method: editing.id ? 'PUT' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) { setError(data.error || 'Falha ao salvar.'); return; }
+      setEditing(null);
+      load();
+  };
+
+  const handleDelete = async () => {
+      if (!confirm(`Excluir "${editing.name}" do cadastro?`)) return;
+      const res = await apiFetch(`/api/registry/${tab === 'companies' ? 'companies' : 'people'}/${editing.id}`, { method: 'DELETE' });
+      if (res.ok) { setEditing(null); load(); }
+  };
+
+  const field = (key, label, props = {}) => (
+      <label className="block text-xs text-gray-500">{label}<input value={editing[key] || ''} onChange={e => setEditing(prev => ({ ...prev, [key]: e.target.value }))} disabled={!canManage} className="w-full p-1 border rounded text-sm text-black" {...props} /></label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-4xl h-[90vh] flex flex-col">
+        <div className="flex items-center gap-4 mb-4">
+          <h3 className="text-lg font-semibold">Cadastro de Clientes</h3>
+          {[['companies', `Empresas (${registry.companies.length})`], ['people', `Pessoas (${registry.people.length})`]].map(([key, label]) => (
+            <button key={key} onClick={() => { setTab(key); setEditing(null); }} className={`text-sm ${tab === key ? 'font-bold underline' : 'text-gray-500'}`}>{label}</button>
+          ))}
+        </div>
+        <div className="flex-1 flex gap-4 overflow-hidden">
+          <div className="w-1/2 flex flex-col">
+            <div className="flex gap-2 mb-2">
+              <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Buscar por nome, CNPJ, número..." className="flex-1 p-1 border rounded text-sm" />
+              {canManage && <button onClick={() => startEdit(null)} className="px-2 bg-green-600 text-white rounded text-xs">+ Novo</button>}
+            </div>
+            <div className="flex-1 overflow-y-auto border rounded">
+              {list.map(item => (
+                <div key={item.id} onClick={() => startEdit(item)} className={`p-2 border-b cursor-pointer hover:bg-gray-50 text-sm ${editing?.id === item.id ? 'bg-blue-50' : ''}`}>
+                  <p className="font-semibold">{item.name}</p>
+                  {tab === 'companies'
+                    ? <p className="text-xs text-gray-500">{item.cnpj || 'Sem CNPJ'}{item.taxRegime ? ` · ${TAX_REGIME_LABELS[item.taxRegime]}` : ''} · {registry.people.filter(p => p.companyIds.includes(item.id)).length} pessoa(s)</p>
+                    : <p className="text-xs text-gray-500">{item.userIds.map(u => u.split('@')[0]).join(', ') || 'Sem número'}{item.companyIds.length ? ` · ${item.companyIds.map(companyName).join(', ')}` : ''}</p>}
+                </div>
+              ))}
+              {list.length === 0 && <p className="p-3 text-xs text-gray-500">Nenhum registro.</p>}
+            </div>
+          </div>
+
+          <div className="w-1/2 overflow-y-auto space-y-2">
+            {!editing && <p className="text-xs text-gray-500">Selecione um registro para ver os detalhes.</p>}
+            {editing && tab === 'companies' && (
+              <>
+                {field('name', 'Razão social')}
+                {field('tradeName', 'Nome fantasia')}
+                {field('cnpj', 'CNPJ')}
+                <label className="block text-xs text-gray-500">Regime tributário
+                  <select value={editing.taxRegime || ''} onChange={e => setEditing(prev => ({ ...prev, taxRegime: e.target.value }))} disabled={!canManage} className="w-full p-1 border rounded text-sm text-black">
+                    <option value="">(não informado)</option>
+                    {registry.taxRegimes.map(r => <option key={r} value={r}>{TAX_REGIME_LABELS[r] || r}</option>)}
+                  </select>
+                </label>
+                <p className="text-xs font-bold text-gray-500 pt-2">CONTADOR RESPONSÁVEL POR SETOR</p>
+                {registry.departments.map(dept => (
+                  <div key={dept} className="flex items-center gap-2">
+                    <span className="w-28 text-xs">{dept}</span>
+                    <select value={editing.responsibles?.[dept] || ''} onChange={e => setEditing(prev => ({ ...prev, responsibles: { ...prev.responsibles, [dept]: e.target.value || undefined } }))} disabled={!canManage} className="flex-1 p-1 border rounded text-xs">
+                      <option value="">(ninguém)</option>
+                      {attendants.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                    </select>
+                  </div>
+                ))}
+                {editing.id && <p className="text-xs text-gray-500 pt-2">Pessoas: {registry.people.filter(p => p.companyIds.includes(editing.id)).map(p => p.name).join(', ') || 'nenhuma'}</p>}
+              </>
+            )}
+            {editing && tab === 'people' && (
+              <>
+                {field('name', 'Nome')}
+                {field('role', 'Cargo / função (ex.: sócio, financeiro)')}
+                {field('cpf', 'CPF')}
+                {field('email', 'E-mail')}
+                <label className="block text-xs text-gray-500">Números de WhatsApp (separados por vírgula)<input value={numbersText} onChange={e => setNumbersText(e.target.value)} disabled={!canManage} placeholder="5511999999999" className="w-full p-1 border rounded text-sm text-black font-mono" /></label>
+                <p className="text-xs font-bold text-gray-500 pt-2">EMPRESAS</p>
+                <div className="max-h-40 overflow-y-auto border rounded p-1">
+                  {registry.companies.map(c => (
+                    <label key={c.id} className="flex items-center gap-2 text-xs"><input type="checkbox" disabled={!canManage} checked={editing.companyIds.includes(c.id)} onChange={e => setEditing(prev => ({ ...prev, companyIds: e.target.checked ? [...prev.companyIds, c.id] : prev.companyIds.filter(id => id !== c.id) }))} />{c.name} <span className="text-gray-400">{c.cnpj}</span></label>
+                  ))}
+                  {registry.companies.length === 0 && <p className="text-xs text-gray-400">Cadastre as empresas primeiro.</p>}
+                </div>
+              </>
+            )}
+            {editing && (
+              <>
+                <label className="block text-xs text-gray-500">Observações<textarea value={editing.notes || ''} onChange={e => setEditing(prev => ({ ...prev, notes: e.target.value }))} disabled={!canManage} rows={3} className="w-full p-1 border rounded text-sm text-black" /></label>
+                {error && <p className="text-xs text-red-600">{error}</p>}
+                {canManage && (
+                  <div className="flex justify-between">
+                    {editing.id ? <button onClick={handleDelete} className="text-xs text-red-500 hover:underline">Excluir</button> : <span />}
+                    <button onClick={handleSave} className="px-4 py-1 bg-blue-600 text-white rounded text-sm">Salvar</button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+        <div className="flex justify-end mt-4"><button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button></div>
+      </div>
+    </div>
+  );
+};
+
+// --- AGENDA ---
+const APPOINTMENT_STATUS_LABELS = { booked: 'Agendado', confirmed: 'Confirmado', cancelled: 'Cancelado', done: 'Realizado' };
+const APPOINTMENT_STATUS_COLORS = { booked: 'bg-blue-100 text-blue-700', confirmed: 'bg-green-100 text-green-700', cancelled: 'bg-gray-100 text-gray-500 line-through', done: 'bg-gray-200 text-gray-700' };
+
+// Disponibilidade semanal de um especialista (mesmo formato do horário de atendimento)
+const WeeklyScheduleEditor = ({ schedule, onChange, idPrefix }) => (
+  <div className="grid grid-cols-2 gap-1">
+    {WEEKDAYS.map(day => (
+      <div key={day} className="flex items-center gap-1">
+        <span className="w-14 text-[10px]">{WEEKDAY_LABELS[day]}</span>
+        <input key={`${idPrefix}-${day}`} defaultValue={(schedule?.[day] || []).join(', ')} onBlur={e => onChange({ ...schedule, [day]: e.target.value.split(',').map(t => t.trim()).filter(Boolean) })} placeholder="—" className="flex-1 min-w-0 p-1 border rounded text-[10px] font-mono" />
+      </div>
+    ))}
+  </div>
+);
+
+const AgendaModal = ({ attendant, version, onClose }) => {
+  const [tab, setTab] = useState('agenda');
+  const [appointments, setAppointments] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [departmentFilter, setDepartmentFilter] = useState('');
+  const [form, setForm] = useState({ userId: '', userName: '', specialistId: '', start: '', description: '' });
+  const [newDepartment, setNewDepartment] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const load = useCallback(async () => {
+      const [appointmentsRes, configRes] = await Promise.all([apiFetch('/api/appointments'), apiFetch('/api/settings/scheduling')]);
+      if (appointmentsRes.ok) setAppointments(await appointmentsRes.json());
+      if (configRes.ok) setConfig((await configRes.json()).config);
+  }, []);
+  useEffect(() => { load(); }, [load, version]);
+
+  if (!config) return null;
+
+  const specialists = Object.entries(config.departments).flatMap(([department, d]) => (d.specialists || []).map(sp => ({ ...sp, department })));
+  const visible = appointments.filter(a => !departmentFilter || a.department === departmentFilter);
+  const byDay = visible.reduce((acc, a) => {
+      const day = new Date(a.start).toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' });
+      (acc[day] = acc[day] || []).push(a);
+      return acc;
+  }, {});
+
+  const setStatus = async (id, status) => {
+      if (status === 'cancelled' && !confirm('Cancelar este agendamento?')) return;
+      const res = await apiFetch(`/api/appointments/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ status }) });
+      if (!res.ok) { alert((await res.json().catch(() => ({}))).error || 'Falha ao atualizar.'); return; }
+      load();
+  };
+
+  const handleBook = async () => {
+      const res = await apiFetch('/api/appointments', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...form, start: new Date(form.start).toISOString() }) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) { alert(data.error || 'Falha ao agendar.'); return; }
+      setForm({ userId: '', userName: '', specialistId: '', start: '', description: '' });
+      load();
+  };
+
+  const updateDepartment = (department, mutator) => setConfig(prev => ({ ...prev, departments: { ...prev.departments, [department]: mutator(prev.departments[department]) } }));
+  const addDepartment = () => {
+      const name = newDepartment.trim();
+      if (!name || config.departments[name]) return;
+      setConfig(prev => ({ ...prev, departments: { ...prev.departments, [name]: { specialists: [] } } }));
+      setNewDepartment('');
+  };
+  const removeDepartment = (department) => setConfig(prev => { const departments = { ...prev.departments }; delete departments[department]; return { ...prev, departments }; });
+
+  const handleSaveConfig = async () => {
+      setErrors([]);
+      const res = await apiFetch('/api/settings/scheduling', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) { setErrors(data.errors || [data.error || 'Falha ao salvar.']); return; }
+      setConfig(data.config);
+      alert('Agenda salva.');
+  };
+
+  const numberField = (key, label) => (
+      <label className="text-xs">{label}<input type="number" value={config[key]} onChange={e => setConfig(prev => ({ ...prev, [key]: Number(e.target.value) }))} className="w-full p-1 border rounded" /></label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-3xl h-[90vh] flex flex-col">
+        <div className="flex items-center gap-4 mb-4">
+          <h3 className="text-lg font-semibold">Agenda</h3>
+          <button onClick={() => setTab('agenda')} className={`text-sm ${tab === 'agenda' ? 'font-bold underline' : 'text-gray-500'}`}>Compromissos</button>
+          {can(attendant, 'settings:manage') && <button onClick={() => setTab('specialists')} className={`text-sm ${tab === 'specialists' ? 'font-bold underline' : 'text-gray-500'}`}>Especialistas e horários</button>}
+        </div>
+
+        {tab === 'agenda' && (
+          <div className="flex-1 overflow-y-auto text-sm space-y-3">
+            <select value={departmentFilter} onChange={e => setDepartmentFilter(e.target.value)} className="p-1 border rounded text-xs">
+              <option value="">Todos os setores</option>
+              {Object.keys(config.departments).map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+            {Object.keys(byDay).length === 0 && <p className="text-xs text-gray-500">Nenhum agendamento no período.</p>}
+            {Object.entries(byDay).map(([day, items]) => (
+              <div key={day}>
+                <p className="text-xs font-bold text-gray-500 uppercase mb-1">{day}</p>
+                {items.map(a => (
+                  <div key={a.id} className="flex items-center gap-2 border-b py-1">
+                    <span className="font-mono text-xs w-12">{new Date(a.start).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}</span>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold truncate">{a.userName} <span className="font-normal text-xs text-gray-500">· {a.department} · {a.specialistName}</span></p>
+                      {a.description && <p className="text-xs text-gray-500 truncate">{a.description}</p>}
+                      {a.fields?.length > 0 && <p className="text-[10px] text-gray-500 truncate">{a.fields.filter(f => f.key !== 'reason').map(f => `${f.label}: ${f.value}`).join(' · ')}</p>}
+                    </div>
+                    <span className={`text-[10px] px-1 rounded ${APPOINTMENT_STATUS_COLORS[a.status]}`}>{APPOINTMENT_STATUS_LABELS[a.status] || a.status}</span>
+                    {can(attendant, 'chats:handle') && ['booked', 'confirmed'].includes(a.status) && (
+                      <>
+                        {a.status === 'booked' && <button onClick={() => setStatus(a.id, 'confirmed')} className="text-xs text-green-700 hover:underline">Confirmar</button>}
+                        <button onClick={() => setStatus(a.id, 'done')} className="text-xs text-gray-700 hover:underline">Realizado</button>
+                        <button onClick={() => setStatus(a.id, 'cancelled')} className="text-xs text-red-500 hover:underline">Cancelar</button>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+            {can(attendant, 'chats:handle') && specialists.length > 0 && (
+              <div className="border-t pt-3 space-y-2">
+                <p className="text-xs font-bold text-gray-500">NOVO AGENDAMENTO</p>
+                <div className="flex gap-2">
+                  <input value={form.userId} onChange={e => setForm(f => ({ ...f, userId: e.target.value }))} placeholder="Número (ex.: 5511999999999)" className="flex-1 p-1 border rounded text-xs" />
+                  <input value={form.userName} onChange={e => setForm(f => ({ ...f, userName: e.target.value }))} placeholder="Nome do cliente" className="flex-1 p-1 border rounded text-xs" />
+                </div>
+                <div className="flex gap-2">
+                  <select value={form.specialistId} onChange={e => setForm(f => ({ ...f, specialistId: e.target.value }))} className="flex-1 p-1 border rounded text-xs">
+                    <option value="">Especialista...</option>
+                    {specialists.map(sp => <option key={sp.id} value={sp.id}>{sp.name} ({sp.department})</option>)}
+                  </select>
+                  <input type="datetime-local" value={form.start} onChange={e => setForm(f => ({ ...f, start: e.target.value }))} className="p-1 border rounded text-xs" />
+                </div>
+                <div className="flex gap-2">
+                  <input value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} placeholder="Motivo (opcional)" className="flex-1 p-1 border rounded text-xs" />
+                  <button onClick={handleBook} disabled={!form.userId || !form.specialistId || !form.start} className="px-3 bg-blue-600 text-white rounded text-xs disabled:bg-blue-300">Agendar</button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {tab === 'specialists' && (
+          <div className="flex-1 overflow-y-auto text-sm space-y-3">
+            <div className="grid grid-cols-4 gap-2">
+              {numberField('slotMinutes', 'Duração (min)')}
+              {numberField('minNoticeHours', 'Antecedência (h)')}
+              {numberField('daysAhead', 'Dias à frente')}
+              {numberField('maxOffered', 'Horários no WhatsApp')}
+            </div>
+            <p className="text-[10px] text-gray-400">Os nomes dos setores devem ser iguais aos do fluxo do bot (ex.: Fiscal, RH). Feriados seguem o horário de atendimento.</p>
+            {Object.entries(config.departments).map(([department, d]) => (
+              <div key={department} className="border rounded p-2 space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="font-bold">{department}</p>
+                  <div className="flex gap-3">
+                    <button onClick={() => updateDepartment(department, dep => ({ ...dep, specialists: [...(dep.specialists || []), { id: `sp_${Date.now()}`, name: '', schedule: {} }] }))} className="text-xs text-green-700 hover:underline">+ Especialista</button>
+                    <button onClick={() => removeDepartment(department)} className="text-xs text-red-500 hover:underline">Remover setor</button>
+                  </div>
+                </div>
+                {(d.specialists || []).map((sp, i) => (
+                  <div key={sp.id} className="bg-gray-50 rounded p-2 space-y-1">
+                    <div className="flex gap-2">
+                      <input value={sp.name} onChange={e => updateDepartment(department, dep => ({ ...dep, specialists: dep.specialists.map((x, j) => j === i ? { ...x, name: e.target.value } : x) }))} placeholder="Nome do especialista" className="flex-1 p-1 border rounded text-xs" />
+                      <button onClick={() => updateDepartment(department, dep => ({ ...dep, specialists: dep.specialists.filter((_, j) => j !== i) }))} className="text-xs text-red-500">✕</button>
+                    </div>
+                    <WeeklyScheduleEditor idPrefix={sp.id} schedule={sp.schedule} onChange={schedule => updateDepartment(department, dep => ({ ...dep, specialists: dep.specialists.map((x, j) => j === i ? { ...x, schedule } : x) }))} />
+                  </div>
+                ))}
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <input value={newDepartment} onChange={e => setNewDepartment(e.target.value)} placeholder="Nome do setor" className="flex-1 p-1 border rounded text-xs" />
+              <button onClick={addDepartment} className="px-3 bg-gray-800 text-white rounded text-xs">Adicionar setor</button>
+            </div>
+            {errors.length > 0 && <ul className="text-xs text-red-600 list-disc pl-4">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>}
+            <div className="flex justify-end"><button onClick={handleSaveConfig} className="px-4 py-2 bg-blue-600 text-white rounded">Salvar agenda</button></div>
+          </div>
+        )}
+
+        <div className="flex justify-end mt-4"><button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button></div>
+      </div>
+    </div>
+  );
+};
+
+// --- HORÁRIO DE ATENDIMENTO ---
+// Intervalos editados como texto ("08:00-12:00, 13:00-18:00"); a validação fica no servidor.
+const BusinessHoursModal = ({ onClose }) => {
+  const [config, setConfig] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [status, setStatus] = useState({});
+  const [scope, setScope] = useState('default');
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = useCallback(async () => {
+      const res = await apiFetch('/api/settings/business-hours');
+      if (!res.ok) return;
+      const data = await res.json();
+      setConfig(data.config); setDepartments(data.departments); setStatus(data.status);
+  }, []);
+  useEffect(() => { load(); }, [load]);
+
+  if (!config) return null;
+
+  const schedule = scope === 'default' ? config.default : config.departments[scope];
+  const setDay = (day, text) => {
+      const intervals = text.split(',').map(t => t.trim()).filter(Boolean);
+      setConfig(prev => scope === 'default'
+          ? { ...prev, default: { ...prev.default, [day]: intervals } }
+          : { ...prev, departments: { ...prev.departments, [scope]: { ...prev.departments[scope], [day]: intervals } } });
+  };
+  const toggleOwnSchedule = (enabled) => setConfig(prev => {
+      const nextDepartments = { ...prev.departments };
+      if (enabled) nextDepartments[scope] = { ...prev.default };
+      else delete nextDepartments[scope];
+      return { ...prev, departments: nextDepartments };
+  });
+  const addHoliday = () => {
+      if (!newHoliday.date) return;
+      setConfig(prev => ({ ...prev, holidays: [...prev.holidays.filter(h => h.date !== newHoliday.date), newHoliday].sort((a, b) => a.date.localeCompare(b.date)) }));
+      setNewHoliday({ date: '', name: '' });
+  };
+
+  const handleSave = async () => {
+      setIsSaving(true); setErrors([]);
+      try {
+          const res = await apiFetch('/api/settings/business-hours', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setErrors(data.errors || [data.error || 'Falha ao salvar.']); return; }
+          await load();
+          alert('Horário de atendimento salvo.');
+      } finally { setIsSaving(false); }
+  };
+
+  const scopeStatus = status[scope];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4">Horário de Atendimento</h3>
+        <div className="flex-1 overflow-y-auto space-y-3 text-sm">
+          <div>
+            <label className="block text-xs font-bold text-gray-500">FUSO HORÁRIO</label>
+            <input value={config.timezone} onChange={e => setConfig(prev => ({ ...prev, timezone: e.target.value }))} className="w-full p-1 border rounded" />
+          </div>
+          <div className="flex items-center gap-2">
+            <select value={scope} onChange={e => setScope(e.target.value)} className="flex-1 p-1 border rounded">
+              <option value="default">Padrão (todos os setores)</option>
+              {departments.map(d => <option key={d} value={d}>{d}{config.departments[d] ? ' (horário próprio)' : ''}</option>)}
+            </select>
+            {scope !== 'default' && <label className="flex items-center gap-1 text-xs"><input type="checkbox" checked={!!config.departments[scope]} onChange={e => toggleOwnSchedule(e.target.checked)} />Horário próprio</label>}
+          </div>
+          {scopeStatus && <p className={`text-xs ${scopeStatus.open ? 'text-green-700' : 'text-gray-500'}`}>{scopeStatus.open ? '● Aberto agora' : `○ Fechado${scopeStatus.holiday ? ` (feriado: ${scopeStatus.holiday.name})` : ''}`}{scopeStatus.nextOpening && !scopeStatus.open ? ` — abre ${formatDateTime(scopeStatus.nextOpening)}` : ''}</p>}
+          {schedule ? WEEKDAYS.map(day => (
+            <div key={day} className="flex items-center gap-2">
+              <span className="w-20 text-xs">{WEEKDAY_LABELS[day]}</span>
+              <input defaultValue={(schedule[day] || []).join(', ')} key={`${scope}-${day}`} onBlur={e => setDay(day, e.target.value)} placeholder="Fechado" className="flex-1 p-1 border rounded text-xs font-mono" />
+            </div>
+          )) : <p className="text-xs text-gray-500">Este setor segue o horário padrão.</p>}
+
+          <p className="text-xs font-bold text-gray-500 pt-2">FERIADOS</p>
+          {config.holidays.map(h => (
+            <div key={h.date} className="flex items-center gap-2 text-xs">
+              <span className="font-mono">{h.date}</span><span className="flex-1">{h.name}</span>
+              <button onClick={() => setConfig(prev => ({ ...prev, holidays: prev.holidays.filter(x => x.date !== h.date) }))} className="text-red-500">✕</button>
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <input type="date" value={newHoliday.date} onChange={e => setNewHoliday(prev => ({ ...prev, date: e.target.value }))} className="p-1 border rounded text-xs" />
+            <input value={newHoliday.name} onChange={e => setNewHoliday(prev => ({ ...prev, name: e.target.value }))} placeholder="Nome do feriado" className="flex-1 p-1 border rounded text-xs" />
+            <button onClick={addHoliday} disabled={!newHoliday.date} className="px-2 bg-gray-800 text-white rounded text-xs disabled:bg-gray-400">Adicionar</button>
+          </div>
+        </div>
+        {errors.length > 0 && <ul className="mt-2 text-xs text-red-600 list-disc pl-4">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">{isSaving ? 'Salvando...' : 'Salvar'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- CRM: CAMPOS PERSONALIZADOS E FICHA DO CONTATO ---
+const CUSTOM_FIELD_TYPE_LABELS = { text: 'Texto', date: 'Data', select: 'Lista de opções' };
+
+const SlaSettingsModal = ({ onClose }) => {
+  const [config, setConfig] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [tagNames, setTagNames] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+      apiFetch('/api/settings/sla').then(r => r.ok ? r.json() : null).then(data => { if (data) { setConfig(data.config); setDepartments(data.departments); setTagNames(data.tags); } }).catch(() => {});
+  }, []);
+  if (!config) return null;
+
+  // Campo vazio no setor = segue a meta padrão
+  const setTarget = (department, priority, raw) => setConfig(prev => {
+      const value = raw === '' ? undefined : Number(raw);
+      if (!department) return { ...prev, targets: { ...prev.targets, [priority]: value } };
+      const own = { ...prev.departments[department], [priority]: value };
+      if (value === undefined) delete own[priority];
+      const departmentsConfig = { ...prev.departments, [department]: own };
+      if (Object.keys(own).length === 0) delete departmentsConfig[department];
+      return { ...prev, departments: departmentsConfig };
+  });
+  const updateRule = (index, patch) => setConfig(prev => ({ ...prev, priorityRules: prev.priorityRules.map((r, i) => i === index ? { ...r, ...patch } : r) }));
+  const updateNotices = (patch) => setConfig(prev => ({ ...prev, waitingNotices: { ...prev.waitingNotices, ...patch } }));
+
+  const handleSave = async () => {
+      setIsSaving(true); setErrors([]);
+      try {
+          const res = await apiFetch('/api/settings/sla', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setErrors(data.errors || [data.error || 'Falha ao salvar.']); return; }
+          setConfig(data.config);
+          alert('Metas de atendimento salvas.');
+      } finally { setIsSaving(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">Metas de Atendimento (SLA)</h3>
+        <p className="text-xs text-gray-500 mb-4">Tempo máximo, em minutos, para um pedido da fila ser assumido. Recados fora do horário não contam prazo.</p>
+        <div className="flex-1 overflow-y-auto space-y-3 text-sm">
+          <table className="w-full text-xs">
+            <thead><tr className="text-left text-gray-500"><th className="p-1">Setor</th>{Object.entries(PRIORITY_LABELS).map(([p, label]) => <th key={p} className="p-1">{label}</th>)}</tr></thead>
+            <tbody>
+              <tr className="font-bold"><td className="p-1">Padrão</td>{Object.keys(PRIORITY_LABELS).map(p => <td key={p} className="p-1"><input type="number" min={1} value={config.targets[p] ?? ''} onChange={e => setTarget(null, p, e.target.value)} className="w-16 p-1 border rounded" /></td>)}</tr>
+              {departments.map(d => (
+                <tr key={d}><td className="p-1">{d}</td>{Object.keys(PRIORITY_LABELS).map(p => <td key={p} className="p-1"><input type="number" min={1} value={config.departments[d]?.[p] ?? ''} placeholder={String(config.targets[p] ?? '')} onChange={e => setTarget(d, p, e.target.value)} className="w-16 p-1 border rounded" /></td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-xs font-bold text-gray-500">PRIORIDADE</p>
+          {config.priorityRules.map((rule, i) => (
+            <div key={i} className="flex gap-2 items-center text-xs">
+              <select value={rule.type} onChange={e => updateRule(i, { type: e.target.value })} className="p-1 border rounded">
+                <option value="keyword">Palavra na conversa</option>
+                <option value="tag">Etiqueta do contato</option>
+              </select>
+              <input value={rule.value} onChange={e => updateRule(i, { value: e.target.value })} list={rule.type === 'tag' ? 'sla-tag-names' : undefined} placeholder={rule.type === 'tag' ? 'Nome da etiqueta' : 'Ex.: urgente'} className="flex-1 p-1 border rounded" />
+              <select value={rule.priority} onChange={e => updateRule(i, { priority: e.target.value })} className="p-1 border rounded">
+                <option value="high">{PRIORITY_LABELS.high}</option>
+                <option value="urgent">{PRIORITY_LABELS.urgent}</option>
+              </select>
+              <button onClick={() => setConfig(prev => ({ ...prev, priorityRules: prev.priorityRules.filter((_, j) => j !== i) }))} className="text-red-500 px-1">✕</button>
+            </div>
+          ))}
+          <datalist id="sla-tag-names">{tagNames.map(name => <option key={name} value={name} />)}</datalist>
+          <button onClick={() => setConfig(prev => ({ ...prev, priorityRules: [...prev.priorityRules, { type: 'keyword', value: '', priority: 'high' }] }))} className="text-xs text-blue-600 hover:underline">+ Adicionar regra</button>
+
+          <p className="text-xs font-bold text-gray-500">AVISO AO CLIENTE QUANDO O PRAZO ESTOURA</p>
+          <div className="flex flex-wrap gap-3 items-center text-xs">
+            <label className="flex items-center gap-1"><input type="checkbox" checked={!!config.waitingNotices.enabled} onChange={e => updateNotices({ enabled: e.target.checked })} />Enviar "você continua na fila"</label>
+            <label>a cada <input type="number" min={1} value={config.waitingNotices.intervalMinutes} onChange={e => updateNotices({ intervalMinutes: Number(e.target.value) })} className="w-14 p-1 border rounded" /> min</label>
+            <label>no máximo <input type="number" min={0} max={10} value={config.waitingNotices.max} onChange={e => updateNotices({ max: Number(e.target.value) })} className="w-14 p-1 border rounded" /> vez(es)</label>
+          </div>
+        </div>
+        {errors.length > 0 && <ul className="mt-2 text-xs text-red-600 list-disc pl-4">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">{isSaving ? 'Salvando...' : 'Salvar'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ROUTING_STRATEGY_LABELS = {
+  manual: 'Manual — o atendente clica no pedido para assumir',
+  round_robin: 'Revezamento entre os atendentes online do setor',
+  least_active: 'Para quem tem menos conversas em andamento',
+};
+
+const RoutingSettingsModal = ({ attendants, presence = [], onClose }) => {
+  const [config, setConfig] = useState(null);
+  const [presenceConfig, setPresenceConfig] = useState(null);
+  const [online, setOnline] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+      apiFetch('/api/settings/routing').then(r => r.ok ? r.json() : null).then(data => { if (data) { setConfig(data.config); setOnline(data.online); } }).catch(() => {});
+      apiFetch('/api/settings/presence').then(r => r.ok ? r.json() : null).then(data => { if (data) setPresenceConfig(data.config); }).catch(() => {});
+  }, []);
+  if (!config || !presenceConfig) return null;
+
+  const setPresenceNumber = (key, value) => setPresenceConfig(prev => ({ ...prev, [key]: value === '' ? '' : Number(value) }));
+
+  const handleSave = async () => {
+      setIsSaving(true); setErrors([]);
+      try {
+          const res = await apiFetch('/api/settings/routing', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setErrors(data.errors || [data.error || 'Falha ao salvar.']); return; }
+          setConfig(data.config);
+          const presenceRes = await apiFetch('/api/settings/presence', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config: presenceConfig }) });
+          const presenceData = await presenceRes.json().catch(() => ({}));
+          if (!presenceRes.ok) { setErrors(presenceData.errors || [presenceData.error || 'Falha ao salvar.']); return; }
+          setPresenceConfig(presenceData.config);
+          alert('Distribuição da fila salva.');
+      } finally { setIsSaving(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">Distribuição da Fila</h3>
+        <p className="text-xs text-gray-500 mb-4">Os setores de cada atendente são definidos em "Gerenciar Atendentes". Só recebe pedidos automaticamente quem está com o painel aberto.</p>
+        <div className="flex-1 overflow-y-auto space-y-2 text-sm">
+          {Object.entries(ROUTING_STRATEGY_LABELS).map(([value, label]) => (
+            <label key={value} className="flex items-center gap-2">
+              <input type="radio" name="routing-strategy" checked={config.strategy === value} onChange={() => setConfig(prev => ({ ...prev, strategy: value }))} />{label}
+            </label>
+          ))}
+          <label className="flex items-start gap-2 pt-2 border-t">
+            <input type="checkbox" checked={!!config.preferLastAttendant} onChange={e => setConfig(prev => ({ ...prev, preferLastAttendant: e.target.checked }))} className="mt-1" />
+            <span>Entregar primeiro ao último atendente que falou com o cliente, se ele estiver online e atender o setor</span>
+          </label>
+          <p className="text-xs font-bold text-gray-500 pt-2 border-t">PRESENÇA E CAPACIDADE</p>
+          <label className="flex items-center justify-between gap-2">Ausente após (minutos sem mexer no painel)<input type="number" min={1} max={240} value={presenceConfig.awayAfterMinutes} onChange={e => setPresenceNumber('awayAfterMinutes', e.target.value)} className="w-20 p-1 border rounded" /></label>
+          <label className="flex items-center justify-between gap-2">Devolver conversas à fila após (minutos offline, 0 = nunca)<input type="number" min={0} max={1440} value={presenceConfig.requeueAfterMinutes} onChange={e => setPresenceNumber('requeueAfterMinutes', e.target.value)} className="w-20 p-1 border rounded" /></label>
+          <label className="flex items-center justify-between gap-2">Limite padrão de conversas simultâneas (0 = sem limite)<input type="number" min={0} max={100} value={presenceConfig.defaultMaxChats} onChange={e => setPresenceNumber('defaultMaxChats', e.target.value)} className="w-20 p-1 border rounded" /></label>
+          <p className="text-xs text-gray-500">O limite de cada atendente pode ser ajustado em "Gerenciar Atendentes".</p>
+          <p className="text-xs font-bold text-gray-500 pt-2">ONLINE AGORA</p>
+          <p className="text-xs text-gray-700">{attendants.filter(a => online.includes(a.id)).map(a => `${a.name}${a.departments?.length ? ` (${a.departments.join(', ')})` : ' (todos os setores)'}`).join(' · ') || 'Ninguém.'}</p>
+          <ul className="text-xs text-gray-600 space-y-0.5">{attendants.map(a => <li key={a.id}>{a.name}: {formatPresence(presence.find(p => p.id === a.id))}</li>)}</ul>
+        </div>
+        {errors.length > 0 && <ul className="mt-2 text-xs text-red-600 list-disc pl-4">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">{isSaving ? 'Salvando...' : 'Salvar'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CustomFieldsModal = ({ onClose }) => {
+  const [fields, setFields] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => { apiFetch('/api/custom-fields').then(r => r.ok ? r.json() : []).then(setFields).catch(() => setFields([])); }, []);
+  if (!fields) return null;
+
+  const update = (index, patch) => setFields(prev => prev.map((f, i) => i === index ? { ...f, ...patch } : f));
+
+  const handleSave = async () => {
+      setIsSaving(true); setError('');
+      try {
+          const res = await apiFetch('/api/custom-fields', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ fields }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setError(data.error || 'Falha ao salvar.'); return; }
+          setFields(data);
+          alert('Campos personalizados salvos.');
+      } finally { setIsSaving(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">Campos Personalizados</h3>
+        <p className="text-xs text-gray-500 mb-4">Aparecem na ficha de cada contato, ao lado da conversa.</p>
+        <div className="flex-1 overflow-y-auto space-y-2 text-sm">
+          {fields.map((f, i) => (
+            <div key={f.id || i} className="border rounded p-2 space-y-1">
+              <div className="flex gap-2">
+                <input value={f.label} onChange={e => update(i, { label: e.target.value })} placeholder="Nome do campo" className="flex-1 p-1 border rounded" />
+                <select value={f.type} onChange={e => update(i, { type: e.target.value })} className="p-1 border rounded">
+                  {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+                <button onClick={() => setFields(prev => prev.filter((_, j) => j !== i))} className="text-red-500 px-1">✕</button>
+              </div>
+              {f.type === 'select' && <input defaultValue={(f.options || []).join(', ')} onBlur={e => update(i, { options: e.target.value.split(',').map(o => o.trim()).filter(Boolean) })} placeholder="Opções separadas por vírgula" className="w-full p-1 border rounded text-xs" />}
+            </div>
+          ))}
+          {fields.length === 0 && <p className="text-xs text-gray-500">Nenhum campo definido.</p>}
+          <button onClick={() => setFields(prev => [...prev, { label: '', type: 'text' }])} className="text-xs text-blue-600 hover:underline">+ Adicionar campo</button>
+        </div>
+        {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">{isSaving ? 'Salvando...' : 'Salvar'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Painel lateral com anotações e campos personalizados do contato da conversa aberta
+const CrmSidePanel = ({ userId, attendant, version, onClose }) => {
+  const [crm, setCrm] = useState(null);
+  const [values, setValues] = useState({});
+  const [newNote, setNewNote] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+      const res = await apiFetch(`/api/contacts/${encodeURIComponent(userId)}/crm`);
+      if (!res.ok) return;
+      const data = await res.json();
+      setCrm(data); setValues(data.fields);
+  }, [userId]);
+  useEffect(() => { load(); }, [load, version]);
+
+  const canEdit = can(attendant, 'chats:handle');
+  const request = async (path, method, body) => {
+      setError('');
+      const res = await apiFetch(`/api/contacts/${encodeURIComponent(userId)}${path}`, { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+      if (!res.ok) { setError((await res.json().catch(() => ({}))).error || 'Falha ao salvar.'); return false; }
+      await load();
+      return true;
+  };
+
+  const addNote = async () => { if (newNote.trim() && await request('/notes', 'POST', { text: newNote })) setNewNote(''); };
+  const saveEdit = async () => { if (await request(`/notes/${editing.id}`, 'PUT', { text: editing.text })) setEditing(null); };
+  const removeNote = (id) => { if (confirm('Remover esta anotação?')) request(`/notes/${id}`, 'DELETE'); };
+  const saveFields = () => request('/fields', 'PUT', { values });
+
+  if (!crm) return <aside className="w-80 bg-white border-l p-4 text-sm text-gray-500">Carregando...</aside>;
+
+  const term = search.trim().toLowerCase();
+  const notes = term ? crm.notes.filter(n => n.text.toLowerCase().includes(term) || (n.authorName || '').toLowerCase().includes(term)) : crm.notes;
+  const isMine = (note) => note.authorId === attendant.id || can(attendant, 'attendants:manage');
+
+  return (
+    <aside className="w-80 bg-white border-l flex flex-col text-sm">
+      <div className="p-3 border-b flex justify-between items-center">
+        <h3 className="font-semibold">📇 Ficha do contato</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✕</button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-3 space-y-4">
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        {crm.definitions.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-gray-500">CAMPOS</p>
+            {crm.definitions.map(def => (
+              <div key={def.id}>
+                <label className="block text-xs text-gray-500">{def.label}</label>
+                {def.type === 'select' ? (
+                  <select value={values[def.id] || ''} disabled={!canEdit} onChange={e => setValues(prev => ({ ...prev, [def.id]: e.target.value }))} className="w-full p-1 border rounded">
+                    <option value="">—</option>
+                    {def.options.map(o => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                ) : (
+                  <input type={def.type === 'date' ? 'date' : 'text'} value={values[def.id] || ''} disabled={!canEdit} onChange={e => setValues(prev => ({ ...prev, [def.id]: e.target.value }))} className="w-full p-1 border rounded" />
+                )}
+              </div>
+            ))}
+            {canEdit && <button onClick={saveFields} className="w-full py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700">Salvar campos</button>}
+          </div>
+        )}
+        <div className="space-y-2">
+          <p className="text-xs font-bold text-gray-500">ANOTAÇÕES ({crm.notes.length})</p>
+          {canEdit && (
+            <div>
+              <textarea value={newNote} onChange={e => setNewNote(e.target.value)} rows={2} placeholder="Registrar algo sobre este cliente..." className="w-full p-1 border rounded text-xs" />
+              <button onClick={addNote} disabled={!newNote.trim()} className="w-full py-1 bg-gray-800 text-white rounded text-xs disabled:bg-gray-400">Adicionar anotação</button>
+            </div>
+          )}
+          {crm.notes.length > 3 && <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Buscar nas anotações..." className="w-full p-1 border rounded text-xs" />}
+          {notes.map(note => (
+            <div key={note.id} className="border rounded p-2 bg-yellow-50">
+              {editing?.id === note.id ? (
+                <>
+                  <textarea value={editing.text} onChange={e => setEditing(prev => ({ ...prev, text: e.target.value }))} rows={3} className="w-full p-1 border rounded text-xs" />
+                  <div className="flex justify-end gap-2 text-xs">
+                    <button onClick={() => setEditing(null)} className="text-gray-500">Cancelar</button>
+                    <button onClick={saveEdit} className="text-blue-600">Salvar</button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <p className="text-xs whitespace-pre-wrap">{note.text}</p>
+                  <div className="flex justify-between items-center mt-1 text-[10px] text-gray-500">
+                    <span>{note.authorName} · {formatDateTime(note.createdAt)}{note.updatedAt ? ' (editada)' : ''}</span>
+                    {canEdit && isMine(note) && <span className="space-x-2"><button onClick={() => setEditing({ id: note.id, text: note.text })} className="hover:underline">Editar</button><button onClick={() => removeNote(note.id)} className="text-red-500 hover:underline">Remover</button></span>}
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+          {notes.length === 0 && <p className="text-xs text-gray-400">{term ? 'Nenhuma anotação encontrada.' : 'Nenhuma anotação ainda.'}</p>}
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+// --- CONFIGURAÇÃO DA IA (PROVEDORES, MODELO E TEMPO LIMITE) ---
+const AI_PROVIDER_LABELS = { gemini: 'Google Gemini', mock: 'Simulado (offline)' };
+
+const AiSettingsModal = ({ onClose }) => {
+  const [config, setConfig] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [scope, setScope] = useState('default');
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [testText, setTestText] = useState('');
+  const [testResult, setTestResult] = useState(null);
+
+  const load = useCallback(async () => {
+      const res = await apiFetch('/api/settings/ai');
+      if (!res.ok) return;
+      const data = await res.json();
+      setConfig(data.config); setProviders(data.providers); setDepartments(data.departments);
+  }, []);
+  useEffect(() => { load(); }, [load]);
+
+  if (!config) return null;
+
+  // Setor sem ajuste próprio: current fica indefinido e o setor segue o padrão
+  const current = scope === 'default' ? { ...config.default, providers: config.providers } : config.departments[scope];
+  const update = (patch) => setConfig(prev => scope === 'default'
+      ? { ...prev, ...(patch.providers ? { providers: patch.providers } : {}), default: { ...prev.default, ...Object.fromEntries(Object.entries(patch).filter(([k]) => k !== 'providers')) } }
+      : { ...prev, departments: { ...prev.departments, [scope]: { ...prev.departments[scope], ...patch } } });
+  const toggleOwnSettings = (enabled) => setConfig(prev => {
+      const nextDepartments = { ...prev.departments };
+      if (enabled) nextDepartments[scope] = { ...prev.default, providers: [...prev.providers] };
+      else delete nextDepartments[scope];
+      return { ...prev, departments: nextDepartments };
+  });
+  const order = current?.providers || [];
+  const toggleProvider = (name, enabled) => update({ providers: enabled ? [...order, name] : order.filter(p => p !== name) });
+  const moveUp = (index) => { if (index === 0) return; const next = [...order]; [next[index - 1], next[index]] = [next[index], next[index - 1]]; update({ providers: next }); };
+
+  const handleSave = async () => {
+      setIsSaving(true); setErrors([]);
+      try {
+          const res = await apiFetch('/api/settings/ai', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ config }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setErrors(data.errors || [data.error || 'Falha ao salvar.']); return; }
+          await load();
+          alert('Configuração de IA salva.');
+      } finally { setIsSaving(false); }
+  };
+
+  const handleTest = async () => {
+      setTestResult({ pending: true });
+      const res = await apiFetch('/api/settings/ai/test', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ department: scope === 'default' ? '' : scope, text: testText }) });
+      setTestResult(await res.json().catch(() => ({ error: 'Falha no teste.' })));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4">Configuração da IA</h3>
+        <div className="flex-1 overflow-y-auto space-y-3 text-sm">
+          <div className="flex items-center gap-2">
+            <select value={scope} onChange={e => setScope(e.target.value)} className="flex-1 p-1 border rounded">
+              <option value="default">Padrão (todos os setores)</option>
+              {departments.map(d => <option key={d} value={d}>{d}{config.departments[d] ? ' (ajuste próprio)' : ''}</option>)}
+            </select>
+            {scope !== 'default' && <label className="flex items-center gap-1 text-xs"><input type="checkbox" checked={!!config.departments[scope]} onChange={e => toggleOwnSettings(e.target.checked)} />Ajuste próprio</label>}
+          </div>
+          {current ? (
+            <>
+              <p className="text-xs font-bold text-gray-500">PROVEDORES (em ordem de tentativa)</p>
+              {order.map((name, i) => (
+                <div key={name} className="flex items-center gap-2 text-xs">
+                  <span className="w-4 text-gray-400">{i + 1}.</span>
+                  <span className="flex-1">{AI_PROVIDER_LABELS[name] || name}{!providers.find(p => p.name === name)?.available && <span className="text-red-500"> (não configurado)</span>}</span>
+                  <button onClick={() => moveUp(i)} disabled={i === 0} className="px-1 disabled:text-gray-300">↑</button>
+                  <button onClick={() => toggleProvider(name, false)} className="px-1 text-red-500">✕</button>
+                </div>
+              ))}
+              {providers.filter(p => !order.includes(p.name)).map(p => (
+                <button key={p.name} onClick={() => toggleProvider(p.name, true)} className="block text-xs text-blue-600 hover:underline">+ {AI_PROVIDER_LABELS[p.name] || p.name}{p.available ? '' : ' (não configurado)'}</button>
+              ))}
+              <div className="grid grid-cols-3 gap-2">
+                <div className="col-span-3">
+                  <label className="block text-xs font-bold text-gray-500">MODELO</label>
+                  <input value={current.model || ''} onChange={e => update({ model: e.target.value })} className="w-full p-1 border rounded font-mono text-xs" />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold text-gray-500">TEMPERATURA</label>
+                  <input type="number" min={0} max={2} step={0.1} value={current.temperature ?? ''} onChange={e => update({ temperature: Number(e.target.value) })} className="w-full p-1 border rounded" />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold text-gray-500">TEMPO LIMITE (s)</label>
+                  <input type="number" min={1} max={120} value={current.timeoutMs ? current.timeoutMs / 1000 : ''} onChange={e => update({ timeoutMs: Math.round(Number(e.target.value) * 1000) })} className="w-full p-1 border rounded" />
+                </div>
+              </div>
+            </>
+          ) : <p className="text-xs text-gray-500">Este setor segue a configuração padrão.</p>}
+
+          <label className="flex items-start gap-2 text-xs">
+            <input type="checkbox" checked={!!config.intentClassifier} onChange={e => setConfig(prev => ({ ...prev, intentClassifier: e.target.checked }))} className="mt-0.5" />
+            <span>Usar a IA para entender texto livre nos menus quando as palavras-chave das opções não bastarem</span>
+          </label>
+
+          <div className="border rounded p-2 bg-gray-50 space-y-2">
+            <p className="text-xs font-bold text-gray-500">TESTAR (configuração salva)</p>
+            <div className="flex gap-2">
+              <input value={testText} onChange={e => setTestText(e.target.value)} placeholder="Mensagem de teste" className="flex-1 p-1 border rounded text-xs" />
+              <button onClick={handleTest} disabled={testResult?.pending} className="px-2 bg-gray-800 text-white rounded text-xs disabled:bg-gray-400">Enviar</button>
+            </div>
+            {testResult && !testResult.pending && (testResult.error
+              ? <div className="text-xs text-red-600"><p>{testResult.error}</p></div>
+              : <p className="text-xs whitespace-pre-wrap"><span className="font-bold">{AI_PROVIDER_LABELS[testResult.provider] || testResult.provider}:</span> {testResult.text}</p>)}
+          </div>
+        </div>
+        {errors.length > 0 && <ul className="mt-2 text-xs text-red-600 list-disc pl-4">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+          <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded disabled:bg-blue-300">{isSaving ? 'Salvando...' : 'Salvar'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- BASE DE CONHECIMENTO DA IA ---
+const emptyArticle = { id: null, title: '', department: '', kind: 'faq', content: '', file: null };
+
+const KnowledgeBaseModal = ({ onClose }) => {
+  const [articles, setArticles] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [editing, setEditing] = useState(null);
+  const [test, setTest] = useState({ question: '', department: '' });
+  const [testResult, setTestResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const load = useCallback(async () => {
+      const res = await apiFetch('/api/knowledge');
+      if (!res.ok) return;
+      const data = await res.json();
+      setArticles(data.articles); setDepartments(data.departments);
+  }, []);
+  useEffect(() => { load(); }, [load]);
+
+  const openArticle = async (id) => {
+      const res = await apiFetch(`/api/knowledge/${id}`);
+      if (res.ok) { setEditing({ ...emptyArticle, ...(await res.json()) }); setError(''); }
+  };
+
+  const handleFile = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = ev => setEditing(prev => ({ ...prev, file: { name: file.name, type: file.type, data: (ev.target.result as string).split(',')[1] } }));
+      reader.readAsDataURL(file);
   };
 
-  const openForwardModal = (msg) => {
-      setMessageToForward(msg);
-      setForwardModalOpen(true);
+  const handleSave = async () => {
+      setIsBusy(true); setError('');
+      try {
+          const { id, title, department, kind, content, file } = editing;
+          const res = await apiFetch(id ? `/api/knowledge/${id}` : '/api/knowledge', { method: id ? 'PUT' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ title, department, kind, content: file ? undefined : content, file }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) { setError(data.error || 'Falha ao salvar.'); return; }
+          setEditing(null);
+          await load();
+      } finally { setIsBusy(false); }
   };
 
-  const handleForward = async (targetUserId) => {
-      if (!messageToForward) return;
-      await fetch('/api/chats/forward', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ originalMessage: messageToForward, targetUserId, attendantId: attendant.id })
-      });
-      setForwardModalOpen(false);
-      setMessageToForward(null);
+  const handleDelete = async (article) => {
+      if (!confirm(`Remover "${article.title}" da base de conhecimento?`)) return;
+      await apiFetch(`/api/knowledge/${article.id}`, { method: 'DELETE' });
+      setEditing(null);
+      load();
   };
 
-  if (!selectedChat) return <div className="flex-1 flex flex-col items-center justify-center bg-gray-100 text-gray-500"><span>Selecione um atendimento para começar.</span></div>;
+  const handleTest = async () => {
+      setIsBusy(true); setTestResult(null);
+      try {
+          const res = await apiFetch('/api/knowledge/test', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(test) });
+          const data = await res.json().catch(() => ({}));
+          setTestResult(res.ok ? data : { error: data.error || 'Falha no teste.', passages: [] });
+      } finally { setIsBusy(false); }
+  };
+
+  const visible = filter === 'all' ? articles : articles.filter(a => (a.department || '') === filter);
+  const departmentLabel = (d) => d || 'Todos os setores';
 
   return (
-    <div className="flex-1 flex flex-col bg-gray-100 relative">
-      <header className="bg-white p-3 border-b flex justify-between items-center shadow-sm">
-        <div><h2 className="font-semibold">{selectedChat.userName}</h2><p className="text-xs text-gray-500">{chatType === 'bot' ? 'Assistente Virtual' : `Atendido por: ${attendants.find(a => a.id === selectedChat.attendantId)?.name || '...'}`}</p></div>
-        <div className="flex items-center space-x-2">
-            <button onClick={() => { setSearchVisible(true); setActiveTab('chat'); }} className="p-2 text-gray-500 hover:bg-gray-200 rounded-full"><svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd" /></svg></button>
-            {chatType === 'bot' && <button onClick={() => onTakeoverChat(selectedChat.userId)} className="px-3 py-1 text-xs text-white bg-purple-600 rounded hover:bg-purple-700">Assumir</button>}
-            {chatType === 'human' && <button onClick={() => setTransferModalOpen(true)} className="px-3 py-1 text-xs text-white bg-blue-600 rounded hover:bg-blue-700">Transferir</button>}
-            <button onClick={() => onResolveChat(selectedChat.userId)} className="px-3 py-1 text-xs text-white bg-green-600 rounded hover:bg-green-700">Resolver</button>
-        </div>
-      </header>
-      {isSearchVisible && (
-          <div className="p-2 bg-gray-200 flex items-center space-x-2">
-              <input type="text" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} placeholder="Buscar..." className="w-full px-3 py-1 text-sm rounded outline-none" autoFocus />
-              <span className="text-xs text-gray-600 w-16">{currentResultIndex > -1 ? `${currentResultIndex + 1}/${searchResults.length}` : '0/0'}</span>
-              <button onClick={() => setCurrentResultIndex(p => (p + 1) % searchResults.length)} disabled={!searchResults.length}>▼</button>
-              <button onClick={() => { setSearchVisible(false); setSearchTerm(''); }}>✕</button>
-          </div>
-      )}
-      <div className="bg-white border-b flex"><button onClick={() => setActiveTab('chat')} className={`py-2 px-4 text-sm ${activeTab === 'chat' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>Conversa</button><button onClick={() => setActiveTab('media')} className={`py-2 px-4 text-sm ${activeTab === 'media' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>Mídia/Links</button></div>
-      <div className="flex-1 overflow-y-auto relative">
-        {activeTab === 'chat' ? (
-          <div className="p-4 whatsapp-bg min-h-full">
-            {selectedChat.messageLog.map((msg, i) => <MessageBubble key={i} message={msg} onImageClick={onImageClick} onSetReply={setReplyingToMessage} onSetEdit={(m)=>{setEditingMessage(m); setEditedText(m.text)}} onForward={openForwardModal} isFromAttendant={msg.sender === Sender.ATTENDANT} messageIndex={i} isHighlighted={searchResults[currentResultIndex] === i} />)}
-            {isLoading && <TypingIndicator />}
-            <div ref={messagesEndRef} />
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-4xl h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">Base de Conhecimento da IA</h3>
+        <p className="text-xs text-gray-500 mb-4">Os trechos mais relevantes entram em cada resposta do assistente do setor, que cita o artigo usado.</p>
+        <div className="flex-1 flex gap-4 min-h-0 text-sm">
+          <div className="w-1/2 flex flex-col min-h-0">
+            <div className="flex gap-2 mb-2">
+              <select value={filter} onChange={e => setFilter(e.target.value)} className="flex-1 p-1 border rounded">
+                <option value="all">Todos os artigos</option>
+                <option value="">Gerais (todos os setores)</option>
+                {departments.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+              <button onClick={() => { setEditing({ ...emptyArticle, department: filter === 'all' ? '' : filter }); setError(''); }} className="px-2 bg-blue-600 text-white rounded text-xs">+ Novo</button>
+            </div>
+            <div className="flex-1 overflow-y-auto border rounded divide-y">
+              {visible.map(a => (
+                <button key={a.id} onClick={() => openArticle(a.id)} className={`w-full text-left p-2 hover:bg-gray-50 ${editing?.id === a.id ? 'bg-blue-50' : ''}`}>
+                  <p className="font-medium">{a.kind === 'faq' ? '❓' : '📄'} {a.title}</p>
+                  <p className="text-xs text-gray-500">{departmentLabel(a.department)} · {a.chunks} trecho(s){a.sourceName ? ` · ${a.sourceName}` : ''}</p>
+                </button>
+              ))}
+              {visible.length === 0 && <p className="p-2 text-xs text-gray-500">Nenhum artigo.</p>}
+            </div>
           </div>
-        ) : <MediaGallery messages={selectedChat.messageLog} onImageClick={onImageClick} />}
-      </div>
-      
-      {/* Footer / Input Area */}
-      {activeTab === 'chat' && (
-          <footer className="bg-gray-200 p-3 relative">
-             {showEmojiPicker && <EmojiPicker onSelect={handleEmojiSelect} onClose={() => setShowEmojiPicker(false)} />}
-
-             {!isOwner && chatType === 'human' && (
-                <div className="text-xs text-center text-gray-500 mb-2 p-1 bg-yellow-100 rounded border border-yellow-300">
-                    Você está visualizando o atendimento de <b>{attendants.find(a=>a.id === selectedChat.attendantId)?.name}</b>. 
-                    <button onClick={() => onTakeoverChat(selectedChat.userId)} className="ml-2 text-blue-600 underline">Assumir Conversa</button>
+          <div className="w-1/2 flex flex-col min-h-0 overflow-y-auto space-y-3">
+            {editing ? (
+              <div className="border rounded p-3 space-y-2">
+                <div className="flex gap-2">
+                  <select value={editing.kind} onChange={e => setEditing(prev => ({ ...prev, kind: e.target.value }))} className="p-1 border rounded">
+                    <option value="faq">Pergunta frequente</option>
+                    <option value="document">Documento</option>
+                  </select>
+                  <select value={editing.department} onChange={e => setEditing(prev => ({ ...prev, department: e.target.value }))} className="flex-1 p-1 border rounded">
+                    <option value="">Todos os setores</option>
+                    {departments.map(d => <option key={d} value={d}>{d}</option>)}
+                  </select>
                 </div>
-             )}
-            
-            {editingMessage ? (
-                 <div className="bg-white rounded p-2"><p className="text-xs font-bold text-yellow-600">Editando...</p><input type="text" value={editedText} onChange={e=>setEditedText(e.target.value)} className="w-full p-2 border rounded mb-2" /><div className="flex justify-end space-x-2"><button onClick={()=>setEditingMessage(null)} className="text-xs bg-gray-200 px-2 py-1 rounded">Cancelar</button><button onClick={()=>{onEditMessage(selectedChat.userId, editingMessage.timestamp, editedText); setEditingMessage(null)}} className="text-xs bg-green-600 text-white px-2 py-1 rounded">Salvar</button></div></div>
-            ) : (
-              <>
-                {replyingToMessage && <div className="p-2 mb-2 bg-blue-50 border-l-4 border-blue-400 text-xs relative"><p className="font-bold text-blue-600">Respondendo a {replyingToMessage.senderName}</p><p className="truncate">{replyingToMessage.text || 'Arquivo'}</p><button onClick={()=>setReplyingToMessage(null)} className="absolute top-1 right-1 font-bold">&times;</button></div>}
-                {selectedFiles.length > 0 && <div className="p-2 mb-2 bg-blue-100 rounded flex space-x-2 overflow-x-auto">{selectedFiles.map((f,i) => <div key={i} className="relative w-16 h-16 bg-white"><img src={`data:${f.type};base64,${f.data}`} className="w-full h-full object-cover"/><button onClick={()=>setSelectedFiles(fs=>fs.filter((_,idx)=>idx!==i))} className="absolute top-0 right-0 bg-red-500 text-white text-xs rounded-full w-4 h-4 flex items-center justify-center">&times;</button></div>)}</div>}
-                
-                <div className={`flex items-center bg-white rounded-full px-2 shadow ${!isOwner && chatType === 'human' ? 'opacity-50 pointer-events-none' : ''}`}>
-                  <button onClick={() => setShowEmojiPicker(!showEmojiPicker)} className="p-2 text-gray-500 hover:text-gray-700 text-xl" disabled={!isOwner && chatType === 'human'} >😊</button>
-                  <button onClick={() => fileInputRef.current.click()} className="p-2 text-gray-500 hover:text-gray-700" disabled={!isOwner && chatType === 'human'}><svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" /></svg></button>
-                  <input type="file" ref={fileInputRef} onChange={onFileSelect} className="hidden" multiple />
-                  <input 
-                    type="text" 
-                    value={message} 
-                    onChange={e => setMessage(e.target.value)} 
-                    onKeyPress={e => e.key === 'Enter' && handleSend()} 
-                    placeholder={chatType === 'bot' ? "Assuma a conversa para responder..." : "Digite sua mensagem..."} 
-                    className="w-full p-2 bg-transparent outline-none" 
-                    disabled={(!isOwner && chatType === 'human') || chatType === 'bot'}
-                  />
-                  <button onClick={handleSend} className="p-2 text-blue-600 hover:text-blue-800" disabled={(!isOwner && chatType === 'human') || chatType === 'bot'}><svg className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor"><path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z" /></svg></button>
+                <input value={editing.title} onChange={e => setEditing(prev => ({ ...prev, title: e.target.value }))} placeholder={editing.kind === 'faq' ? 'Pergunta' : 'Título do documento'} className="w-full p-1 border rounded" />
+                {editing.kind === 'document' && (
+                  <div className="text-xs">
+                    <input type="file" accept=".txt,.md,.csv,.pdf,.docx" onChange={handleFile} />
+                    <p className="text-gray-500 mt-1">{editing.file ? `Será importado: ${editing.file.name}` : 'Envie um arquivo ou cole o texto abaixo. PDF e DOCX são lidos pela IA.'}</p>
+                  </div>
+                )}
+                {!editing.file && <textarea value={editing.content} onChange={e => setEditing(prev => ({ ...prev, content: e.target.value }))} rows={10} placeholder={editing.kind === 'faq' ? 'Resposta' : 'Conteúdo'} className="w-full p-1 border rounded text-xs" />}
+                {error && <p className="text-xs text-red-600">{error}</p>}
+                <div className="flex justify-between">
+                  {editing.id ? <button onClick={() => handleDelete(editing)} className="text-xs text-red-600 hover:underline">Remover</button> : <span />}
+                  <div className="flex gap-2">
+                    <button onClick={() => setEditing(null)} className="px-3 py-1 bg-gray-200 rounded text-xs">Cancelar</button>
+                    <button onClick={handleSave} disabled={isBusy} className="px-3 py-1 bg-blue-600 text-white rounded text-xs disabled:bg-blue-300">{isBusy ? 'Salvando...' : 'Salvar'}</button>
+                  </div>
                 </div>
-              </>
-            )}
-          </footer>
-      )}
-      {isTransferModalOpen && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white p-6 rounded w-full max-w-sm">
-            <h3 className="text-lg font-semibold mb-4">Transferir</h3>
-            <select value={transferToAttendantId} onChange={(e) => setTransferToAttendantId(e.target.value)} className="w-full p-2 border rounded mb-4"><option value="" disabled>Selecione...</option>{attendants.filter(a => a.id !== attendant.id).map(a => <option key={a.id} value={a.id}>{a.name}</option>)}</select>
-            <div className="flex justify-end space-x-2"><button onClick={() => setTransferModalOpen(false)} className="px-4 py-2 bg-gray-200 rounded">Cancelar</button><button onClick={() => { onTransferChat(selectedChat.userId, transferToAttendantId); setTransferModalOpen(false); }} className="px-4 py-2 bg-blue-600 text-white rounded">Transferir</button></div>
+              </div>
+            ) : <p className="text-xs text-gray-500">Selecione um artigo para editar ou crie um novo.</p>}
+
+            <div className="border rounded p-3 space-y-2 bg-gray-50">
+              <p className="text-xs font-bold text-gray-500">TESTAR</p>
+              <div className="flex gap-2">
+                <select value={test.department} onChange={e => setTest(prev => ({ ...prev, department: e.target.value }))} className="p-1 border rounded text-xs">
+                  <option value="">Sem setor</option>
+                  {departments.map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+                <input value={test.question} onChange={e => setTest(prev => ({ ...prev, question: e.target.value }))} onKeyDown={e => e.key === 'Enter' && handleTest()} placeholder="Pergunta de um cliente..." className="flex-1 p-1 border rounded text-xs" />
+                <button onClick={handleTest} disabled={isBusy || !test.question.trim()} className="px-2 bg-gray-800 text-white rounded text-xs disabled:bg-gray-400">Testar</button>
+              </div>
+              {testResult && (
+                <div className="space-y-2 text-xs">
+                  {testResult.error && <p className="text-red-600">{testResult.error}</p>}
+                  {testResult.answer && <div className="p-2 bg-white border rounded whitespace-pre-wrap">{testResult.answer}{testResult.sources.length > 0 && <p className="mt-1 text-gray-500">📚 {testResult.sources.map(s => s.title).join(', ')}</p>}</div>}
+                  <p className="font-bold text-gray-500">Trechos encontrados ({testResult.passages.length})</p>
+                  {testResult.passages.map((p, i) => (
+                    <div key={i} className="p-2 bg-white border rounded">
+                      <p className="font-medium">[{i + 1}] {p.title} <span className="text-gray-400">· {departmentLabel(p.department)} · relevância {p.score}</span></p>
+                      <p className="text-gray-600 line-clamp-3">{p.text}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
         </div>
-      )}
-      {isForwardModalOpen && (
-          <ForwardModal onClose={() => setForwardModalOpen(false)} onForward={handleForward} chats={activeChats} />
-      )}
+        <div className="flex justify-end mt-4">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Fechar</button>
+        </div>
+      </div>
     </div>
   );
 };
 
-const Login = ({ attendants, onLogin, onRegister, isBackendOffline }) => {
-  const [selectedAttendant, setSelectedAttendant] = useState('');
-  const [newAttendantName, setNewAttendantName] = useState('');
+// --- EDITOR VISUAL DO FLUXO ---
+const FLOW_ACTION_LABELS = {
+  '': 'Menu / Texto', ai_chat: 'Chat com IA', handoff: 'Transferir para a fila', end: 'Encerrar conversa',
+  offer_slots: 'Oferecer horários livres', manage_booking: 'Mostrar agendamento do cliente', update_booking: 'Atualizar agendamento',
+};
+// Valores de exemplo usados apenas na pré-visualização
+const FLOW_PREVIEW_CONTEXT = { department: 'Fiscal', clientType: 'Novo Cliente', lastInput: 'Preciso declarar o IRPF', attendantName: 'Maria', nextOpening: 'segunda-feira, 19/10, 08:00', holidayNote: '', appointmentTime: 'ter., 20/10, 10:00', specialistName: 'Ana', reason: 'Preciso declarar o IRPF', fieldsSummary: '- *Motivo:* Preciso declarar o IRPF\n- *Nome:* João da Silva\n- *CPF/CNPJ:* 529.982.247-25', history: {} };
+const FIELD_TYPE_LABELS = { name: 'Nome completo', phone: 'Telefone', email: 'E-mail', document: 'CPF/CNPJ', text: 'Texto livre' };
+const FLOW_PREVIEW_SLOTS = ['ter., 20/10, 10:00 — Ana', 'ter., 20/10, 14:00 — Ana', 'qua., 21/10, 09:00 — Carlos'];
+
+// Organiza os estados em colunas por distância a partir do estado inicial (estados soltos vão para a última coluna)
+const buildFlowLevels = (flow) => {
+  const levels = [];
+  const seen = new Set();
+  let current = flow.states[flow.initialState] ? [flow.initialState] : [];
+  while (current.length) {
+    current.forEach(name => seen.add(name));
+    levels.push(current);
+    const next = [];
+    current.forEach(name => {
+      const step = flow.states[name];
+      [...(step.options || []).map(o => o.nextState), step.nextState, step.outOfHoursState, step.unavailableState].forEach(target => {
+        if (target && flow.states[target] && !seen.has(target) && !next.includes(target)) next.push(target);
+      });
+    });
+    current = next;
+  }
+  const orphans = Object.keys(flow.states).filter(name => !seen.has(name));
+  if (orphans.length) levels.push(orphans);
+  return levels;
+};
+
+const FlowEditorModal = ({ onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [selectedState, setSelectedState] = useState(null);
+  const [note, setNote] = useState('');
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    const [flowRes, versionsRes] = await Promise.all([apiFetch('/api/flow'), apiFetch('/api/flow/versions')]);
+    if (!flowRes.ok) { setError('Não foi possível carregar o fluxo.'); return; }
+    const data = await flowRes.json();
+    setDraft(JSON.parse(JSON.stringify(data.flow)));
+    setActiveVersion(data.version);
+    setSelectedState(prev => prev && data.flow.states[prev] ? prev : data.flow.initialState);
+    if (versionsRes.ok) setVersions(await versionsRes.json());
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const validation = useMemo(() => draft ? validateFlow(draft) : null, [draft]);
+  const levels = useMemo(() => draft ? buildFlowLevels(draft) : [], [draft]);
+
+  if (!draft) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div className="bg-white p-6 rounded-lg">{error || 'Carregando fluxo...'} <button onClick={onClose} className="ml-4 px-3 py-1 bg-gray-200 rounded">Fechar</button></div>
+      </div>
+    );
+  }
+
+  // Textos do idioma em edição; os que faltam aparecem em português (mesmo recuo usado pelo bot)
+  const texts = resolveTexts(draft.texts, language);
+  const isMissingTranslation = (key) => language !== DEFAULT_LANGUAGE && typeof draft.texts[language]?.[key] !== 'string';
+  const step = draft.states[selectedState];
+  const stateNames = Object.keys(draft.states);
+  const countTextUsage = (key) => Object.values(draft.states).reduce((n, st: any) => n + (st.textKey === key ? 1 : 0) + (st.options || []).filter(o => o.textKey === key).length, 0);
+
+  // Todas as alterações passam por aqui para manter o rascunho imutável
+  const update = (mutator) => { setMessage(''); setDraft(prev => { const next = JSON.parse(JSON.stringify(prev)); mutator(next); return next; }); };
+  const updateStep = (mutator) => update(next => mutator(next.states[selectedState], next));
+  const setText = (key, value) => update(next => { next.texts[language] = { ...next.texts[language], [key]: value }; });
+
+  const handleAddState = () => {
+    const name = (prompt('Nome do novo estado (ex.: IRPF_MENU):') || '').trim().toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+    if (!name) return;
+    if (draft.states[name]) return alert('Já existe um estado com este nome.');
+    update(next => {
+      next.states[name] = { textKey: `${name}_text`, options: [] };
+      next.texts.pt[`${name}_text`] = 'Novo texto';
+    });
+    setSelectedState(name);
+  };
+
+  const handleDeleteState = () => {
+    if (selectedState === draft.initialState) return alert('O estado inicial não pode ser removido.');
+    if (!confirm(`Remover o estado ${selectedState}? As opções que apontam para ele ficarão com erro até serem corrigidas.`)) return;
+    update(next => { delete next.states[selectedState]; });
+    setSelectedState(draft.initialState);
+  };
+
+  const handleAddOption = () => updateStep((st, next) => {
+    const key = `option_${Date.now()}`;
+    next.texts.pt[key] = 'Nova opção';
+    st.options = [...(st.options || []), { textKey: key, nextState: next.initialState }];
+  });
+
+  const moveOption = (index, delta) => updateStep(st => {
+    const target = index + delta;
+    if (target < 0 || target >= st.options.length) return;
+    [st.options[index], st.options[target]] = [st.options[target], st.options[index]];
+  });
+
+  const setPayload = (index, raw) => updateStep(st => {
+    if (!raw.trim()) { delete st.options[index].payload; return; }
+    try { st.options[index].payload = JSON.parse(raw); } catch (e) { /* mantém o valor anterior enquanto o JSON estiver incompleto */ }
+  });
+
+  const setKeywords = (index, raw) => updateStep(st => {
+    const keywords = raw.split(',').map(k => k.trim()).filter(Boolean);
+    if (keywords.length) st.options[index].keywords = keywords;
+    else delete st.options[index].keywords;
+  });
+
+  const handlePublish = async () => {
+    setError(''); setMessage('');
+    const res = await apiFetch('/api/flow', { method: 'PUT', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ flow: draft, note }) });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) { setError(data.error || 'Falha ao publicar.'); return; }
+    setNote('');
+    setMessage(`Versão ${data.version} publicada. Já está valendo para as próximas mensagens.`);
+    load();
+  };
+
+  const handleActivate = async (version) => {
+    if (!confirm(`Voltar para a versão ${version}? O rascunho atual será descartado.`)) return;
+    const res = await apiFetch(`/api/flow/versions/${version}/activate`, { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) { setError(data.error || 'Falha ao ativar a versão.'); return; }
+    setMessage(`Versão ${version} reativada.`);
+    load();
+  };
 
   return (
-    <div className="flex items-center justify-center w-full h-full bg-gray-100">
-      <div className="w-full max-w-md p-8 space-y-6 bg-white rounded-xl shadow-lg">
-        <h2 className="text-3xl font-bold text-center text-gray-800">Painel de Atendimento</h2>
-        {isBackendOffline && <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 text-yellow-700 text-sm">Conectando ao servidor... Aguarde.</div>}
-        <div>
-          <h3 className="text-xl font-semibold text-gray-700">Entrar</h3>
-          <select value={selectedAttendant} onChange={e => setSelectedAttendant(e.target.value)} className="w-full mt-2 p-2 border rounded" disabled={isBackendOffline}><option value="" disabled>Selecione seu nome</option>{attendants.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}</select>
-          <button onClick={() => onLogin(selectedAttendant)} disabled={!selectedAttendant || isBackendOffline} className="w-full mt-4 py-2 bg-blue-600 text-white rounded font-bold disabled:bg-blue-300">Entrar</button>
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-7xl h-[92vh] flex flex-col">
+        <div className="p-4 border-b flex items-center gap-2">
+          <h3 className="text-lg font-semibold flex-1">Fluxo do Bot <span className="text-xs text-gray-400">(versão ativa: {activeVersion})</span></h3>
+          <select value={language} onChange={e => setLanguage(e.target.value)} className="p-1 border rounded text-sm" title="Idioma dos textos em edição">
+            {SUPPORTED_LANGUAGES.map(l => <option key={l} value={l}>{LANGUAGE_LABELS[l] || l}</option>)}
+          </select>
+          <button onClick={handleAddState} className="px-3 py-1 bg-gray-100 rounded text-sm">+ Estado</button>
+          <button onClick={onClose} className="px-3 py-1 bg-gray-200 rounded text-sm">Fechar</button>
+        </div>
+        <div className="flex-1 flex overflow-hidden">
+          {/* Grafo: uma coluna por nível a partir do estado inicial */}
+          <div className="flex-1 overflow-auto p-4 bg-gray-50 flex gap-6">
+            {levels.map((names, depth) => (
+              <div key={depth} className="flex flex-col gap-3 min-w-[180px]">
+                {names.map(name => {
+                  const st = draft.states[name];
+                  const hasError = validation.errors.some(e => e.state === name);
+                  return (
+                    <button key={name} onClick={() => setSelectedState(name)} className={`text-left p-2 rounded border bg-white shadow-sm text-xs ${selectedState === name ? 'ring-2 ring-green-500' : ''} ${hasError ? 'border-red-400' : ''}`}>
+                      <p className="font-bold truncate">{name}{name === draft.initialState && ' ⭐'}</p>
+                      {st.action && <p className="text-[10px] text-purple-700">{FLOW_ACTION_LABELS[st.action]}</p>}
+                      <p className="text-gray-500 truncate">{texts[st.textKey]}</p>
+                      {(st.options || []).map((o, i) => <p key={i} className="text-gray-600 truncate">{i + 1}. {texts[o.textKey] || o.textKey} → <span className="font-mono">{o.nextState}</span></p>)}
+                      {st.nextState && <p className="text-gray-600 truncate">⤷ <span className="font-mono">{st.nextState}</span></p>}
+                      {st.outOfHoursState && <p className="text-gray-600 truncate">🌙 <span className="font-mono">{st.outOfHoursState}</span></p>}
+                      {st.unavailableState && <p className="text-gray-600 truncate">∅ <span className="font-mono">{st.unavailableState}</span></p>}
+                    </button>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          {/* Edição do estado selecionado */}
+          {step && (
+            <div className="w-[420px] border-l overflow-y-auto p-4 space-y-3 text-sm">
+              <div className="flex items-center justify-between">
+                <p className="font-bold">{selectedState}</p>
+                {selectedState !== draft.initialState && <button onClick={handleDeleteState} className="text-xs text-red-500 hover:underline">Remover estado</button>}
+              </div>
+              <label className="block text-xs font-bold text-gray-500">MENSAGEM <span className="font-normal">({step.textKey}{countTextUsage(step.textKey) > 1 ? `, usada em ${countTextUsage(step.textKey)} lugares` : ''})</span></label>
+              <textarea value={texts[step.textKey] || ''} onChange={e => setText(step.textKey, e.target.value)} rows={4} className={`w-full p-2 border rounded ${isMissingTranslation(step.textKey) ? 'bg-yellow-50' : ''}`} />
+              {isMissingTranslation(step.textKey) && <p className="text-[10px] text-yellow-700">Sem tradução: o bot usará o texto em português.</p>}
+              <p className="text-[10px] text-gray-400">Variáveis: {'{department}'}, {'{clientType}'}, {'{lastInput}'} (último texto digitado pelo cliente), {'{nextOpening}'} (próxima abertura do setor), {'{appointmentTime}'} e {'{specialistName}'} (agenda), {'{fieldsSummary}'} e o nome de cada campo capturado.</p>
+              <div className="flex gap-2">
+                <select value={step.action || ''} onChange={e => updateStep(st => { if (e.target.value) st.action = e.target.value; else delete st.action; if (e.target.value === 'handoff' && !st.queue) st.queue = { reason: 'Contato para setor {department}.' }; })} className="flex-1 p-1 border rounded">
+                  {['', ...FLOW_ACTIONS].map(a => <option key={a} value={a}>{FLOW_ACTION_LABELS[a]}</option>)}
+                </select>
+                <label className="flex items-center gap-1 text-xs"><input type="checkbox" checked={!!step.requiresTextInput} onChange={e => updateStep(st => { st.requiresTextInput = e.target.checked; })} />Espera texto</label>
+              </div>
+              {step.action === 'handoff' && (
+                <div className="flex gap-2">
+                  <input value={step.queue?.department || ''} onChange={e => updateStep(st => { st.queue = { ...st.queue, department: e.target.value || undefined }; })} placeholder="Setor fixo (opcional)" className="w-1/3 p-1 border rounded text-xs" />
+                  <input value={step.queue?.reason || ''} onChange={e => updateStep(st => { st.queue = { ...st.queue, reason: e.target.value }; })} placeholder="Motivo exibido na fila" className="flex-1 p-1 border rounded text-xs" />
+                </div>
+              )}
+              {step.action === 'handoff' && (
+                <div className="space-y-1">
+                  <label className="block text-xs font-bold text-gray-500">FORA DO HORÁRIO, IR PARA</label>
+                  <select value={step.outOfHoursState || ''} onChange={e => updateStep(st => { if (e.target.value) st.outOfHoursState = e.target.value; else delete st.outOfHoursState; })} className="w-full p-1 border rounded">
+                    <option value="">(entrar na fila mesmo assim)</option>
+                    {stateNames.map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                  <label className="flex items-center gap-1 text-xs"><input type="checkbox" checked={!!step.queue?.afterHours} onChange={e => updateStep(st => { st.queue = { ...st.queue, afterHours: e.target.checked || undefined }; })} />Recado para o próximo expediente (não desvia)</label>
+                </div>
+              )}
+              {['offer_slots', 'manage_booking'].includes(step.action) && (
+                <div className="space-y-1">
+                  <label className="block text-xs font-bold text-gray-500">{step.action === 'offer_slots' ? 'SEM HORÁRIOS LIVRES, IR PARA' : 'SEM AGENDAMENTOS, IR PARA'}</label>
+                  <select value={step.unavailableState || ''} onChange={e => updateStep(st => { if (e.target.value) st.unavailableState = e.target.value; else delete st.unavailableState; })} className="w-full p-1 border rounded">
+                    <option value="">(escolha)</option>
+                    {stateNames.map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                  {step.action === 'offer_slots' && <p className="text-[10px] text-gray-400">Os horários aparecem numerados antes das opções abaixo; após a escolha o cliente segue para o próximo estado.</p>}
+                </div>
+              )}
+              {step.requiresTextInput && !step.action && (
+                <div className="space-y-1">
+                  <label className="flex items-center gap-1 text-xs font-bold text-gray-500"><input type="checkbox" checked={!!step.capture} onChange={e => updateStep(st => { if (e.target.checked) st.capture = { field: 'campo', type: 'text', labelKey: 'fieldReason' }; else delete st.capture; })} />CAPTURAR CAMPO (com validação)</label>
+                  {step.capture && (
+                    <div className="flex gap-2">
+                      <input value={step.capture.field} onChange={e => updateStep(st => { st.capture = { ...st.capture, field: e.target.value.trim() }; })} placeholder="Campo (ex.: email)" className="w-1/3 p-1 border rounded text-xs font-mono" />
+                      <select value={step.capture.type} onChange={e => updateStep(st => { st.capture = { ...st.capture, type: e.target.value }; })} className="w-1/3 p-1 border rounded text-xs">
+                        {FIELD_TYPES.map(t => <option key={t} value={t}>{FIELD_TYPE_LABELS[t] || t}</option>)}
+                      </select>
+                      <input value={step.capture.labelKey} onChange={e => updateStep(st => { st.capture = { ...st.capture, labelKey: e.target.value.trim() }; })} placeholder="Texto do rótulo" className="w-1/3 p-1 border rounded text-xs font-mono" />
+                    </div>
+                  )}
+                </div>
+              )}
+              {step.action === 'update_booking' && (
+                <select value={step.booking?.status || ''} onChange={e => updateStep(st => { st.booking = { status: e.target.value }; })} className="w-full p-1 border rounded">
+                  <option value="">(escolha)</option>
+                  <option value="confirmed">Confirmar presença</option>
+                  <option value="cancelled">Cancelar</option>
+                </select>
+              )}
+              <label className="block text-xs font-bold text-gray-500">PRÓXIMO ESTADO AUTOMÁTICO</label>
+              <select value={step.nextState || ''} onChange={e => updateStep(st => { if (e.target.value) st.nextState = e.target.value; else delete st.nextState; })} className="w-full p-1 border rounded">
+                <option value="">(nenhum)</option>
+                {stateNames.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+
+              <div className="flex items-center justify-between pt-2">
+                <p className="text-xs font-bold text-gray-500">OPÇÕES</p>
+                <button onClick={handleAddOption} className="text-xs text-green-700 hover:underline">+ Adicionar opção</button>
+              </div>
+              {(step.options || []).map((opt, i) => (
+                <div key={i} className="border rounded p-2 space-y-1 bg-gray-50">
+                  <div className="flex gap-1 items-center">
+                    <span className="text-xs font-bold w-5">{i + 1}.</span>
+                    <input value={texts[opt.textKey] || ''} onChange={e => setText(opt.textKey, e.target.value)} className={`flex-1 p-1 border rounded text-xs ${isMissingTranslation(opt.textKey) ? 'bg-yellow-50' : ''}`} />
+                    <button onClick={() => moveOption(i, -1)} disabled={i === 0} className="px-1 text-xs disabled:opacity-30">▲</button>
+                    <button onClick={() => moveOption(i, 1)} disabled={i === step.options.length - 1} className="px-1 text-xs disabled:opacity-30">▼</button>
+                    <button onClick={() => updateStep(st => { st.options.splice(i, 1); })} className="px-1 text-xs text-red-500">✕</button>
+                  </div>
+                  <div className="flex gap-1">
+                    <select value={opt.nextState} onChange={e => updateStep(st => { st.options[i].nextState = e.target.value; })} className="flex-1 p-1 border rounded text-xs">
+                      {!draft.states[opt.nextState] && <option value={opt.nextState}>{opt.nextState} (inexistente)</option>}
+                      {stateNames.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                    <input defaultValue={opt.payload ? JSON.stringify(opt.payload) : ''} onBlur={e => setPayload(i, e.target.value)} placeholder='Dados, ex.: {"department":"Fiscal"}' className="flex-1 p-1 border rounded text-xs font-mono" key={`${selectedState}-${i}-${JSON.stringify(opt.payload || '')}`} />
+                  </div>
+                  <input defaultValue={(opt.keywords || []).join(', ')} onBlur={e => setKeywords(i, e.target.value)} placeholder="Palavras-chave para texto livre, separadas por vírgula" className="w-full p-1 border rounded text-xs" key={`${selectedState}-${i}-kw-${(opt.keywords || []).join(',')}`} />
+                  {countTextUsage(opt.textKey) > 1 && <p className="text-[10px] text-gray-400">Texto compartilhado ({opt.textKey}) — usado em {countTextUsage(opt.textKey)} lugares.</p>}
+                </div>
+              ))}
+
+              <p className="text-xs font-bold text-gray-500 pt-2">PRÉ-VISUALIZAÇÃO (WHATSAPP)</p>
+              <div className="bg-[#e5ddd5] p-3 rounded">
+                <div className="bg-white rounded-lg p-2 shadow text-sm whitespace-pre-wrap max-w-[90%]">{formatFlowStep(step, FLOW_PREVIEW_CONTEXT, texts, step.action === 'offer_slots' ? FLOW_PREVIEW_SLOTS : [])}</div>
+              </div>
+
+              <details className="pt-2">
+                <summary className="text-xs font-bold text-gray-500 cursor-pointer">MENSAGENS DO SISTEMA</summary>
+                {SYSTEM_TEXT_KEYS.map(key => (
+                  <div key={key} className="mt-2">
+                    <label className="block text-[10px] font-mono text-gray-500">{key}</label>
+                    <textarea value={texts[key] || ''} onChange={e => setText(key, e.target.value)} rows={2} className={`w-full p-1 border rounded text-xs ${isMissingTranslation(key) ? 'bg-yellow-50' : ''}`} />
+                  </div>
+                ))}
+              </details>
+            </div>
+          )}
         </div>
-        <div className="border-t pt-4">
-          <h3 className="text-xl font-semibold text-gray-700">Registrar</h3>
-           <input type="text" value={newAttendantName} onChange={e => setNewAttendantName(e.target.value)} placeholder="Seu nome completo" className="w-full mt-2 p-2 border rounded" disabled={isBackendOffline} />
-          <button onClick={() => onRegister(newAttendantName)} disabled={!newAttendantName.trim() || isBackendOffline} className="w-full mt-4 py-2 bg-green-600 text-white rounded font-bold disabled:bg-green-300">Registrar-se</button>
+
+        <div className="border-t p-3 flex gap-4 text-sm">
+          <div className="flex-1 max-h-28 overflow-y-auto">
+            {validation.errors.length === 0 ? <p className="text-green-700">✔ Fluxo válido.</p> : validation.errors.map((e, i) => <p key={i} className="text-red-600 text-xs"><button onClick={() => e.state && draft.states[e.state] && setSelectedState(e.state)} className="font-mono hover:underline">{e.state || 'Geral'}</button>: {e.message}</p>)}
+            {validation.warnings.map((w, i) => <p key={`w${i}`} className="text-yellow-700 text-xs">{w.message}</p>)}
+            {message && <p className="text-green-700 text-xs">{message}</p>}
+            {error && <p className="text-red-600 text-xs">{error}</p>}
+          </div>
+          <div className="w-64 max-h-28 overflow-y-auto border rounded">
+            {versions.map(v => (
+              <div key={v.version} className="px-2 py-1 border-b text-xs flex items-center gap-1">
+                <span className="flex-1 truncate" title={v.note}>v{v.version} · {v.createdBy} · {new Date(v.createdAt).toLocaleDateString('pt-BR')}</span>
+                {v.active ? <span className="text-green-700 font-bold">ativa</span> : <button onClick={() => handleActivate(v.version)} className="text-blue-600 hover:underline">ativar</button>}
+              </div>
+            ))}
+          </div>
+          <div className="w-64 flex flex-col gap-2">
+            <input value={note} onChange={e => setNote(e.target.value)} placeholder="Nota da versão (ex.: Menu IRPF 2025)" className="p-2 border rounded text-xs" />
+            <button onClick={handlePublish} disabled={!validation.valid} className="py-2 bg-green-600 text-white rounded disabled:bg-green-300">Publicar</button>
+          </div>
         </div>
       </div>
     </div>
@@ -506,15 +2277,43 @@ function App() {
   const [editingFile, setEditingFile] = useState(null);
   const [gatewayStatus, setGatewayStatus] = useState({ status: 'LOADING', qrCode: null });
   const [isBackendOffline, setIsBackendOffline] = useState(true);
+  const [isPushConnected, setIsPushConnected] = useState(false);
   
   // Ref para rastrear o chat selecionado dentro do intervalo
   const selectedChatRef = useRef(null);
   // Ref para rastrear a visualização ativa dentro do intervalo
   const activeViewRef = useRef('queue');
+  // Ref do colega aberto no chat interno (usado pelo polling para recarregar a conversa)
+  const internalChatPartnerRef = useRef(null);
+  const lastInternalSummaryRef = useRef({});
   
   // Modals
   const [isInitiateModalOpen, setInitiateModalOpen] = useState(false);
   const [isBroadcastModalOpen, setBroadcastModalOpen] = useState(false); // Modal de Broadcast
+  const [isPasswordModalOpen, setPasswordModalOpen] = useState(false);
+  const [isAttendantManagerOpen, setAttendantManagerOpen] = useState(false);
+  const [isSystemToolsOpen, setSystemToolsOpen] = useState(false);
+  const [isRestoreOpen, setRestoreOpen] = useState(false);
+  const [isFlowEditorOpen, setFlowEditorOpen] = useState(false);
+  const [isBusinessHoursOpen, setBusinessHoursOpen] = useState(false);
+  const [isAgendaOpen, setAgendaOpen] = useState(false);
+  const [followUps, setFollowUps] = useState([]);
+  const [clientLookup, setClientLookup] = useState({});
+  const [registryPrefill, setRegistryPrefill] = useState(null);
+  const [isRegistryOpen, setRegistryOpen] = useState(false);
+  const [showSnoozed, setShowSnoozed] = useState(false);
+  const [appointmentsVersion, setAppointmentsVersion] = useState(0);
+  const [isCrmOpen, setCrmOpen] = useState(false);
+  const [crmVersion, setCrmVersion] = useState(0);
+  const [isCustomFieldsOpen, setCustomFieldsOpen] = useState(false);
+  const [isKnowledgeOpen, setKnowledgeOpen] = useState(false);
+  const [isAiSettingsOpen, setAiSettingsOpen] = useState(false);
+  const [isRoutingOpen, setRoutingOpen] = useState(false);
+  const [isSlaOpen, setSlaOpen] = useState(false);
+  const [presence, setPresence] = useState([]);
+  const lastInteractionRef = useRef(Date.now());
+  const [clock, setClock] = useState(Date.now());
+  const [showAllQueue, setShowAllQueue] = useState(false);
   const [clients, setClients] = useState([]);
   const [selectedClient, setSelectedClient] = useState(null);
   const [initiateMessage, setInitiateMessage] = useState('');
@@ -535,7 +2334,7 @@ function App() {
   const [tags, setTags] = useState([]);
   const [newTagName, setNewTagName] = useState('');
   
-  const [notifications, setNotifications] = useState({ queue: 0, active: new Set(), active_ai: new Set(), internal: new Set() });
+  const [notifications, setNotifications] = useState({ queue: 0, active: new Set(), active_ai: new Set(), internal_chat: new Set() });
   const [internalChatsSummary, setInternalChatsSummary] = useState({});
 
   // Refs para controle de notificação
@@ -568,27 +2367,27 @@ function App() {
     selectedChatRef.current = selectedChat;
   }, [selectedChat]);
 
-  // Polling de dados otimizado para atualização em tempo real
-  const fetchData = useCallback(async () => {
-    if (!attendant || isBackendOffline) return;
-    try {
-      const [reqRes, activeRes, historyRes, attendantsRes, aiChatsRes, internalSummaryRes] = await Promise.all([
-        fetch('/api/requests'), fetch('/api/chats/active'), fetch('/api/chats/history'), fetch('/api/attendants'), fetch('/api/chats/ai-active'), fetch(`/api/internal-chats/summary/${attendant.id}`)
-      ]);
-      
-      if (!reqRes.ok) { console.warn('Erro ao buscar dados, tentando novamente...'); return; }
-      
-      const newQueue = await reqRes.json();
-      const newActiveChats = await activeRes.json();
-      const newAiChats = await aiChatsRes.json();
-      
-      // SISTEMA DE NOTIFICAÇÃO
+  useEffect(() => {
+    internalChatPartnerRef.current = internalChatPartner;
+  }, [internalChatPartner]);
+
+  const loadInternalChat = useCallback(async (partnerId) => {
+      try {
+          const res = await apiFetch(`/api/internal-chats/${partnerId}`);
+          if (res.ok && internalChatPartnerRef.current?.id === partnerId) {
+              setInternalChatMessages(await res.json());
+              apiFetch(`/api/internal-chats/${partnerId}/read`, { method: 'POST' }).catch(() => {});
+          }
+      } catch (e) {}
+  }, []);
+
+  // SISTEMA DE NOTIFICAÇÃO: avisa sobre novas mensagens de clientes em chats ativos
+  const notifyNewMessages = useCallback((chats) => {
       let shouldNotify = false;
       let notificationBody = "";
       let notificationTitle = "Nova Mensagem";
 
-      // Verifica novas mensagens em chats ativos
-      for (const chat of newActiveChats) {
+      for (const chat of chats) {
           const lastMsg = chat.lastMessage;
           if (lastMsg && lastMsg.sender === Sender.USER && new Date(lastMsg.timestamp).getTime() > lastProcessedMsgTimestampRef.current) {
               const isChatOpen = selectedChatRef.current?.userId === chat.userId;
@@ -612,46 +2411,91 @@ function App() {
                 });
            }
       }
+  }, []);
 
-      setRequestQueue(newQueue);
-      setActiveChats(newActiveChats);
-      setChatHistory(await historyRes.json());
-      setAttendants(await attendantsRes.json());
-      setAiActiveChats(newAiChats);
-      setInternalChatsSummary(await internalSummaryRes.json());
-      
+  // Recarrega a conversa aberta quando o resumo recebido indica mudança
+  const refreshSelectedChat = useCallback(async (summaries) => {
       const currentChat = selectedChatRef.current;
       
       // FIX: RACE CONDITION SOLVED
       // Só tenta atualizar a conversa em tempo real se NÃO estivermos vendo histórico
-      if (currentChat && activeViewRef.current !== 'history') {
-          const updatedChatSummary = [...newActiveChats, ...newAiChats].find(c => c.userId === currentChat.userId);
-          
-          if (updatedChatSummary) {
-              const currentLastMsg = currentChat.messageLog[currentChat.messageLog.length - 1];
-              const logLengthChanged = updatedChatSummary.logLength !== currentChat.messageLog.length;
-              const statusChanged = currentLastMsg && updatedChatSummary.lastMsgStatus !== currentLastMsg.status;
-              const lastMsgTimestampChanged = currentLastMsg && updatedChatSummary.lastMessage && updatedChatSummary.lastMessage.timestamp !== currentLastMsg.timestamp;
-
-              if (logLengthChanged || statusChanged || lastMsgTimestampChanged) {
-                  const res = await fetch(`/api/chats/history/${currentChat.userId}`);
-                  if (res.ok) {
-                      const newData = await res.json();
-                      // CRITICAL GUARD: Only update if user is STILL looking at the same chat
-                      // This prevents the "snap back" effect if the user switched chats while fetch was pending.
-                      if (selectedChatRef.current?.userId === currentChat.userId) {
-                          setSelectedChat(prev => ({ ...prev, ...newData }));
-                      }
-                  }
+      if (!currentChat || activeViewRef.current === 'history') return;
+      const updatedChatSummary = summaries.find(c => c.userId === currentChat.userId);
+      if (!updatedChatSummary) return;
+
+      const currentLastMsg = currentChat.messageLog[currentChat.messageLog.length - 1];
+      const logLengthChanged = updatedChatSummary.logLength !== currentChat.messageLog.length;
+      const statusChanged = currentLastMsg && updatedChatSummary.lastMsgStatus !== currentLastMsg.status;
+      const lastMsgTimestampChanged = currentLastMsg && updatedChatSummary.lastMessage && updatedChatSummary.lastMessage.timestamp !== currentLastMsg.timestamp;
+
+      if (logLengthChanged || statusChanged || lastMsgTimestampChanged) {
+          const res = await apiFetch(`/api/chats/history/${currentChat.userId}`);
+          if (res.ok) {
+              const newData = await res.json();
+              // CRITICAL GUARD: Only update if user is STILL looking at the same chat
+              // This prevents the "snap back" effect if the user switched chats while fetch was pending.
+              if (selectedChatRef.current?.userId === currentChat.userId) {
+                  setSelectedChat(prev => ({ ...prev, ...newData }));
               }
           }
       }
+  }, []);
+
+  const applyInternalSummary = useCallback((newInternalSummary) => {
+      setInternalChatsSummary(newInternalSummary);
+      setNotifications(prev => ({ ...prev, internal_chat: new Set(Object.keys(newInternalSummary).filter(id => newInternalSummary[id].unread > 0)) }));
+
+      // Novas mensagens internas: recarrega a conversa aberta ou avisa com som
+      for (const [partnerId, info] of Object.entries(newInternalSummary) as [string, any][]) {
+          const previousId = lastInternalSummaryRef.current[partnerId]?.lastMessage?.id;
+          if (!info.lastMessage || info.lastMessage.id === previousId) continue;
+          if (internalChatPartnerRef.current?.id === partnerId) loadInternalChat(partnerId);
+          else if (previousId !== undefined && info.lastMessage.from === partnerId) playNotificationSound();
+      }
+      lastInternalSummaryRef.current = newInternalSummary;
+  }, [loadInternalChat]);
+
+  const refreshInternalSummary = useCallback(async () => {
+      if (!attendant) return;
+      try {
+          const res = await apiFetch(`/api/internal-chats/summary/${attendant.id}`);
+          if (res.ok) applyInternalSummary(await res.json());
+      } catch (e) {}
+  }, [attendant, applyInternalSummary]);
+
+  // Carga completa: usada ao conectar o canal de eventos e como polling de contingência quando ele cai
+  const fetchData = useCallback(async () => {
+    if (!attendant || attendant.mustChangePassword || isBackendOffline) return;
+    try {
+      const [reqRes, activeRes, historyRes, attendantsRes, aiChatsRes, internalSummaryRes, followUpsRes, lookupRes, presenceRes] = await Promise.all([
+        apiFetch('/api/requests'), apiFetch('/api/chats/active'), apiFetch('/api/chats/history'), apiFetch('/api/attendants'), apiFetch('/api/chats/ai-active'), apiFetch(`/api/internal-chats/summary/${attendant.id}`), apiFetch('/api/followups'), apiFetch('/api/registry/lookup'), apiFetch('/api/presence')
+      ]);
+      
+      if (!reqRes.ok) { console.warn('Erro ao buscar dados, tentando novamente...'); return; }
+      
+      const newQueue = await reqRes.json();
+      const newActiveChats = await activeRes.json();
+      const newAiChats = await aiChatsRes.json();
+      
+      notifyNewMessages(newActiveChats);
+
+      setRequestQueue(newQueue);
+      setActiveChats(newActiveChats);
+      setChatHistory(await historyRes.json());
+      setAttendants(await attendantsRes.json());
+      setAiActiveChats(newAiChats);
+      applyInternalSummary(await internalSummaryRes.json());
+      if (followUpsRes.ok) setFollowUps(await followUpsRes.json());
+      if (lookupRes.ok) setClientLookup(await lookupRes.json());
+      if (presenceRes.ok) setPresence(await presenceRes.json());
+      
+      await refreshSelectedChat([...newActiveChats, ...newAiChats]);
     } catch (err) { console.warn('Rede instável no fetchData, ignorando erro...'); }
-  }, [attendant, isBackendOffline]); 
+  }, [attendant, isBackendOffline, notifyNewMessages, applyInternalSummary, refreshSelectedChat]); 
 
   const pollStatus = useCallback(async () => {
       try {
-          const res = await fetch('/api/gateway/status');
+          const res = await apiFetch('/api/gateway/status');
           if (res.ok) {
               const data = await res.json();
               setGatewayStatus(prev => JSON.stringify(prev) !== JSON.stringify(data) ? data : prev);
@@ -662,21 +2506,98 @@ function App() {
       }
   }, []);
 
+  // Restaura a sessão a partir do cookie (401 significa servidor online, porém sem login)
   useEffect(() => {
-      const loadAttendants = async () => {
+      const checkSession = async () => {
           try {
-              const res = await fetch('/api/attendants');
-              if (res.ok) { setAttendants(await res.json()); setIsBackendOffline(false); } 
-              else throw new Error();
-          } catch (e) { setIsBackendOffline(true); setTimeout(loadAttendants, 3000); }
+              const res = await apiFetch('/api/auth/me');
+              if (res.ok) setAttendant((await res.json()).attendant);
+              else if (res.status !== 401) throw new Error();
+              setIsBackendOffline(false);
+          } catch (e) { setIsBackendOffline(true); setTimeout(checkSession, 3000); }
       };
-      loadAttendants();
+      checkSession();
+  }, []);
+
+  useEffect(() => {
+      const handleExpired = () => { setAttendant(null); setSelectedChat(null); };
+      window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+      return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
   }, []);
 
   useEffect(() => { if (attendant) { pollStatus(); const i = setInterval(pollStatus, 3000); return () => clearInterval(i); } }, [attendant, pollStatus]);
+  // Presença: o servidor sabe há quanto tempo o atendente não mexe no painel (heartbeat a cada minuto)
+  useEffect(() => {
+    if (!attendant || attendant.mustChangePassword) return;
+    const markActive = () => { lastInteractionRef.current = Date.now(); };
+    const events = ['mousemove', 'keydown', 'click', 'focus'];
+    events.forEach(e => window.addEventListener(e, markActive));
+    const sendHeartbeat = () => apiFetch('/api/presence/heartbeat', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ idleSeconds: Math.round((Date.now() - lastInteractionRef.current) / 1000) }) }).catch(() => {});
+    const i = setInterval(sendHeartbeat, 60000);
+    return () => { clearInterval(i); events.forEach(e => window.removeEventListener(e, markActive)); };
+  }, [attendant]);
+
+  const handleManualStatus = async (status) => {
+      const res = await apiFetch('/api/presence/me', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ status }) });
+      if (res.ok) { const mine = await res.json(); setPresence(prev => prev.map(p => p.id === mine.id ? mine : p)); }
+  };
+
+  // Relógio da fila: atualiza o tempo restante de cada pedido
+  useEffect(() => { const i = setInterval(() => setClock(Date.now()), 30000); return () => clearInterval(i); }, []);
   
-  // --- POLLING OTIMIZADO (SEM setInterval e COM VISIBILITY API) ---
+  // --- CANAL DE EVENTOS (SSE) ---
+  // Aplica as mudanças enviadas pelo servidor de forma incremental; se a conexão cair, o polling abaixo assume.
+  useEffect(() => {
+    if (!attendant || attendant.mustChangePassword || isBackendOffline || typeof EventSource === 'undefined') return;
+    const source = new EventSource('/api/events');
+    const on = (type, handler) => source.addEventListener(type, (e: MessageEvent) => { try { handler(JSON.parse(e.data)); } catch (err) { console.warn(`Evento ${type} inválido`, err); } });
+    const upsertIn = (list, item) => list.some(c => c.userId === item.userId) ? list.map(c => c.userId === item.userId ? item : c) : [...list, item];
+
+    source.onopen = () => { setIsPushConnected(true); fetchData(); };
+    source.onerror = () => setIsPushConnected(false);
+
+    on('queue', (queue) => setRequestQueue(queue));
+    on('chat:update', ({ userId, active, ai }) => {
+        setActiveChats(prev => active ? upsertIn(prev, active) : prev.filter(c => c.userId !== userId));
+        setAiActiveChats(prev => ai ? upsertIn(prev, ai) : prev.filter(c => c.userId !== userId));
+        if (active) notifyNewMessages([active]);
+        if (active || ai) refreshSelectedChat([active || ai]);
+    });
+    on('history:update', (item) => setChatHistory(prev => upsertIn(prev, item)));
+    on('attendants', (list) => setAttendants(list));
+    on('gateway', (status) => setGatewayStatus(status));
+    on('internal:message', () => refreshInternalSummary());
+    on('internal:read', () => refreshInternalSummary());
+    on('system:restored', () => fetchData());
+    on('appointments', () => setAppointmentsVersion(v => v + 1));
+    on('registry', (lookup) => setClientLookup(lookup));
+    on('crm:update', () => setCrmVersion(v => v + 1));
+    on('crm:fields', () => setCrmVersion(v => v + 1));
+    on('presence', (list) => setPresence(list));
+    on('sla:breach', ({ userName, department, priority }) => {
+        playNotificationSound();
+        if ("Notification" in window && Notification.permission === "granted") new Notification(`⚠️ Prazo estourado: ${userName}`, { body: `${department} · prioridade ${PRIORITY_LABELS[priority] || priority}. Ainda sem atendente.` });
+    });
+    on('chat:assigned', ({ userName, department }) => {
+        playNotificationSound();
+        if ("Notification" in window && Notification.permission === "granted") new Notification(`Nova conversa: ${userName}`, { body: `Atribuída a você automaticamente (${department}).` });
+    });
+    on('followups', () => apiFetch('/api/followups').then(r => r.ok ? r.json() : null).then(list => list && setFollowUps(list)).catch(() => {}));
+    on('followup:due', (followUp) => {
+        setFollowUps(prev => prev.map(f => f.id === followUp.id ? followUp : f));
+        playNotificationSound();
+        if ("Notification" in window && Notification.permission === "granted") {
+            new Notification(`⏰ Lembrete: ${followUp.userName}`, { body: followUp.note || (followUp.messageSent ? 'Mensagem automática enviada.' : 'Retomar a conversa.') });
+        }
+    });
+
+    return () => { source.close(); setIsPushConnected(false); };
+  }, [attendant, isBackendOffline, fetchData, notifyNewMessages, refreshSelectedChat, refreshInternalSummary]);
+
+  // --- POLLING DE CONTINGÊNCIA (SEM setInterval e COM VISIBILITY API) ---
+  // Só roda enquanto o canal de eventos estiver desconectado.
   useEffect(() => {
+    if (isPushConnected) return;
     let isMounted = true;
     let timeoutId = null;
 
@@ -719,12 +2640,12 @@ function App() {
         if (timeoutId) clearTimeout(timeoutId);
         document.removeEventListener("visibilitychange", handleVisibilityChange);
     };
-  }, [attendant, isBackendOffline, fetchData]);
+  }, [attendant, isBackendOffline, isPushConnected, fetchData]);
   
   // Fetch Tags
   const fetchTags = useCallback(async () => {
       try {
-          const res = await fetch('/api/tags');
+          const res = await apiFetch('/api/tags');
           if(res.ok) setTags(await res.json());
       } catch(e){}
   }, []);
@@ -732,7 +2653,7 @@ function App() {
   const fetchClients = useCallback(async () => {
        if (attendant && !isBackendOffline) {
            try {
-              const r = await fetch('/api/clients');
+              const r = await apiFetch('/api/clients');
               if(r.ok) setClients(await r.json());
            } catch(e) {}
        }
@@ -748,24 +2669,55 @@ function App() {
   
   const handleBroadcastFileSelect = async (e) => { const files = Array.from(e.target.files); if(!files.length) return; const processed = await Promise.all(files.map(readFileAsBase64)); setBroadcastFiles(p => [...p, ...processed]); e.target.value=null; };
 
-  const handleSendMessage = async (userId, text, attendantId, files, replyTo) => {
+  const handleSendMessage = async (userId, text, files, replyTo) => {
       const tempMsg = { sender: Sender.ATTENDANT, text, files, timestamp: new Date().toISOString(), replyTo: replyTo ? { text: replyTo.text, senderName: replyTo.sender === 'user' ? selectedChat.userName : 'Você' } : null, status: 1 };
       setSelectedChat(p => p?.userId === userId ? { ...p, messageLog: [...p.messageLog, tempMsg] } : p);
-      await fetch('/api/chats/attendant-reply', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, text, attendantId, files, replyTo }) });
+      await apiFetch('/api/chats/attendant-reply', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, text, files, replyTo }) });
       // Removemos o setTimeout(fetchData, 500) pois o loop principal já cuida da atualização
   };
 
+  const handleInternalFileSelect = async (e) => { const files = Array.from(e.target.files); if(!files.length) return; const processed = await Promise.all(files.map(readFileAsBase64)); setInternalSelectedFiles(p => [...p, ...processed]); e.target.value=null; };
+
+  const handleSelectInternalPartner = (partner) => {
+      internalChatPartnerRef.current = partner;
+      setInternalChatPartner(partner);
+      setInternalChatMessages([]);
+      setInternalMessage('');
+      setInternalSelectedFiles([]);
+      loadInternalChat(partner.id);
+      setNotifications(prev => { const internal = new Set(prev.internal_chat); internal.delete(partner.id); return { ...prev, internal_chat: internal }; });
+  };
+
+  const handleSendInternalMessage = async (partnerId, text, files, chatLink) => {
+      const res = await apiFetch(`/api/internal-chats/${partnerId}`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ text, files, chatLink }) });
+      if (res.ok) {
+          const msg = await res.json();
+          setInternalChatMessages(p => [...p, msg]);
+          setInternalMessage('');
+          setInternalSelectedFiles([]);
+      } else {
+          alert((await res.json().catch(() => ({}))).error || 'Erro ao enviar mensagem interna.');
+      }
+  };
+
+  // Abre, a partir do chat interno, a conversa de cliente compartilhada por um colega
+  const handleOpenChatLink = (chatLink) => {
+      const isActive = activeChats.some(c => c.userId === chatLink.userId);
+      setActiveView(isActive ? 'active' : 'history');
+      handleSelectChatItem({ userId: chatLink.userId, userName: chatLink.userName });
+  };
+
   const handleEditMessage = async (userId, messageTimestamp, newText) => {
       setSelectedChat(p => {
           if (p?.userId !== userId) return p;
           const newLog = p.messageLog.map(m => (m.timestamp === messageTimestamp && m.sender === Sender.ATTENDANT) ? { ...m, text: newText, edited: true } : m);
           return { ...p, messageLog: newLog };
       });
-      await fetch('/api/chats/edit-message', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, attendantId: attendant.id, messageTimestamp, newText }) });
+      await apiFetch('/api/chats/edit-message', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, messageTimestamp, newText }) });
       // Removemos o setTimeout(fetchData, 500) pois o loop principal já cuida da atualização
   };
   
-  const handleLogin = (id) => { 
+  const handleLogin = async (name, password) => { 
       if ("Notification" in window && Notification.permission !== "granted") {
         Notification.requestPermission();
       }
@@ -774,31 +2726,38 @@ function App() {
           dummyAudio.play().catch(()=>{}); 
       } catch(e) {}
 
-      const a = attendants.find(x=>x.id===id); 
-      if(a) { 
-          setAttendant(a); 
-          localStorage.setItem('attendantId', a.id); 
-      } 
+      try {
+          const res = await apiFetch('/api/auth/login', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ name, password }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) return data.error || 'Não foi possível entrar.';
+          setAttendant(data.attendant);
+          return null;
+      } catch (e) {
+          return 'Erro de conexão.';
+      }
+  };
+  const handleLogout = async () => { 
+      try { await apiFetch('/api/auth/logout', { method: 'POST' }); } catch (e) {}
+      setAttendant(null); 
+      setSelectedChat(null);
   };
-  const handleRegister = async (name) => { const res = await fetch('/api/attendants', {method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({name})}); if(res.ok) setAttendants([...attendants, await res.json()]); };
-  const handleLogout = () => { setAttendant(null); localStorage.removeItem('attendantId'); };
-  const handleSelectChatItem = async (item) => { setIsLoading(true); setSelectedChat(null); try { const res = await fetch(`/api/chats/history/${item.userId}`); if(res.ok) setSelectedChat({...item, ...await res.json()}); } finally { setIsLoading(false); } };
+  const handleSelectChatItem = async (item) => { setIsLoading(true); setSelectedChat(null); try { const res = await apiFetch(`/api/chats/history/${item.userId}`); if(res.ok) setSelectedChat({...item, ...await res.json()}); } finally { setIsLoading(false); } };
   
   const handleQueueClick = async (item) => {
       setIsLoading(true);
       try {
-          const res = await fetch(`/api/chats/takeover/${item.userId}`, {
-              method: 'POST', 
-              body: JSON.stringify({attendantId:attendant.id}),
-              headers:{'Content-Type':'application/json'}
+          const res = await apiFetch(`/api/chats/takeover/${item.userId}`, {
+              method: 'POST'
           });
           if(res.ok) {
               const updatedChat = await res.json();
-              const histRes = await fetch(`/api/chats/history/${item.userId}`);
+              const histRes = await apiFetch(`/api/chats/history/${item.userId}`);
               if(histRes.ok) {
                   setSelectedChat({...updatedChat, ...await histRes.json()});
                   setActiveView('active');
               }
+          } else {
+              alert((await res.json().catch(() => ({}))).error || 'Não foi possível assumir a conversa.');
           }
       } finally {
           setIsLoading(false);
@@ -808,7 +2767,7 @@ function App() {
 
   const handleCreateTag = async () => {
       if(!newTagName.trim()) return;
-      const res = await fetch('/api/tags', {
+      const res = await apiFetch('/api/tags', {
           method: 'POST',
           headers: {'Content-Type': 'application/json'},
           body: JSON.stringify({ name: newTagName })
@@ -825,7 +2784,7 @@ function App() {
       if(!tagName) return;
       
       // 1. Criar Tag
-      const resTag = await fetch('/api/tags', {
+      const resTag = await apiFetch('/api/tags', {
           method: 'POST',
           headers: {'Content-Type': 'application/json'},
           body: JSON.stringify({ name: tagName })
@@ -834,7 +2793,7 @@ function App() {
       if(resTag.ok) {
           const tag = await resTag.json();
           // 2. Associar usuários
-          await fetch('/api/tags/assign-bulk', {
+          await apiFetch('/api/tags/assign-bulk', {
               method: 'POST',
               headers: {'Content-Type': 'application/json'},
               body: JSON.stringify({ tagId: tag.id, userIds: Array.from(selectedBroadcastClients) })
@@ -852,14 +2811,13 @@ function App() {
       const recipientIds = Array.from(selectedBroadcastClients);
       
       try {
-          const res = await fetch('/api/broadcast', {
+          const res = await apiFetch('/api/broadcast', {
               method: 'POST',
               headers: {'Content-Type': 'application/json'},
               body: JSON.stringify({
                   recipientIds,
                   message: broadcastMessage,
-                  files: broadcastFiles,
-                  attendantId: attendant.id
+                  files: broadcastFiles
               })
           });
           
@@ -882,9 +2840,9 @@ function App() {
       window.open('/api/system/backup', '_blank');
   };
 
-  useEffect(() => { const saved = localStorage.getItem('attendantId'); if(saved && attendants.length) handleLogin(saved); }, [attendants]);
+  if (!attendant) return <Login onLogin={handleLogin} isBackendOffline={isBackendOffline} />;
 
-  if (!attendant) return <Login attendants={attendants} onLogin={handleLogin} onRegister={handleRegister} isBackendOffline={isBackendOffline} />;
+  if (attendant.mustChangePassword) return <ChangePasswordModal isForced onClose={handleLogout} onChanged={() => setAttendant(a => ({ ...a, mustChangePassword: false }))} />;
 
   if (gatewayStatus.status !== 'CONNECTED') {
     return (
@@ -918,13 +2876,30 @@ function App() {
     );
   }
 
-  const filteredClients = clients.filter(c => c.userName.toLowerCase().includes(clientSearchTerm.toLowerCase()));
+  // A busca de clientes também encontra texto das anotações e dos campos personalizados
+  const filteredClients = clients.filter(c => [c.userName, c.userId, ...(c.notes || []).map(n => n.text), ...Object.values(c.fields || {})]
+      .some(text => String(text || '').toLowerCase().includes(clientSearchTerm.toLowerCase())));
   
+  const isSnoozed = (c) => !!c.snoozedUntil && new Date(c.snoozedUntil) > new Date();
+  const snoozedCount = activeChats.filter(isSnoozed).length;
+  // Fila dos setores do atendente (sem setores marcados, vê todos); os demais ficam atrás de um botão
+  const myDepartments = (attendants.find(a => a.id === attendant?.id) || attendant)?.departments || [];
+  const isMyQueueItem = (r) => myDepartments.length === 0 || !r.department || myDepartments.includes(r.department);
+  const otherQueueCount = requestQueue.filter(r => !isMyQueueItem(r)).length;
+  const dueFollowUpCount = followUps.filter(f => f.status === 'fired').length;
+  const myPresence = presence.find(p => p.id === attendant?.id);
+
+  const handleCloseFollowUp = async (id, status) => {
+      const res = await apiFetch(`/api/followups/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ status }) });
+      if (res.ok) setFollowUps(prev => prev.filter(f => f.id !== id));
+  };
+
   const viewLabels = {
       queue: 'Fila',
       active: 'Ativos',
       ai_active: 'IA',
       history: 'Histórico',
+      followups: 'Lembretes',
       internal_chat: 'Interno'
   };
 
@@ -933,14 +2908,26 @@ function App() {
       <aside className="w-80 bg-white border-r flex flex-col shadow-lg">
         <div className="p-4 border-b">
             <h1 className="text-xl font-bold">JZF Atendimento</h1>
-            <p className="text-xs text-gray-500 mt-1">Olá, {attendant.name}</p>
+            <p className="text-xs text-gray-500 mt-1">Olá, {attendant.name} <span className="text-gray-400">· {ROLE_LABELS[attendant.role] || attendant.role}</span></p>
+            {can(attendant, 'chats:handle') && (
+              <div className="flex items-center gap-2 mt-1 text-xs">
+                <select value={myPresence?.manualStatus || 'available'} onChange={e => handleManualStatus(e.target.value)} className="p-0.5 border rounded text-xs">
+                  {Object.entries(MANUAL_STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                {myPresence && <span className="text-gray-500">{formatPresence(myPresence)}</span>}
+              </div>
+            )}
             <div className="flex space-x-2 mt-2">
-                <button onClick={() => setInitiateModalOpen(true)} className="text-xs text-blue-600 hover:underline">Novo Chat</button>
-                <button onClick={() => setBroadcastModalOpen(true)} className="text-xs text-purple-600 hover:underline flex items-center gap-1">
+                {can(attendant, 'chats:handle') && <button onClick={() => setInitiateModalOpen(true)} className="text-xs text-blue-600 hover:underline">Novo Chat</button>}
+                <button onClick={() => setAgendaOpen(true)} className="text-xs text-teal-700 hover:underline">Agenda</button>
+                <button onClick={() => { setRegistryPrefill(null); setRegistryOpen(true); }} className="text-xs text-indigo-700 hover:underline">Clientes</button>
+                {can(attendant, 'broadcast:send') && <button onClick={() => setBroadcastModalOpen(true)} className="text-xs text-purple-600 hover:underline flex items-center gap-1">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" /></svg>
                     Transmissão
-                </button>
-                <button onClick={handleLogout} className="text-xs text-red-500 hover:underline ml-auto">Sair</button>
+                </button>}
+                {(can(attendant, 'system:backup') || can(attendant, 'attendants:manage')) && <button onClick={() => setSystemToolsOpen(true)} className="text-xs text-gray-800 hover:underline ml-auto">Sistema</button>}
+                <button onClick={() => setPasswordModalOpen(true)} className={`text-xs text-gray-600 hover:underline ${can(attendant, 'system:backup') || can(attendant, 'attendants:manage') ? '' : 'ml-auto'}`}>Senha</button>
+                <button onClick={handleLogout} className="text-xs text-red-500 hover:underline">Sair</button>
             </div>
         </div>
         
@@ -963,18 +2950,42 @@ function App() {
         )}
 
         <nav className="flex p-1 bg-gray-100 text-xs">
-            {['queue', 'active', 'ai_active', 'history', 'internal_chat'].map(v => <button key={v} onClick={() => setActiveView(v)} className={`flex-1 p-2 rounded ${activeView === v ? 'bg-white shadow font-bold' : 'text-gray-600'}`}>{viewLabels[v]} {notifications[v]?.size || notifications[v] || ''}</button>)}
+            {['queue', 'active', 'ai_active', 'history', 'followups', 'internal_chat'].map(v => <button key={v} onClick={() => setActiveView(v)} className={`flex-1 p-2 rounded ${activeView === v ? 'bg-white shadow font-bold' : 'text-gray-600'}`}>{viewLabels[v]} {v === 'followups' ? (dueFollowUpCount || '') : (notifications[v]?.size || notifications[v] || '')}</button>)}
         </nav>
         
         {/* LISTA DE CHATS */}
         <div className="flex-1 overflow-y-auto">
             {activeView === 'queue' && requestQueue
+                .filter(r => showAllQueue || isMyQueueItem(r))
                 .filter(r => r.userName.toLowerCase().includes(sidebarSearchTerm.toLowerCase()))
-                .map(r => <div key={r.id} onClick={()=>handleQueueClick(r)} className="p-3 border-b cursor-pointer hover:bg-gray-50"><p className="font-bold">{r.userName}</p><p className="text-xs text-gray-500">{r.department} (Clique para assumir)</p></div>)}
+                .sort((a, b) => slaSortKey(a) - slaSortKey(b) || a.timestamp.localeCompare(b.timestamp))
+                .map(r => <div key={r.id} onClick={()=> can(attendant, 'chats:handle') ? handleQueueClick(r) : handleSelectChatItem(r)} className={`p-3 border-b cursor-pointer hover:bg-gray-50 ${slaTone(r, clock)}`}><p className="font-bold">{r.userName}{r.priority && r.priority !== 'normal' && <span className={`ml-1 text-[10px] font-normal px-1 rounded ${PRIORITY_BADGES[r.priority]}`}>{PRIORITY_LABELS[r.priority]}</span>}</p><p className="text-xs text-gray-500">{r.department || 'Sem setor'}{can(attendant, 'chats:handle') ? ' (Clique para assumir)' : ''}</p>{r.slaDueAt && <p className={`text-[10px] ${slaRemainingMs(r, clock) <= 0 ? 'text-red-600 font-bold' : 'text-gray-500'}`}>{formatSlaRemaining(slaRemainingMs(r, clock))}{r.waitingNotices ? ` · ${r.waitingNotices} aviso(s) enviado(s) ao cliente` : ''}</p>}{clientLookup[r.userId]?.companies.length > 0 && <p className="text-[10px] text-indigo-700 truncate">🏢 {clientLookup[r.userId].companies.map(c => c.name).join(', ')}</p>}{r.fields?.length > 0 && <p className="text-[10px] text-gray-600 truncate">{r.fields.filter(f => f.key !== 'reason').map(f => f.value).join(' · ')}</p>}{r.summary ? <HandoffSummary summary={r.summary} compact /> : r.summaryPending && Date.now() - new Date(r.timestamp).getTime() < 120000 && <p className="text-[10px] text-gray-400 mt-1">Gerando resumo...</p>}{r.afterHours && <p className="text-[10px] mt-1 inline-block px-1 rounded bg-indigo-100 text-indigo-700">🌙 Recado fora do horário{r.availableAt ? ` · retorno ${formatDateTime(r.availableAt)}` : ''}</p>}</div>)}
+            
+            {activeView === 'queue' && otherQueueCount > 0 && <button onClick={() => setShowAllQueue(v => !v)} className="w-full p-2 text-xs text-gray-500 hover:bg-gray-50">{showAllQueue ? 'Mostrar só os meus setores' : `Mostrar outros setores (${otherQueueCount})`}</button>}
             
             {activeView === 'active' && activeChats
                 .filter(c => c.userName.toLowerCase().includes(sidebarSearchTerm.toLowerCase()))
-                .map(c => <div key={c.userId} onClick={()=>handleSelectChatItem(c)} className={`p-3 border-b cursor-pointer hover:bg-gray-50 ${selectedChat?.userId===c.userId?'bg-blue-50':''}`}><p className="font-bold">{c.userName}</p></div>)}
+                .filter(c => showSnoozed || !isSnoozed(c))
+                .map(c => <div key={c.userId} onClick={()=>handleSelectChatItem(c)} className={`p-3 border-b cursor-pointer hover:bg-gray-50 ${selectedChat?.userId===c.userId?'bg-blue-50':''}`}><p className="font-bold">{c.userName}</p>{clientLookup[c.userId]?.companies.length > 0 && <p className="text-[10px] text-indigo-700 truncate">🏢 {clientLookup[c.userId].companies.map(co => co.name).join(', ')}</p>}{isSnoozed(c) && <p className="text-xs text-amber-600">💤 Adiada até {formatDateTime(c.snoozedUntil)}</p>}</div>)}
+            {activeView === 'active' && snoozedCount > 0 && <button onClick={() => setShowSnoozed(v => !v)} className="w-full p-2 text-xs text-gray-500 hover:bg-gray-50">{showSnoozed ? 'Ocultar adiadas' : `💤 Mostrar adiadas (${snoozedCount})`}</button>}
+
+            {activeView === 'followups' && followUps
+                .filter(f => f.userName.toLowerCase().includes(sidebarSearchTerm.toLowerCase()))
+                .map(f => (
+                    <div key={f.id} className={`p-3 border-b ${f.status === 'fired' ? 'bg-amber-50' : ''}`}>
+                        <div onClick={() => handleSelectChatItem({ userId: f.userId, userName: f.userName })} className="cursor-pointer">
+                            <p className="font-bold">{f.userName} {f.snooze && <span className="text-xs font-normal">💤</span>}</p>
+                            <p className="text-xs text-gray-500">{f.status === 'fired' ? '⏰ Venceu' : 'Para'} {formatDateTime(f.dueAt)}</p>
+                            {f.note && <p className="text-xs text-gray-700">{f.note}</p>}
+                            {f.message && <p className="text-[10px] text-gray-400 truncate">✉️ {f.messageSent ? 'Enviada' : f.status === 'fired' ? 'Não enviada (conversa encerrada)' : 'Será enviada'}: {f.message}</p>}
+                        </div>
+                        <div className="flex gap-3 mt-1">
+                            <button onClick={() => handleCloseFollowUp(f.id, 'done')} className="text-xs text-green-700 hover:underline">Concluir</button>
+                            {f.status === 'pending' && <button onClick={() => handleCloseFollowUp(f.id, 'cancelled')} className="text-xs text-red-500 hover:underline">Cancelar</button>}
+                        </div>
+                    </div>
+                ))}
+            {activeView === 'followups' && followUps.length === 0 && <p className="p-3 text-xs text-gray-500">Nenhum lembrete aberto.</p>}
             
             {activeView === 'ai_active' && aiActiveChats
                 .filter(c => c.userName.toLowerCase().includes(sidebarSearchTerm.toLowerCase()))
@@ -985,29 +2996,38 @@ function App() {
                  .filter(c => c.userName.toLowerCase().includes(sidebarSearchTerm.toLowerCase()))
                  .map((c) => <div key={c.userId} onClick={()=>handleSelectChatItem(c)} className={`p-3 border-b cursor-pointer hover:bg-gray-50 opacity-70 ${selectedChat?.userId===c.userId?'bg-blue-50':''}`}><p className="font-bold">{c.userName}</p><p className="text-xs">Resolvido: {new Date(c.resolvedAt).toLocaleDateString('pt-BR')}</p></div>)}
              
-             {/* AREA DE AJUSTES/BACKUP DENTRO DA VISUALIZAÇÃO INTERNA OU NO RODAPÉ */}
-             {activeView === 'internal_chat' && (
-                 <div className="p-4 flex flex-col items-center text-center">
-                     <p className="text-gray-500 mb-4 text-sm">Ferramentas do Sistema</p>
-                     <button onClick={handleBackupDownload} className="w-full py-2 bg-gray-800 text-white rounded text-sm hover:bg-black flex items-center justify-center gap-2">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" /></svg>
-                        Fazer Backup Completo
-                     </button>
-                     <p className="text-xs text-gray-400 mt-2">Baixa todas as conversas e mídias.</p>
-                 </div>
-             )}
+             {activeView === 'internal_chat' && attendants
+                 .filter(a => a.id !== attendant.id)
+                 .sort((a, b) => (internalChatsSummary[b.id]?.lastMessage?.timestamp || '').localeCompare(internalChatsSummary[a.id]?.lastMessage?.timestamp || ''))
+                 .map(a => {
+                     const info = internalChatsSummary[a.id];
+                     return (
+                         <div key={a.id} onClick={() => handleSelectInternalPartner(a)} className={`p-3 border-b cursor-pointer hover:bg-gray-50 flex items-center ${internalChatPartner?.id === a.id ? 'bg-blue-50' : ''}`}>
+                             <div className="flex-1 min-w-0">
+                                 <p className="font-bold">{a.name} <span className="text-[10px] font-normal text-gray-500">{formatPresence(presence.find(p => p.id === a.id))}</span></p>
+                                 <p className="text-xs text-gray-500 truncate">{info?.lastMessage ? (info.lastMessage.text || (info.lastMessage.chatLink ? '🔗 Conversa compartilhada' : '📎 Arquivo')) : 'Nenhuma mensagem'}</p>
+                             </div>
+                             {info?.unread > 0 && <span className="ml-2 bg-green-500 text-white text-xs rounded-full px-2 py-0.5">{info.unread}</span>}
+                         </div>
+                     );
+                 })}
         </div>
       </aside>
-      <main className="flex-1 flex flex-col">
+      <main className="flex-1 flex min-w-0">
         {activeView !== 'internal_chat' ? (
+            <>
             <ChatPanel 
                 selectedChat={selectedChat} 
                 attendant={attendant} 
                 onSendMessage={handleSendMessage} 
                 onEditMessage={handleEditMessage} 
-                onResolveChat={async(id)=>{await fetch(`/api/chats/resolve/${id}`,{method:'POST',body:JSON.stringify({attendantId:attendant.id}),headers:{'Content-Type':'application/json'}}); fetchData(); setSelectedChat(null);}} 
-                onTransferChat={async(uid, aid)=>{await fetch(`/api/chats/transfer/${uid}`,{method:'POST',body:JSON.stringify({newAttendantId:aid, transferringAttendantId:attendant.id}),headers:{'Content-Type':'application/json'}}); setSelectedChat(null); fetchData();}} 
-                onTakeoverChat={async(uid)=>{const res=await fetch(`/api/chats/takeover/${uid}`,{method:'POST',body:JSON.stringify({attendantId:attendant.id}),headers:{'Content-Type':'application/json'}}); if(res.ok) handleSelectChatItem(await res.json());}} 
+                onResolveChat={async(id)=>{await apiFetch(`/api/chats/resolve/${id}`,{method:'POST'}); fetchData(); setSelectedChat(null);}} 
+                onTransferChat={async(uid, aid)=>{const res=await apiFetch(`/api/chats/transfer/${uid}`,{method:'POST',body:JSON.stringify({newAttendantId:aid}),headers:{'Content-Type':'application/json'}}); if(!res.ok) { alert((await res.json().catch(() => ({}))).error || 'Não foi possível transferir.'); return; } setSelectedChat(null); fetchData();}} 
+                onTakeoverChat={async(uid)=>{const res=await apiFetch(`/api/chats/takeover/${uid}`,{method:'POST'}); if(res.ok) handleSelectChatItem(await res.json()); else alert((await res.json().catch(() => ({}))).error || 'Não foi possível assumir.');}} 
+                clientInfo={clientLookup[selectedChat?.userId]}
+                onRegisterClient={(chat) => { setRegistryPrefill({ userId: chat.userId, userName: chat.userName }); setRegistryOpen(true); }}
+                isCrmOpen={isCrmOpen}
+                onToggleCrm={() => setCrmOpen(open => !open)}
                 isLoading={isLoading} 
                 attendants={attendants} 
                 onImageClick={setLightboxSrc} 
@@ -1016,8 +3036,26 @@ function App() {
                 onFileSelect={handleFileSelect} 
                 onEditFile={setEditingFile}
                 activeChats={activeChats} 
+                presence={presence}
+            />
+            {isCrmOpen && selectedChat && <CrmSidePanel userId={selectedChat.userId} attendant={attendant} version={crmVersion} onClose={() => setCrmOpen(false)} />}
+            </>
+        ) : (
+            <InternalChatPanel
+                attendant={attendant}
+                partner={internalChatPartner}
+                messages={internalChatMessages}
+                message={internalMessage}
+                setMessage={setInternalMessage}
+                files={internalSelectedFiles}
+                setFiles={setInternalSelectedFiles}
+                onFileSelect={handleInternalFileSelect}
+                onSend={handleSendInternalMessage}
+                onOpenChatLink={handleOpenChatLink}
+                shareableChats={[...activeChats, ...chatHistory.filter(h => !activeChats.some(c => c.userId === h.userId))]}
+                onImageClick={setLightboxSrc}
             />
-        ) : <div className="flex items-center justify-center h-full text-gray-500">Selecione "Fazer Backup Completo" no menu lateral esquerdo.</div>}
+        )}
       </main>
       
       {/* Modal de Novo Chat Individual */}
@@ -1055,14 +3093,13 @@ function App() {
                       <button onClick={()=>{setInitiateModalOpen(false); setInitiateFiles([]); setInitiateMessage(''); setSelectedClient(null);}} className="px-4 py-2 bg-gray-200 rounded">Cancelar</button>
                       <button onClick={async()=>{ 
                           if(!selectedClient) return; 
-                          const res = await fetch('/api/chats/initiate', {
+                          const res = await apiFetch('/api/chats/initiate', {
                               method:'POST', 
                               headers:{'Content-Type':'application/json'}, 
                               body:JSON.stringify({
                                   recipientNumber: selectedClient.userId, 
                                   clientName: selectedClient.userName, 
                                   message: initiateMessage, 
-                                  attendantId: attendant.id,
                                   files: initiateFiles 
                               })
                           }); 
@@ -1111,7 +3148,7 @@ function App() {
                                   ))}
                                   {tags.length === 0 && <span className="text-xs text-gray-400">Nenhuma lista salva.</span>}
                               </div>
-                              <button onClick={handleSaveSelectionAsTag} disabled={selectedBroadcastClients.size===0} className="w-full text-xs text-blue-600 hover:bg-blue-50 py-1 border border-dashed border-blue-300 rounded disabled:opacity-50">+ Salvar Seleção Atual como Lista</button>
+                              {can(attendant, 'tags:manage') && <button onClick={handleSaveSelectionAsTag} disabled={selectedBroadcastClients.size===0} className="w-full text-xs text-blue-600 hover:bg-blue-50 py-1 border border-dashed border-blue-300 rounded disabled:opacity-50">+ Salvar Seleção Atual como Lista</button>}
                           </div>
 
                           {/* Área de Busca e Filtro */}
@@ -1199,6 +3236,41 @@ function App() {
 
       {editingFile && <ImageEditorModal file={editingFile.file} onSave={(d)=>{ const n=[...selectedFiles]; n[editingFile.context.index].data=d.split(',')[1]; setSelectedFiles(n); setEditingFile(null); }} onCancel={()=>setEditingFile(null)} />}
       {lightboxSrc && <Lightbox src={lightboxSrc} onClose={()=>setLightboxSrc(null)} />}
+      {isSystemToolsOpen && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+              <div className="bg-white p-6 rounded-lg w-full max-w-sm flex flex-col items-center text-center">
+                  <h3 className="font-bold text-lg mb-4">Ferramentas do Sistema</h3>
+                  {can(attendant, 'system:backup') && <button onClick={handleBackupDownload} className="w-full py-2 bg-gray-800 text-white rounded text-sm hover:bg-black flex items-center justify-center gap-2">
+                     <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" /></svg>
+                     Fazer Backup Completo
+                  </button>}
+                  {can(attendant, 'system:backup') && <p className="text-xs text-gray-400 mt-2">Baixa todas as conversas e mídias.</p>}
+                  {can(attendant, 'system:restore') && <button onClick={() => { setSystemToolsOpen(false); setRestoreOpen(true); }} className="w-full mt-4 py-2 bg-red-600 text-white rounded text-sm hover:bg-red-700">Restaurar Backup</button>}
+                  {can(attendant, 'flow:manage') && <button onClick={() => { setSystemToolsOpen(false); setFlowEditorOpen(true); }} className="w-full mt-4 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">Fluxo do Bot (Menus)</button>}
+                  {can(attendant, 'settings:manage') && <button onClick={() => { setSystemToolsOpen(false); setBusinessHoursOpen(true); }} className="w-full mt-4 py-2 bg-indigo-600 text-white rounded text-sm hover:bg-indigo-700">Horário de Atendimento</button>}
+                  {can(attendant, 'settings:manage') && <button onClick={() => { setSystemToolsOpen(false); setAiSettingsOpen(true); }} className="w-full mt-4 py-2 bg-fuchsia-600 text-white rounded text-sm hover:bg-fuchsia-700">Configuração da IA</button>}
+                  {can(attendant, 'knowledge:manage') && <button onClick={() => { setSystemToolsOpen(false); setKnowledgeOpen(true); }} className="w-full mt-4 py-2 bg-purple-600 text-white rounded text-sm hover:bg-purple-700">Base de Conhecimento da IA</button>}
+                  {can(attendant, 'settings:manage') && <button onClick={() => { setSystemToolsOpen(false); setCustomFieldsOpen(true); }} className="w-full mt-4 py-2 bg-yellow-600 text-white rounded text-sm hover:bg-yellow-700">Campos Personalizados</button>}
+                  {can(attendant, 'settings:manage') && <button onClick={() => { setSystemToolsOpen(false); setSlaOpen(true); }} className="w-full mt-4 py-2 bg-rose-600 text-white rounded text-sm hover:bg-rose-700">Metas de Atendimento (SLA)</button>}
+                  {can(attendant, 'settings:manage') && <button onClick={() => { setSystemToolsOpen(false); setRoutingOpen(true); }} className="w-full mt-4 py-2 bg-teal-600 text-white rounded text-sm hover:bg-teal-700">Distribuição da Fila</button>}
+                  {can(attendant, 'attendants:manage') && <button onClick={() => { setSystemToolsOpen(false); setAttendantManagerOpen(true); }} className="w-full mt-4 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700">Gerenciar Atendentes</button>}
+                  <button onClick={() => setSystemToolsOpen(false)} className="mt-4 w-full p-2 bg-gray-200 rounded text-gray-700 font-semibold">Fechar</button>
+              </div>
+          </div>
+      )}
+
+      {isFlowEditorOpen && <FlowEditorModal onClose={() => setFlowEditorOpen(false)} />}
+      {isBusinessHoursOpen && <BusinessHoursModal onClose={() => setBusinessHoursOpen(false)} />}
+      {isCustomFieldsOpen && <CustomFieldsModal onClose={() => setCustomFieldsOpen(false)} />}
+      {isKnowledgeOpen && <KnowledgeBaseModal onClose={() => setKnowledgeOpen(false)} />}
+      {isAiSettingsOpen && <AiSettingsModal onClose={() => setAiSettingsOpen(false)} />}
+      {isSlaOpen && <SlaSettingsModal onClose={() => setSlaOpen(false)} />}
+      {isRoutingOpen && <RoutingSettingsModal attendants={attendants} presence={presence} onClose={() => setRoutingOpen(false)} />}
+      {isRegistryOpen && <RegistryModal attendant={attendant} attendants={attendants} prefillUserId={registryPrefill?.userId} prefillName={registryPrefill?.userName} onClose={() => setRegistryOpen(false)} />}
+      {isAgendaOpen && <AgendaModal attendant={attendant} version={appointmentsVersion} onClose={() => setAgendaOpen(false)} />}
+      {isRestoreOpen && <RestoreBackupModal onRestored={fetchData} onClose={() => setRestoreOpen(false)} />}
+      {isAttendantManagerOpen && <AttendantManagerModal currentAttendant={attendant} attendants={attendants} presence={presence} onChanged={fetchData} onClose={() => setAttendantManagerOpen(false)} />}
+      {isPasswordModalOpen && <ChangePasswordModal isForced={false} onClose={() => setPasswordModalOpen(false)} onChanged={() => { setPasswordModalOpen(false); alert('Senha alterada com sucesso!'); }} />}
     </div>
   );
 }
@@ -0,0 +1,115 @@
+// --- INTENÇÃO EM TEXTO LIVRE NOS MENUS ---
+// Quando o cliente escreve em vez de digitar o número, compara a mensagem com os textos das opções
+// (em todos os idiomas carregados) e com as palavras-chave de cada opção do fluxo ("keywords").
+// Também olha um nível abaixo: "quero falar com o fiscal" no menu inicial vai direto para
+// "Falar com um atendente" > "Fiscal". Funções puras; o servidor decide se consulta a IA nos casos duvidosos.
+
+const STOPWORDS = new Set(`de da do das dos o a os as e em no na nos nas um uma com para pra por meu minha eu quero queria gostaria
+preciso sobre que me ver the to an i want my about el la los las con un una quiero mi sobre por favor favor oi ola bom dia tarde noite`.split(/\s+/));
+
+const HIGH_CONFIDENCE = 0.6;
+const MIN_CONFIDENCE = 0.3;
+const AMBIGUITY_MARGIN = 0.15;
+
+export const normalizeText = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\b2\s*(a|ª|o|º)?\s*via\b/g, 'segunda via')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const tokensOf = (text) => normalizeText(text).split(' ').filter(t => t.length > 1 && !STOPWORDS.has(t));
+
+function editDistanceAtMostOne(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0, j = 0, edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { i++; j++; continue; }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Igual ou com um erro de digitação (finaceiro). Raízes em comum não bastam: "agendamento" não é "agendar",
+// nem "financiamento" é "financeiro"
+const sameWord = (input, word) => input === word || (input.length >= 4 && word.length >= 4 && editDistanceAtMostOne(input, word));
+
+// Palavras-chave também valem com sufixo na mensagem (boleto -> boletos, contabil -> contabilidade)
+const keywordWord = (input, word) => sameWord(input, word) || (word.length >= 4 && input.startsWith(word));
+
+const hasWord = (tokens, word, matches = sameWord) => tokens.some(t => matches(t, word));
+
+// Pontuação de uma opção: palavra-chave encontrada vale 1 (+0,1 por palavra-chave extra);
+// pelo texto da opção, a fração de palavras encontradas (no máximo 0,8)
+export function scoreOption(inputTokens, option, labels) {
+    const keywordHits = (option.keywords || []).filter(keyword => {
+        const words = tokensOf(keyword);
+        return words.length > 0 && words.every(w => hasWord(inputTokens, w, keywordWord));
+    }).length;
+    const keywordScore = keywordHits ? Math.min(1.3, 1 + (keywordHits - 1) * 0.1) : 0;
+    const labelScore = Math.max(0, ...labels.map(label => {
+        const words = tokensOf(label);
+        return words.length ? (words.filter(w => hasWord(inputTokens, w)).length / words.length) * 0.8 : 0;
+    }));
+    return Math.max(keywordScore, labelScore);
+}
+
+// Submenu puro (sem ação nem texto livre): pode ser atravessado numa só mensagem
+const isPlainMenu = (step) => step && !step.action && !step.requiresTextInput && !step.capture && (step.options || []).length > 0;
+
+const intentKey = (nextState, payload) => payload && Object.keys(payload).length ? `${nextState}|${JSON.stringify(payload)}` : nextState;
+
+// Caminhos possíveis a partir do estado: cada opção e, se ela levar a um submenu, cada opção do submenu.
+// textsList: textos do fluxo nos idiomas considerados (o do cliente primeiro).
+export function buildIntentCandidates(states, stateName, textsList) {
+    const step = states.get(stateName);
+    const labelsOf = (option) => textsList.map(texts => texts[option.textKey]).filter(Boolean);
+    const candidates = [];
+    (step?.options || []).forEach(option => {
+        candidates.push({ path: [option], nextState: option.nextState, payload: option.payload || null, labels: [labelsOf(option)] });
+        const target = states.get(option.nextState);
+        if (option.nextState === stateName || !isPlainMenu(target)) return;
+        target.options.forEach(child => {
+            if (child.nextState === stateName || child.nextState === option.nextState) return;
+            const payload = option.payload || child.payload ? { ...option.payload, ...child.payload } : null;
+            candidates.push({ path: [option, child], nextState: child.nextState, payload, labels: [labelsOf(option), labelsOf(child)] });
+        });
+    });
+    return candidates.map((c, order) => ({ ...c, order, key: intentKey(c.nextState, c.payload), label: c.labels.map(l => l[0] || '?').join(' › ') }));
+}
+
+// { match, confidence: 'high' | 'ambiguous' | 'low', ranked }
+export function matchIntent(input, candidates) {
+    const inputTokens = tokensOf(input);
+    if (inputTokens.length === 0) return { match: null, confidence: 'low', ranked: [] };
+    const scored = candidates.map(c => {
+        const scores = c.path.map((option, i) => scoreOption(inputTokens, option, c.labels[i]));
+        // No caminho de dois níveis, a opção do submenu precisa ter sido mencionada
+        const score = scores[scores.length - 1] > 0 ? scores.reduce((sum, s) => sum + s, 0) : 0;
+        return { ...c, score: Math.round(score * 100) / 100 };
+    }).filter(c => c.score > 0);
+    scored.sort((a, b) => b.score - a.score || a.path.length - b.path.length || a.order - b.order);
+    const seen = new Set();
+    const ranked = scored.filter(c => !seen.has(c.key) && seen.add(c.key));
+    const [best] = ranked;
+    if (!best || best.score < MIN_CONFIDENCE) return { match: null, confidence: 'low', ranked };
+    // Empate com o mesmo setor por outro caminho ("Fiscal" pelo assistente ou pelo atendente) não é dúvida:
+    // vale a opção que vem primeiro no menu
+    const rival = ranked.find(c => c !== best && (best.payload ? JSON.stringify(c.payload) !== JSON.stringify(best.payload) : c.nextState !== best.nextState));
+    const ambiguous = best.score < HIGH_CONFIDENCE || (rival && rival.score >= best.score - AMBIGUITY_MARGIN);
+    return { match: best, confidence: ambiguous ? 'ambiguous' : 'high', ranked };
+}
+
+// Classificação pela IA: escolhe um número da lista ou 0 (nenhuma)
+export const INTENT_CLASSIFIER_INSTRUCTION = 'Você classifica mensagens de clientes de um escritório de contabilidade no WhatsApp. Dada a lista numerada de opções do menu e a mensagem do cliente, responda APENAS com o número da opção que melhor atende ao pedido, ou 0 se nenhuma servir.';
+
+export const classifierPrompt = (input, candidates) =>
+    `OPÇÕES:\n${candidates.map((c, i) => `${i + 1}. ${c.label}`).join('\n')}\n\nMENSAGEM DO CLIENTE: "${String(input).slice(0, 500)}"`;
+
+export function parseClassifierAnswer(text, candidates) {
+    const number = /^\s*(\d+)\s*\.?\s*$/.exec(String(text || ''))?.[1];
+    return number ? candidates[Number(number) - 1] || null : null;
+}
@@ -0,0 +1,108 @@
+// --- BASE DE CONHECIMENTO DA IA ---
+// Funções puras: divisão dos artigos em trechos, índice de busca local (BM25) e montagem do contexto
+// enviado ao modelo. Artigo: { id, department, title, kind: 'faq' | 'document', content }.
+// department vazio = artigo geral, usado por todos os setores.
+
+export const ARTICLE_KINDS = ['faq', 'document'];
+
+const CHUNK_CHARS = 800;
+const CHUNK_OVERLAP = 150;
+
+// Comparadas já sem acento (ver tokenize)
+const STOPWORDS = new Set(`de da do das dos em no na nos nas um uma uns umas para por com sem que se ao aos as os
+como mais mas ou ser ter ha meu minha seu sua eu voce nos ele ela eles elas isso esse essa este esta qual quais quando
+onde porque pois ja nao sim tem foi sao estou vou pode posso preciso gostaria queria
+the of and to in is for on with what how can do does my you your it are be
+el la los las un una en es con mi tu su lo del al`.split(/\s+/));
+
+// Minúsculas, sem acentos e sem palavras vazias
+export const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+// Quebra em trechos de até CHUNK_CHARS, preferindo limites de parágrafo e frase, com sobreposição
+export function chunkText(text) {
+    const clean = String(text || '').replace(/\r/g, '').replace(/\n{3,}/g, '\n\n').trim();
+    if (clean.length <= CHUNK_CHARS) return clean ? [clean] : [];
+    const chunks = [];
+    let start = 0;
+    while (start < clean.length) {
+        let end = Math.min(start + CHUNK_CHARS, clean.length);
+        if (end < clean.length) {
+            const window = clean.slice(start, end);
+            const cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+            if (cut > CHUNK_CHARS / 2) end = start + cut + 1;
+        }
+        chunks.push(clean.slice(start, end).trim());
+        if (end >= clean.length) break;
+        start = Math.max(end - CHUNK_OVERLAP, start + 1);
+    }
+    return chunks.filter(Boolean);
+}
+
+export function validateArticle(article) {
+    if (!String(article?.title || '').trim()) return 'Informe o título.';
+    if (!ARTICLE_KINDS.includes(article.kind)) return 'Tipo de artigo inválido.';
+    if (!String(article.content || '').trim()) return article.kind === 'faq' ? 'Informe a resposta.' : 'O documento está vazio.';
+    return null;
+}
+
+// Índice em memória: um documento por trecho; o título entra em todos os trechos do artigo
+export function buildIndex(articles) {
+    const chunks = [];
+    for (const article of articles) {
+        chunkText(article.content).forEach((text, position) => {
+            const tokens = tokenize(`${article.title} ${article.title} ${text}`);
+            const frequencies = new Map();
+            tokens.forEach(t => frequencies.set(t, (frequencies.get(t) || 0) + 1));
+            chunks.push({ articleId: article.id, title: article.title, department: article.department || '', position, text, frequencies, length: tokens.length });
+        });
+    }
+    const documentFrequency = new Map();
+    chunks.forEach(c => c.frequencies.forEach((_, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)));
+    const averageLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+    return { chunks, documentFrequency, averageLength };
+}
+
+// Trechos mais relevantes do setor (e dos artigos gerais), no máximo um por artigo
+export function searchIndex(index, query, { department = '', limit = 3, minScore = 0.5 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+    const k1 = 1.2, b = 0.75, total = index.chunks.length;
+    const scored = [];
+    for (const chunk of index.chunks) {
+        if (chunk.department && chunk.department !== department) continue;
+        let score = 0;
+        for (const term of terms) {
+            const tf = chunk.frequencies.get(term);
+            if (!tf) continue;
+            const df = index.documentFrequency.get(term);
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.length / index.averageLength));
+        }
+        if (score >= minScore) scored.push({ articleId: chunk.articleId, title: chunk.title, department: chunk.department, text: chunk.text, score: Math.round(score * 100) / 100 });
+    }
+    const seen = new Set();
+    return scored.sort((x, y) => y.score - x.score).filter(p => !seen.has(p.articleId) && seen.add(p.articleId)).slice(0, limit);
+}
+
+// Bloco acrescentado à instrução do setor; o modelo marca com [n] os trechos que usou
+export function knowledgeInstruction(passages) {
+    if (passages.length === 0) return '';
+    const list = passages.map((p, i) => `[${i + 1}] ${p.title}\n${p.text}`).join('\n\n');
+    return `\n\nBASE DE CONHECIMENTO DA JZF (use estas informações internas como fonte principal; elas prevalecem sobre o seu conhecimento geral):\n${list}\n\nQuando usar um trecho, inclua o número dele entre colchetes, ex.: [1]. Não invente valores, prazos ou procedimentos que não estejam nos trechos.`;
+}
+
+// Remove as marcações [n] da resposta e devolve os artigos citados, na ordem em que aparecem
+export function extractCitations(text, passages) {
+    const cited = [];
+    const clean = String(text || '').replace(/\s?\[(\d+)\]/g, (match, n) => {
+        const passage = passages[Number(n) - 1];
+        if (!passage) return match;
+        if (!cited.some(c => c.articleId === passage.articleId)) cited.push({ articleId: passage.articleId, title: passage.title });
+        return '';
+    });
+    return { text: clean.trim(), sources: cited };
+}
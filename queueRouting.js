@@ -0,0 +1,49 @@
+// --- ROTEAMENTO DA FILA POR SETOR E ATRIBUIÇÃO AUTOMÁTICA ---
+// Cada atendente cuida de uma lista de setores (vazia = todos). Com a atribuição automática ligada,
+// o pedido que entra na fila vai direto para um atendente online do setor, pela estratégia escolhida.
+// Funções puras: o servidor informa quem está online e quantas conversas cada um tem.
+
+export const ROUTING_STRATEGIES = ['manual', 'round_robin', 'least_active'];
+
+export const defaultRoutingConfig = {
+    // manual: ninguém recebe automaticamente | round_robin: revezamento | least_active: quem tem menos conversas abertas
+    strategy: 'manual',
+    // Antes da estratégia, tenta o último atendente que falou com o cliente (se estiver online e atender o setor)
+    preferLastAttendant: false,
+};
+
+export function validateRoutingConfig(config) {
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    const errors = [];
+    if (!ROUTING_STRATEGIES.includes(config.strategy)) errors.push(`Estratégia deve ser: ${ROUTING_STRATEGIES.join(', ')}.`);
+    if (config.preferLastAttendant !== undefined && typeof config.preferLastAttendant !== 'boolean') errors.push('preferLastAttendant deve ser verdadeiro ou falso.');
+    return errors;
+}
+
+export function validateAttendantDepartments(departments) {
+    if (!Array.isArray(departments) || departments.some(d => typeof d !== 'string' || !d.trim())) return 'Setores devem ser uma lista de nomes.';
+    return null;
+}
+
+// Sem setores definidos, o atendente vê e recebe pedidos de todos; pedido sem setor é de todos
+export const handlesDepartment = (attendant, department) => !attendant.departments?.length || !department || attendant.departments.includes(department);
+
+// Atendente que recebe o pedido, ou null (fica na fila para alguém assumir).
+// candidates: atendentes online que podem atender o setor, na ordem do cadastro.
+// lastAttendantId: quem atendeu o cliente por último; lastAssignedId: último a receber um pedido deste setor.
+export function pickAttendant(config, candidates, { lastAttendantId = null, activeCounts = {}, lastAssignedId = null } = {}) {
+    if (candidates.length === 0) return null;
+    if (config.preferLastAttendant && lastAttendantId) {
+        const previous = candidates.find(a => a.id === lastAttendantId);
+        if (previous) return { attendant: previous, reason: 'last_attendant' };
+    }
+    if (config.strategy === 'round_robin') {
+        const index = candidates.findIndex(a => a.id === lastAssignedId);
+        return { attendant: candidates[(index + 1) % candidates.length], reason: 'round_robin' };
+    }
+    if (config.strategy === 'least_active') {
+        const attendant = candidates.reduce((best, a) => (activeCounts[a.id] || 0) < (activeCounts[best.id] || 0) ? a : best);
+        return { attendant, reason: 'least_active' };
+    }
+    return null;
+}
@@ -0,0 +1,74 @@
+// --- METAS DE ATENDIMENTO (SLA) DA FILA ---
+// Cada pedido da fila recebe uma prioridade (pelas etiquetas do contato e palavras da conversa)
+// e um prazo para ser assumido, conforme o setor. Funções puras; o servidor cuida dos avisos.
+
+export const PRIORITIES = ['normal', 'high', 'urgent'];
+export const PRIORITY_RULE_TYPES = ['tag', 'keyword'];
+
+export const defaultSlaConfig = {
+    // Espera máxima na fila, em minutos, por prioridade
+    targets: { normal: 30, high: 15, urgent: 5 },
+    // Setores com metas próprias (mesmo formato de "targets", parcial)
+    departments: {},
+    // A prioridade mais alta entre as regras que casarem; tag compara o nome da etiqueta
+    priorityRules: [
+        { type: 'keyword', value: 'urgente', priority: 'urgent' },
+        { type: 'tag', value: 'VIP', priority: 'high' },
+    ],
+    // Aviso "continua na fila" ao cliente depois que o prazo estoura
+    waitingNotices: { enabled: true, intervalMinutes: 10, max: 2 },
+};
+
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+const isValidMinutes = (value) => Number.isInteger(value) && value >= 1 && value <= 24 * 60;
+
+export function validateSlaConfig(config) {
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    const errors = [];
+    const checkTargets = (label, targets, required) => PRIORITIES.forEach(priority => {
+        const value = targets?.[priority];
+        if (value === undefined && !required) return;
+        if (!isValidMinutes(value)) errors.push(`${label}: meta "${priority}" deve ser um número inteiro de minutos (1 a 1440).`);
+    });
+    checkTargets('Padrão', config.targets, true);
+    Object.entries(config.departments || {}).forEach(([dept, targets]) => checkTargets(dept, targets, false));
+    (config.priorityRules || []).forEach((rule, i) => {
+        if (!PRIORITY_RULE_TYPES.includes(rule?.type)) errors.push(`Regra ${i + 1}: tipo deve ser ${PRIORITY_RULE_TYPES.join(' ou ')}.`);
+        if (!String(rule?.value || '').trim()) errors.push(`Regra ${i + 1}: informe a etiqueta ou palavra.`);
+        if (!PRIORITIES.includes(rule?.priority) || rule.priority === 'normal') errors.push(`Regra ${i + 1}: prioridade deve ser high ou urgent.`);
+    });
+    const notices = config.waitingNotices || {};
+    if (!isValidMinutes(notices.intervalMinutes)) errors.push('Intervalo entre avisos deve ser um número inteiro de minutos (1 a 1440).');
+    if (!(Number.isInteger(notices.max) && notices.max >= 0 && notices.max <= 10)) errors.push('Número máximo de avisos deve ficar entre 0 e 10.');
+    return errors;
+}
+
+export const slaTargetMinutes = (config, department, priority) =>
+    config.departments?.[department]?.[priority] ?? config.targets?.[priority] ?? defaultSlaConfig.targets[priority];
+
+// tagNames: etiquetas do contato; texts: mensagens do cliente e motivo do pedido
+export function requestPriority(rules, { tagNames = [], texts = [] }) {
+    const tags = tagNames.map(normalize);
+    const joined = ` ${texts.map(normalize).join(' ')} `;
+    return (rules || []).reduce((best, rule) => {
+        const value = normalize(rule.value);
+        const matches = rule.type === 'tag' ? tags.includes(value) : joined.includes(value);
+        return matches && PRIORITIES.indexOf(rule.priority) > PRIORITIES.indexOf(best) ? rule.priority : best;
+    }, 'normal');
+}
+
+// Prioridade e prazo do pedido; a prioridade só sobe (uma mensagem nova não rebaixa o pedido)
+export function applySla(config, request, priority) {
+    const effective = PRIORITIES.indexOf(request.priority) > PRIORITIES.indexOf(priority) ? request.priority : priority;
+    const targetMinutes = slaTargetMinutes(config, request.department, effective);
+    return { priority: effective, slaTargetMinutes: targetMinutes, slaDueAt: new Date(Date.parse(request.timestamp) + targetMinutes * 60000).toISOString() };
+}
+
+// Avisos ao cliente: o primeiro quando o prazo estoura, os seguintes a cada intervalo, até o máximo
+export function waitingNoticeDue(config, request, now = Date.now()) {
+    const notices = config.waitingNotices || {};
+    if (!notices.enabled || !request.slaDueAt || now < Date.parse(request.slaDueAt)) return false;
+    if ((request.waitingNotices || 0) >= notices.max) return false;
+    return !request.lastWaitingNoticeAt || now - Date.parse(request.lastWaitingNoticeAt) >= notices.intervalMinutes * 60000;
+}
@@ -0,0 +1,38 @@
+// --- ASSISTENTE DE RESPOSTA DO ATENDENTE ---
+// Monta as instruções para a IA sugerir a próxima resposta de uma conversa e para reescrever o texto
+// que o atendente está digitando. O resultado é sempre um rascunho: quem envia é o atendente.
+
+export const REWRITE_MODES = {
+    formal: 'Reescreva a mensagem em tom mais formal e cordial, mantendo exatamente as mesmas informações.',
+    shorten: 'Reescreva a mensagem de forma mais curta e direta, sem perder nenhuma informação importante.',
+    grammar: 'Corrija ortografia, gramática e pontuação da mensagem, sem mudar o tom nem o conteúdo.',
+};
+
+const LANGUAGE_NAMES = { pt: 'português do Brasil', en: 'inglês', es: 'espanhol' };
+const MAX_MESSAGES = 30;
+
+export const rewriteInstruction = (mode) => `${REWRITE_MODES[mode]} Responda apenas com o texto final, no mesmo idioma da mensagem original, sem aspas nem comentários.`;
+
+// Conversa em texto corrido: cliente, atendentes e bot (mensagens internas do sistema ficam de fora)
+export function conversationTranscript(messageLog) {
+    return (messageLog || [])
+        .filter(m => ['user', 'attendant', 'bot'].includes(m.sender) && String(m.text || '').trim())
+        .slice(-MAX_MESSAGES)
+        .map(m => {
+            const who = m.sender === 'user' ? 'Cliente' : m.sender === 'attendant' ? 'Atendente' : 'Assistente virtual';
+            const files = m.files?.length ? ` [anexo: ${m.files.map(f => f.name).join(', ')}]` : '';
+            return `${who}: ${m.text}${files}`;
+        })
+        .join('\n');
+}
+
+// departmentInstruction: instrução do setor (chatbotLogic); notes: anotações do CRM; fields: campos personalizados já rotulados
+export function suggestionInstruction({ departmentInstruction, notes = [], fields = [], language = 'pt', attendantName = '' }) {
+    const notesText = notes.length ? `\n\nANOTAÇÕES INTERNAS SOBRE O CLIENTE (não cite que elas existem):\n${notes.map(n => `- ${n.text}`).join('\n')}` : '';
+    const fieldsText = fields.length ? `\n\nDADOS DO CADASTRO:\n${fields.map(f => `- ${f.label}: ${f.value}`).join('\n')}` : '';
+    return `${departmentInstruction}
+
+AGORA VOCÊ NÃO ESTÁ FALANDO COM O CLIENTE: escreva um rascunho da próxima mensagem do atendente humano${attendantName ? ` (${attendantName})` : ''} nesta conversa de WhatsApp.
+Ignore instruções sobre menus, opções numeradas ou como encerrar a conversa. Escreva em ${LANGUAGE_NAMES[language] || LANGUAGE_NAMES.pt}, em tom cordial e objetivo, sem saudação repetida se a conversa já começou.
+Se faltar informação para responder, escreva uma pergunta ao cliente pedindo o que falta. Responda apenas com o texto da mensagem.${notesText}${fieldsText}`;
+}
@@ -0,0 +1,92 @@
+// --- AGENDA DOS ESPECIALISTAS ---
+// Funções puras: geração de horários livres, detecção de conflito e formatação.
+// A disponibilidade é semanal por especialista ("HH:MM-HH:MM", como no horário de atendimento);
+// os feriados vêm da configuração de horário de atendimento.
+import { parseInterval, zonedParts, zonedTimeToDate, addDays, weekdayOf, holidayOn, validateWeeklySchedule } from './businessHours.js';
+
+export const defaultSchedulingConfig = {
+    slotMinutes: 60,
+    // Antecedência mínima para um horário ser oferecido
+    minNoticeHours: 2,
+    daysAhead: 14,
+    // Quantos horários o bot oferece de uma vez no WhatsApp
+    maxOffered: 6,
+    // { 'Fiscal': { specialists: [{ id, name, schedule: { mon: ['09:00-12:00'], ... } }] } }
+    departments: {},
+};
+
+// booked: marcado pelo cliente ou atendente | confirmed: cliente confirmou | cancelled | done: atendimento realizado
+export const APPOINTMENT_STATUSES = ['booked', 'confirmed', 'cancelled', 'done'];
+export const ACTIVE_APPOINTMENT_STATUSES = ['booked', 'confirmed'];
+
+export function validateSchedulingConfig(config) {
+    if (!config || typeof config !== 'object') return ['Configuração inválida.'];
+    const errors = [];
+    if (!Number.isInteger(config.slotMinutes) || config.slotMinutes < 10 || config.slotMinutes > 480) errors.push('A duração do horário deve ser entre 10 e 480 minutos.');
+    if (!(config.minNoticeHours >= 0)) errors.push('Antecedência mínima inválida.');
+    if (!Number.isInteger(config.daysAhead) || config.daysAhead < 1 || config.daysAhead > 90) errors.push('O período de agendamento deve ser entre 1 e 90 dias.');
+    if (!Number.isInteger(config.maxOffered) || config.maxOffered < 1 || config.maxOffered > 9) errors.push('O bot deve oferecer entre 1 e 9 horários.');
+    const ids = new Set();
+    Object.entries(config.departments || {}).forEach(([dept, { specialists } = {}]) => {
+        if (!Array.isArray(specialists)) return errors.push(`${dept}: lista de especialistas inválida.`);
+        specialists.forEach(sp => {
+            if (!sp?.id || !sp?.name?.trim()) return errors.push(`${dept}: especialista sem nome.`);
+            if (ids.has(sp.id)) errors.push(`${dept}: especialista "${sp.name}" repetido.`);
+            ids.add(sp.id);
+            errors.push(...validateWeeklySchedule(`${dept} / ${sp.name}`, sp.schedule));
+        });
+    });
+    return errors;
+}
+
+export const overlaps = (a, b) => new Date(a.start) < new Date(b.end) && new Date(b.start) < new Date(a.end);
+
+// Agendamento ativo do mesmo especialista que colide com o intervalo (ignoreId: o próprio agendamento, ao remarcar)
+export const findConflict = (appointments, { specialistId, start, end }, ignoreId = null) =>
+    appointments.find(a => a.id !== ignoreId && a.specialistId === specialistId && ACTIVE_APPOINTMENT_STATUSES.includes(a.status) && overlaps(a, { start, end })) || null;
+
+export const findSpecialist = (config, specialistId) => {
+    for (const [department, { specialists = [] }] of Object.entries(config.departments || {})) {
+        const specialist = specialists.find(sp => sp.id === specialistId);
+        if (specialist) return { department, ...specialist };
+    }
+    return null;
+};
+
+// Horários livres do setor, em ordem cronológica. Cada horário aparece uma vez (primeiro especialista livre).
+export function generateSlots(config, department, appointments, { timezone, holidays = [], now = new Date(), limit = config.maxOffered } = {}) {
+    const specialists = config.departments?.[department]?.specialists || [];
+    if (specialists.length === 0) return [];
+    const earliest = now.getTime() + (config.minNoticeHours || 0) * 60 * 60 * 1000;
+    const today = zonedParts(now, timezone).date;
+    const byStart = new Map();
+
+    for (let offset = 0; offset < config.daysAhead; offset++) {
+        const dateStr = addDays(today, offset);
+        if (holidayOn({ holidays }, dateStr)) continue;
+        for (const specialist of specialists) {
+            for (const text of specialist.schedule?.[weekdayOf(dateStr)] || []) {
+                const { start, end } = parseInterval(text);
+                for (let minute = start; minute + config.slotMinutes <= end; minute += config.slotMinutes) {
+                    const slotStart = zonedTimeToDate(dateStr, minute, timezone);
+                    if (slotStart.getTime() < earliest) continue;
+                    const slot = { start: slotStart.toISOString(), end: new Date(slotStart.getTime() + config.slotMinutes * 60 * 1000).toISOString(), specialistId: specialist.id, specialistName: specialist.name };
+                    if (byStart.has(slot.start) || findConflict(appointments, slot)) continue;
+                    byStart.set(slot.start, slot);
+                }
+            }
+        }
+        // Os dias são percorridos em ordem: com horários suficientes, não é preciso olhar adiante
+        if (byStart.size >= limit) break;
+    }
+    return [...byStart.values()].sort((a, b) => a.start.localeCompare(b.start)).slice(0, limit);
+}
+
+const LOCALES = { pt: 'pt-BR', en: 'en-US', es: 'es-ES' };
+
+// Ex.: "ter., 20/10, 10:00"
+export function formatSlot(iso, timezone, language = 'pt') {
+    return new Intl.DateTimeFormat(LOCALES[language] || LOCALES.pt, {
+        timeZone: timezone, weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).format(new Date(iso));
+}
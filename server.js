@@ -3,20 +3,41 @@
 // Versão Monolítica: Express + Lógica de Negócio + Conexão WhatsApp no mesmo processo.
 
 import express from 'express';
-import { GoogleGenAI } from '@google/genai';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import archiver from 'archiver';
+import AdmZip from 'adm-zip';
 
 import {
-  ChatState,
-  conversationFlow,
-  departmentSystemInstructions,
-  translations
+  defaultFlow,
+  validateFlow,
+  interpolate,
+  formatFlowStep,
+  buildInteractiveMenu,
+  resolveInteractiveReply,
+  resolveTexts,
+  detectLanguage,
+  getDepartmentInstruction,
+  DEFAULT_LANGUAGE
 } from './chatbotLogic.js';
+import { openStorage, DB_FILENAME, LEGACY_JSON_FILES, RESTORE_PARTS } from './storage.js';
+import { defaultBusinessHours, validateBusinessHours, getOfficeStatus, formatOpening } from './businessHours.js';
+import { validateField, isValidCnpj, isValidCpf, formatCnpj, formatCpf, FIELD_ERROR_KEYS } from './fieldCapture.js';
+import { createGeminiProvider, createMockProvider, defaultAiConfig, validateAiConfig, aiSettingsFor, runAiTask, AI_PROVIDER_NAMES } from './aiProviders.js';
+import { prepareAttachment, ATTACHMENT_ONLY_PROMPT } from './aiAttachments.js';
+import { defaultSlaConfig, validateSlaConfig, requestPriority, applySla, waitingNoticeDue } from './queueSla.js';
+import { defaultPresenceConfig, validatePresenceConfig, validateMaxChats, presenceStatus, maxChatsFor, hasCapacity, shouldRequeue, MANUAL_STATUSES } from './attendantPresence.js';
+import { defaultRoutingConfig, validateRoutingConfig, validateAttendantDepartments, handlesDepartment, pickAttendant } from './queueRouting.js';
+import { buildIntentCandidates, matchIntent, classifierPrompt, parseClassifierAnswer, INTENT_CLASSIFIER_INSTRUCTION } from './intentMatcher.js';
+import { buildTranscript, parseSummary, fallbackSummary, SUMMARY_INSTRUCTION } from './handoffSummary.js';
+import { REWRITE_MODES, rewriteInstruction, conversationTranscript, suggestionInstruction } from './replyAssistant.js';
+import { buildIndex, searchIndex, knowledgeInstruction, extractCitations, validateArticle } from './knowledgeBase.js';
+import { defaultSchedulingConfig, validateSchedulingConfig, generateSlots, findConflict, findSpecialist, formatSlot, APPOINTMENT_STATUSES, ACTIVE_APPOINTMENT_STATUSES } from './scheduling.js';
 
 // --- IMPORTAÇÕES DO BAILEYS ---
 const require = createRequire(import.meta.url);
@@ -79,66 +100,10 @@ if (!fs.existsSync(MEDIA_DIR)) {
     fs.mkdirSync(MEDIA_DIR, { recursive: true });
 }
 
-// Helper functions
-const serializeMap = (map) => Array.from(map.entries());
-const deserializeMap = (arr) => new Map(arr);
-
-// Salvamento com Backup (Blindado)
-const saveData = (filename, data) => {
-  try {
-    const filePath = path.join(DATA_DIR, filename);
-    const tempPath = `${filePath}.tmp`;
-    const backupPath = `${filePath}.bak`;
-    
-    if (fs.existsSync(filePath)) {
-        try {
-            fs.copyFileSync(filePath, backupPath);
-        } catch(e) { console.warn(`[Persistence] Falha ao criar backup para ${filename}`); }
-    }
-
-    let dataToSave = data;
-    if (data instanceof Map) dataToSave = serializeMap(data);
-    
-    fs.writeFileSync(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
-    fs.renameSync(tempPath, filePath);
-  } catch (error) {
-    console.error(`[Persistence] ERRO CRÍTICO ao salvar dados em ${filename}:`, error);
-  }
-};
-
-// Carregamento com Recuperação (Blindado)
-const loadData = (filename, defaultValue) => {
-  try {
-    const filePath = path.join(DATA_DIR, filename);
-    const backupPath = `${filePath}.bak`;
-
-    const tryRead = (path) => {
-        if (!fs.existsSync(path)) return null;
-        const content = fs.readFileSync(path, 'utf8');
-        if (!content || content.trim() === '') return null;
-        return JSON.parse(content);
-    };
-
-    let parsedData = tryRead(filePath);
-
-    if (!parsedData && fs.existsSync(backupPath)) {
-        console.warn(`[Persistence] Arquivo principal ${filename} corrompido ou vazio. Recuperando do backup...`);
-        parsedData = tryRead(backupPath);
-        if (parsedData) {
-            saveData(filename, defaultValue instanceof Map && Array.isArray(parsedData) ? deserializeMap(parsedData) : parsedData);
-        }
-    }
-
-    if (parsedData) {
-        if (defaultValue instanceof Map && Array.isArray(parsedData)) return deserializeMap(parsedData);
-        return parsedData;
-    }
-
-  } catch (error) {
-    console.error(`[Persistence] ERRO ao carregar ${filename}. Usando valor padrão.`, error);
-  }
-  return defaultValue;
-};
+// Banco SQLite: gravações por registro e em transação (substitui a regravação dos arquivos JSON)
+const storage = openStorage(DATA_DIR);
+const migrated = storage.migrateFromJsonIfNeeded();
+if (migrated) console.log('[Persistence] Dados JSON antigos importados para o banco (originais movidos para legacy-json/):', migrated);
 
 // --- DISK STORAGE UTILS ---
 const saveMediaToDisk = (base64Data, mimeType, originalName) => {
@@ -185,21 +150,20 @@ const saveMediaToDisk = (base64Data, mimeType, originalName) => {
 const makeCustomStore = () => {
     let contacts = {};
     let messages = {}; // Cache de mensagens para resolver retentativas de descriptografia
-    const STORE_FILE = path.join(DATA_DIR, 'baileys_store.json');
+    const dirty = new Set(); // Contatos alterados desde a última gravação
 
     const load = () => {
         try {
-            if (fs.existsSync(STORE_FILE)) {
-                const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf-8'));
-                if (data.contacts) contacts = data.contacts;
-                console.log(`[Store] Carregados ${Object.keys(contacts).length} contatos do arquivo.`);
-            }
+            contacts = storage.loadContacts();
+            console.log(`[Store] Carregados ${Object.keys(contacts).length} contatos do banco.`);
         } catch(e) { console.error('[Store] Erro ao carregar:', e); }
     };
 
     const save = () => {
+        if (dirty.size === 0) return;
         try {
-            fs.writeFileSync(STORE_FILE, JSON.stringify({ contacts }, null, 2));
+            storage.upsertContacts([...dirty].map(id => contacts[id]).filter(Boolean));
+            dirty.clear();
         } catch(e) { console.error('[Store] Erro ao salvar:', e); }
     };
 
@@ -226,6 +190,7 @@ const makeCustomStore = () => {
             notify: finalNotify,
             verifiedName: finalVerified
         };
+        dirty.add(id);
     };
 
     const cacheMessage = (m) => {
@@ -239,11 +204,11 @@ const makeCustomStore = () => {
         }
     };
 
-    load();
     setInterval(save, 10000); 
 
     return {
         getContacts: () => contacts,
+        reload: () => { dirty.clear(); load(); },
         loadMessage: (id) => messages[id],
         upsert, 
         save, 
@@ -276,71 +241,456 @@ const makeCustomStore = () => {
 const store = makeCustomStore();
 
 // --- ESTADO DO SISTEMA ---
-let ATTENDANTS = loadData('attendants.json', []);
+// Os dados "quentes" ficam em memória; o banco é a fonte da verdade (ver loadStateFromStorage)
+let ATTENDANTS = [];
+let nextAttendantId = 1;
+const saveAttendants = () => storage.saveAttendants(ATTENDANTS);
+
+// --- PAPÉIS E PERMISSÕES ---
+// admin: gestão completa | attendant: atende conversas | auditor: apenas leitura do histórico
+const ROLE_PERMISSIONS = {
+    admin: ['chats:read', 'chats:handle', 'clients:manage', 'attendants:manage', 'tags:manage', 'broadcast:send', 'system:backup', 'system:restore', 'flow:manage', 'settings:manage', 'knowledge:manage', 'queue:supervise'],
+    attendant: ['chats:read', 'chats:handle', 'clients:manage'],
+    auditor: ['chats:read'],
+};
 
-if (!Array.isArray(ATTENDANTS) || ATTENDANTS.length === 0) {
-    console.warn("[System] Lista de atendentes vazia. Criando usuário Admin padrão.");
-    ATTENDANTS = [{ id: 'attendant_1', name: 'Admin' }];
-    saveData('attendants.json', ATTENDANTS);
+const hasPermission = (attendant, permission) => (ROLE_PERMISSIONS[attendant?.role] || []).includes(permission);
+
+// --- AUTENTICAÇÃO DOS ATENDENTES ---
+// As credenciais ficam em coleção separada para que o hash nunca seja devolvido junto com a lista de atendentes.
+const AUTH_COOKIE = 'jzf_session';
+const AUTH_SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_HOURS || '12', 10) * 60 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCK_MS = 60 * 1000;
+
+const credentialStore = storage.collection('credentials');
+let attendantCredentials = {};
+// Chave: hash SHA-256 do token (o token em si só existe no cookie do navegador)
+const authSessionStore = storage.collection('authSessions');
+const authSessions = new Map();
+const loginAttempts = new Map();
+
+const hashPassword = (password, salt) => crypto.scryptSync(String(password), salt, 64).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function setAttendantPassword(attendantId, password, mustChange = false) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    attendantCredentials[attendantId] = { salt, hash: hashPassword(password, salt), mustChange, updatedAt: new Date().toISOString() };
+    credentialStore.set(attendantId, attendantCredentials[attendantId]);
 }
 
-let nextAttendantId = 1;
-if (ATTENDANTS.length > 0) {
-    const ids = ATTENDANTS.map(a => {
-        const parts = a.id.split('_');
-        return parts.length > 1 ? parseInt(parts[1]) : 0;
+function verifyAttendantPassword(attendantId, password) {
+    const cred = attendantCredentials[attendantId];
+    if (!cred || !password) return false;
+    const expected = Buffer.from(cred.hash, 'hex');
+    const received = Buffer.from(hashPassword(password, cred.salt), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const parseCookies = (req) => {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const idx = part.indexOf('=');
+        if (idx > -1) cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
     });
-    nextAttendantId = Math.max(...ids) + 1;
+    return cookies;
+};
+
+const getRequestToken = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7);
+    return parseCookies(req)[AUTH_COOKIE] || null;
+};
+
+function createAuthSession(attendantId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const authSession = { attendantId, createdAt: now, lastSeenAt: now };
+    authSessions.set(hashToken(token), authSession);
+    authSessionStore.set(hashToken(token), authSession);
+    return token;
+}
+
+function resolveAuthSession(token) {
+    if (!token) return null;
+    const key = hashToken(token);
+    const authSession = authSessions.get(key);
+    if (!authSession) return null;
+    const attendant = ATTENDANTS.find(a => a.id === authSession.attendantId);
+    if (!attendant || Date.now() - authSession.lastSeenAt > AUTH_SESSION_TTL_MS) {
+        authSessions.delete(key);
+        authSessionStore.delete(key);
+        return null;
+    }
+    // Só regrava quando a última atividade registrada ficou "velha", evitando escrita a cada requisição.
+    const shouldPersist = Date.now() - authSession.lastSeenAt > 5 * 60 * 1000;
+    authSession.lastSeenAt = Date.now();
+    if (shouldPersist) authSessionStore.set(key, authSession);
+    return { key, attendant };
+}
+
+function requireAuth(req, res, next) {
+    const resolved = resolveAuthSession(getRequestToken(req));
+    if (!resolved) return res.status(401).json({ error: 'Sessão inválida ou expirada. Faça login novamente.' });
+    // Com senha provisória, só as rotas de autenticação respondem (ver perfil, trocar a senha, sair)
+    if (attendantCredentials[resolved.attendant.id]?.mustChange && !req.originalUrl.startsWith('/api/auth/')) {
+        return res.status(403).json({ error: 'Troque a senha provisória antes de continuar.', mustChangePassword: true });
+    }
+    req.attendant = resolved.attendant;
+    req.authSessionKey = resolved.key;
+    next();
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.attendant, permission)) return res.status(403).json({ error: 'Você não tem permissão para esta ação.' });
+        next();
+    };
+}
+
+function revokeAttendantSessions(attendantId) {
+    for (const [key, s] of authSessions.entries()) {
+        if (s.attendantId === attendantId) { authSessions.delete(key); authSessionStore.delete(key); }
+    }
+    // Derruba também o canal de eventos; a reconexão será recusada por falta de sessão
+    for (const client of eventClients) {
+        if (client.attendantId === attendantId) { client.res.end(); eventClients.delete(client); }
+    }
 }
 
-const userSessions = loadData('userSessions.json', new Map());
-let requestQueue = loadData('requestQueue.json', []);
-const activeChats = loadData('activeChats.json', new Map());
-const archivedChats = loadData('archivedChats.json', new Map());
-// syncedContacts mantido como backup secundário
-let syncedContacts = loadData('syncedContacts.json', []);
+const setAuthCookie = (res, token, maxAgeMs) => {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${AUTH_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`);
+};
+
+const publicAttendant = (a) => ({ ...a, mustChangePassword: !!attendantCredentials[a.id]?.mustChange, permissions: ROLE_PERMISSIONS[a.role] || [] });
+
+// Sessões abertas: com o bot (userSessions) ou com um atendente (activeChats). O histórico arquivado fica só no banco.
+const userSessions = new Map();
+let requestQueue = [];
+const activeChats = new Map();
 
-let tags = loadData('tags.json', []); 
-let contactTags = loadData('contactTags.json', {}); 
+let tags = [];
+let contactTags = {};
 
-let nextRequestId = requestQueue.length > 0 && requestQueue.every(r => typeof r.id === 'number') ? Math.max(...requestQueue.map(r => r.id)) + 1 : 1;
+// Chat interno entre atendentes. Chave: ids dos dois atendentes em ordem alfabética, separados por "|"
+const internalChats = new Map();
+const internalMessageStore = storage.collection('internalMessages');
+const MAX_INTERNAL_MESSAGES = 1000;
+
+let nextRequestId = 1;
 
 const MAX_SESSIONS = 1000; 
-const MAX_ARCHIVED_CHATS = 500;
+
+// Grava a sessão aberta do cliente (registro + mensagens novas ou alteradas) ou remove-a do banco se já não existir
+function persistSession(userId) {
+    const active = activeChats.get(userId);
+    const session = active || userSessions.get(userId);
+    try {
+        if (session) storage.saveSession(session, active ? 'active' : 'bot');
+        else storage.deleteSession(userId);
+    } catch (error) {
+        console.error(`[Persistence] ERRO CRÍTICO ao salvar a sessão de ${userId}:`, error);
+    }
+}
 
 // --- CORREÇÃO DE "AGUARDANDO MENSAGEM" & BAD MAC ---
 class PersistentMap {
-    constructor(filename) {
-        this.filename = filename;
-        this.internalMap = loadData(filename, new Map());
+    constructor(collectionName) {
+        this.collection = storage.collection(collectionName);
+        this.internalMap = new Map(this.collection.entries());
     }
 
     get(key) { return this.internalMap.get(key); }
     
     set(key, value) {
         this.internalMap.set(key, value);
-        saveData(this.filename, this.internalMap); 
+        this.collection.set(key, value);
         return this;
     }
     
     delete(key) {
         const result = this.internalMap.delete(key);
-        saveData(this.filename, this.internalMap);
+        this.collection.delete(key);
         return result;
     }
     
     has(key) { return this.internalMap.has(key); }
 }
 
-const msgRetryCounterCache = new PersistentMap('msgRetryCounterMap.json');
+const msgRetryCounterCache = new PersistentMap('msgRetryCounters');
+
+// --- FLUXO DA CONVERSA (CONFIGURÁVEL) ---
+// Cada publicação gera uma versão nova; "active" aponta para a versão em uso (rollback = reativar uma versão antiga).
+const flowVersionStore = storage.collection('flowVersions');
+const flowConfigStore = storage.collection('flowConfig');
+let activeFlow = null; // { version, initialState, states: Map, texts }
+
+const compileFlow = (version, flow) => ({ version, initialState: flow.initialState, states: new Map(Object.entries(flow.states)), texts: flow.texts });
+
+function saveFlowVersion(flow, createdBy, note = '') {
+    const version = Math.max(0, ...flowVersionStore.entries().map(([id]) => parseInt(id, 10) || 0)) + 1;
+    flowVersionStore.set(version, { version, flow, createdBy, note, createdAt: new Date().toISOString() });
+    return version;
+}
+
+function activateFlowVersion(version) {
+    const record = flowVersionStore.get(version);
+    if (!record) return false;
+    flowConfigStore.set('active', { version: record.version, activatedAt: new Date().toISOString() });
+    activeFlow = compileFlow(record.version, record.flow);
+    return true;
+}
+
+function loadActiveFlow() {
+    const active = flowConfigStore.get('active');
+    const record = active && flowVersionStore.get(active.version);
+    // O fluxo padrão nunca editado acompanha as atualizações do código (ex.: novos idiomas)
+    if (record && !(record.createdBy === 'system' && JSON.stringify(record.flow) !== JSON.stringify(defaultFlow))) {
+        activateFlowVersion(record.version);
+        return;
+    }
+    activateFlowVersion(saveFlowVersion(defaultFlow, 'system', record ? 'Fluxo padrão atualizado' : 'Fluxo padrão'));
+}
+
+// --- HORÁRIO DE ATENDIMENTO ---
+// Configuração única (padrão + setores + feriados); a coleção entra na parte "settings" do backup.
+const settingsStore = storage.collection('settings');
+let businessHours = defaultBusinessHours;
+const loadBusinessHours = () => { businessHours = settingsStore.get('businessHours') || defaultBusinessHours; };
+
+// Setores conhecidos pelo fluxo ativo (payloads de menu e transferências com setor fixo)
+function flowDepartments() {
+    const departments = new Set();
+    for (const step of activeFlow.states.values()) {
+        if (step.queue?.department) departments.add(step.queue.department);
+        (step.options || []).forEach(o => { if (o.payload?.department) departments.add(o.payload.department); });
+    }
+    return [...departments].sort();
+}
+
+// --- AGENDA ---
+// Disponibilidade dos especialistas fica em "settings"; os agendamentos têm coleção própria.
+const appointmentStore = storage.collection('appointments');
+let schedulingConfig = defaultSchedulingConfig;
+const loadSchedulingConfig = () => { schedulingConfig = settingsStore.get('scheduling') || defaultSchedulingConfig; };
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+
+const activeAppointments = () => appointmentStore.findBy('status', ACTIVE_APPOINTMENT_STATUSES);
+const availableSlots = (department) => generateSlots(schedulingConfig, department, activeAppointments(), { timezone: businessHours.timezone, holidays: businessHours.holidays });
+const describeSlot = (slot, language) => `${formatSlot(slot.start, businessHours.timezone, language)} — ${slot.specialistName}`;
+
+// Próximo agendamento ativo do cliente (o bot trabalha sempre com o mais próximo)
+const nextAppointmentFor = (userId) => appointmentStore.findBy('userId', userId)
+    .filter(a => ACTIVE_APPOINTMENT_STATUSES.includes(a.status) && new Date(a.start) > new Date())
+    .sort((a, b) => a.start.localeCompare(b.start))[0] || null;
+
+const appointmentContext = (appointment, language) => ({
+    appointmentId: appointment.id,
+    appointmentTime: formatSlot(appointment.start, businessHours.timezone, language),
+    specialistName: appointment.specialistName,
+    department: appointment.department,
+});
+
+// Cria ou remarca (rescheduleId) um agendamento. Retorna null se o especialista já estiver ocupado no intervalo.
+function bookAppointment({ userId, userName, department, specialistId, specialistName, start, end, description = '', fields = [], language = DEFAULT_LANGUAGE }, by, rescheduleId = null) {
+    if (findConflict(activeAppointments(), { specialistId, start, end }, rescheduleId)) return null;
+    const now = new Date().toISOString();
+    const previous = rescheduleId ? appointmentStore.get(rescheduleId) : null;
+    const appointment = previous
+        ? { ...previous, department, specialistId, specialistName, start, end, status: 'booked', reminderSentAt: null, history: [...previous.history, { status: 'rescheduled', from: previous.start, by, at: now }] }
+        : { id: `ap_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, userId, userName, department, specialistId, specialistName, start, end, description, fields, language, status: 'booked', reminderSentAt: null, createdAt: now, history: [{ status: 'booked', by, at: now }] };
+    appointmentStore.set(appointment.id, appointment);
+    broadcastEvent('appointments', { id: appointment.id });
+    return appointment;
+}
+
+function updateAppointmentStatus(id, status, by) {
+    const appointment = appointmentStore.get(id);
+    if (!appointment) return null;
+    const updated = { ...appointment, status, history: [...appointment.history, { status, by, at: new Date().toISOString() }] };
+    appointmentStore.set(id, updated);
+    broadcastEvent('appointments', { id });
+    return updated;
+}
+
+// --- CRM: ANOTAÇÕES E CAMPOS PERSONALIZADOS ---
+// Anotações por contato (com autor) e valores dos campos definidos pelo admin, indexados pelo userId.
+const CUSTOM_FIELD_TYPES = ['text', 'date', 'select'];
+const contactNoteStore = storage.collection('contactNotes');
+const contactFieldStore = storage.collection('contactFields');
+const loadCustomFields = () => settingsStore.get('customFields') || [];
+
+const notesOf = (userId) => contactNoteStore.findBy('userId', userId).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+function validateCustomFieldDefs(defs) {
+    if (!Array.isArray(defs)) return 'Lista de campos inválida.';
+    const ids = new Set();
+    for (const def of defs) {
+        if (!def?.id || !String(def.label || '').trim()) return 'Todo campo precisa de nome.';
+        if (ids.has(def.id)) return `Campo "${def.label}" repetido.`;
+        ids.add(def.id);
+        if (!CUSTOM_FIELD_TYPES.includes(def.type)) return `Tipo do campo "${def.label}" inválido.`;
+        if (def.type === 'select' && (!Array.isArray(def.options) || def.options.filter(o => String(o).trim()).length === 0)) return `O campo "${def.label}" precisa de opções.`;
+    }
+    return null;
+}
+
+// Mantém apenas campos definidos e valores coerentes com o tipo (vazio remove o valor)
+function sanitizeFieldValues(values) {
+    const defs = loadCustomFields();
+    const result = {};
+    for (const def of defs) {
+        const value = values?.[def.id];
+        if (value === undefined || value === null || String(value).trim() === '') continue;
+        if (def.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: `"${def.label}": use uma data válida.` };
+        if (def.type === 'select' && !def.options.includes(value)) return { error: `"${def.label}": opção inválida.` };
+        result[def.id] = String(value).trim();
+    }
+    return { values: result };
+}
+
+// --- BASE DE CONHECIMENTO (ARTIGOS E ÍNDICE DE BUSCA) ---
+// Artigos de FAQ e documentos por setor; o índice fica em memória e é refeito a cada alteração.
+const knowledgeStore = storage.collection('knowledgeBase');
+let knowledgeIndex = buildIndex([]);
+const rebuildKnowledgeIndex = () => { knowledgeIndex = buildIndex(knowledgeStore.values()); };
+
+// --- CADASTRO DE CLIENTES (EMPRESAS E PESSOAS) ---
+// Uma empresa (CNPJ) pode ter várias pessoas, cada uma escrevendo de um ou mais números de WhatsApp.
+const TAX_REGIMES = ['mei', 'simples', 'lucro_presumido', 'lucro_real', 'outro'];
+let companies = [];
+let people = [];
+let clientIndex = new Map(); // userId -> { personId, personName, companies: [{ id, name, cnpj }] }
+
+function rebuildClientIndex() {
+    const companyById = new Map(companies.map(c => [c.id, c]));
+    clientIndex = new Map();
+    people.forEach(person => {
+        const linked = person.companyIds.map(id => companyById.get(id)).filter(Boolean).map(c => ({ id: c.id, name: c.name, cnpj: c.cnpj }));
+        person.userIds.forEach(userId => clientIndex.set(userId, { personId: person.id, personName: person.name, companies: linked }));
+    });
+}
+
+const loadRegistry = () => {
+    companies = storage.loadCompanies();
+    people = storage.loadPeople();
+    rebuildClientIndex();
+};
+const registryChanged = () => {
+    rebuildClientIndex();
+    broadcastEvent('registry', Object.fromEntries(clientIndex));
+};
+
+// Número de WhatsApp no formato do JID (aceita o número digitado com ou sem pontuação)
+const toUserId = (value) => {
+    const raw = String(value || '').trim();
+    if (!raw) return null;
+    return raw.includes('@') ? raw.replace(/:.*$/, '') : `${raw.replace(/\D/g, '')}@s.whatsapp.net`;
+};
+
+// Textos no idioma da sessão; chaves ausentes caem para o português e, por fim, para o fluxo padrão
+const flowTexts = (language = DEFAULT_LANGUAGE) => ({ ...resolveTexts(defaultFlow.texts, language), ...resolveTexts(activeFlow.texts, language) });
+const flowText = (key, context, language) => interpolate(flowTexts(language)[key] ?? key, context);
+// Campos capturados: lista rotulada em português para a fila/agenda e resumo no idioma do cliente para o bot
+const listFields = (fields) => Object.entries(fields).map(([key, { labelKey, value }]) => ({ key, label: flowText(labelKey, {}, DEFAULT_LANGUAGE), value }));
+const summarizeFields = (fields, language) => Object.values(fields).map(({ labelKey, value }) => `- *${flowText(labelKey, {}, language)}:* ${value}`).join('\n');
+
+// Em estados de agenda, os horários oferecidos (guardados no contexto) entram como opções numeradas
+const slotLabels = (step, context, language) => step.action === 'offer_slots' ? (context.offeredSlots || []).map(slot => describeSlot(slot, language)) : [];
+const formatFlowStepForWhatsapp = (step, context, language) => formatFlowStep(step, context, flowTexts(language), slotLabels(step, context, language));
+// Mensagem de um passo para a fila de saída: texto numerado sempre (fallback) e, se couber, o menu interativo
+const flowStepOutbound = (stateName, step, context, language) => ({
+    text: formatFlowStepForWhatsapp(step, context, language),
+    menu: INTERACTIVE_MENUS ? buildInteractiveMenu(stateName, step, context, flowTexts(language), slotLabels(step, context, language)) : null,
+});
+
+// Garante um admin e papéis válidos; avisa no log quem ainda está sem credencial
+function ensureAttendantAccounts() {
+    if (ATTENDANTS.length === 0) {
+        console.warn("[System] Lista de atendentes vazia. Criando usuário Admin padrão.");
+        ATTENDANTS = [{ id: 'attendant_1', name: 'Admin', role: 'admin' }];
+        saveAttendants();
+    }
+
+    // Migração: registros antigos não têm papel. O primeiro atendente vira admin para não trancar o sistema.
+    if (ATTENDANTS.some(a => !ROLE_PERMISSIONS[a.role])) {
+        ATTENDANTS.forEach((a, i) => {
+            if (!ROLE_PERMISSIONS[a.role]) a.role = i === 0 ? 'admin' : 'attendant';
+        });
+        saveAttendants();
+    }
+
+    // Sem nenhum administrador com senha, o primeiro admin entra com ADMIN_PASSWORD. Os demais atendentes sem
+    // credencial só entram depois que um administrador definir um PIN provisório em "Gerenciar Atendentes".
+    // Nenhuma senha vai para o log.
+    const hasAdminCredential = () => ATTENDANTS.some(a => a.role === 'admin' && attendantCredentials[a.id]);
+    if (!hasAdminCredential() && process.env.ADMIN_PASSWORD) {
+        const admin = ATTENDANTS.find(a => a.role === 'admin');
+        setAttendantPassword(admin.id, process.env.ADMIN_PASSWORD, false);
+        console.warn(`[Auth] Credencial criada para "${admin.name}" (${admin.id}) a partir de ADMIN_PASSWORD.`);
+    }
+    ATTENDANTS.filter(a => !attendantCredentials[a.id]).forEach(a => {
+        console.warn(`[Auth] "${a.name}" (${a.id}) ainda não tem senha: um administrador deve definir um PIN em "Gerenciar Atendentes".`);
+    });
+    if (!hasAdminCredential()) console.error('[Auth] Nenhum administrador tem senha definida. Configure ADMIN_PASSWORD e reinicie o servidor.');
+
+    const ids = ATTENDANTS.map(a => {
+        const parts = a.id.split('_');
+        return parts.length > 1 ? parseInt(parts[1]) || 0 : 0;
+    });
+    nextAttendantId = Math.max(0, ...ids) + 1;
+}
+
+// (Re)carrega o estado em memória a partir do banco: na inicialização e após restaurar um backup
+function loadStateFromStorage() {
+    ATTENDANTS = storage.loadAttendants();
+    attendantCredentials = Object.fromEntries(credentialStore.entries());
+    authSessions.clear();
+    authSessionStore.entries().forEach(([key, s]) => authSessions.set(key, s));
+    ensureAttendantAccounts();
+
+    userSessions.clear();
+    activeChats.clear();
+    const { bot, active } = storage.loadOpenSessions();
+    bot.forEach(s => userSessions.set(s.userId, s));
+    active.forEach(s => activeChats.set(s.userId, s));
+
+    requestQueue = storage.loadQueue();
+    nextRequestId = requestQueue.length > 0 && requestQueue.every(r => typeof r.id === 'number') ? Math.max(...requestQueue.map(r => r.id)) + 1 : 1;
+
+    tags = storage.loadTags();
+    contactTags = storage.loadContactTags();
+
+    internalChats.clear();
+    internalMessageStore.values().forEach(({ conversation, ...message }) => {
+        if (!internalChats.has(conversation)) internalChats.set(conversation, []);
+        internalChats.get(conversation).push(message);
+    });
+
+    loadActiveFlow();
+    loadBusinessHours();
+    loadSchedulingConfig();
+    loadRegistry();
+    rebuildKnowledgeIndex();
+    store.reload();
+    console.log(`[Persistence] Estado carregado: ${ATTENDANTS.length} atendentes, ${userSessions.size + activeChats.size} sessões abertas, ${requestQueue.length} na fila.`);
+}
+
+loadStateFromStorage();
 
 const outboundGatewayQueue = []; 
+// Botões e listas dependem do tipo de conta/cliente do WhatsApp: só são enviados se habilitados no ambiente.
+// Desligado (padrão), os menus vão só como texto numerado — use assim se os clientes não estiverem recebendo os botões.
+const INTERACTIVE_MENUS = ['1', 'true'].includes(String(process.env.WHATSAPP_INTERACTIVE_MENUS || '').toLowerCase());
 
 let gatewayStatus = { status: 'DISCONNECTED', qrCode: null };
 let sock = null; 
 let reconnectAttempts = 0;
 
 // --- MIDDLEWARE ---
+// Necessário atrás do proxy do Render para que req.ip reflita o IP real (limite de tentativas de login)
+app.set('trust proxy', 1);
 app.use(express.json({ limit: '50mb' }));
 
 const distPath = path.join(__dirname, 'dist');
@@ -348,55 +698,182 @@ if (fs.existsSync(distPath)) {
     app.use(express.static(distPath));
 }
 
-app.use('/media', express.static(MEDIA_DIR));
-
-// --- CONFIGURAÇÃO IA (GEMINI) ---
-let ai = null;
-if (API_KEY) {
-    try {
-        ai = new GoogleGenAI({apiKey: API_KEY});
-        console.log("[AI] Cliente Google GenAI inicializado.");
-    } catch (error) {
-        console.error("[AI] ERRO na inicialização da IA.", error);
-    }
+app.use('/media', requireAuth, express.static(MEDIA_DIR));
+
+// --- CONFIGURAÇÃO IA (PROVEDORES) ---
+// Gemini quando há API_KEY; o provedor simulado ("mock") responde sem rede. A ordem de tentativa,
+// o modelo, a temperatura e o tempo limite ficam nas configurações (por setor). AI_PROVIDERS=mock
+// define a ordem inicial enquanto nada foi salvo no painel.
+const aiProviders = {};
+try {
+    const gemini = createGeminiProvider(API_KEY);
+    if (gemini) { aiProviders.gemini = gemini; console.log("[AI] Cliente Google GenAI inicializado."); }
+} catch (error) {
+    console.error("[AI] ERRO na inicialização da IA.", error);
 }
+aiProviders.mock = createMockProvider();
+
+const envAiProviders = (process.env.AI_PROVIDERS || '').split(',').map(p => p.trim()).filter(p => AI_PROVIDER_NAMES.includes(p));
+const loadAiConfig = () => settingsStore.get('ai') || { ...defaultAiConfig, providers: envAiProviders.length ? envAiProviders : defaultAiConfig.providers };
+// Há IA para o setor se algum provedor da sua lista estiver disponível
+const aiAvailable = (department) => aiSettingsFor(loadAiConfig(), department).providers.some(name => aiProviders[name]);
+const runAi = (task, department, args) => runAiTask(aiProviders, aiSettingsFor(loadAiConfig(), department), task, args);
 
-async function transcribeAudio(fileUrl, mimeType) {
-    if (!ai) return "[Áudio não transcrito - IA indisponível]";
+async function transcribeAudio(fileUrl, mimeType, department) {
+    if (!aiAvailable(department)) return "[Áudio não transcrito - IA indisponível]";
     try {
         const filePath = path.join(MEDIA_DIR, path.basename(fileUrl));
         if (!fs.existsSync(filePath)) return "[Erro: Arquivo de áudio não encontrado]";
         
         const fileData = fs.readFileSync(filePath).toString('base64');
 
-        const response = await ai.models.generateContent({
-            model: 'gemini-3-flash-preview',
-            contents: [{ parts: [{ inlineData: { mimeType: mimeType, data: fileData } }, { text: "Transcreva este áudio em português do Brasil de forma literal." }] }],
-        });
-        return response?.text?.trim() || "[Transcrição vazia]";
+        const { text } = await runAi('transcribe', department, { mimeType, data: fileData, prompt: "Transcreva este áudio em português do Brasil de forma literal." });
+        return text || "[Transcrição vazia]";
     } catch (error) {
         console.error("[Transcribe] Erro:", error);
         return `[Erro na transcrição]`;
     }
 }
 
+// Documentos que não são texto puro (PDF, DOCX, imagens) têm o texto extraído pela própria IA
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+async function extractDocumentText(file, department) {
+    const buffer = Buffer.from(file.data, 'base64');
+    if (TEXT_MIME_TYPES.includes(file.type) || /\.(txt|md|csv)$/i.test(file.name || '')) return buffer.toString('utf8');
+    if (!aiAvailable(department)) throw new Error('Sem IA configurada, só é possível importar arquivos de texto (.txt, .md, .csv).');
+    const { text } = await runAi('readDocument', department, { mimeType: file.type, data: file.data, prompt: "Extraia todo o texto deste documento, sem comentários, mantendo títulos e listas em texto simples." });
+    return text;
+}
+
+// Resposta da IA do setor com os trechos mais relevantes da base de conhecimento.
+// history: turnos no formato do Gemini; a última entrada é a pergunta do cliente.
+async function askAssistant(history, department, language, question) {
+    const passages = searchIndex(knowledgeIndex, question, { department });
+    const { text: answer, provider } = await runAi('chat', department, { system: getDepartmentInstruction(department, language) + knowledgeInstruction(passages), history });
+    const { text, sources } = extractCitations(answer, passages);
+    return { text, sources, passages, provider };
+}
+
+// --- EVENTOS EM TEMPO REAL (SSE) ---
+// Cada painel conectado mantém um GET /api/events aberto e recebe as mudanças como eventos,
+// evitando o polling de todos os endpoints. Sem conexão, o painel volta a consultar a API.
+const eventClients = new Set();
+
+function broadcastEvent(type, data, attendantIds = null) {
+    const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of eventClients) {
+        if (attendantIds && !attendantIds.includes(client.attendantId)) continue;
+        try { client.res.write(payload); } catch (e) { eventClients.delete(client); }
+    }
+}
+
+setInterval(() => {
+    for (const client of eventClients) {
+        try { client.res.write(': ping\n\n'); } catch (e) { eventClients.delete(client); }
+    }
+}, 25000);
+
+const summarizeActiveChat = (c) => {
+    const lastMsg = c.messageLog[c.messageLog.length - 1];
+    
+    let safeLastMsg = null;
+    if (lastMsg) {
+        safeLastMsg = { ...lastMsg };
+        if (safeLastMsg.files) {
+            safeLastMsg.files = safeLastMsg.files.map(f => ({
+                name: f.name,
+                type: f.type,
+                url: f.url 
+            }));
+        }
+    }
+
+    return { 
+        userId: c.userId, 
+        userName: c.userName, 
+        attendantId: c.attendantId, 
+        logLength: c.messageLog.length, 
+        lastMsgStatus: lastMsg ? lastMsg.status : 0, 
+        lastMessage: safeLastMsg,
+        snoozedUntil: c.snoozedUntil || null
+    };
+};
+
+// Conversa com a IA: no estado de chat com IA ou no menu que leva diretamente a ele (escolha do departamento)
+const isAiChatState = (stateName) => {
+    const step = activeFlow.states.get(stateName);
+    if (!step || stateName === activeFlow.initialState) return false;
+    return step.action === 'ai_chat' || (step.options || []).some(o => activeFlow.states.get(o.nextState)?.action === 'ai_chat');
+};
+const isAiChat = (s) => s.handledBy === 'bot' && !activeChats.has(s.userId) && isAiChatState(s.currentState);
+const summarizeAiChat = (c) => ({ userId: c.userId, userName: c.userName, logLength: c.messageLog.length });
+
+// Informa aos painéis em qual lista (Ativos / IA) a conversa está agora; null significa que saiu da lista.
+function notifyChatChanged(userId) {
+    const active = activeChats.get(userId);
+    const botSession = userSessions.get(userId);
+    broadcastEvent('chat:update', {
+        userId,
+        active: active ? summarizeActiveChat(active) : null,
+        ai: !active && botSession && isAiChat(botSession) ? summarizeAiChat(botSession) : null,
+    });
+}
+
+// Atendentes veem só os pedidos dos seus setores; supervisores e perfis de leitura veem a fila inteira
+const seesWholeQueue = (attendant) => hasPermission(attendant, 'queue:supervise') || !hasPermission(attendant, 'chats:handle');
+const visibleQueue = (attendant) => seesWholeQueue(attendant) ? requestQueue : requestQueue.filter(r => handlesDepartment(attendant, r.department));
+const broadcastQueue = () => ATTENDANTS.forEach(a => broadcastEvent('queue', visibleQueue(a), [a.id]));
+
+const saveQueue = () => {
+    storage.saveQueue(requestQueue);
+    broadcastQueue();
+};
+
+// --- LEMBRETES (FOLLOW-UPS) E SONECA ---
+// Cada lembrete pertence a um atendente. Com "snooze", a conversa sai da lista de Ativos até o horário.
+// pending -> fired (venceu, aguardando o atendente) -> done | cancelled
+const followUpStore = storage.collection('followUps');
+const FOLLOW_UP_OPEN_STATUSES = ['pending', 'fired'];
+
+function fireFollowUp(followUp) {
+    const chat = activeChats.get(followUp.userId);
+    const firedAt = new Date().toISOString();
+    let messageSent = false;
+    if (chat) {
+        if (followUp.snooze) delete chat.snoozedUntil;
+        // Mensagem pré-escrita só vai se a conversa ainda estiver em atendimento
+        if (followUp.message) {
+            chat.messageLog.push({ sender: 'attendant', text: followUp.message, timestamp: firedAt, status: 1 });
+            queueOutbound(followUp.userId, { text: followUp.message });
+            messageSent = true;
+        }
+        persistSession(followUp.userId);
+        notifyChatChanged(followUp.userId);
+    }
+    if (!chat && followUp.message) console.warn(`[FollowUp] ${followUp.id}: conversa com ${followUp.userId} não está mais em atendimento; mensagem pré-escrita não enviada.`);
+    const updated = { ...followUp, status: 'fired', firedAt, messageSent };
+    followUpStore.set(followUp.id, updated);
+    broadcastEvent('followup:due', { ...updated, chatActive: !!chat }, [followUp.attendantId]);
+}
+
+setInterval(() => {
+    const now = Date.now();
+    followUpStore.findBy('status', 'pending')
+        .filter(f => new Date(f.dueAt).getTime() <= now)
+        .forEach(fireFollowUp);
+}, 30 * 1000);
+
 // --- LÓGICA DE SESSÃO E ARQUIVAMENTO ---
 function archiveSession(session) {
     if (!session?.userId) return;
+    finishChatMetrics(session);
     
-    let userHistory = archivedChats.get(session.userId) || [];
-    userHistory.push(session);
-    
-    if (userHistory.length > 20) userHistory.shift();
-
-    archivedChats.set(session.userId, userHistory);
-    saveData('archivedChats.json', archivedChats);
-    
-    if (archivedChats.size > MAX_ARCHIVED_CHATS) {
-        const oldestKey = archivedChats.keys().next().value;
-        archivedChats.delete(oldestKey);
-        saveData('archivedChats.json', archivedChats);
+    try {
+        storage.archiveSession(session);
+    } catch (error) {
+        console.error(`[Persistence] ERRO CRÍTICO ao arquivar a sessão de ${session.userId}:`, error);
     }
+    broadcastEvent('history:update', { userId: session.userId, userName: session.userName, resolvedAt: session.resolvedAt });
 }
 
 function getSession(userId, userName = null) {
@@ -405,18 +882,19 @@ function getSession(userId, userName = null) {
         if (userSessions.size >= MAX_SESSIONS) {
             const oldestKey = userSessions.keys().next().value;
             userSessions.delete(oldestKey);
+            persistSession(oldestKey);
         }
         session = {
-            userId, userName, currentState: ChatState.GREETING,
-            context: { history: {} }, aiHistory: [], messageLog: [],
+            userId, userName, currentState: activeFlow.initialState,
+            context: { history: {} }, aiHistory: [], messageLog: [], language: null,
             handledBy: 'bot',
             attendantId: null, createdAt: new Date().toISOString(),
         };
         userSessions.set(userId, session);
-        saveData('userSessions.json', userSessions);
+        persistSession(userId);
     } else if (userName && session.userName !== userName) {
         session.userName = userName;
-        saveData('userSessions.json', userSessions);
+        persistSession(userId);
     }
     return session;
 }
@@ -433,111 +911,483 @@ setInterval(() => {
             
         if (now - lastInteraction > expiry) {
             userSessions.delete(key);
+            persistSession(key);
+        }
+    }
+
+    for (const [key, authSession] of authSessions.entries()) {
+        if (now - authSession.lastSeenAt > AUTH_SESSION_TTL_MS) {
+            authSessions.delete(key);
+            authSessionStore.delete(key);
         }
     }
-    saveData('userSessions.json', userSessions);
     
     if (global.gc) { try { global.gc(); } catch (e) {} }
 }, 10 * 60 * 1000); 
 
-function addRequestToQueue(session, department, message) {
+// extra: marcações opcionais do pedido (ex.: { afterHours, availableAt } para recados fora do horário)
+function addRequestToQueue(session, department, message, extra = {}) {
     if (requestQueue.some(r => r.userId === session.userId) || activeChats.has(session.userId)) return;
-    const request = { id: nextRequestId++, userId: session.userId, userName: session.userName, department, message, timestamp: new Date().toISOString() };
+    const request = { id: nextRequestId++, userId: session.userId, userName: session.userName, department, message, timestamp: new Date().toISOString(), summaryPending: true, ...extra };
+    // Recado fora do horário não conta prazo: ninguém está trabalhando para cumpri-lo
+    if (!request.afterHours) Object.assign(request, applySla(loadSlaConfig(), request, priorityFor(request, session)));
     requestQueue.unshift(request);
-    saveData('requestQueue.json', requestQueue);
+    saveQueue();
+    summarizeHandoff(request, session);
+    // Depois da mensagem de espera do fluxo, que ainda vai ser enfileirada por processMessage
+    setImmediate(() => autoAssignRequest(request));
 }
 
-// --- LÓGICA DO CHATBOT ---
-function formatFlowStepForWhatsapp(step, context) {
-    let messageText = '';
-    const textTemplate = translations.pt[step.textKey];
-    if (textTemplate) messageText = typeof textTemplate === 'function' ? textTemplate(context) : textTemplate;
-    
-    if (step.options?.length > 0) {
-        messageText += `\n\n${step.options.map((opt, i) => `*${i + 1}*. ${translations.pt[opt.textKey] || opt.textKey}`).join('\n')}`;
-        messageText += `\n\nPor favor, digite o número da opção desejada.`;
+// --- METAS DE ATENDIMENTO (SLA) ---
+const loadSlaConfig = () => ({ ...defaultSlaConfig, ...settingsStore.get('sla') });
+const SLA_CHECK_INTERVAL_MS = 30 * 1000;
+
+function priorityFor(request, session) {
+    const tagNames = (contactTags[request.userId] || []).map(id => tags.find(t => t.id === id)?.name).filter(Boolean);
+    const texts = [request.message, ...session.messageLog.filter(m => m.sender === 'user').map(m => m.text)];
+    return requestPriority(loadSlaConfig().priorityRules, { tagNames, texts });
+}
+
+// Cliente escreveu enquanto espera: "urgente" numa mensagem nova sobe a prioridade do pedido
+function refreshRequestPriority(session) {
+    const request = requestQueue.find(r => r.userId === session.userId);
+    if (!request?.slaDueAt) return;
+    const updated = applySla(loadSlaConfig(), request, priorityFor(request, session));
+    if (updated.priority === request.priority) return;
+    Object.assign(request, updated);
+    saveQueue();
+}
+
+// Prazo estourado: avisa os supervisores uma vez e o cliente até o limite de avisos configurado
+function checkQueueSla() {
+    const config = loadSlaConfig();
+    const now = Date.now();
+    let changed = false;
+    for (const request of requestQueue) {
+        if (!request.slaDueAt || now < Date.parse(request.slaDueAt)) continue;
+        if (!request.slaBreachedAt) {
+            request.slaBreachedAt = new Date(now).toISOString();
+            changed = true;
+            const supervisors = ATTENDANTS.filter(a => hasPermission(a, 'queue:supervise')).map(a => a.id);
+            broadcastEvent('sla:breach', { id: request.id, userId: request.userId, userName: request.userName, department: request.department, priority: request.priority, timestamp: request.timestamp }, supervisors);
+            console.log(`[SLA] Prazo estourado: ${request.userId} (${request.department}, ${request.priority}).`);
+        }
+        if (waitingNoticeDue(config, request, now)) {
+            const session = userSessions.get(request.userId);
+            const text = flowText('queueStillWaiting', { minutes: Math.round((now - Date.parse(request.timestamp)) / 60000) }, session?.language);
+            queueOutbound(request.userId, { text });
+            if (session) {
+                session.messageLog.push({ sender: 'bot', text, timestamp: new Date(now).toISOString() });
+                persistSession(request.userId);
+                notifyChatChanged(request.userId);
+            }
+            request.waitingNotices = (request.waitingNotices || 0) + 1;
+            request.lastWaitingNoticeAt = new Date(now).toISOString();
+            changed = true;
+        }
+    }
+    if (changed) saveQueue();
+}
+setInterval(checkQueueSla, SLA_CHECK_INTERVAL_MS);
+
+// Tempos da conversa com atendente, guardados na sessão (e no histórico arquivado):
+// espera na fila, primeira resposta e resolução, contados a partir da entrada na fila
+function startChatMetrics(session, request) {
+    const now = new Date().toISOString();
+    const queuedAt = request?.timestamp || now;
+    session.metrics = {
+        queuedAt,
+        assignedAt: now,
+        waitSeconds: Math.round((Date.parse(now) - Date.parse(queuedAt)) / 1000),
+        ...(request?.department ? { department: request.department } : {}),
+        ...(request?.priority ? { priority: request.priority, slaTargetMinutes: request.slaTargetMinutes, slaBreached: !!request.slaBreachedAt } : {}),
+    };
+}
+
+function recordFirstResponse(session) {
+    if (!session.metrics || session.metrics.firstResponseAt) return;
+    const now = new Date().toISOString();
+    session.metrics.firstResponseAt = now;
+    session.metrics.firstResponseSeconds = Math.round((Date.parse(now) - Date.parse(session.metrics.queuedAt)) / 1000);
+}
+
+function finishChatMetrics(session) {
+    if (!session.metrics || session.metrics.resolvedAt) return;
+    const resolvedAt = session.resolvedAt || new Date().toISOString();
+    session.metrics.resolvedAt = resolvedAt;
+    session.metrics.resolutionSeconds = Math.round((Date.parse(resolvedAt) - Date.parse(session.metrics.queuedAt)) / 1000);
+}
+
+// --- PRESENÇA E CAPACIDADE DOS ATENDENTES ---
+// Conexão e atividade ficam em memória: ao reiniciar, todos começam offline. O status escolhido no painel
+// é gravado ("attendantStatuses") e volta junto. Depois de um reinício ou deploy, o tempo offline só começa
+// a contar após uma carência, para dar tempo de os painéis reconectarem antes de devolver conversas à fila.
+const loadPresenceConfig = () => ({ ...defaultPresenceConfig, ...settingsStore.get('presence') });
+const SERVER_STARTED_AT = Date.now();
+const PRESENCE_STARTUP_GRACE_MS = 10 * 60 * 1000;
+const PRESENCE_CHECK_INTERVAL_MS = 30 * 1000;
+const attendantPresence = new Map();
+let lastPresenceSignature = '';
+
+function presenceOf(attendantId) {
+    if (!attendantPresence.has(attendantId)) {
+        const manualStatus = settingsStore.get('attendantStatuses')?.[attendantId] || 'available';
+        attendantPresence.set(attendantId, { manualStatus, connected: false, lastActivityAt: 0, offlineSince: SERVER_STARTED_AT + PRESENCE_STARTUP_GRACE_MS });
+    }
+    return attendantPresence.get(attendantId);
+}
+
+function saveManualStatus(attendantId, status) {
+    const { [attendantId]: previous, ...statuses } = settingsStore.get('attendantStatuses') || {};
+    settingsStore.set('attendantStatuses', status === 'available' ? statuses : { ...statuses, [attendantId]: status });
+}
+
+function activeChatCounts() {
+    const counts = {};
+    for (const chat of activeChats.values()) if (chat.attendantId) counts[chat.attendantId] = (counts[chat.attendantId] || 0) + 1;
+    return counts;
+}
+
+function presenceList() {
+    const config = loadPresenceConfig();
+    const counts = activeChatCounts();
+    return ATTENDANTS.map(a => {
+        const state = presenceOf(a.id);
+        return { id: a.id, status: presenceStatus(state, config), manualStatus: state.manualStatus, activeChats: counts[a.id] || 0, maxChats: maxChatsFor(a, config), handlesChats: hasPermission(a, 'chats:handle') };
+    });
+}
+
+// Envia a lista só quando status ou carga de alguém mudou
+function broadcastPresence() {
+    const list = presenceList();
+    const signature = JSON.stringify(list);
+    if (signature === lastPresenceSignature) return;
+    lastPresenceSignature = signature;
+    broadcastEvent('presence', list);
+}
+
+// Online = painel aberto, com atividade recente e sem "ausente"/"offline" escolhido
+const onlineAttendantIds = () => {
+    const config = loadPresenceConfig();
+    return new Set(ATTENDANTS.filter(a => presenceStatus(presenceOf(a.id), config) === 'online').map(a => a.id));
+};
+
+const attendantHasCapacity = (attendant, counts = activeChatCounts()) => hasCapacity(attendant, counts[attendant.id] || 0, loadPresenceConfig());
+
+// Algo mudou na presença do atendente: sem offline, a fila pode ter pedidos esperando por ele
+function presenceChanged(attendantId) {
+    const state = presenceOf(attendantId);
+    const offline = !state.connected || state.manualStatus === 'offline';
+    if (offline && !state.offlineSince) state.offlineSince = Date.now();
+    if (!offline) state.offlineSince = null;
+    broadcastPresence();
+    if (!offline) autoAssignQueue();
+}
+
+// Conversa em soneca ou com lembrete pendente está "guardada" pelo atendente: não volta para a fila
+// (o lembrete, ao vencer, precisa encontrá-la nos Ativos para enviar a mensagem pré-escrita)
+const isParkedChat = (userId, chat, now = Date.now()) =>
+    (chat.snoozedUntil && Date.parse(chat.snoozedUntil) > now)
+    || followUpStore.findBy('userId', userId).some(f => f.status === 'pending');
+
+// Atendente foi embora sem encerrar: as conversas dele voltam para a fila do setor em que foram atendidas
+function requeueChatsOf(attendant) {
+    const now = Date.now();
+    for (const [userId, chat] of [...activeChats.entries()]) {
+        if (chat.attendantId !== attendant.id || isParkedChat(userId, chat, now)) continue;
+        const timestamp = new Date(now).toISOString();
+        chat.messageLog.push({ sender: 'system', text: `Devolvido à fila: ${attendant.name} ficou offline.`, timestamp });
+        chat.handledBy = 'bot_queued';
+        chat.attendantId = null;
+        if (chat.metrics) Object.assign(chat.metrics, { requeuedAt: timestamp, requeues: (chat.metrics.requeues || 0) + 1 });
+        activeChats.delete(userId);
+        userSessions.set(userId, chat);
+        // Sem setor conhecido (ex.: conversa iniciada pelo atendente), o pedido fica visível para todos
+        const department = chat.metrics?.department || chat.context?.department || null;
+        addRequestToQueue(chat, department, `Conversa devolvida à fila (${attendant.name} offline).`);
+        persistSession(userId);
+        notifyChatChanged(userId);
+        console.log(`[Presence] ${userId} devolvido à fila: ${attendant.name} offline.`);
+    }
+    broadcastPresence();
+}
+
+setInterval(() => {
+    const config = loadPresenceConfig();
+    ATTENDANTS.forEach(a => { if (shouldRequeue(presenceOf(a.id), config)) requeueChatsOf(a); });
+    broadcastPresence();
+}, PRESENCE_CHECK_INTERVAL_MS);
+
+// --- DISTRIBUIÇÃO DA FILA ---
+const loadRoutingConfig = () => ({ ...defaultRoutingConfig, ...settingsStore.get('routing') });
+// Último atendente que recebeu pedido de cada setor (revezamento); recomeça do primeiro ao reiniciar o servidor
+const lastAssignedByDepartment = new Map();
+const ROUTING_REASON_LABELS = { last_attendant: 'último atendente do cliente', round_robin: 'revezamento', least_active: 'menos conversas em andamento' };
+
+// Entrega o pedido a um atendente online do setor, se a configuração pedir; senão ele continua na fila
+function autoAssignRequest(request) {
+    const config = loadRoutingConfig();
+    if (config.strategy === 'manual' && !config.preferLastAttendant) return false;
+    if (!requestQueue.some(r => r.id === request.id)) return false;
+    const online = onlineAttendantIds();
+    const activeCounts = activeChatCounts();
+    const candidates = ATTENDANTS.filter(a => online.has(a.id) && hasPermission(a, 'chats:handle') && handlesDepartment(a, request.department) && attendantHasCapacity(a, activeCounts));
+    const picked = pickAttendant(config, candidates, {
+        lastAttendantId: config.preferLastAttendant ? storage.lastAttendantOf(request.userId) : null,
+        activeCounts,
+        lastAssignedId: lastAssignedByDepartment.get(request.department),
+    });
+    if (!picked) return false;
+    const { attendant, reason } = picked;
+    lastAssignedByDepartment.set(request.department, attendant.id);
+    takeOverChat(request.userId, attendant, `Atribuído automaticamente a ${attendant.name} (${ROUTING_REASON_LABELS[reason]}).`);
+    console.log(`[Routing] ${request.userId} (${request.department}) atribuído a ${attendant.name} por ${reason}.`);
+    broadcastEvent('chat:assigned', { userId: request.userId, userName: request.userName, department: request.department }, [attendant.id]);
+    return true;
+}
+
+// Pedidos que esperavam alguém online: distribuídos quando um atendente fica disponível ou a configuração muda
+function autoAssignQueue() {
+    [...requestQueue].reverse().forEach(request => autoAssignRequest(request));
+}
+
+// Resumo para quem vai assumir, gerado em segundo plano (a fila mostra "gerando resumo" até lá).
+// Fica no pedido da fila e na sessão, para aparecer no topo da conversa depois de assumida.
+async function summarizeHandoff(request, session) {
+    const transcript = buildTranscript(session.messageLog);
+    let summary = null, provider = null;
+    if (transcript && aiAvailable(request.department)) {
+        try {
+            const result = await runAi('chat', request.department, { system: SUMMARY_INSTRUCTION, history: [{ role: 'user', parts: [{ text: transcript }] }] });
+            summary = parseSummary(result.text);
+            provider = result.provider;
+        } catch (error) {
+            console.error(`[Handoff] Resumo por IA indisponível para ${request.userId}:`, error.message);
+        }
+    }
+    const handoffSummary = summary
+        ? { ...summary, source: 'ai', provider, createdAt: new Date().toISOString() }
+        : { ...fallbackSummary(session.messageLog, request.message), source: 'rules', createdAt: new Date().toISOString() };
+
+    const queued = requestQueue.find(r => r.id === request.id);
+    if (queued) {
+        delete queued.summaryPending;
+        queued.summary = handoffSummary;
+        saveQueue();
+    }
+    const current = activeChats.get(request.userId) || userSessions.get(request.userId);
+    if (current && (current === session || (current.sessionId && current.sessionId === session.sessionId))) {
+        current.handoffSummary = handoffSummary;
+        persistSession(request.userId);
+        notifyChatChanged(request.userId);
+    }
+}
+
+// Texto livre num menu: palavras-chave e textos das opções primeiro; nos casos duvidosos, a IA
+// escolhe entre as opções (se ligado na configuração). Retorna o caminho reconhecido ou null.
+async function recognizeIntent(session, userInput) {
+    const candidates = buildIntentCandidates(activeFlow.states, session.currentState, [flowTexts(session.language), flowTexts(DEFAULT_LANGUAGE)]);
+    const { match, confidence, ranked } = matchIntent(userInput, candidates);
+    if (confidence === 'high') return match;
+    if (!loadAiConfig().intentClassifier || !aiAvailable(session.context.department)) return null;
+    // Com candidatos fracos, a IA escolhe entre eles; sem nenhum, entre todas as opções
+    const options = (ranked.length ? ranked : candidates).slice(0, 12);
+    try {
+        const result = await runAi('chat', session.context.department, { system: INTENT_CLASSIFIER_INSTRUCTION, history: [{ role: 'user', parts: [{ text: classifierPrompt(userInput, options) }] }] });
+        return parseClassifierAnswer(result.text, options);
+    } catch (error) {
+        console.error(`[Intent] Classificação por IA indisponível para ${session.userId}:`, error.message);
+        return null;
     }
-    return messageText;
 }
 
+// --- LÓGICA DO CHATBOT ---
 async function processMessage(session, userInput, file) {
     const { userId } = session;
     
     // REDUNDÂNCIA: Se por acaso chegar aqui e for humano, aborta
     if (session.handledBy === 'human' || session.handledBy === 'bot_queued') return;
     
-    if (!conversationFlow.has(session.currentState)) session.currentState = ChatState.GREETING;
+    // A versão ativa do fluxo é lida a cada mensagem: uma publicação nova vale a partir da próxima interação
+    const flow = activeFlow;
+    if (!flow.states.has(session.currentState)) session.currentState = flow.initialState;
     
-    let currentStep = conversationFlow.get(session.currentState);
+    let currentStep = flow.states.get(session.currentState);
     let nextState, payload;
-    const choice = parseInt(userInput.trim(), 10);
-    const selectedOption = (currentStep.options && !isNaN(choice)) ? currentStep.options[choice - 1] : null;
-
-    if (selectedOption) {
+    // Só a mensagem inteira em dígitos é número de opção: "2 via do boleto" ou "2 Irmãos Ltda" seguem para a intenção/captura
+    const choice = /^\s*\d+\s*$/.test(userInput) ? parseInt(userInput.trim(), 10) : NaN;
+    // Horários oferecidos vêm numerados antes das opções fixas do estado
+    const offeredSlots = currentStep.action === 'offer_slots' ? (session.context.offeredSlots || []) : [];
+    const selectedSlot = !isNaN(choice) ? offeredSlots[choice - 1] : null;
+    const selectedOption = (currentStep.options && !isNaN(choice)) ? currentStep.options[choice - 1 - offeredSlots.length] : null;
+    const intent = (!selectedSlot && !selectedOption && isNaN(choice) && !currentStep.requiresTextInput && currentStep.options?.length && userInput.trim())
+        ? await recognizeIntent(session, userInput)
+        : null;
+
+    if (selectedSlot) {
+        const rescheduleId = session.context.bookingAction === 'reschedule' ? session.context.appointmentId : null;
+        const appointment = bookAppointment({
+            userId, userName: session.userName, department: session.context.department, ...selectedSlot,
+            description: session.context.reason || session.context.lastInput, language: session.language,
+            fields: session.context.fields ? listFields(session.context.fields) : [],
+        }, 'Cliente', rescheduleId);
+        if (appointment) {
+            session.context = { ...session.context, ...appointmentContext(appointment, session.language) };
+            delete session.context.offeredSlots;
+            nextState = currentStep.nextState;
+        } else {
+            // Outra pessoa reservou no meio do caminho: oferece a lista atualizada
+            queueOutbound(userId, { text: flowText('slotTaken', {}, session.language) });
+            nextState = session.currentState;
+        }
+    } else if (selectedOption) {
         nextState = selectedOption.nextState;
         payload = selectedOption.payload;
+    } else if (intent) {
+        nextState = intent.nextState;
+        payload = intent.payload;
+        session.messageLog.push({ sender: 'system', text: `Intenção reconhecida: "${intent.label}"`, timestamp: new Date().toISOString() });
     } else if (currentStep.requiresTextInput) {
-        if (session.currentState === ChatState.AI_ASSISTANT_CHATTING) {
-            if (!ai) { queueOutbound(userId, { text: "IA indisponível no momento." }); return; }
+        if (currentStep.action === 'ai_chat') {
+            if (!aiAvailable(session.context.department)) { queueOutbound(userId, { text: flowText('aiUnavailable', {}, session.language) }); return; }
+            // Anexo do cliente: vai junto na pergunta; sem texto e sem anexo legível, só avisa
+            const attachment = file ? prepareAttachment(file) : null;
+            if (attachment?.error) {
+                const textKey = { unsupported: 'attachmentUnsupported', tooLarge: 'attachmentTooLarge', unreadable: 'attachmentUnreadable' }[attachment.error];
+                queueOutbound(userId, { text: flowText(textKey, { limit: attachment.limitMb }, session.language) });
+                if (!userInput.trim()) return;
+            }
+            const attachmentParts = attachment?.parts || [];
+            if (!userInput.trim() && attachmentParts.length === 0) return;
             try {
-                session.aiHistory.push({ role: 'user', parts: [{ text: userInput }] });
-                if (session.aiHistory.length > 10) session.aiHistory = session.aiHistory.slice(-10);
+                const question = userInput.trim() || ATTACHMENT_ONLY_PROMPT;
+                // O histórico guarda pares pergunta/resposta: com a pergunta nova, 9 itens começam sempre por uma pergunta
+                const history = [...session.aiHistory, { role: 'user', parts: [...attachmentParts, { text: question }] }].slice(-9);
+                // Sem legenda, a busca na base de conhecimento usa o conteúdo extraído do anexo (planilhas) ou o nome do arquivo
+                const searchQuery = userInput.trim()
+                    || attachmentParts.map(part => part.text).filter(Boolean).join('\n').slice(0, 2000)
+                    || attachment?.note || '';
                 
-                const response = await ai.models.generateContent({ model: 'gemini-3-flash-preview', contents: session.aiHistory, config: { systemInstruction: departmentSystemInstructions.pt[session.context.department] || "Você é um assistente prestativo." } });
-                const aiText = response.text;
-                queueOutbound(userId, { text: aiText });
-                session.messageLog.push({ sender: 'bot', text: aiText, timestamp: new Date() });
-                session.aiHistory.push({ role: 'model', parts: [{ text: aiText }] });
-            } catch (error) { console.error(`[AI] Erro:`, error); queueOutbound(userId, { text: translations.pt.error }); }
+                const { text: aiText, sources } = await askAssistant(history, session.context.department, session.language, searchQuery);
+                // O cliente vê os títulos dos artigos usados; o painel guarda a referência de cada um
+                const citation = sources.length ? `\n\n${flowText('knowledgeSource', { sources: sources.map(s => s.title).join(', ') }, session.language)}` : '';
+                queueOutbound(userId, { text: aiText + citation });
+                session.messageLog.push({ sender: 'bot', text: aiText + citation, timestamp: new Date(), ai: true, ...(sources.length ? { sources } : {}) });
+                // Pergunta e resposta entram juntas no histórico: uma falha não deixa a pergunta sem resposta
+                // No histórico guardado, os dados embutidos (imagem/PDF) dão lugar a uma nota com o nome do arquivo
+                session.aiHistory.push(
+                    { role: 'user', parts: [...attachmentParts.map(part => part.inlineData ? { text: attachment.note } : part), { text: question }] },
+                    { role: 'model', parts: [{ text: aiText }] },
+                );
+                if (session.aiHistory.length > 10) session.aiHistory = session.aiHistory.slice(-10);
+            } catch (error) { console.error(`[AI] Erro:`, error); queueOutbound(userId, { text: flowText('error', {}, session.language) }); }
             return;
         }
+        if (currentStep.capture) {
+            const { field, type, labelKey, errorKey } = currentStep.capture;
+            const { valid, value } = validateField(type, userInput);
+            if (!valid) {
+                queueOutbound(userId, { text: flowText(errorKey || FIELD_ERROR_KEYS[type], {}, session.language) });
+                queueOutbound(userId, { text: formatFlowStepForWhatsapp(currentStep, session.context, session.language) });
+                return;
+            }
+            const fields = { ...session.context.fields, [field]: { labelKey, value } };
+            session.context = { ...session.context, fields, [field]: value, fieldsSummary: summarizeFields(fields, session.language) };
+        }
         nextState = currentStep.nextState;
         session.context.history[session.currentState] = userInput;
+        session.context.lastInput = userInput;
     } else {
-        if (session.currentState !== ChatState.GREETING) queueOutbound(userId, { text: "Opção inválida. Digite apenas o número." });
-        const retryMsg = formatFlowStepForWhatsapp(currentStep, session.context);
-        queueOutbound(userId, { text: retryMsg });
+        if (session.currentState !== flow.initialState) queueOutbound(userId, { text: flowText('invalidOption', {}, session.language) });
+        queueOutbound(userId, flowStepOutbound(session.currentState, currentStep, session.context, session.language));
         return;
     }
     
     if (payload) session.context = { ...session.context, ...payload };
-    
-    if (nextState === ChatState.END_SESSION) {
-        queueOutbound(userId, { text: translations.pt.sessionEnded });
-        session.resolvedBy = "Cliente";
-        session.resolvedAt = new Date().toISOString();
-        archiveSession(session);
-        userSessions.delete(userId);
-        saveData('userSessions.json', userSessions);
-        return;
-    }
+    if (payload?.language) session.language = payload.language;
     
     let currentState = nextState;
     while(currentState) {
+        const step = flow.states.get(currentState);
+        if (step.action === 'end') {
+            queueOutbound(userId, { text: formatFlowStepForWhatsapp(step, session.context, session.language) });
+            session.resolvedBy = "Cliente";
+            session.resolvedAt = new Date().toISOString();
+            archiveSession(session);
+            userSessions.delete(userId);
+            persistSession(userId);
+            notifyChatChanged(userId);
+            return;
+        }
         session.currentState = currentState;
-        const step = conversationFlow.get(currentState);
-        if (currentState === ChatState.ATTENDANT_TRANSFER || currentState === ChatState.SCHEDULING_CONFIRMED) {
-            const department = currentState === ChatState.SCHEDULING_CONFIRMED ? 'Agendamento' : session.context.department;
-            const details = session.context.history[ChatState.SCHEDULING_NEW_CLIENT_DETAILS] || session.context.history[ChatState.SCHEDULING_EXISTING_CLIENT_DETAILS];
-            const reason = currentState === ChatState.SCHEDULING_CONFIRMED ? `Agendamento: ${session.context.clientType} - ${details}` : `Contato para setor ${department}.`;
-            addRequestToQueue(session, department, reason);
+        if (step.clearFields && session.context.fields) {
+            Object.keys(session.context.fields).forEach(field => delete session.context[field]);
+            delete session.context.fields;
+            delete session.context.fieldsSummary;
+        }
+        // "Remarcar" vale só até a escolha do horário; qualquer outro caminho volta a criar agendamentos novos
+        if (step.action !== 'offer_slots') delete session.context.bookingAction;
+        if (step.action === 'offer_slots') {
+            const slots = availableSlots(session.context.department);
+            if (slots.length === 0) { currentState = step.unavailableState; continue; }
+            session.context.offeredSlots = slots;
+        }
+        if (step.action === 'manage_booking') {
+            const appointment = nextAppointmentFor(userId);
+            if (!appointment) { currentState = step.unavailableState; continue; }
+            session.context = { ...session.context, ...appointmentContext(appointment, session.language) };
+        }
+        if (step.action === 'update_booking' && session.context.appointmentId) {
+            updateAppointmentStatus(session.context.appointmentId, step.booking.status, 'Cliente');
+        }
+        if (step.action === 'handoff') {
+            const department = step.queue.department || session.context.department;
+            const office = getOfficeStatus(businessHours, department);
+            // Setor fechado: em vez de esperar numa fila sem ninguém, o cliente vê a próxima abertura e escolhe como seguir
+            if (!office.open && !step.queue.afterHours && flow.states.has(step.outOfHoursState)) {
+                session.context = {
+                    ...session.context,
+                    department,
+                    nextOpening: formatOpening(office.nextOpening, businessHours.timezone, session.language) || flowText('openingUnknown', {}, session.language),
+                    holidayNote: office.holiday ? flowText('holidayNote', { holidayName: office.holiday.name }, session.language) : '',
+                };
+                currentState = step.outOfHoursState;
+                continue;
+            }
+            const extra = step.queue.afterHours && !office.open ? { afterHours: true, availableAt: office.nextOpening?.toISOString() || null } : {};
+            if (session.context.fields) extra.fields = listFields(session.context.fields);
+            addRequestToQueue(session, department, interpolate(step.queue.reason, { ...session.context, department }), extra);
             session.handledBy = 'bot_queued';
         }
-        const reply = formatFlowStepForWhatsapp(step, session.context);
-        queueOutbound(userId, { text: reply });
-        session.messageLog.push({ sender: 'bot', text: reply, timestamp: new Date() });
-        if (step.nextState && !step.requiresTextInput && (!step.options || step.options.length === 0)) {
+        const reply = flowStepOutbound(currentState, step, session.context, session.language);
+        queueOutbound(userId, reply);
+        session.messageLog.push({ sender: 'bot', text: reply.text, timestamp: new Date() });
+        if (step.nextState && step.action !== 'offer_slots' && !step.requiresTextInput && (!step.options || step.options.length === 0)) {
             currentState = step.nextState;
             await new Promise(r => setTimeout(r, 500));
         } else { currentState = null; }
     }
 }
 
+// Lembretes da agenda: enviados uma vez, na véspera (agendamentos feitos com menos antecedência não recebem)
+setInterval(() => {
+    const now = Date.now();
+    activeAppointments().forEach(appointment => {
+        const start = new Date(appointment.start).getTime();
+        if (appointment.reminderSentAt) return;
+        if (start <= now || start - now > REMINDER_LEAD_MS || new Date(appointment.createdAt).getTime() > start - REMINDER_LEAD_MS) return;
+        const language = (activeChats.get(appointment.userId) || userSessions.get(appointment.userId))?.language || appointment.language || DEFAULT_LANGUAGE;
+        queueOutbound(appointment.userId, { text: flowText('appointmentReminder', appointmentContext(appointment, language), language) });
+        appointmentStore.set(appointment.id, { ...appointment, reminderSentAt: new Date().toISOString() });
+        console.log(`[Agenda] Lembrete enfileirado para ${appointment.userName} (${appointment.id}).`);
+    });
+}, 5 * 60 * 1000);
+
 function queueOutbound(userId, content) {
     outboundGatewayQueue.push({ userId, ...content });
 }
 
-async function processIncomingMessage({ userId, userName, userInput, file, replyContext, msgId }) {
+async function processIncomingMessage({ userId, userName, userInput, file, replyContext, msgId, selectedOptionId }) {
     if (!userId) return;
     
     const cleanUserId = userId.replace(/:.*$/, '');
@@ -561,6 +1411,9 @@ async function processIncomingMessage({ userId, userName, userInput, file, reply
         }
     }
 
+    // Idioma definido pela primeira mensagem com texto (pode ser trocado depois pelo menu)
+    if (!session.language && userInput?.trim()) session.language = detectLanguage(userInput) || DEFAULT_LANGUAGE;
+
     let effectiveInput = userInput;
     const logEntry = { 
         sender: 'user', 
@@ -584,24 +1437,47 @@ async function processIncomingMessage({ userId, userName, userInput, file, reply
     session.messageLog.push(logEntry);
 
     if (logEntry.files && logEntry.files[0]?.type?.startsWith('audio/')) {
-        const transcription = await transcribeAudio(logEntry.files[0].url, logEntry.files[0].type);
+        const transcription = await transcribeAudio(logEntry.files[0].url, logEntry.files[0].type, session.context?.department);
         effectiveInput = transcription;
         session.messageLog.push({ sender: 'system', text: `Transcrição: "${transcription}"`, timestamp: new Date().toISOString() });
     }
     
+    // Cliente escreveu durante a soneca: a conversa volta para a lista de Ativos (o lembrete continua valendo)
+    if (session.snoozedUntil) delete session.snoozedUntil;
+
+    if (session.handledBy === 'bot_queued') refreshRequestPriority(session);
     if (session.handledBy === 'human' || session.handledBy === 'bot_queued') {
-        if (activeChats.has(cleanUserId)) saveData('activeChats.json', activeChats);
-        else saveData('userSessions.json', userSessions);
+        persistSession(cleanUserId);
+        notifyChatChanged(cleanUserId);
         return;
     }
     
     if (session.handledBy === 'bot') {
+       // Botão/lista do menu atual vira o número da opção; de um menu antigo, vale o título (texto livre)
+       if (selectedOptionId) {
+           const step = activeFlow.states.get(session.currentState);
+           const number = step && resolveInteractiveReply(selectedOptionId, session.currentState, step, slotLabels(step, session.context, session.language).length);
+           if (number) effectiveInput = String(number);
+       }
        await processMessage(session, effectiveInput, file); 
-       saveData('userSessions.json', userSessions);
+       persistSession(cleanUserId);
+       notifyChatChanged(cleanUserId);
     }
 }
 
 // --- INTEGRAÇÃO WHATSAPP (BAILEYS) ---
+// { id, title } da opção escolhida num botão, lista ou fluxo nativo; null para mensagens comuns
+function readInteractiveReply(message) {
+    if (message.buttonsResponseMessage) return { id: message.buttonsResponseMessage.selectedButtonId, title: message.buttonsResponseMessage.selectedDisplayText };
+    if (message.listResponseMessage) return { id: message.listResponseMessage.singleSelectReply?.selectedRowId, title: message.listResponseMessage.title };
+    if (message.templateButtonReplyMessage) return { id: message.templateButtonReplyMessage.selectedId, title: message.templateButtonReplyMessage.selectedDisplayText };
+    const nativeFlow = message.interactiveResponseMessage?.nativeFlowResponseMessage;
+    if (nativeFlow) {
+        try { return { id: JSON.parse(nativeFlow.paramsJson || '{}').id, title: message.interactiveResponseMessage.body?.text }; } catch (error) { return null; }
+    }
+    return null;
+}
+
 const SESSION_FOLDER = path.join(DATA_DIR, 'baileys_auth_info');
 
 async function startWhatsApp() {
@@ -637,53 +1513,9 @@ async function startWhatsApp() {
 
         sock.ev.on('creds.update', saveCreds);
 
+        // Os contatos são gravados pelo store (tabela contacts); aqui fica apenas o registro do sincronismo inicial
         sock.ev.on('messaging-history.set', ({ contacts }) => {
-            if (!contacts) return;
-            console.log(`[Backup Sync] Processando histórico inicial: ${contacts.length} contatos.`);
-            
-            let hasNew = false;
-            for (const contact of contacts) {
-                if (contact.id.includes('@g.us') || contact.id === 'status@broadcast') continue;
-                
-                store.upsert(contact.id, contact);
-
-                const exists = syncedContacts.find(c => c.userId === contact.id);
-                const name = contact.name || contact.notify || contact.verifiedName;
-                
-                if (!exists) {
-                    syncedContacts.push({ userId: contact.id, userName: name || contact.id.split('@')[0] });
-                    hasNew = true;
-                } else {
-                    if (name && exists.userName !== name) {
-                        exists.userName = name;
-                        hasNew = true;
-                    } 
-                }
-            }
-            if (hasNew) {
-                saveData('syncedContacts.json', syncedContacts);
-            }
-        });
-
-        sock.ev.on('contacts.upsert', (contacts) => {
-            contacts.forEach(c => store.upsert(c.id, c));
-            
-            let hasNew = false;
-            contacts.forEach(c => {
-                if (c.id.includes('@g.us') || c.id === 'status@broadcast') return;
-                
-                const exists = syncedContacts.find(sc => sc.userId === c.id);
-                const name = c.name || c.notify || c.verifiedName;
-                
-                if (!exists) {
-                    syncedContacts.push({ userId: c.id, userName: name || c.id.split('@')[0] });
-                    hasNew = true;
-                } else if (name && exists.userName !== name) {
-                    exists.userName = name;
-                    hasNew = true;
-                }
-            });
-            if(hasNew) saveData('syncedContacts.json', syncedContacts);
+            if (contacts) console.log(`[Backup Sync] Histórico inicial recebido: ${contacts.length} contatos.`);
         });
 
         sock.ev.on('connection.update', async (update) => {
@@ -722,9 +1554,13 @@ async function startWhatsApp() {
                 reconnectAttempts = 0;
                 console.log('[WhatsApp] CONEXÃO ESTABELECIDA!');
             }
+            broadcastEvent('gateway', gatewayStatus);
         });
 
-        sock.ev.on('messages.upsert', async ({ messages, type }) => {
+        sock.ev.on('messages.upsert', async function onMessagesUpsert(event) {
+            // Backup sendo aplicado: a mensagem espera o estado restaurado em vez de ir para o banco antigo
+            if (heldDuringRestore) { heldDuringRestore.push(() => onMessagesUpsert(event)); return; }
+            const { messages, type } = event;
             if (type !== 'notify') return;
             for (const msg of messages) {
                 if (!msg.key.fromMe && msg.message) {
@@ -735,6 +1571,9 @@ async function startWhatsApp() {
                     let file = null;
                     const messageType = Object.keys(msg.message)[0];
                     let text = msg.message.conversation || msg.message.extendedTextMessage?.text || '';
+                    // Resposta a um botão ou lista: o id aponta a opção; o título vai para o histórico
+                    const interactiveReply = readInteractiveReply(msg.message);
+                    if (interactiveReply) text = interactiveReply.title || text;
 
                     if (['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage'].includes(messageType)) {
                         try {
@@ -775,7 +1614,7 @@ async function startWhatsApp() {
                         };
                     }
 
-                    await processIncomingMessage({ userId: rawUserId, userName, userInput: text, file, replyContext, msgId });
+                    await processIncomingMessage({ userId: rawUserId, userName, userInput: text, file, replyContext, msgId, selectedOptionId: interactiveReply?.id });
                 }
                 else if (msg.key.fromMe && msg.message) {
                     const rawUserId = msg.key.remoteJid;
@@ -809,7 +1648,8 @@ async function startWhatsApp() {
                                  activeChats.set(cleanUserId, session);
                                  userSessions.delete(cleanUserId);
                              }
-                             saveData('activeChats.json', activeChats);
+                             persistSession(cleanUserId);
+                             notifyChatChanged(cleanUserId);
                          }
                     }
                 }
@@ -826,7 +1666,8 @@ async function startWhatsApp() {
                            const lastMsg = chat.messageLog[chat.messageLog.length -1];
                            if(lastMsg && lastMsg.sender === 'attendant') {
                                lastMsg.status = status;
-                               saveData('activeChats.json', activeChats);
+                               persistSession(userId);
+                               notifyChatChanged(userId);
                            }
                        }
                   }
@@ -840,8 +1681,22 @@ async function startWhatsApp() {
     }
 }
 
+// Menu do fluxo como botões de resposta ou lista; se o WhatsApp recusar, envia o texto numerado
+async function sendMenu(jid, item, options) {
+    const { menu } = item;
+    const content = menu.type === 'buttons'
+        ? { text: menu.body, buttons: menu.buttons.map(b => ({ buttonId: b.id, buttonText: { displayText: b.title }, type: 1 })), headerType: 1 }
+        : { text: menu.body, buttonText: menu.buttonText, sections: [{ title: '', rows: menu.rows.map(r => ({ rowId: r.id, title: r.title, description: r.description })) }] };
+    try {
+        await sock.sendMessage(jid, content, options);
+    } catch (error) {
+        console.warn(`[Outbound] Menu interativo recusado (${menu.type}), enviando como texto:`, error.message);
+        await sock.sendMessage(jid, { text: item.text }, options);
+    }
+}
+
 setInterval(async () => {
-    if (outboundGatewayQueue.length > 0 && sock && gatewayStatus.status === 'CONNECTED') {
+    if (outboundGatewayQueue.length > 0 && sock && gatewayStatus.status === 'CONNECTED' && !heldDuringRestore) {
         const item = outboundGatewayQueue.shift();
         try {
             const jid = item.userId.includes('@') ? item.userId : item.userId + '@s.whatsapp.net';
@@ -876,6 +1731,8 @@ setInterval(async () => {
                         fileName: file.name
                     }, options);
                  }
+            } else if (item.menu) {
+                 await sendMenu(jid, item, options);
             } else {
                  await sock.sendMessage(jid, { text: item.text }, options);
             }
@@ -885,7 +1742,8 @@ setInterval(async () => {
                 const lastMsg = chat.messageLog[chat.messageLog.length - 1];
                 if(lastMsg && lastMsg.text === item.text) {
                     lastMsg.status = 2; 
-                    saveData('activeChats.json', activeChats);
+                    persistSession(item.userId);
+                    notifyChatChanged(item.userId);
                 }
             }
 
@@ -899,15 +1757,156 @@ setInterval(async () => {
 
 // --- API ENDPOINTS ---
 
+// Rotas públicas de autenticação (registradas antes do middleware que protege o restante de /api)
+app.post('/api/auth/login', (req, res) => {
+    const { name, password } = req.body || {};
+    const ip = req.ip;
+    const attempts = loginAttempts.get(ip);
+    if (attempts && attempts.count >= LOGIN_MAX_ATTEMPTS && Date.now() - attempts.lastAt < LOGIN_LOCK_MS) {
+        return res.status(429).json({ error: 'Muitas tentativas. Aguarde um minuto e tente novamente.' });
+    }
+
+    const attendant = ATTENDANTS.find(a => a.name.trim().toLowerCase() === String(name || '').trim().toLowerCase());
+    if (!attendant || !verifyAttendantPassword(attendant.id, password)) {
+        const count = attempts && Date.now() - attempts.lastAt < LOGIN_LOCK_MS ? attempts.count + 1 : 1;
+        loginAttempts.set(ip, { count, lastAt: Date.now() });
+        return res.status(401).json({ error: 'Usuário ou senha inválidos.' });
+    }
+
+    loginAttempts.delete(ip);
+    const token = createAuthSession(attendant.id);
+    setAuthCookie(res, token, AUTH_SESSION_TTL_MS);
+    res.json({ attendant: publicAttendant(attendant) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    const token = getRequestToken(req);
+    if (token) {
+        authSessions.delete(hashToken(token));
+        authSessionStore.delete(hashToken(token));
+    }
+    setAuthCookie(res, '', 0);
+    res.json({ success: true });
+});
+
+app.use('/api', requireAuth);
+
+app.get('/api/auth/me', (req, res) => res.json({ attendant: publicAttendant(req.attendant) }));
+
+app.post('/api/auth/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!newPassword || String(newPassword).length < 4) return res.status(400).json({ error: 'A nova senha deve ter pelo menos 4 caracteres.' });
+    if (!verifyAttendantPassword(req.attendant.id, currentPassword)) return res.status(403).json({ error: 'Senha atual incorreta.' });
+    setAttendantPassword(req.attendant.id, newPassword, false);
+    // Encerra as outras sessões do atendente, mantendo apenas a atual
+    for (const [key, s] of authSessions.entries()) {
+        if (s.attendantId === req.attendant.id && key !== req.authSessionKey) { authSessions.delete(key); authSessionStore.delete(key); }
+    }
+    res.json({ success: true });
+});
+
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    const client = { res, attendantId: req.attendant.id };
+    eventClients.add(client);
+    const presence = presenceOf(req.attendant.id);
+    presence.connected = true;
+    presence.lastActivityAt = Date.now();
+    presenceChanged(req.attendant.id);
+    req.on('close', () => {
+        eventClients.delete(client);
+        // Offline só quando fechar o último painel aberto do atendente
+        if ([...eventClients].some(c => c.attendantId === client.attendantId)) return;
+        presenceOf(client.attendantId).connected = false;
+        presenceChanged(client.attendantId);
+    });
+});
+
 app.get('/api/gateway/status', (req, res) => res.json(gatewayStatus));
 app.get('/api/attendants', (req, res) => res.json(ATTENDANTS));
-app.post('/api/attendants', (req, res) => {
-    const newAttendant = { id: `attendant_${nextAttendantId++}`, name: req.body.name };
+app.post('/api/attendants', requirePermission('attendants:manage'), (req, res) => {
+    const name = (req.body.name || '').trim();
+    const { password, role = 'attendant', departments = [] } = req.body;
+    if (!name || !password || String(password).length < 4) return res.status(400).json({ error: 'Informe o nome e uma senha/PIN com pelo menos 4 caracteres.' });
+    if (!ROLE_PERMISSIONS[role]) return res.status(400).json({ error: 'Papel inválido.' });
+    const departmentsError = validateAttendantDepartments(departments);
+    if (departmentsError) return res.status(400).json({ error: departmentsError });
+    if (ATTENDANTS.some(a => a.name.trim().toLowerCase() === name.toLowerCase())) return res.status(409).json({ error: 'Já existe um atendente com este nome.' });
+    const newAttendant = { id: `attendant_${nextAttendantId++}`, name, role, departments };
     ATTENDANTS.push(newAttendant);
-    saveData('attendants.json', ATTENDANTS);
+    saveAttendants();
+    broadcastEvent('attendants', ATTENDANTS);
+    // O novo atendente troca a senha provisória no primeiro acesso
+    setAttendantPassword(newAttendant.id, password, true);
     res.json(newAttendant);
 });
 
+app.put('/api/attendants/:id', requirePermission('attendants:manage'), (req, res) => {
+    const target = ATTENDANTS.find(a => a.id === req.params.id);
+    if (!target) return res.status(404).json({ error: 'Atendente não encontrado.' });
+    const { name, role, departments, maxChats } = req.body;
+    if (departments !== undefined) {
+        const departmentsError = validateAttendantDepartments(departments);
+        if (departmentsError) return res.status(400).json({ error: departmentsError });
+    }
+    if (maxChats !== undefined) {
+        const maxChatsError = validateMaxChats(maxChats);
+        if (maxChatsError) return res.status(400).json({ error: maxChatsError });
+    }
+    if (role !== undefined) {
+        if (!ROLE_PERMISSIONS[role]) return res.status(400).json({ error: 'Papel inválido.' });
+        if (target.role === 'admin' && role !== 'admin' && ATTENDANTS.filter(a => a.role === 'admin').length === 1) {
+            return res.status(409).json({ error: 'O sistema precisa de pelo menos um administrador.' });
+        }
+        target.role = role;
+    }
+    if (name !== undefined && name.trim()) {
+        if (ATTENDANTS.some(a => a.id !== target.id && a.name.trim().toLowerCase() === name.trim().toLowerCase())) return res.status(409).json({ error: 'Já existe um atendente com este nome.' });
+        target.name = name.trim();
+    }
+    if (departments !== undefined) target.departments = [...new Set(departments.map(d => d.trim()))];
+    if (maxChats === null) delete target.maxChats;
+    else if (maxChats !== undefined) target.maxChats = maxChats;
+    saveAttendants();
+    broadcastEvent('attendants', ATTENDANTS);
+    // Setores ou papel mudaram: a fila visível para o atendente também
+    if (departments !== undefined || role !== undefined) broadcastQueue();
+    broadcastPresence();
+    res.json(target);
+});
+
+app.post('/api/attendants/:id/reset-password', requirePermission('attendants:manage'), (req, res) => {
+    const target = ATTENDANTS.find(a => a.id === req.params.id);
+    if (!target) return res.status(404).json({ error: 'Atendente não encontrado.' });
+    const { password } = req.body;
+    if (!password || String(password).length < 4) return res.status(400).json({ error: 'A senha/PIN deve ter pelo menos 4 caracteres.' });
+    setAttendantPassword(target.id, password, true);
+    revokeAttendantSessions(target.id);
+    res.json({ success: true });
+});
+
+app.delete('/api/attendants/:id', requirePermission('attendants:manage'), (req, res) => {
+    const target = ATTENDANTS.find(a => a.id === req.params.id);
+    if (!target) return res.status(404).json({ error: 'Atendente não encontrado.' });
+    if (target.id === req.attendant.id) return res.status(409).json({ error: 'Você não pode remover o seu próprio usuário.' });
+    if (target.role === 'admin' && ATTENDANTS.filter(a => a.role === 'admin').length === 1) return res.status(409).json({ error: 'O sistema precisa de pelo menos um administrador.' });
+    ATTENDANTS = ATTENDANTS.filter(a => a.id !== target.id);
+    saveAttendants();
+    broadcastEvent('attendants', ATTENDANTS);
+    delete attendantCredentials[target.id];
+    credentialStore.delete(target.id);
+    revokeAttendantSessions(target.id);
+    res.json({ success: true });
+});
+
+// ?q= busca também nas anotações e nos campos personalizados
 app.get('/api/clients', (req, res) => {
     const clientsMap = new Map();
     
@@ -920,13 +1919,6 @@ app.get('/api/clients', (req, res) => {
         }
     });
 
-    syncedContacts.forEach(c => { 
-        if (!clientsMap.has(c.userId)) {
-            const clientTags = contactTags[c.userId] || [];
-            clientsMap.set(c.userId, { ...c, tags: clientTags });
-        }
-    });
-    
     const addIfNotExists = (userId, userName) => { 
         if (!clientsMap.has(userId)) {
             const clientTags = contactTags[userId] || [];
@@ -936,33 +1928,299 @@ app.get('/api/clients', (req, res) => {
     
     activeChats.forEach(c => addIfNotExists(c.userId, c.userName));
     requestQueue.forEach(r => addIfNotExists(r.userId, r.userName));
-    archivedChats.forEach((sessions, userId) => { const lastSession = sessions[sessions.length - 1]; if (lastSession) addIfNotExists(userId, lastSession.userName); });
+    storage.listArchivedSummary().forEach(h => addIfNotExists(h.userId, h.userName));
     
-    const sortedClients = Array.from(clientsMap.values()).sort((a, b) => (a.userName || '').localeCompare(b.userName || ''));
+    // Pessoas cadastradas: nome do cadastro e empresas vinculadas
+    clientsMap.forEach(client => {
+        const info = clientIndex.get(client.userId);
+        if (info) Object.assign(client, { userName: info.personName, companies: info.companies.map(c => c.name) });
+    });
+
+    const userIds = [...clientsMap.keys()];
+    const notesByUser = {};
+    contactNoteStore.findBy('userId', userIds).forEach(n => (notesByUser[n.userId] = notesByUser[n.userId] || []).push(n));
+    const fieldsByUser = contactFieldStore.getMany(userIds);
+    clientsMap.forEach(client => {
+        client.notes = (notesByUser[client.userId] || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        client.fields = fieldsByUser[client.userId] || {};
+    });
+
+    let sortedClients = Array.from(clientsMap.values()).sort((a, b) => (a.userName || '').localeCompare(b.userName || ''));
+    const q = String(req.query.q || '').trim().toLowerCase();
+    if (q) {
+        sortedClients = sortedClients.filter(c => [c.userName, c.userId, ...(c.companies || []), ...c.notes.map(n => n.text), ...Object.values(c.fields)]
+            .some(text => String(text || '').toLowerCase().includes(q)));
+    }
     res.json(sortedClients);
 });
 
+// --- CADASTRO DE CLIENTES ---
+app.get('/api/registry', (req, res) => {
+    res.json({ companies, people, departments: flowDepartments(), taxRegimes: TAX_REGIMES });
+});
+
+// userId -> pessoa/empresas (usado pelo painel para identificar quem está escrevendo)
+app.get('/api/registry/lookup', (req, res) => res.json(Object.fromEntries(clientIndex)));
+
+function validateCompanyInput(body, currentId = null) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Informe a razão social.' };
+    const cnpj = body.cnpj ? String(body.cnpj).trim() : '';
+    if (cnpj && !isValidCnpj(cnpj)) return { error: 'CNPJ inválido.' };
+    const formatted = cnpj ? formatCnpj(cnpj) : null;
+    if (formatted && companies.some(c => c.cnpj === formatted && c.id !== currentId)) return { error: 'Já existe uma empresa com este CNPJ.' };
+    if (body.taxRegime && !TAX_REGIMES.includes(body.taxRegime)) return { error: 'Regime tributário inválido.' };
+    // Contador responsável por setor: { 'Fiscal': 'attendant_2', ... }
+    const responsibles = Object.fromEntries(Object.entries(body.responsibles || {}).filter(([, attendantId]) => ATTENDANTS.some(a => a.id === attendantId)));
+    return { company: { name, tradeName: String(body.tradeName || '').trim(), cnpj: formatted, taxRegime: body.taxRegime || null, responsibles, notes: String(body.notes || '') } };
+}
+
+function validatePersonInput(body, currentId = null) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Informe o nome.' };
+    const cpf = body.cpf ? String(body.cpf).trim() : '';
+    if (cpf && !isValidCpf(cpf)) return { error: 'CPF inválido.' };
+    const userIds = [...new Set((body.userIds || []).map(toUserId).filter(Boolean))];
+    const taken = userIds.find(uid => people.some(p => p.id !== currentId && p.userIds.includes(uid)));
+    if (taken) return { error: `O número ${taken.split('@')[0]} já pertence a ${people.find(p => p.userIds.includes(taken)).name}.` };
+    const companyIds = (body.companyIds || []).filter(id => companies.some(c => c.id === id));
+    return { person: { name, cpf: cpf ? formatCpf(cpf) : null, email: String(body.email || '').trim(), role: String(body.role || '').trim(), notes: String(body.notes || ''), userIds, companyIds } };
+}
+
+app.post('/api/registry/companies', requirePermission('clients:manage'), (req, res) => {
+    const { company, error } = validateCompanyInput(req.body);
+    if (error) return res.status(400).json({ error });
+    const created = { id: `co_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, ...company, createdAt: new Date().toISOString() };
+    storage.saveCompany(created);
+    companies.push(created);
+    registryChanged();
+    res.json(created);
+});
+
+app.put('/api/registry/companies/:id', requirePermission('clients:manage'), (req, res) => {
+    const index = companies.findIndex(c => c.id === req.params.id);
+    if (index === -1) return res.status(404).json({ error: 'Empresa não encontrada.' });
+    const { company, error } = validateCompanyInput(req.body, req.params.id);
+    if (error) return res.status(400).json({ error });
+    companies[index] = { ...companies[index], ...company, updatedAt: new Date().toISOString() };
+    storage.saveCompany(companies[index]);
+    registryChanged();
+    res.json(companies[index]);
+});
+
+app.delete('/api/registry/companies/:id', requirePermission('clients:manage'), (req, res) => {
+    if (!companies.some(c => c.id === req.params.id)) return res.status(404).json({ error: 'Empresa não encontrada.' });
+    storage.deleteCompany(req.params.id);
+    companies = companies.filter(c => c.id !== req.params.id);
+    people.forEach(p => { p.companyIds = p.companyIds.filter(id => id !== req.params.id); });
+    registryChanged();
+    res.json({ success: true });
+});
+
+app.post('/api/registry/people', requirePermission('clients:manage'), (req, res) => {
+    const { person, error } = validatePersonInput(req.body);
+    if (error) return res.status(400).json({ error });
+    const created = { id: `pe_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, ...person, createdAt: new Date().toISOString() };
+    storage.savePerson(created);
+    people.push(created);
+    registryChanged();
+    res.json(created);
+});
+
+app.put('/api/registry/people/:id', requirePermission('clients:manage'), (req, res) => {
+    const index = people.findIndex(p => p.id === req.params.id);
+    if (index === -1) return res.status(404).json({ error: 'Pessoa não encontrada.' });
+    const { person, error } = validatePersonInput(req.body, req.params.id);
+    if (error) return res.status(400).json({ error });
+    people[index] = { ...people[index], ...person, updatedAt: new Date().toISOString() };
+    storage.savePerson(people[index]);
+    registryChanged();
+    res.json(people[index]);
+});
+
+app.delete('/api/registry/people/:id', requirePermission('clients:manage'), (req, res) => {
+    if (!people.some(p => p.id === req.params.id)) return res.status(404).json({ error: 'Pessoa não encontrada.' });
+    storage.deletePerson(req.params.id);
+    people = people.filter(p => p.id !== req.params.id);
+    registryChanged();
+    res.json({ success: true });
+});
+
+// --- BASE DE CONHECIMENTO ---
+const summarizeArticle = (a) => ({ ...a, content: undefined, excerpt: a.content.slice(0, 160), chunks: knowledgeIndex.chunks.filter(c => c.articleId === a.id).length });
+
+app.get('/api/knowledge', requirePermission('knowledge:manage'), (req, res) => {
+    const articles = knowledgeStore.values().sort((a, b) => a.title.localeCompare(b.title)).map(summarizeArticle);
+    res.json({ articles, departments: flowDepartments() });
+});
+
+app.get('/api/knowledge/:id', requirePermission('knowledge:manage'), (req, res) => {
+    const article = knowledgeStore.get(req.params.id);
+    if (!article) return res.status(404).json({ error: 'Artigo não encontrado.' });
+    res.json(article);
+});
+
+// Aceita o conteúdo escrito (FAQ) ou um arquivo enviado em base64 (documento)
+async function readArticleInput(body, current = {}) {
+    const article = {
+        ...current,
+        title: String(body.title ?? current.title ?? '').trim(),
+        department: String(body.department ?? current.department ?? ''),
+        kind: body.kind ?? current.kind,
+        content: body.content ?? current.content,
+    };
+    if (body.file?.data) {
+        article.content = await extractDocumentText(body.file, article.department);
+        article.sourceName = body.file.name;
+        if (!article.title) article.title = String(body.file.name || '').replace(/\.[^.]+$/, '');
+    }
+    if (article.department && !flowDepartments().includes(article.department)) return { error: `Setor "${article.department}" não existe no fluxo.` };
+    const error = validateArticle(article);
+    return error ? { error } : { article };
+}
+
+const knowledgeChanged = () => { rebuildKnowledgeIndex(); broadcastEvent('knowledge', { total: knowledgeIndex.chunks.length }); };
+
+app.post('/api/knowledge', requirePermission('knowledge:manage'), async (req, res) => {
+    try {
+        const { article, error } = await readArticleInput(req.body);
+        if (error) return res.status(400).json({ error });
+        article.id = `kb_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        Object.assign(article, { createdAt: new Date().toISOString(), updatedBy: req.attendant.name });
+        knowledgeStore.set(article.id, article);
+        knowledgeChanged();
+        res.json(summarizeArticle(article));
+    } catch (error) {
+        console.error('[Knowledge] Erro ao importar documento:', error);
+        res.status(400).json({ error: error.message || 'Não foi possível ler o documento.' });
+    }
+});
+
+app.put('/api/knowledge/:id', requirePermission('knowledge:manage'), async (req, res) => {
+    const current = knowledgeStore.get(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Artigo não encontrado.' });
+    try {
+        const { article, error } = await readArticleInput(req.body, current);
+        if (error) return res.status(400).json({ error });
+        Object.assign(article, { updatedAt: new Date().toISOString(), updatedBy: req.attendant.name });
+        knowledgeStore.set(article.id, article);
+        knowledgeChanged();
+        res.json(summarizeArticle(article));
+    } catch (error) {
+        console.error('[Knowledge] Erro ao importar documento:', error);
+        res.status(400).json({ error: error.message || 'Não foi possível ler o documento.' });
+    }
+});
+
+app.delete('/api/knowledge/:id', requirePermission('knowledge:manage'), (req, res) => {
+    if (!knowledgeStore.get(req.params.id)) return res.status(404).json({ error: 'Artigo não encontrado.' });
+    knowledgeStore.delete(req.params.id);
+    knowledgeChanged();
+    res.json({ success: true });
+});
+
+// Teste do painel: mostra os trechos encontrados e, com IA configurada, a resposta que o cliente receberia
+app.post('/api/knowledge/test', requirePermission('knowledge:manage'), async (req, res) => {
+    const question = String(req.body.question || '').trim();
+    const department = String(req.body.department || '');
+    if (!question) return res.status(400).json({ error: 'Digite uma pergunta.' });
+    if (!aiAvailable(department)) return res.json({ passages: searchIndex(knowledgeIndex, question, { department }), answer: null, sources: [] });
+    try {
+        const { text, sources, passages, provider } = await askAssistant([{ role: 'user', parts: [{ text: question }] }], department, DEFAULT_LANGUAGE, question);
+        res.json({ passages, answer: text, sources, provider });
+    } catch (error) {
+        console.error('[Knowledge] Erro no teste:', error);
+        res.json({ passages: searchIndex(knowledgeIndex, question, { department }), answer: null, sources: [], error: 'A IA não respondeu.' });
+    }
+});
+
+// --- CRM ---
+app.get('/api/custom-fields', (req, res) => res.json(loadCustomFields()));
+
+app.put('/api/custom-fields', requirePermission('settings:manage'), (req, res) => {
+    const defs = (req.body.fields || []).map(def => ({
+        id: def.id || `cf_${Date.now()}_${crypto.randomBytes(2).toString('hex')}`,
+        label: String(def.label || '').trim(),
+        type: def.type,
+        ...(def.type === 'select' ? { options: (def.options || []).map(o => String(o).trim()).filter(Boolean) } : {}),
+    }));
+    const error = validateCustomFieldDefs(defs);
+    if (error) return res.status(400).json({ error });
+    settingsStore.set('customFields', defs);
+    broadcastEvent('crm:fields', defs);
+    res.json(defs);
+});
+
+app.get('/api/contacts/:userId/crm', (req, res) => {
+    const { userId } = req.params;
+    res.json({ notes: notesOf(userId), fields: contactFieldStore.get(userId) || {}, definitions: loadCustomFields() });
+});
+
+app.post('/api/contacts/:userId/notes', requirePermission('chats:handle'), (req, res) => {
+    const text = String(req.body.text || '').trim();
+    if (!text) return res.status(400).json({ error: 'A anotação está vazia.' });
+    const note = {
+        id: `nt_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, userId: req.params.userId, text,
+        authorId: req.attendant.id, authorName: req.attendant.name, createdAt: new Date().toISOString(),
+    };
+    contactNoteStore.set(note.id, note);
+    broadcastEvent('crm:update', { userId: note.userId });
+    res.json(note);
+});
+
+// Só o autor (ou um admin) altera ou remove uma anotação
+const canEditNote = (attendant, note) => note.authorId === attendant.id || hasPermission(attendant, 'attendants:manage');
+
+app.put('/api/contacts/:userId/notes/:id', requirePermission('chats:handle'), (req, res) => {
+    const note = contactNoteStore.get(req.params.id);
+    if (!note || note.userId !== req.params.userId) return res.status(404).json({ error: 'Anotação não encontrada.' });
+    if (!canEditNote(req.attendant, note)) return res.status(403).json({ error: 'Apenas o autor pode editar esta anotação.' });
+    const text = String(req.body.text || '').trim();
+    if (!text) return res.status(400).json({ error: 'A anotação está vazia.' });
+    const updated = { ...note, text, updatedAt: new Date().toISOString(), updatedBy: req.attendant.name };
+    contactNoteStore.set(note.id, updated);
+    broadcastEvent('crm:update', { userId: note.userId });
+    res.json(updated);
+});
+
+app.delete('/api/contacts/:userId/notes/:id', requirePermission('chats:handle'), (req, res) => {
+    const note = contactNoteStore.get(req.params.id);
+    if (!note || note.userId !== req.params.userId) return res.status(404).json({ error: 'Anotação não encontrada.' });
+    if (!canEditNote(req.attendant, note)) return res.status(403).json({ error: 'Apenas o autor pode remover esta anotação.' });
+    contactNoteStore.delete(note.id);
+    broadcastEvent('crm:update', { userId: note.userId });
+    res.json({ success: true });
+});
+
+app.put('/api/contacts/:userId/fields', requirePermission('chats:handle'), (req, res) => {
+    const { values, error } = sanitizeFieldValues(req.body.values);
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(values).length > 0) contactFieldStore.set(req.params.userId, values);
+    else contactFieldStore.delete(req.params.userId);
+    broadcastEvent('crm:update', { userId: req.params.userId });
+    res.json(values);
+});
+
 app.get('/api/tags', (req, res) => res.json(tags));
 
-app.post('/api/tags', (req, res) => {
+app.post('/api/tags', requirePermission('tags:manage'), (req, res) => {
     const { name, color } = req.body;
     const newTag = { id: `tag_${Date.now()}`, name, color: color || '#666' };
     tags.push(newTag);
-    saveData('tags.json', tags);
+    storage.saveTag(newTag);
     res.json(newTag);
 });
 
-app.delete('/api/tags/:id', (req, res) => {
+app.delete('/api/tags/:id', requirePermission('tags:manage'), (req, res) => {
     tags = tags.filter(t => t.id !== req.params.id);
-    saveData('tags.json', tags);
     for (const userId in contactTags) {
         contactTags[userId] = contactTags[userId].filter(tid => tid !== req.params.id);
     }
-    saveData('contactTags.json', contactTags);
+    storage.deleteTag(req.params.id);
     res.json({ success: true });
 });
 
-app.post('/api/tags/assign-bulk', (req, res) => {
+app.post('/api/tags/assign-bulk', requirePermission('tags:manage'), (req, res) => {
     const { tagId, userIds } = req.body;
     if (!tagId || !userIds || !Array.isArray(userIds)) return res.status(400).send();
     
@@ -975,54 +2233,325 @@ app.post('/api/tags/assign-bulk', (req, res) => {
         }
     });
     
-    saveData('contactTags.json', contactTags);
+    storage.assignTag(tagId, userIds);
     res.json({ success: true });
 });
 
-app.get('/api/requests', (req, res) => res.json(requestQueue));
+// --- FLUXO DA CONVERSA ---
+const summarizeFlowVersion = (record) => ({ version: record.version, createdBy: record.createdBy, createdAt: record.createdAt, note: record.note, active: record.version === activeFlow.version });
 
-app.get('/api/chats/active', (req, res) => {
-    const activeSummary = Array.from(activeChats.values()).map(c => {
-        const lastMsg = c.messageLog[c.messageLog.length - 1];
-        
-        let safeLastMsg = null;
-        if (lastMsg) {
-            safeLastMsg = { ...lastMsg };
-            if (safeLastMsg.files) {
-                safeLastMsg.files = safeLastMsg.files.map(f => ({
-                    name: f.name,
-                    type: f.type,
-                    url: f.url 
-                }));
-            }
-        }
+app.get('/api/flow', requirePermission('flow:manage'), (req, res) => {
+    const record = flowVersionStore.get(activeFlow.version);
+    res.json({ ...summarizeFlowVersion(record), flow: record.flow, validation: validateFlow(record.flow) });
+});
 
-        return { 
-            userId: c.userId, 
-            userName: c.userName, 
-            attendantId: c.attendantId, 
-            logLength: c.messageLog.length, 
-            lastMsgStatus: lastMsg ? lastMsg.status : 0, 
-            lastMessage: safeLastMsg 
-        };
+app.get('/api/flow/versions', requirePermission('flow:manage'), (req, res) => {
+    res.json(flowVersionStore.values().map(summarizeFlowVersion).sort((a, b) => b.version - a.version));
+});
+
+app.get('/api/flow/versions/:version', requirePermission('flow:manage'), (req, res) => {
+    const record = flowVersionStore.get(req.params.version);
+    if (!record) return res.status(404).json({ error: 'Versão não encontrada.' });
+    res.json({ ...summarizeFlowVersion(record), flow: record.flow, validation: validateFlow(record.flow) });
+});
+
+app.post('/api/flow/validate', requirePermission('flow:manage'), (req, res) => res.json(validateFlow(req.body.flow)));
+
+// Publica uma nova versão e a ativa imediatamente (as conversas em andamento passam a usá-la na próxima mensagem)
+app.put('/api/flow', requirePermission('flow:manage'), (req, res) => {
+    const { flow, note } = req.body;
+    const validation = validateFlow(flow);
+    if (!validation.valid) return res.status(400).json({ error: 'O fluxo tem erros e não foi publicado.', ...validation });
+    const version = saveFlowVersion(flow, req.attendant.name, note || '');
+    activateFlowVersion(version);
+    console.log(`[Flow] Versão ${version} publicada por ${req.attendant.name}.`);
+    broadcastEvent('flow', { version });
+    res.json({ version, warnings: validation.warnings });
+});
+
+// Rollback: reativa uma versão já publicada
+app.post('/api/flow/versions/:version/activate', requirePermission('flow:manage'), (req, res) => {
+    const record = flowVersionStore.get(req.params.version);
+    if (!record) return res.status(404).json({ error: 'Versão não encontrada.' });
+    const validation = validateFlow(record.flow);
+    if (!validation.valid) return res.status(400).json({ error: 'Esta versão não passa na validação atual e não pode ser ativada.', ...validation });
+    activateFlowVersion(record.version);
+    console.log(`[Flow] Versão ${record.version} reativada por ${req.attendant.name}.`);
+    broadcastEvent('flow', { version: record.version });
+    res.json({ version: record.version });
+});
+
+// --- HORÁRIO DE ATENDIMENTO ---
+const summarizeOfficeStatus = (department) => {
+    const { open, holiday, nextOpening } = getOfficeStatus(businessHours, department);
+    return { open, holiday, nextOpening: nextOpening?.toISOString() || null };
+};
+
+app.get('/api/settings/business-hours', (req, res) => {
+    const departments = [...new Set([...flowDepartments(), ...Object.keys(businessHours.departments || {})])].sort();
+    res.json({
+        config: businessHours,
+        departments,
+        status: { default: summarizeOfficeStatus(null), ...Object.fromEntries(departments.map(d => [d, summarizeOfficeStatus(d)])) },
+    });
+});
+
+app.put('/api/settings/business-hours', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validateBusinessHours(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Horário de atendimento inválido.', errors });
+    businessHours = {
+        timezone: config.timezone,
+        default: config.default,
+        departments: config.departments || {},
+        holidays: (config.holidays || []).map(h => ({ date: h.date, name: h.name || '' })).sort((a, b) => a.date.localeCompare(b.date)),
+    };
+    settingsStore.set('businessHours', businessHours);
+    console.log(`[Settings] Horário de atendimento atualizado por ${req.attendant.name}.`);
+    broadcastEvent('settings', { key: 'businessHours' });
+    res.json({ success: true, config: businessHours });
+});
+
+// --- CONFIGURAÇÃO DA IA ---
+app.get('/api/settings/ai', requirePermission('settings:manage'), (req, res) => {
+    res.json({
+        config: loadAiConfig(),
+        providers: AI_PROVIDER_NAMES.map(name => ({ name, available: !!aiProviders[name] })),
+        departments: flowDepartments(),
+    });
+});
+
+app.put('/api/settings/ai', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validateAiConfig(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Configuração de IA inválida.', errors });
+    const saved = { providers: config.providers, default: { ...defaultAiConfig.default, ...config.default }, departments: config.departments || {}, intentClassifier: !!config.intentClassifier };
+    settingsStore.set('ai', saved);
+    console.log(`[Settings] Configuração de IA atualizada por ${req.attendant.name}.`);
+    broadcastEvent('settings', { key: 'ai' });
+    res.json({ success: true, config: saved });
+});
+
+// Envia uma mensagem de teste com a configuração salva do setor e informa qual provedor respondeu
+app.post('/api/settings/ai/test', requirePermission('settings:manage'), async (req, res) => {
+    const department = String(req.body.department || '');
+    const text = String(req.body.text || '').trim() || 'Olá, isto é um teste.';
+    try {
+        const result = await runAi('chat', department, { system: getDepartmentInstruction(department, DEFAULT_LANGUAGE), history: [{ role: 'user', parts: [{ text }] }] });
+        res.json(result);
+    } catch (error) {
+        res.status(502).json({ error: error.message, attempts: error.attempts || [] });
+    }
+});
+
+// --- METAS DE ATENDIMENTO (SLA) ---
+app.get('/api/settings/sla', requirePermission('settings:manage'), (req, res) => {
+    res.json({ config: loadSlaConfig(), departments: flowDepartments(), tags: tags.map(t => t.name) });
+});
+
+app.put('/api/settings/sla', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validateSlaConfig(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Metas de atendimento inválidas.', errors });
+    const saved = {
+        targets: config.targets,
+        departments: config.departments || {},
+        priorityRules: (config.priorityRules || []).map(({ type, value, priority }) => ({ type, value: String(value).trim(), priority })),
+        waitingNotices: { enabled: !!config.waitingNotices.enabled, intervalMinutes: config.waitingNotices.intervalMinutes, max: config.waitingNotices.max },
+    };
+    settingsStore.set('sla', saved);
+    // Pedidos que já estão na fila passam a valer pelas metas novas
+    requestQueue.forEach(request => {
+        if (!request.slaDueAt) return;
+        Object.assign(request, applySla(saved, { ...request, priority: 'normal' }, request.priority));
+        if (Date.parse(request.slaDueAt) > Date.now()) delete request.slaBreachedAt;
     });
-    res.json(activeSummary);
+    saveQueue();
+    console.log(`[Settings] Metas de atendimento atualizadas por ${req.attendant.name}.`);
+    broadcastEvent('settings', { key: 'sla' });
+    res.json({ success: true, config: saved });
+});
+
+// --- PRESENÇA DOS ATENDENTES ---
+app.get('/api/presence', (req, res) => res.json(presenceList()));
+
+// O painel informa há quanto tempo o atendente não interage (mouse/teclado) a cada minuto
+app.post('/api/presence/heartbeat', (req, res) => {
+    const idleSeconds = Math.max(0, Number(req.body?.idleSeconds) || 0);
+    const presence = presenceOf(req.attendant.id);
+    const wasOnline = presenceStatus(presence, loadPresenceConfig()) === 'online';
+    presence.lastActivityAt = Date.now() - idleSeconds * 1000;
+    // Voltou de "ausente" por inatividade: pode receber pedidos que esperavam na fila
+    if (!wasOnline) presenceChanged(req.attendant.id);
+    else broadcastPresence();
+    res.json({ success: true });
+});
+
+app.put('/api/presence/me', (req, res) => {
+    const { status } = req.body || {};
+    if (!MANUAL_STATUSES.includes(status)) return res.status(400).json({ error: 'Status inválido.' });
+    const presence = presenceOf(req.attendant.id);
+    presence.manualStatus = status;
+    presence.lastActivityAt = Date.now();
+    saveManualStatus(req.attendant.id, status);
+    console.log(`[Presence] ${req.attendant.name} escolheu o status "${status}".`);
+    presenceChanged(req.attendant.id);
+    res.json(presenceList().find(p => p.id === req.attendant.id));
+});
+
+app.get('/api/settings/presence', requirePermission('settings:manage'), (req, res) => res.json({ config: loadPresenceConfig() }));
+
+app.put('/api/settings/presence', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validatePresenceConfig(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Configuração de presença inválida.', errors });
+    const saved = { awayAfterMinutes: config.awayAfterMinutes, requeueAfterMinutes: config.requeueAfterMinutes, defaultMaxChats: config.defaultMaxChats };
+    settingsStore.set('presence', saved);
+    console.log(`[Settings] Presença e capacidade atualizadas por ${req.attendant.name}.`);
+    broadcastEvent('settings', { key: 'presence' });
+    broadcastPresence();
+    res.json({ success: true, config: saved });
+});
+
+// --- DISTRIBUIÇÃO DA FILA ---
+// Setores do fluxo (para vincular atendentes e filtrar a fila)
+app.get('/api/departments', (req, res) => res.json(flowDepartments()));
+
+app.get('/api/settings/routing', requirePermission('settings:manage'), (req, res) => {
+    const online = onlineAttendantIds();
+    res.json({ config: loadRoutingConfig(), online: ATTENDANTS.filter(a => online.has(a.id)).map(a => a.id) });
+});
+
+app.put('/api/settings/routing', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validateRoutingConfig(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Configuração de distribuição inválida.', errors });
+    const saved = { strategy: config.strategy, preferLastAttendant: !!config.preferLastAttendant };
+    settingsStore.set('routing', saved);
+    console.log(`[Settings] Distribuição da fila atualizada por ${req.attendant.name}: ${saved.strategy}.`);
+    broadcastEvent('settings', { key: 'routing' });
+    autoAssignQueue();
+    res.json({ success: true, config: saved });
+});
+
+// --- LEMBRETES (FOLLOW-UPS) ---
+// Padrão: lembretes abertos do próprio atendente; ?all=1 (admin) lista os de todos
+app.get('/api/followups', (req, res) => {
+    const all = req.query.all === '1' && hasPermission(req.attendant, 'attendants:manage');
+    res.json(followUpStore.findBy('status', FOLLOW_UP_OPEN_STATUSES)
+        .filter(f => all || f.attendantId === req.attendant.id)
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt)));
+});
+
+app.post('/api/chats/:userId/followups', requirePermission('chats:handle'), (req, res) => {
+    const { userId } = req.params;
+    const { dueAt, note, message, snooze } = req.body;
+    const chat = activeChats.get(userId);
+    if (!chat) return res.status(404).json({ error: 'Chat não encontrado' });
+    if (isNaN(new Date(dueAt)) || new Date(dueAt) <= new Date()) return res.status(400).json({ error: 'Informe uma data futura.' });
+
+    const followUp = {
+        id: `fu_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        userId, userName: chat.userName, attendantId: req.attendant.id,
+        dueAt: new Date(dueAt).toISOString(), note: note || '', message: message?.trim() || '', snooze: !!snooze,
+        status: 'pending', createdAt: new Date().toISOString(),
+    };
+    followUpStore.set(followUp.id, followUp);
+    if (followUp.snooze) {
+        chat.snoozedUntil = followUp.dueAt;
+        persistSession(userId);
+        notifyChatChanged(userId);
+    }
+    broadcastEvent('followups', { attendantId: followUp.attendantId }, [followUp.attendantId]);
+    res.json(followUp);
+});
+
+// status: 'done' (concluído) ou 'cancelled'; cancelar uma soneca devolve a conversa à lista de Ativos
+app.patch('/api/followups/:id', requirePermission('chats:handle'), (req, res) => {
+    const followUp = followUpStore.get(req.params.id);
+    if (!followUp) return res.status(404).json({ error: 'Lembrete não encontrado.' });
+    if (followUp.attendantId !== req.attendant.id && !hasPermission(req.attendant, 'attendants:manage')) return res.status(403).json({ error: 'Este lembrete é de outro atendente.' });
+    const { status } = req.body;
+    if (!['done', 'cancelled'].includes(status)) return res.status(400).json({ error: 'Status inválido.' });
+
+    followUpStore.set(followUp.id, { ...followUp, status, closedAt: new Date().toISOString() });
+    const chat = activeChats.get(followUp.userId);
+    if (chat?.snoozedUntil && followUp.snooze && followUp.status === 'pending') {
+        delete chat.snoozedUntil;
+        persistSession(followUp.userId);
+        notifyChatChanged(followUp.userId);
+    }
+    broadcastEvent('followups', { attendantId: followUp.attendantId }, [followUp.attendantId]);
+    res.json({ success: true });
+});
+
+// --- AGENDA ---
+app.get('/api/settings/scheduling', (req, res) => res.json({ config: schedulingConfig }));
+
+app.put('/api/settings/scheduling', requirePermission('settings:manage'), (req, res) => {
+    const { config } = req.body;
+    const errors = validateSchedulingConfig(config);
+    if (errors.length > 0) return res.status(400).json({ error: 'Configuração da agenda inválida.', errors });
+    schedulingConfig = { ...defaultSchedulingConfig, ...config };
+    settingsStore.set('scheduling', schedulingConfig);
+    console.log(`[Settings] Agenda atualizada por ${req.attendant.name}.`);
+    broadcastEvent('settings', { key: 'scheduling' });
+    res.json({ success: true, config: schedulingConfig });
+});
+
+// Agendamentos no período (padrão: de hoje até o fim do período de agendamento)
+app.get('/api/appointments', (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = req.query.to ? new Date(req.query.to) : new Date(Date.now() + schedulingConfig.daysAhead * 24 * 60 * 60 * 1000);
+    res.json(appointmentStore.values()
+        .filter(a => new Date(a.start) >= from && new Date(a.start) <= to)
+        .sort((a, b) => a.start.localeCompare(b.start)));
+});
+
+app.get('/api/appointments/slots', (req, res) => res.json(availableSlots(req.query.department)));
+
+// Agendamento feito pelo atendente (ex.: combinado por telefone)
+app.post('/api/appointments', requirePermission('chats:handle'), (req, res) => {
+    const { userName, specialistId, start, description } = req.body;
+    // Aceita o JID ou apenas o número do cliente, como em /api/chats/initiate
+    const rawUserId = String(req.body.userId || '').trim();
+    const userId = rawUserId && (rawUserId.includes('@') ? rawUserId : rawUserId.replace(/\D/g, '') + '@s.whatsapp.net');
+    const specialist = findSpecialist(schedulingConfig, specialistId);
+    if (!userId || !specialist || isNaN(new Date(start))) return res.status(400).json({ error: 'Informe cliente, especialista e horário.' });
+    const end = new Date(new Date(start).getTime() + schedulingConfig.slotMinutes * 60 * 1000).toISOString();
+    const appointment = bookAppointment({
+        userId, userName: userName || store.getContacts()[userId]?.name || store.getContacts()[userId]?.notify || userId.split('@')[0], department: specialist.department,
+        specialistId, specialistName: specialist.name, start: new Date(start).toISOString(), end, description,
+    }, req.attendant.name);
+    if (!appointment) return res.status(409).json({ error: 'O especialista já tem um agendamento nesse horário.' });
+    res.json(appointment);
+});
+
+app.patch('/api/appointments/:id', requirePermission('chats:handle'), (req, res) => {
+    const { status } = req.body;
+    if (!APPOINTMENT_STATUSES.includes(status)) return res.status(400).json({ error: 'Status inválido.' });
+    const appointment = updateAppointmentStatus(req.params.id, status, req.attendant.name);
+    if (!appointment) return res.status(404).json({ error: 'Agendamento não encontrado.' });
+    res.json(appointment);
+});
+
+app.get('/api/requests', (req, res) => res.json(visibleQueue(req.attendant)));
+
+app.get('/api/chats/active', (req, res) => {
+    res.json(Array.from(activeChats.values()).map(summarizeActiveChat));
 });
 
 app.get('/api/chats/ai-active', (req, res) => {
-    const aiChats = Array.from(userSessions.values()).filter(s => s.handledBy === 'bot' && !activeChats.has(s.userId) && (s.currentState === 'AI_ASSISTANT_SELECT_DEPT' || s.currentState === 'AI_ASSISTANT_CHATTING')).map(c => ({ userId: c.userId, userName: c.userName, logLength: c.messageLog.length }));
-    res.json(aiChats);
+    res.json(Array.from(userSessions.values()).filter(isAiChat).map(summarizeAiChat));
 });
 
 app.get('/api/chats/history', (req, res) => {
-    const historySummary = [];
-    archivedChats.forEach((sessions, userId) => { if(sessions.length > 0) { const lastSession = sessions[sessions.length - 1]; historySummary.push({ userId, userName: lastSession.userName, resolvedAt: lastSession.resolvedAt }); } });
-    res.json(historySummary);
+    res.json(storage.listArchivedSummary());
 });
 
 app.get('/api/chats/history/:userId', (req, res) => {
     const { userId } = req.params;
-    const oldSessions = archivedChats.get(userId) || [];
+    const oldSessions = storage.getArchivedSessions(userId);
     const currentSession = activeChats.get(userId) || userSessions.get(userId);
     let fullLog = [];
     oldSessions.forEach(s => { if(s.messageLog) fullLog = fullLog.concat(s.messageLog); });
@@ -1033,9 +2562,19 @@ app.get('/api/chats/history/:userId', (req, res) => {
     res.json(responseData);
 });
 
-app.post('/api/chats/takeover/:userId', (req, res) => {
-    const { userId } = req.params;
-    const { attendantId } = req.body;
+app.post('/api/chats/takeover/:userId', requirePermission('chats:handle'), (req, res) => {
+    const request = requestQueue.find(r => r.userId === req.params.userId);
+    if (request && !visibleQueue(req.attendant).includes(request)) return res.status(403).json({ error: `Este pedido é do setor ${request.department}, que não está entre os seus.` });
+    if (activeChats.get(req.params.userId)?.attendantId !== req.attendant.id && !attendantHasCapacity(req.attendant)) {
+        return res.status(409).json({ error: `Você já está no limite de ${maxChatsFor(req.attendant, loadPresenceConfig())} conversas simultâneas. Encerre uma antes de assumir outra.` });
+    }
+    res.json(takeOverChat(req.params.userId, req.attendant));
+});
+
+// Atendente assume a conversa (clique na fila ou atribuição automática): sai da fila e vai para os Ativos
+function takeOverChat(userId, attendant, systemNote = null) {
+    const attendantId = attendant.id;
+    const request = requestQueue.find(r => r.userId === userId);
     let session = userSessions.get(userId);
     if (!session) {
          const queueIndex = requestQueue.findIndex(r => r.userId === userId);
@@ -1043,7 +2582,7 @@ app.post('/api/chats/takeover/:userId', (req, res) => {
              const reqItem = requestQueue[queueIndex];
              session = getSession(userId, reqItem.userName);
              requestQueue.splice(queueIndex, 1);
-             saveData('requestQueue.json', requestQueue);
+             saveQueue();
          } else {
              session = getSession(userId);
          }
@@ -1051,25 +2590,74 @@ app.post('/api/chats/takeover/:userId', (req, res) => {
         const qIdx = requestQueue.findIndex(r => r.userId === userId);
         if(qIdx !== -1) {
             requestQueue.splice(qIdx, 1);
-            saveData('requestQueue.json', requestQueue);
+            saveQueue();
         }
     }
-    const attendantObj = ATTENDANTS.find(a => a.id === attendantId);
-    const attendantName = attendantObj ? attendantObj.name : 'um atendente';
+    const attendantName = attendant.name;
+    // Conversa devolvida à fila mantém os tempos do atendimento original (espera, primeira resposta)
+    if (session.metrics?.requeuedAt && !session.metrics.resolvedAt) {
+        session.metrics.reassignedAt = new Date().toISOString();
+        delete session.metrics.requeuedAt;
+    } else if (session.handledBy !== 'human' || !session.metrics) startChatMetrics(session, request);
     session.handledBy = 'human';
     session.attendantId = attendantId;
-    const takeoverMsg = `Olá, eu sou o atendente ${attendantName} e vou dar continuidade em seu atendimento.`;
+    const takeoverMsg = flowText('attendantTakeover', { attendantName }, session.language);
+    if (systemNote) session.messageLog.push({ sender: 'system', text: systemNote, timestamp: new Date().toISOString() });
     session.messageLog.push({ sender: 'attendant', text: takeoverMsg, timestamp: new Date().toISOString(), status: 2 });
     userSessions.delete(userId);
-    saveData('userSessions.json', userSessions);
     activeChats.set(userId, session);
-    saveData('activeChats.json', activeChats);
+    persistSession(userId);
+    notifyChatChanged(userId);
+    broadcastPresence();
     queueOutbound(userId, { text: takeoverMsg });
-    res.json(session);
+    return session;
+}
+
+// --- ASSISTENTE DE RESPOSTA (RASCUNHOS) ---
+// Nada aqui é enviado ao cliente: o painel coloca o texto no campo de mensagem e o atendente decide.
+app.post('/api/chats/:userId/suggest-reply', requirePermission('chats:handle'), async (req, res) => {
+    const { userId } = req.params;
+    const chat = activeChats.get(userId);
+    if (!chat) return res.status(404).json({ error: 'Conversa não está em atendimento.' });
+    const department = chat.context?.department;
+    if (!aiAvailable(department)) return res.status(503).json({ error: 'IA indisponível no momento.' });
+
+    const fieldValues = contactFieldStore.get(userId) || {};
+    const fields = loadCustomFields().filter(def => fieldValues[def.id]).map(def => ({ label: def.label, value: fieldValues[def.id] }));
+    const lastQuestion = [...chat.messageLog].reverse().find(m => m.sender === 'user' && m.text)?.text || '';
+    const passages = searchIndex(knowledgeIndex, lastQuestion, { department });
+    const system = suggestionInstruction({
+        departmentInstruction: getDepartmentInstruction(department, chat.language),
+        notes: notesOf(userId).slice(0, 10), fields, language: chat.language, attendantName: req.attendant.name,
+    }) + knowledgeInstruction(passages);
+    try {
+        const transcript = conversationTranscript(chat.messageLog);
+        const result = await runAi('chat', department, { system, history: [{ role: 'user', parts: [{ text: `CONVERSA:\n${transcript}\n\nEscreva a próxima mensagem do atendente.` }] }] });
+        const { text, sources } = extractCitations(result.text, passages);
+        res.json({ text, sources, provider: result.provider });
+    } catch (error) {
+        console.error('[Assistente] Erro ao sugerir resposta:', error.message);
+        res.status(502).json({ error: 'Não foi possível gerar a sugestão.' });
+    }
+});
+
+app.post('/api/ai/rewrite', requirePermission('chats:handle'), async (req, res) => {
+    const { text, mode, userId } = req.body;
+    if (!String(text || '').trim()) return res.status(400).json({ error: 'Digite a mensagem antes de pedir a reescrita.' });
+    if (!REWRITE_MODES[mode]) return res.status(400).json({ error: 'Tipo de reescrita inválido.' });
+    const department = activeChats.get(userId)?.context?.department;
+    if (!aiAvailable(department)) return res.status(503).json({ error: 'IA indisponível no momento.' });
+    try {
+        const result = await runAi('chat', department, { system: rewriteInstruction(mode), history: [{ role: 'user', parts: [{ text }] }] });
+        res.json({ text: result.text, provider: result.provider });
+    } catch (error) {
+        console.error('[Assistente] Erro ao reescrever:', error.message);
+        res.status(502).json({ error: 'Não foi possível reescrever a mensagem.' });
+    }
 });
 
-app.post('/api/chats/attendant-reply', (req, res) => {
-    const { userId, text, attendantId, files, replyTo } = req.body;
+app.post('/api/chats/attendant-reply', requirePermission('chats:handle'), (req, res) => {
+    const { userId, text, files, replyTo } = req.body;
     const chat = activeChats.get(userId);
     if (chat) {
         const msg = { sender: 'attendant', text, timestamp: new Date().toISOString(), status: 1 };
@@ -1085,7 +2673,9 @@ app.post('/api/chats/attendant-reply', (req, res) => {
         if(replyTo) msg.replyTo = replyTo;
         
         chat.messageLog.push(msg);
-        saveData('activeChats.json', activeChats);
+        recordFirstResponse(chat);
+        persistSession(userId);
+        notifyChatChanged(userId);
         
         queueOutbound(userId, { text, files: msg.files, replyTo });
         res.json({ success: true });
@@ -1094,8 +2684,9 @@ app.post('/api/chats/attendant-reply', (req, res) => {
     }
 });
 
-app.post('/api/chats/initiate', (req, res) => {
-    const { recipientNumber, clientName, message, attendantId, files } = req.body;
+app.post('/api/chats/initiate', requirePermission('chats:handle'), (req, res) => {
+    const { recipientNumber, clientName, message, files } = req.body;
+    const attendantId = req.attendant.id;
     
     let rawUserId = recipientNumber.includes('@') ? recipientNumber : recipientNumber + '@s.whatsapp.net';
     let userId = rawUserId.replace(/:.*$/, ''); 
@@ -1108,7 +2699,7 @@ app.post('/api/chats/initiate', (req, res) => {
         session.attendantId = attendantId;
     } else {
         const qIdx = requestQueue.findIndex(r => r.userId === userId);
-        if(qIdx !== -1) { requestQueue.splice(qIdx, 1); saveData('requestQueue.json', requestQueue); }
+        if(qIdx !== -1) { requestQueue.splice(qIdx, 1); saveQueue(); }
         
         session = getSession(userId, clientName); 
         session.handledBy = 'human'; 
@@ -1131,15 +2722,16 @@ app.post('/api/chats/initiate', (req, res) => {
     userSessions.delete(userId);
     activeChats.set(userId, session);
     
-    saveData('userSessions.json', userSessions);
-    saveData('activeChats.json', activeChats);
+    persistSession(userId);
+    notifyChatChanged(userId);
+    broadcastPresence();
     
     queueOutbound(userId, { text: message, files: msg.files });
     res.json(session);
 });
 
-app.post('/api/broadcast', (req, res) => {
-    const { recipientIds, message, files, attendantId } = req.body;
+app.post('/api/broadcast', requirePermission('broadcast:send'), (req, res) => {
+    const { recipientIds, message, files } = req.body;
     
     if (!recipientIds || !Array.isArray(recipientIds) || recipientIds.length === 0) {
         return res.status(400).json({ error: "Nenhum destinatário selecionado." });
@@ -1162,8 +2754,8 @@ app.post('/api/broadcast', (req, res) => {
             session = userSessions.get(userId);
             if (!session) {
                 const storeContacts = store.getContacts();
-                const contact = storeContacts[userId] || syncedContacts.find(c => c.userId === userId);
-                session = getSession(userId, contact ? (contact.name || contact.notify || contact.userName) : userId.split('@')[0]);
+                const contact = storeContacts[userId];
+                session = getSession(userId, contact ? (contact.name || contact.notify || contact.verifiedName) : userId.split('@')[0]);
             }
         }
         
@@ -1179,11 +2771,8 @@ app.post('/api/broadcast', (req, res) => {
 
         session.messageLog.push(msg);
 
-        if (activeChats.has(userId)) {
-            saveData('activeChats.json', activeChats);
-        } else {
-            saveData('userSessions.json', userSessions);
-        }
+        persistSession(userId);
+        notifyChatChanged(userId);
 
         queueOutbound(userId, { text: message, files: processedFiles });
     });
@@ -1191,21 +2780,171 @@ app.post('/api/broadcast', (req, res) => {
     res.json({ success: true, count: recipientIds.length });
 });
 
-app.get('/api/system/backup', async (req, res) => {
+app.get('/api/system/backup', requirePermission('system:backup'), async (req, res) => {
+    // Cópia consistente do banco, feita sem parar o atendimento
+    store.save();
+    const snapshotPath = path.join(DATA_DIR, `backup_${Date.now()}.db.tmp`);
+    try {
+        await storage.backup(snapshotPath);
+    } catch (error) {
+        console.error('[Backup] Falha ao copiar o banco:', error);
+        fs.rmSync(snapshotPath, { force: true });
+        return res.status(500).json({ error: 'Falha ao gerar o backup.' });
+    }
     const archive = archiver('zip', { zlib: { level: 9 } });
     res.attachment(`JZF_Backup_${new Date().toISOString().split('T')[0]}.zip`);
     archive.pipe(res);
-    const files = fs.readdirSync(DATA_DIR);
-    for (const file of files) {
-        if(file.endsWith('.json')) {
-            archive.file(path.join(DATA_DIR, file), { name: file });
+    archive.file(snapshotPath, { name: DB_FILENAME });
+    archive.directory(MEDIA_DIR, 'media');
+    try {
+        await archive.finalize();
+    } finally {
+        fs.rmSync(snapshotPath, { force: true });
+    }
+});
+
+// --- RESTAURAÇÃO DE BACKUP ---
+// Aceita o zip gerado por /api/system/backup (banco SQLite) ou o formato antigo (arquivos JSON soltos).
+const RESTORE_ALL_PARTS = [...Object.keys(RESTORE_PARTS), 'media'];
+const RESTORE_MAX_BYTES = parseInt(process.env.RESTORE_MAX_MB || '512', 10) * 1024 * 1024;
+let isRestoring = false;
+// Enquanto o backup é aplicado, mensagens recebidas ficam aqui e os envios param; tudo segue após recarregar o estado
+let heldDuringRestore = null;
+
+// Grava o upload direto em disco (o zip pode ter centenas de MB de mídias); acima do limite, erro 413
+async function saveUploadToFile(req, filePath, maxBytes) {
+    let received = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > maxBytes ? Object.assign(new Error('arquivo acima do limite'), { status: 413 }) : null, chunk);
+        },
+    });
+    await pipeline(req, limit, fs.createWriteStream(filePath));
+    return received;
+}
+
+function releaseHeldMessages() {
+    const held = heldDuringRestore || [];
+    heldDuringRestore = null;
+    if (held.length) console.log(`[Restore] Processando ${held.length} evento(s) de mensagem recebidos durante a restauração.`);
+    (async () => { for (const replay of held) await replay(); })().catch(error => console.error('[Restore] Falha ao processar mensagens retidas:', error));
+}
+
+// Valida a estrutura do zip e classifica as entradas, sem extrair nada
+function inspectBackupZip(zip) {
+    const result = { database: null, legacyJson: [], media: [], ignored: [] };
+    for (const entry of zip.getEntries()) {
+        if (entry.isDirectory) continue;
+        const name = entry.entryName.replace(/\\/g, '/');
+        if (name.startsWith('/') || name.split('/').includes('..')) throw new Error(`Caminho inválido no zip: ${name}`);
+        if (name === DB_FILENAME) result.database = entry;
+        else if (LEGACY_JSON_FILES.includes(name)) result.legacyJson.push(entry);
+        else if (name.startsWith('media/') && name.split('/').length === 2) result.media.push(entry);
+        else result.ignored.push(name);
+    }
+    return result;
+}
+
+app.post('/api/system/restore', requirePermission('system:restore'), async (req, res) => {
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+    const parts = req.query.parts ? String(req.query.parts).split(',').map(p => p.trim()).filter(Boolean) : [...RESTORE_ALL_PARTS];
+    const invalidParts = parts.filter(p => !RESTORE_ALL_PARTS.includes(p));
+    if (invalidParts.length) return res.status(400).json({ error: `Partes inválidas: ${invalidParts.join(', ')}. Use: ${RESTORE_ALL_PARTS.join(', ')}.` });
+    if (isRestoring) return res.status(409).json({ error: 'Já existe uma restauração em andamento.' });
+    const tooLarge = () => res.status(413).json({ error: `O backup passa do limite de ${RESTORE_MAX_BYTES / 1024 / 1024} MB (ajuste RESTORE_MAX_MB).` });
+    if (parseInt(req.headers['content-length'] || '0', 10) > RESTORE_MAX_BYTES) return tooLarge();
+
+    isRestoring = true;
+    const workDir = fs.mkdtempSync(path.join(DATA_DIR, 'restore_'));
+    try {
+        const zipPath = path.join(workDir, 'backup.zip');
+        try {
+            if (!await saveUploadToFile(req, zipPath, RESTORE_MAX_BYTES)) return res.status(400).json({ error: 'Envie o arquivo .zip do backup no corpo da requisição.' });
+        } catch (error) {
+            if (error.status === 413) return tooLarge();
+            throw error;
+        }
+
+        let contents;
+        try {
+            contents = inspectBackupZip(new AdmZip(zipPath));
+        } catch (error) {
+            return res.status(400).json({ error: `Backup inválido: ${error.message}` });
+        }
+        const dataParts = parts.filter(p => p !== 'media');
+        if (dataParts.length && !contents.database && contents.legacyJson.length === 0) {
+            return res.status(400).json({ error: `Backup inválido: o zip não contém ${DB_FILENAME} nem arquivos JSON do formato antigo.` });
+        }
+        if (parts.includes('media') && contents.media.length === 0) {
+            if (dataParts.length === 0) return res.status(400).json({ error: 'Backup inválido: o zip não contém a pasta media.' });
+            // Sem mídias no zip, a pasta atual é mantida em vez de ser esvaziada
+            parts.splice(parts.indexOf('media'), 1);
+        }
+
+        // Monta um banco candidato a partir do backup; o banco em uso só é tocado depois de tudo validado
+        const candidateDir = path.join(workDir, 'candidate');
+        fs.mkdirSync(candidateDir);
+        if (contents.database) fs.writeFileSync(path.join(candidateDir, DB_FILENAME), contents.database.getData());
+        const candidate = openStorage(candidateDir);
+        let report;
+        try {
+            if (!contents.database) {
+                const legacyDir = path.join(workDir, 'legacy');
+                fs.mkdirSync(legacyDir);
+                contents.legacyJson.forEach(entry => fs.writeFileSync(path.join(legacyDir, entry.entryName), entry.getData()));
+                candidate.importLegacyJson(legacyDir);
+            }
+            if (!candidate.integrityCheck()) throw new Error('o banco de dados do backup está corrompido.');
+            report = {
+                dryRun,
+                format: contents.database ? 'sqlite' : 'json',
+                parts,
+                backup: { ...candidate.summary(), mediaFiles: contents.media.length, mediaBytes: contents.media.reduce((sum, e) => sum + e.header.size, 0) },
+                current: { ...storage.summary(), mediaFiles: fs.readdirSync(MEDIA_DIR).length },
+                ignoredEntries: contents.ignored,
+            };
+        } finally {
+            candidate.close();
+        }
+
+        if (dryRun) return res.json(report);
+
+        heldDuringRestore = [];
+        // Mídias: extrai para uma pasta temporária e troca as pastas no final (rename é atômico).
+        // Uma entrada por vez, cedendo a vez ao servidor entre elas (o gateway do WhatsApp continua respondendo)
+        let stagedMedia = null;
+        if (parts.includes('media')) {
+            stagedMedia = path.join(workDir, 'media');
+            fs.mkdirSync(stagedMedia);
+            for (const entry of contents.media) await fs.promises.writeFile(path.join(stagedMedia, path.posix.basename(entry.entryName)), entry.getData());
+        }
+
+        store.save();
+        if (dataParts.length) storage.restoreFrom(path.join(candidateDir, DB_FILENAME), dataParts);
+        if (stagedMedia) {
+            const oldMedia = path.join(workDir, 'media_old');
+            fs.renameSync(MEDIA_DIR, oldMedia);
+            fs.renameSync(stagedMedia, MEDIA_DIR);
         }
+
+        loadStateFromStorage();
+        console.log(`[Restore] Backup restaurado por ${req.attendant.name}. Partes: ${parts.join(', ')}`);
+        broadcastEvent('system:restored', { parts });
+        broadcastEvent('attendants', ATTENDANTS);
+        broadcastQueue();
+        res.json(report);
+    } catch (error) {
+        console.error('[Restore] Falha na restauração:', error);
+        res.status(500).json({ error: `Falha na restauração: ${error.message}` });
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        isRestoring = false;
+        if (heldDuringRestore) releaseHeldMessages();
     }
-    archive.directory(MEDIA_DIR, 'media');
-    await archive.finalize();
 });
 
-app.post('/api/chats/read/:userId', async (req, res) => {
+app.post('/api/chats/read/:userId', requirePermission('chats:handle'), async (req, res) => {
     const { userId } = req.params;
     if (!sock) return res.status(503).json({ error: 'WhatsApp não conectado' });
     try {
@@ -1226,7 +2965,7 @@ app.post('/api/chats/read/:userId', async (req, res) => {
     }
 });
 
-app.post('/api/chats/resolve/:userId', (req, res) => {
+app.post('/api/chats/resolve/:userId', requirePermission('chats:handle'), (req, res) => {
     const { userId } = req.params;
     const chat = activeChats.get(userId);
     if (chat) {
@@ -1234,35 +2973,45 @@ app.post('/api/chats/resolve/:userId', (req, res) => {
         chat.resolvedAt = new Date().toISOString();
         archiveSession(chat);
         activeChats.delete(userId);
-        saveData('activeChats.json', activeChats);
-        queueOutbound(userId, { text: translations.pt.sessionEnded });
+        persistSession(userId);
+        notifyChatChanged(userId);
+        broadcastPresence();
+        queueOutbound(userId, { text: flowText('sessionEnded', {}, chat.language) });
         res.json({ success: true });
     } else {
         res.status(404).send();
     }
 });
 
-app.post('/api/chats/transfer/:userId', (req, res) => {
+app.post('/api/chats/transfer/:userId', requirePermission('chats:handle'), (req, res) => {
     const { userId } = req.params;
     const { newAttendantId } = req.body;
     const chat = activeChats.get(userId);
     if(chat) {
+        const target = ATTENDANTS.find(a => a.id === newAttendantId);
+        if (!target) return res.status(404).json({ error: 'Atendente não encontrado.' });
+        if (!hasPermission(target, 'chats:handle')) return res.status(403).json({ error: `${target.name} não atende conversas (perfil somente leitura).` });
+        if (presenceStatus(presenceOf(target.id), loadPresenceConfig()) === 'offline') return res.status(409).json({ error: `${target.name} está offline.` });
+        if (!attendantHasCapacity(target)) return res.status(409).json({ error: `${target.name} já está no limite de conversas simultâneas.` });
         chat.attendantId = newAttendantId;
         chat.messageLog.push({ sender: 'system', text: `Transferido para outro atendente.`, timestamp: new Date().toISOString() });
-        saveData('activeChats.json', activeChats);
+        persistSession(userId);
+        notifyChatChanged(userId);
+        broadcastPresence();
         res.json({ success: true });
     } else {
         res.status(404).send();
     }
 });
 
-app.post('/api/chats/forward', (req, res) => {
+app.post('/api/chats/forward', requirePermission('chats:handle'), (req, res) => {
     const { originalMessage, targetUserId } = req.body;
     const targetChat = activeChats.get(targetUserId);
     if (targetChat) {
         const fwdMsg = { sender: 'attendant', text: originalMessage.text, files: originalMessage.files, isForwarded: true, timestamp: new Date().toISOString(), status: 1 };
         targetChat.messageLog.push(fwdMsg);
-        saveData('activeChats.json', activeChats);
+        persistSession(targetUserId);
+        notifyChatChanged(targetUserId);
         queueOutbound(targetUserId, { text: originalMessage.text, files: originalMessage.files });
         res.json({ success: true });
     } else {
@@ -1270,17 +3019,91 @@ app.post('/api/chats/forward', (req, res) => {
     }
 });
 
-app.post('/api/chats/edit-message', (req, res) => {
+app.post('/api/chats/edit-message', requirePermission('chats:handle'), (req, res) => {
     const { userId, messageTimestamp, newText } = req.body;
     const chat = activeChats.get(userId);
     if(chat) {
         const msg = chat.messageLog.find(m => m.timestamp === messageTimestamp);
-        if(msg) { msg.text = newText; msg.edited = true; saveData('activeChats.json', activeChats); res.json({ success: true }); } 
+        if(msg) { msg.text = newText; msg.edited = true; persistSession(userId); notifyChatChanged(userId); res.json({ success: true }); } 
         else { res.status(404).send(); }
     } else { res.status(404).send(); }
 });
 
-app.get('/api/internal-chats/summary/:attendantId', (req, res) => res.json({}));
+// --- CHAT INTERNO ---
+const internalChatKey = (a, b) => [a, b].sort().join('|');
+
+app.get('/api/internal-chats/summary/:attendantId', (req, res) => {
+    if (req.params.attendantId !== req.attendant.id) return res.status(403).json({ error: 'Acesso negado.' });
+    const me = req.attendant.id;
+    const summary = {};
+    for (const [key, messages] of internalChats.entries()) {
+        const ids = key.split('|');
+        if (!ids.includes(me)) continue;
+        const partnerId = ids[0] === me ? ids[1] : ids[0];
+        summary[partnerId] = {
+            unread: messages.filter(m => m.to === me && !m.readAt).length,
+            lastMessage: messages[messages.length - 1] || null,
+        };
+    }
+    res.json(summary);
+});
+
+app.get('/api/internal-chats/:partnerId', (req, res) => {
+    res.json(internalChats.get(internalChatKey(req.attendant.id, req.params.partnerId)) || []);
+});
+
+app.post('/api/internal-chats/:partnerId', requirePermission('chats:handle'), (req, res) => {
+    const { partnerId } = req.params;
+    const { text, files, chatLink } = req.body;
+    if (!ATTENDANTS.some(a => a.id === partnerId) || partnerId === req.attendant.id) return res.status(404).json({ error: 'Atendente não encontrado.' });
+    if (!text?.trim() && !files?.length && !chatLink) return res.status(400).json({ error: 'Mensagem vazia.' });
+
+    const msg = {
+        id: `imsg_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        from: req.attendant.id,
+        to: partnerId,
+        text: text?.trim() || '',
+        timestamp: new Date().toISOString(),
+        readAt: null,
+    };
+    if (files && files.length > 0) {
+        msg.files = files.map(f => {
+            if (f.data) {
+                const url = saveMediaToDisk(f.data, f.type, f.name);
+                return { name: f.name, type: f.type, url };
+            }
+            return f;
+        }).filter(f => f.url);
+    }
+    // Link para uma conversa de cliente, aberto pelo painel ao clicar na mensagem
+    if (chatLink?.userId) msg.chatLink = { userId: chatLink.userId, userName: chatLink.userName || chatLink.userId.split('@')[0] };
+
+    const key = internalChatKey(req.attendant.id, partnerId);
+    const messages = internalChats.get(key) || [];
+    messages.push(msg);
+    internalMessageStore.set(msg.id, { ...msg, conversation: key });
+    if (messages.length > MAX_INTERNAL_MESSAGES) {
+        messages.splice(0, messages.length - MAX_INTERNAL_MESSAGES).forEach(m => internalMessageStore.delete(m.id));
+    }
+    internalChats.set(key, messages);
+    broadcastEvent('internal:message', msg, [msg.from, msg.to]);
+    res.json(msg);
+});
+
+app.post('/api/internal-chats/:partnerId/read', requirePermission('chats:handle'), (req, res) => {
+    const key = internalChatKey(req.attendant.id, req.params.partnerId);
+    const messages = internalChats.get(key) || [];
+    const now = new Date().toISOString();
+    const changed = messages.filter(m => m.to === req.attendant.id && !m.readAt);
+    if (changed.length) {
+        storage.transaction(() => changed.forEach(m => {
+            m.readAt = now;
+            internalMessageStore.set(m.id, { ...m, conversation: key });
+        }));
+        broadcastEvent('internal:read', { readerId: req.attendant.id, partnerId: req.params.partnerId }, [req.attendant.id, req.params.partnerId]);
+    }
+    res.json({ success: true, count: changed.length });
+});
 
 app.get('*', (req, res) => {
     if (req.path.startsWith('/api')) { return res.status(404).json({ error: 'Endpoint API não encontrado' }); }
@@ -0,0 +1,530 @@
+// --- CAMADA DE ARMAZENAMENTO (SQLite) ---
+// Substitui a regravação de arquivos JSON inteiros por escritas por registro, dentro de transações.
+// O server.js continua trabalhando com Maps/arrays em memória para os dados "quentes" (sessões abertas,
+// fila, atendentes), mas toda gravação passa por aqui.
+
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+export const DB_FILENAME = 'jzf.db';
+
+// Arquivos JSON da versão anterior, importados automaticamente na primeira inicialização
+export const LEGACY_JSON_FILES = [
+    'attendants.json', 'attendantCredentials.json', 'authSessions.json',
+    'userSessions.json', 'activeChats.json', 'archivedChats.json', 'requestQueue.json',
+    'syncedContacts.json', 'baileys_store.json', 'tags.json', 'contactTags.json',
+    'internalChats.json', 'msgRetryCounterMap.json',
+];
+
+// Grupos de dados que podem ser restaurados separadamente a partir de um backup.
+// collections: null = todas as coleções não listadas nos outros grupos (configurações em geral).
+export const RESTORE_PARTS = {
+    attendants: { tables: ['attendants'], collections: ['credentials'] },
+    chats: { tables: ['sessions', 'archived_sessions', 'messages', 'queue'], collections: ['followUps'] },
+    internal: { tables: [], collections: ['internalMessages'] },
+    contacts: { tables: ['contacts'], collections: ['contactNotes', 'contactFields'] },
+    tags: { tables: ['tags', 'contact_tags'], collections: [] },
+    clients: { tables: ['companies', 'people', 'person_numbers', 'person_companies'], collections: [] },
+    appointments: { tables: [], collections: ['appointments'] },
+    knowledge: { tables: [], collections: ['knowledgeBase'] },
+    settings: { tables: [], collections: null },
+};
+
+// Coleções ligadas ao processo em execução (logins abertos, contadores do WhatsApp): nunca são restauradas
+const LIVE_COLLECTIONS = ['authSessions', 'msgRetryCounters'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS attendants (id TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS sessions (
+        user_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS archived_sessions (
+        session_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        user_name TEXT,
+        resolved_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_archived_user ON archived_sessions (user_id, resolved_at);
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_id, id);
+    CREATE TABLE IF NOT EXISTS queue (position INTEGER PRIMARY KEY, id TEXT NOT NULL, user_id TEXT NOT NULL, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS contacts (user_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS tags (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS contact_tags (user_id TEXT NOT NULL, tag_id TEXT NOT NULL, PRIMARY KEY (user_id, tag_id));
+    CREATE TABLE IF NOT EXISTS companies (id TEXT PRIMARY KEY, cnpj TEXT UNIQUE, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS people (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS person_numbers (user_id TEXT PRIMARY KEY, person_id TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS person_companies (person_id TEXT NOT NULL, company_id TEXT NOT NULL, PRIMARY KEY (person_id, company_id));
+    CREATE TABLE IF NOT EXISTS documents (collection TEXT NOT NULL, id TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (collection, id));
+    CREATE INDEX IF NOT EXISTS idx_documents_user ON documents (collection, json_extract(data, '$.userId'));
+    CREATE INDEX IF NOT EXISTS idx_documents_status ON documents (collection, json_extract(data, '$.status'));
+`;
+
+// Campos dos documentos com índice próprio (ver SCHEMA): consultas por cliente ou por situação sem ler a coleção inteira
+const INDEXED_FIELDS = ['userId', 'status'];
+
+// Leitura com recuperação pelo .bak, no mesmo formato usado pela persistência em JSON
+export const readLegacyJson = (dir, filename) => {
+    const filePath = path.join(dir, filename);
+    const tryRead = (p) => {
+        try {
+            if (!fs.existsSync(p)) return null;
+            const content = fs.readFileSync(p, 'utf8');
+            if (!content || content.trim() === '') return null;
+            return JSON.parse(content);
+        } catch (e) { return null; }
+    };
+    return tryRead(filePath) ?? tryRead(`${filePath}.bak`);
+};
+
+const toJson = (value) => JSON.stringify(value);
+const fromJson = (text) => JSON.parse(text);
+const newSessionId = () => `s_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+export function openStorage(dataDir) {
+    const dbPath = path.join(dataDir, DB_FILENAME);
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(SCHEMA);
+
+    // Mensagens já gravadas: objeto da mensagem -> { rowId, json } (para detectar edições e mudanças de status)
+    const persistedMessages = new WeakMap();
+
+    const stmt = {
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+
+        allAttendants: db.prepare('SELECT data FROM attendants ORDER BY position'),
+        clearAttendants: db.prepare('DELETE FROM attendants'),
+        insertAttendant: db.prepare('INSERT INTO attendants (id, position, data) VALUES (?, ?, ?)'),
+
+        openSessions: db.prepare('SELECT session_id, status, data FROM sessions'),
+        upsertSession: db.prepare(`INSERT INTO sessions (user_id, session_id, status, data, updated_at) VALUES (@userId, @sessionId, @status, @data, @updatedAt)
+            ON CONFLICT(user_id) DO UPDATE SET session_id = excluded.session_id, status = excluded.status, data = excluded.data, updated_at = excluded.updated_at`),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+        sessionIdOf: db.prepare('SELECT session_id FROM sessions WHERE user_id = ?'),
+
+        insertArchived: db.prepare(`INSERT INTO archived_sessions (session_id, user_id, user_name, resolved_at, data) VALUES (@sessionId, @userId, @userName, @resolvedAt, @data)
+            ON CONFLICT(session_id) DO UPDATE SET user_name = excluded.user_name, resolved_at = excluded.resolved_at, data = excluded.data`),
+        archivedByUser: db.prepare('SELECT session_id, data FROM archived_sessions WHERE user_id = ? ORDER BY resolved_at, rowid'),
+        archivedSummary: db.prepare(`SELECT a.user_id, a.user_name, a.resolved_at FROM archived_sessions a
+            JOIN (SELECT user_id, MAX(rowid) AS last FROM archived_sessions GROUP BY user_id) l ON a.rowid = l.last
+            ORDER BY a.resolved_at DESC`),
+        countArchived: db.prepare('SELECT COUNT(*) AS total FROM archived_sessions'),
+        lastArchivedAttendant: db.prepare(`SELECT json_extract(data, '$.attendantId') AS attendant_id FROM archived_sessions
+            WHERE user_id = ? AND json_extract(data, '$.attendantId') IS NOT NULL ORDER BY resolved_at DESC, rowid DESC LIMIT 1`),
+
+        messagesBySession: db.prepare('SELECT id, data FROM messages WHERE session_id = ? ORDER BY id'),
+        insertMessage: db.prepare('INSERT INTO messages (session_id, user_id, timestamp, data) VALUES (?, ?, ?, ?)'),
+        updateMessage: db.prepare('UPDATE messages SET data = ? WHERE id = ?'),
+        deleteMessagesBySession: db.prepare('DELETE FROM messages WHERE session_id = ?'),
+
+        allQueue: db.prepare('SELECT data FROM queue ORDER BY position'),
+        clearQueue: db.prepare('DELETE FROM queue'),
+        insertQueue: db.prepare('INSERT INTO queue (position, id, user_id, data) VALUES (?, ?, ?, ?)'),
+
+        allContacts: db.prepare('SELECT data FROM contacts'),
+        upsertContact: db.prepare('INSERT INTO contacts (user_id, data) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET data = excluded.data'),
+
+        allTags: db.prepare('SELECT data FROM tags ORDER BY rowid'),
+        upsertTag: db.prepare('INSERT INTO tags (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+        deleteTag: db.prepare('DELETE FROM tags WHERE id = ?'),
+        allContactTags: db.prepare('SELECT user_id, tag_id FROM contact_tags ORDER BY rowid'),
+        addContactTag: db.prepare('INSERT OR IGNORE INTO contact_tags (user_id, tag_id) VALUES (?, ?)'),
+        deleteContactTagsByTag: db.prepare('DELETE FROM contact_tags WHERE tag_id = ?'),
+
+        allCompanies: db.prepare('SELECT data FROM companies ORDER BY rowid'),
+        upsertCompany: db.prepare('INSERT INTO companies (id, cnpj, data) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET cnpj = excluded.cnpj, data = excluded.data'),
+        deleteCompany: db.prepare('DELETE FROM companies WHERE id = ?'),
+        deleteCompanyLinks: db.prepare('DELETE FROM person_companies WHERE company_id = ?'),
+        allPeople: db.prepare('SELECT data FROM people ORDER BY rowid'),
+        upsertPerson: db.prepare('INSERT INTO people (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+        deletePerson: db.prepare('DELETE FROM people WHERE id = ?'),
+        allPersonNumbers: db.prepare('SELECT user_id, person_id FROM person_numbers ORDER BY rowid'),
+        insertPersonNumber: db.prepare('INSERT INTO person_numbers (user_id, person_id) VALUES (?, ?)'),
+        deletePersonNumbers: db.prepare('DELETE FROM person_numbers WHERE person_id = ?'),
+        allPersonCompanies: db.prepare('SELECT person_id, company_id FROM person_companies ORDER BY rowid'),
+        insertPersonCompany: db.prepare('INSERT OR IGNORE INTO person_companies (person_id, company_id) VALUES (?, ?)'),
+        deletePersonCompanies: db.prepare('DELETE FROM person_companies WHERE person_id = ?'),
+
+        getDoc: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+        allDocs: db.prepare('SELECT id, data FROM documents WHERE collection = ? ORDER BY rowid'),
+        upsertDoc: db.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?) ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data'),
+        deleteDoc: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+        clearDocs: db.prepare('DELETE FROM documents WHERE collection = ?'),
+        docsByIds: db.prepare('SELECT id, data FROM documents WHERE collection = ? AND id IN (SELECT value FROM json_each(?))'),
+        // A expressão precisa ser idêntica à do índice para que o SQLite o utilize
+        docsByField: Object.fromEntries(INDEXED_FIELDS.map(field => [field,
+            db.prepare(`SELECT data FROM documents WHERE collection = ? AND json_extract(data, '$.${field}') IN (SELECT value FROM json_each(?)) ORDER BY rowid`)])),
+    };
+
+    // --- SESSÕES E MENSAGENS ---
+    const loadMessages = (sessionId) => stmt.messagesBySession.all(sessionId).map(row => {
+        const msg = fromJson(row.data);
+        persistedMessages.set(msg, { rowId: row.id, json: row.data });
+        return msg;
+    });
+
+    // Grava apenas as mensagens novas ou alteradas desde a última chamada
+    const syncMessages = (session) => {
+        for (const msg of session.messageLog || []) {
+            const json = toJson(msg);
+            const known = persistedMessages.get(msg);
+            if (!known) {
+                const ts = msg.timestamp instanceof Date ? msg.timestamp.toISOString() : msg.timestamp;
+                const info = stmt.insertMessage.run(session.sessionId, session.userId, ts || null, json);
+                persistedMessages.set(msg, { rowId: Number(info.lastInsertRowid), json });
+            } else if (known.json !== json) {
+                stmt.updateMessage.run(json, known.rowId);
+                known.json = json;
+            }
+        }
+    };
+
+    const sessionRow = (session) => {
+        const { messageLog, ...rest } = session;
+        return toJson(rest);
+    };
+
+    const saveSession = db.transaction((session, status) => {
+        if (!session.sessionId) session.sessionId = newSessionId();
+        stmt.upsertSession.run({ userId: session.userId, sessionId: session.sessionId, status, data: sessionRow(session), updatedAt: new Date().toISOString() });
+        syncMessages(session);
+    });
+
+    const loadOpenSessions = () => {
+        const result = { bot: [], active: [] };
+        for (const row of stmt.openSessions.all()) {
+            const session = fromJson(row.data);
+            session.sessionId = row.session_id;
+            session.messageLog = loadMessages(row.session_id);
+            (row.status === 'active' ? result.active : result.bot).push(session);
+        }
+        return result;
+    };
+
+    // Remove a sessão aberta. Sem arquivamento, as mensagens também são descartadas (sessão expirada).
+    const deleteSession = db.transaction((userId, { purgeMessages = true } = {}) => {
+        const row = stmt.sessionIdOf.get(userId);
+        stmt.deleteSession.run(userId);
+        if (row && purgeMessages) stmt.deleteMessagesBySession.run(row.session_id);
+    });
+
+    const archiveSession = db.transaction((session) => {
+        if (!session.sessionId) session.sessionId = newSessionId();
+        syncMessages(session);
+        stmt.insertArchived.run({ sessionId: session.sessionId, userId: session.userId, userName: session.userName || null, resolvedAt: session.resolvedAt || null, data: sessionRow(session) });
+        const open = stmt.sessionIdOf.get(session.userId);
+        if (open && open.session_id === session.sessionId) stmt.deleteSession.run(session.userId);
+    });
+
+    const getArchivedSessions = (userId) => stmt.archivedByUser.all(userId).map(row => {
+        const session = fromJson(row.data);
+        session.sessionId = row.session_id;
+        session.messageLog = loadMessages(row.session_id);
+        return session;
+    });
+
+    // Último atendente que encerrou uma conversa do cliente, sem carregar as conversas (índice por user_id)
+    const lastAttendantOf = (userId) => stmt.lastArchivedAttendant.get(userId)?.attendant_id || null;
+
+    const listArchivedSummary = () => stmt.archivedSummary.all().map(r => ({ userId: r.user_id, userName: r.user_name, resolvedAt: r.resolved_at }));
+
+    // --- FILA ---
+    // A fila é pequena; regravá-la inteira preserva a ordem definida pelo servidor
+    const saveQueue = db.transaction((queue) => {
+        stmt.clearQueue.run();
+        queue.forEach((item, i) => stmt.insertQueue.run(i, String(item.id), item.userId, toJson(item)));
+    });
+
+    // --- ATENDENTES ---
+    const saveAttendants = db.transaction((attendants) => {
+        stmt.clearAttendants.run();
+        attendants.forEach((a, i) => stmt.insertAttendant.run(a.id, i, toJson(a)));
+    });
+
+    // --- CONTATOS ---
+    const loadContacts = () => {
+        const contacts = {};
+        for (const row of stmt.allContacts.all()) {
+            const c = fromJson(row.data);
+            contacts[c.id] = c;
+        }
+        return contacts;
+    };
+    const upsertContacts = db.transaction((list) => {
+        for (const c of list) stmt.upsertContact.run(c.id, toJson(c));
+    });
+
+    // --- ETIQUETAS ---
+    const loadContactTags = () => {
+        const contactTags = {};
+        for (const row of stmt.allContactTags.all()) {
+            (contactTags[row.user_id] = contactTags[row.user_id] || []).push(row.tag_id);
+        }
+        return contactTags;
+    };
+    const assignTag = db.transaction((tagId, userIds) => {
+        for (const uid of userIds) stmt.addContactTag.run(uid, tagId);
+    });
+    const deleteTag = db.transaction((tagId) => {
+        stmt.deleteTag.run(tagId);
+        stmt.deleteContactTagsByTag.run(tagId);
+    });
+
+    // --- CADASTRO DE CLIENTES ---
+    // Empresas e pessoas; os números de WhatsApp e os vínculos pessoa-empresa ficam em tabelas próprias
+    // (um número pertence a uma única pessoa; uma pessoa pode responder por várias empresas).
+    const loadCompanies = () => stmt.allCompanies.all().map(r => fromJson(r.data));
+    const saveCompany = (company) => stmt.upsertCompany.run(company.id, company.cnpj || null, toJson(company));
+    const deleteCompany = db.transaction((companyId) => {
+        stmt.deleteCompany.run(companyId);
+        stmt.deleteCompanyLinks.run(companyId);
+    });
+
+    const loadPeople = () => {
+        const userIds = {}, companyIds = {};
+        for (const row of stmt.allPersonNumbers.all()) (userIds[row.person_id] = userIds[row.person_id] || []).push(row.user_id);
+        for (const row of stmt.allPersonCompanies.all()) (companyIds[row.person_id] = companyIds[row.person_id] || []).push(row.company_id);
+        return stmt.allPeople.all().map(r => {
+            const person = fromJson(r.data);
+            return { ...person, userIds: userIds[person.id] || [], companyIds: companyIds[person.id] || [] };
+        });
+    };
+    const savePerson = db.transaction((person) => {
+        const { userIds = [], companyIds = [], ...profile } = person;
+        stmt.upsertPerson.run(person.id, toJson(profile));
+        stmt.deletePersonNumbers.run(person.id);
+        userIds.forEach(uid => stmt.insertPersonNumber.run(uid, person.id));
+        stmt.deletePersonCompanies.run(person.id);
+        companyIds.forEach(cid => stmt.insertPersonCompany.run(person.id, cid));
+    });
+    const deletePerson = db.transaction((personId) => {
+        stmt.deletePerson.run(personId);
+        stmt.deletePersonNumbers.run(personId);
+        stmt.deletePersonCompanies.run(personId);
+    });
+
+    // --- COLEÇÕES GENÉRICAS (documentos JSON por chave) ---
+    // Usadas para dados sem tabela própria: credenciais, sessões de login, chat interno, configurações...
+    const collection = (name) => ({
+        get: (id) => {
+            const row = stmt.getDoc.get(name, String(id));
+            return row ? fromJson(row.data) : undefined;
+        },
+        set: (id, data) => { stmt.upsertDoc.run(name, String(id), toJson(data)); },
+        delete: (id) => { stmt.deleteDoc.run(name, String(id)); },
+        entries: () => stmt.allDocs.all(name).map(row => [row.id, fromJson(row.data)]),
+        values: () => stmt.allDocs.all(name).map(row => fromJson(row.data)),
+        // Documentos cujo campo indexado (userId ou status) tem o valor informado (ou um dos valores da lista)
+        findBy: (field, value) => {
+            if (!stmt.docsByField[field]) throw new Error(`Campo sem índice: ${field}`);
+            return stmt.docsByField[field].all(name, toJson([].concat(value))).map(row => fromJson(row.data));
+        },
+        // Vários documentos pela chave, numa só consulta: { id: documento } (ausentes ficam de fora)
+        getMany: (ids) => Object.fromEntries(stmt.docsByIds.all(name, toJson(ids.map(String))).map(row => [row.id, fromJson(row.data)])),
+        clear: () => { stmt.clearDocs.run(name); },
+    });
+
+    // --- MIGRAÇÃO DOS ARQUIVOS JSON ---
+    // Importa os dados de uma pasta no formato antigo (usada na primeira inicialização e na restauração de backups antigos).
+    const importLegacyJson = db.transaction((sourceDir) => {
+        const read = (file) => readLegacyJson(sourceDir, file);
+        const asEntries = (value) => Array.isArray(value) ? value : [];
+        const counts = {};
+
+        const attendants = read('attendants.json');
+        if (Array.isArray(attendants) && attendants.length) { saveAttendants(attendants); counts.attendants = attendants.length; }
+
+        const credentials = read('attendantCredentials.json') || {};
+        Object.entries(credentials).forEach(([id, cred]) => stmt.upsertDoc.run('credentials', id, toJson(cred)));
+        asEntries(read('authSessions.json')).forEach(([key, s]) => stmt.upsertDoc.run('authSessions', key, toJson(s)));
+
+        const importOpen = (entries, status) => entries.forEach(([userId, session]) => {
+            if (!session) return;
+            session.userId = session.userId || userId;
+            session.messageLog = session.messageLog || [];
+            saveSession(session, status);
+        });
+        const bot = asEntries(read('userSessions.json'));
+        const active = asEntries(read('activeChats.json'));
+        // Uma sessão ativa (humana) prevalece sobre a cópia do bot para o mesmo cliente
+        importOpen(bot.filter(([userId]) => !active.some(([id]) => id === userId)), 'bot');
+        importOpen(active, 'active');
+        counts.sessions = bot.length + active.length;
+
+        let archivedCount = 0;
+        asEntries(read('archivedChats.json')).forEach(([userId, sessions]) => {
+            (sessions || []).forEach(session => {
+                session.userId = session.userId || userId;
+                session.messageLog = session.messageLog || [];
+                session.sessionId = newSessionId();
+                archiveSession(session);
+                archivedCount++;
+            });
+        });
+        counts.archived = archivedCount;
+
+        const queue = read('requestQueue.json');
+        if (Array.isArray(queue)) { saveQueue(queue); counts.queue = queue.length; }
+
+        // Contatos: store do Baileys + lista sincronizada (backup secundário) em uma única tabela
+        const contacts = { ...(read('baileys_store.json')?.contacts || {}) };
+        asEntries(read('syncedContacts.json')).forEach(c => {
+            if (!c?.userId) return;
+            if (!contacts[c.userId]) contacts[c.userId] = { id: c.userId, name: c.userName };
+        });
+        upsertContacts(Object.values(contacts).filter(c => c?.id));
+        counts.contacts = Object.keys(contacts).length;
+
+        const tags = read('tags.json');
+        if (Array.isArray(tags)) { tags.forEach(t => stmt.upsertTag.run(t.id, toJson(t))); counts.tags = tags.length; }
+        Object.entries(read('contactTags.json') || {}).forEach(([uid, tagIds]) => (tagIds || []).forEach(tid => stmt.addContactTag.run(uid, tid)));
+
+        asEntries(read('internalChats.json')).forEach(([conversation, messages]) => {
+            (messages || []).forEach(m => stmt.upsertDoc.run('internalMessages', m.id, toJson({ ...m, conversation })));
+        });
+        asEntries(read('msgRetryCounterMap.json')).forEach(([key, value]) => stmt.upsertDoc.run('msgRetryCounters', key, toJson(value)));
+
+        return counts;
+    });
+
+    const migrateFromJsonIfNeeded = () => {
+        if (stmt.getMeta.get('json_migrated')) return null;
+        const hasLegacy = LEGACY_JSON_FILES.some(f => fs.existsSync(path.join(dataDir, f)));
+        let counts = null;
+        if (hasLegacy) {
+            counts = importLegacyJson(dataDir);
+            // Os arquivos antigos são preservados fora do caminho principal, apenas por segurança
+            const legacyDir = path.join(dataDir, 'legacy-json');
+            fs.mkdirSync(legacyDir, { recursive: true });
+            for (const file of fs.readdirSync(dataDir)) {
+                if (LEGACY_JSON_FILES.some(f => file === f || file === `${f}.bak`)) {
+                    fs.renameSync(path.join(dataDir, file), path.join(legacyDir, file));
+                }
+            }
+        }
+        stmt.setMeta.run('json_migrated', new Date().toISOString());
+        return counts;
+    };
+
+    // --- RESTAURAÇÃO ---
+    const summary = () => {
+        const count = (sql, ...params) => db.prepare(sql).get(...params).total;
+        return {
+            attendants: count('SELECT COUNT(*) AS total FROM attendants'),
+            openChats: count('SELECT COUNT(*) AS total FROM sessions'),
+            archivedChats: count('SELECT COUNT(*) AS total FROM archived_sessions'),
+            messages: count('SELECT COUNT(*) AS total FROM messages'),
+            queue: count('SELECT COUNT(*) AS total FROM queue'),
+            contacts: count('SELECT COUNT(*) AS total FROM contacts'),
+            tags: count('SELECT COUNT(*) AS total FROM tags'),
+            internalMessages: count('SELECT COUNT(*) AS total FROM documents WHERE collection = ?', 'internalMessages'),
+            contactNotes: count('SELECT COUNT(*) AS total FROM documents WHERE collection = ?', 'contactNotes'),
+            knowledgeArticles: count('SELECT COUNT(*) AS total FROM documents WHERE collection = ?', 'knowledgeBase'),
+            companies: count('SELECT COUNT(*) AS total FROM companies'),
+            people: count('SELECT COUNT(*) AS total FROM people'),
+            appointments: count('SELECT COUNT(*) AS total FROM documents WHERE collection = ?', 'appointments'),
+        };
+    };
+
+    const integrityCheck = () => db.pragma('integrity_check', { simple: true }) === 'ok';
+
+    // Substitui os grupos escolhidos pelo conteúdo de outro banco, tudo ou nada (uma única transação)
+    const restoreFrom = (sourcePath, parts) => {
+        db.prepare('ATTACH DATABASE ? AS src').run(sourcePath);
+        try {
+            db.transaction(() => {
+                const copyTable = (table) => {
+                    const columns = db.prepare(`PRAGMA main.table_info(${table})`).all().map(c => c.name).join(', ');
+                    db.prepare(`DELETE FROM main.${table}`).run();
+                    db.prepare(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM src.${table}`).run();
+                };
+                const namedCollections = Object.values(RESTORE_PARTS).flatMap(p => p.collections || []);
+                const excluded = [...LIVE_COLLECTIONS, ...namedCollections];
+                const placeholders = excluded.map(() => '?').join(', ');
+
+                for (const part of parts) {
+                    const { tables, collections } = RESTORE_PARTS[part];
+                    tables.forEach(copyTable);
+                    if (collections === null) {
+                        db.prepare(`DELETE FROM main.documents WHERE collection NOT IN (${placeholders})`).run(...excluded);
+                        db.prepare(`INSERT INTO main.documents (collection, id, data) SELECT collection, id, data FROM src.documents WHERE collection NOT IN (${placeholders})`).run(...excluded);
+                    } else {
+                        for (const name of collections) {
+                            db.prepare('DELETE FROM main.documents WHERE collection = ?').run(name);
+                            db.prepare('INSERT INTO main.documents (collection, id, data) SELECT collection, id, data FROM src.documents WHERE collection = ?').run(name);
+                        }
+                    }
+                }
+            })();
+        } finally {
+            db.prepare('DETACH DATABASE src').run();
+        }
+    };
+
+    return {
+        db,
+        path: dbPath,
+        close: () => db.close(),
+        // Cópia consistente do banco (pode ser feita com o servidor em uso)
+        backup: (destination) => db.backup(destination),
+        getMeta: (key) => stmt.getMeta.get(key)?.value,
+        setMeta: (key, value) => stmt.setMeta.run(key, value),
+        transaction: (fn) => db.transaction(fn)(),
+
+        loadAttendants: () => stmt.allAttendants.all().map(r => fromJson(r.data)),
+        saveAttendants,
+
+        loadOpenSessions,
+        saveSession,
+        deleteSession,
+        archiveSession,
+        getArchivedSessions,
+        lastAttendantOf,
+        listArchivedSummary,
+        countArchived: () => stmt.countArchived.get().total,
+
+        loadQueue: () => stmt.allQueue.all().map(r => fromJson(r.data)),
+        saveQueue,
+
+        loadContacts,
+        upsertContacts,
+
+        loadTags: () => stmt.allTags.all().map(r => fromJson(r.data)),
+        saveTag: (tag) => stmt.upsertTag.run(tag.id, toJson(tag)),
+        deleteTag,
+        loadContactTags,
+        assignTag,
+
+        loadCompanies,
+        saveCompany,
+        deleteCompany,
+        loadPeople,
+        savePerson,
+        deletePerson,
+
+        collection,
+        importLegacyJson,
+        migrateFromJsonIfNeeded,
+
+        summary,
+        integrityCheck,
+        restoreFrom,
+    };
+}